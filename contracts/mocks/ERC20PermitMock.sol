@@ -0,0 +1,59 @@
+pragma solidity ^0.4.24;
+
+import "./ERC20Mock.sol";
+
+// mock class using ERC20 with EIP-2612 permit
+contract ERC20PermitMock is ERC20Mock {
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    string public name;
+    bytes32 public DOMAIN_SEPARATOR;
+    mapping (address => uint) public nonces;
+
+    /** @dev Constructs the token.
+     *  @param initialAccount The account receiving the initial balance.
+     *  @param initialBalance The initial balance.
+     *  @param _name The name of the token, used in the EIP-712 domain.
+     *  @param _chainId The ID of the chain, used in the EIP-712 domain as there is no chainid opcode before solidity 0.5.12.
+     */
+    constructor(address initialAccount, uint256 initialBalance, string _name, uint _chainId)
+        ERC20Mock(initialAccount, initialBalance)
+        public
+    {
+        name = _name;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(_name)),
+                keccak256("1"),
+                _chainId,
+                address(this)
+            )
+        );
+    }
+
+    /** @dev Approve a spender with the EIP-712 signature of the owner.
+     *  @param owner The owner of the tokens.
+     *  @param spender The approved spender.
+     *  @param value The allowance.
+     *  @param deadline The time after which the signature cannot be used.
+     *  @param v The recovery byte of the signature.
+     *  @param r The first half of the signature.
+     *  @param s The second half of the signature.
+     */
+    function permit(address owner, address spender, uint value, uint deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(now <= deadline, "The permit has expired.");
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR,
+                keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+            )
+        );
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "The permit must be signed by the owner.");
+
+        allowed[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+}
@@ -0,0 +1,35 @@
+pragma solidity ^0.4.24;
+
+import "./ERC20Mock.sol";
+
+// mock class using ERC20 which can be made to refuse transfers
+contract ERC20RefusingMock is ERC20Mock {
+    bool public refusing;
+
+    /** @dev Constructs the token.
+     *  @param initialAccount The account receiving the initial balance.
+     *  @param initialBalance The initial balance.
+     */
+    constructor(address initialAccount, uint256 initialBalance)
+        ERC20Mock(initialAccount, initialBalance)
+        public
+    {}
+
+    /** @dev Make the token refuse or accept transfers.
+     *  @param _refusing Whether transfers are refused.
+     */
+    function setRefusing(bool _refusing) public {
+        refusing = _refusing;
+    }
+
+    /** @dev Transfer tokens, unless transfers are refused.
+     *  @param _to The recipient.
+     *  @param _value The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function transfer(address _to, uint256 _value) public returns (bool) {
+        if (refusing)
+            return false;
+        return super.transfer(_to, _value);
+    }
+}
@@ -0,0 +1,12 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/token/ERC721/ERC721Token.sol";
+
+// mock class using ERC721
+contract ERC721Mock is ERC721Token {
+    constructor(string name, string symbol) public ERC721Token(name, symbol) {}
+
+    function mint(address _to, uint256 _tokenId) public {
+        _mint(_to, _tokenId);
+    }
+}
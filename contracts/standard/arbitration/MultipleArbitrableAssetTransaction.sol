@@ -0,0 +1,1073 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+
+import "./Arbitrator.sol";
+import "./IArbitrable.sol";
+import "../../libraries/CappedMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+/** @title Multiple Arbitrable Asset Transaction
+ *  This is a contract for multiple arbitrated transactions which can be reversed by an arbitrator.
+ *  This can be used for buying goods, services and for paying freelancers.
+ *  Parties are identified as "sender" and "receiver".
+ *  It merges the MultipleArbitrable*Transaction contracts: each transaction chooses at creation
+ *  - Its asset: ETH or an ERC20 token.
+ *  - An optional platform fee, taken from every payment to the receiver.
+ *  - Whether appeals are paid directly to the arbitrator or crowdfunded.
+ *  - Its arbitrator: the default arbitrator of the contract or one allowed by the governor.
+ *  Arbitration and appeal fees are always paid in ETH.
+ *  Parties without ETH can sign their payments, reimbursements and evidence as EIP-712 typed data, for a relayer to submit them.
+ */
+contract MultipleArbitrableAssetTransaction is IArbitrable {
+
+    using CappedMath for uint;
+
+    // **************************** //
+    // *    Contract variables    * //
+    // **************************** //
+
+    uint8 constant AMOUNT_OF_CHOICES = 2; // The ruling options of every transaction. Split ruling options come after them.
+    uint public constant MULTIPLIER_DIVISOR = 10000; // Divisor parameter for multipliers.
+    uint public constant BASIS_POINT_DIVISOR = 10000; // Divisor parameter for the platform fee.
+
+    // EIP-712 type hashes of the domain and of the actions which can be signed.
+    bytes32 constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 constant PAY_TYPEHASH = keccak256("Pay(uint256 transactionID,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 constant REIMBURSE_TYPEHASH = keccak256("Reimburse(uint256 transactionID,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 constant SUBMIT_EVIDENCE_TYPEHASH = keccak256("SubmitEvidence(uint256 transactionID,string evidence,uint256 nonce,uint256 deadline)");
+
+    enum Party {None, Sender, Receiver}
+    enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
+
+    struct Transaction {
+        address sender;
+        address receiver;
+        uint amount;
+        ERC20 token; // The token of the transaction, 0x0 for ETH.
+        uint timeoutPayment; // Time in seconds after which the transaction can be automatically executed if not disputed.
+        uint disputeId; // If dispute exists, the ID of the dispute.
+        uint senderFee; // Total arbitration fees paid by the sender.
+        uint receiverFee; // Total arbitration fees paid by the receiver.
+        uint lastInteraction; // Last interaction for the dispute procedure.
+        Status status;
+        uint ruling; // The ruling of the dispute, if any.
+        address feeRecipient; // Address which receives a share of the payments to the receiver, 0x0 if there is no platform fee.
+        uint feeRecipientBasisPoint; // The share of the payments received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+        bool crowdfundedAppeals; // True if appeals are crowdfunded with fundAppeal, false if they are paid with appeal.
+        uint[] splits; // The share of the receiver, in basis points, of each additional ruling option. Ruling option 3 + i splits the amount and the arbitration fee according to splits[i].
+        Round[] rounds; // Tracks each appeal round of a dispute. Only used if appeals are crowdfunded.
+    }
+
+    struct Round {
+        uint[3] paidFees; // Tracks the fees paid by each side in this round.
+        bool[3] hasPaid; // True when the side has fully paid its fee. False otherwise.
+        uint feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the side that ultimately wins a dispute.
+        mapping(address => uint[3]) contributions; // Maps contributors to their contributions for each side.
+    }
+
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
+    }
+
+    struct SettlementOffer {
+        Party party; // The party which made the pending offer, None if there is no pending offer.
+        uint amountToReceiver; // The part of the amount of the transaction paid to the receiver, the rest is reimbursed to the sender.
+        uint time; // When the offer was made.
+        uint windowStart; // When the window during which offers prevent the parties from being timed out started. Only the first offer of each fee payment phase opens a window.
+    }
+
+    Transaction[] public transactions;
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    address public governor; // The address that can allow and disallow arbitrators.
+    uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
+    uint public settlementTimeout; // Time in seconds during which pending settlement offers prevent the parties from being timed out, from the first offer after the last fee payment.
+    bytes32 public domainSeparator; // The EIP-712 domain of the signed actions, binding them to this contract.
+
+    uint public sharedStakeMultiplier; // Multiplier for calculating the appeal fee that must be paid by submitter in the case where there is no winner or loser (e.g. when the arbitrator ruled "refuse to arbitrate").
+    uint public winnerStakeMultiplier; // Multiplier for calculating the appeal fee of the party that won the previous round.
+    uint public loserStakeMultiplier; // Multiplier for calculating the appeal fee of the party that lost the previous round.
+
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => SettlementOffer) public settlementOffers; // Maps transactions to their pending settlement offer.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+    mapping (address => uint) public nonces; // The nonce of the next signed action of each address.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
+
+    // **************************** //
+    // *          Events          * //
+    // **************************** //
+
+    /** @dev To be emitted when a party pays or reimburses the other.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount The amount paid.
+     *  @param _party The party that paid.
+     */
+    event Payment(uint indexed _transactionID, uint _amount, address _party);
+
+    /** @dev To be emitted when a fee is received by the feeRecipient.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount The amount paid.
+     *  @param _token The token of the transaction, 0x0 for ETH.
+     */
+    event FeeRecipientPayment(uint indexed _transactionID, uint _amount, ERC20 _token);
+
+    /** @dev To be emitted when the feeRecipient of a transaction is changed.
+     *  @param _transactionID The index of the transaction.
+     *  @param _oldFeeRecipient Previous feeRecipient.
+     *  @param _newFeeRecipient Current feeRecipient.
+     */
+    event FeeRecipientChanged(uint indexed _transactionID, address indexed _oldFeeRecipient, address indexed _newFeeRecipient);
+
+    /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party who has to pay.
+     */
+    event HasToPayFee(uint indexed _transactionID, Party _party);
+
+    /** @dev To be emitted when the appeal fees of one of the parties are fully funded.
+     *  @param _transactionID The ID of the respective transaction.
+     *  @param _party The party that is fully funded.
+     */
+    event HasPaidAppealFee(uint indexed _transactionID, Party _party);
+
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
+    /** @dev To be emitted when a party offers or counters a settlement.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party making the offer.
+     *  @param _amountToReceiver The part of the amount paid to the receiver, the rest being reimbursed to the sender.
+     */
+    event SettlementProposed(uint indexed _transactionID, Party _party, uint _amountToReceiver);
+
+    /** @dev To be emitted when a settlement offer is accepted and executed.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party accepting the offer.
+     *  @param _amountToReceiver The part of the amount paid to the receiver, the rest being reimbursed to the sender.
+     */
+    event SettlementAccepted(uint indexed _transactionID, Party _party, uint _amountToReceiver);
+
+    /** @dev Emitted when the final ruling of a dispute is given by the arbitrator.
+     *  @param _arbitrator The arbitrator giving the ruling.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling The ruling which was given.
+     */
+    event Ruling(Arbitrator indexed _arbitrator, uint indexed _disputeID, uint _ruling);
+
+    /** @dev Emitted when a transaction is created.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sender The address of the sender.
+     *  @param _receiver The address of the receiver.
+     *  @param _token The token of the transaction, 0x0 for ETH.
+     *  @param _amount The initial amount in the transaction.
+     */
+    event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, ERC20 _token, uint _amount);
+
+    // **************************** //
+    // *    Arbitrable functions  * //
+    // *    Modifying the state   * //
+    // **************************** //
+
+    /** @dev Constructor.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
+     *  @param _feeTimeout Arbitration fee timeout for the parties.
+     *  @param _settlementTimeout Time during which pending settlement offers prevent the parties from being timed out, from the first offer after the last fee payment.
+     *  @param _sharedStakeMultiplier Multiplier of the appeal cost that submitter must pay for a round when there is no winner/loser in the previous round. In basis points.
+     *  @param _winnerStakeMultiplier Multiplier of the appeal cost that the winner has to pay for a round. In basis points.
+     *  @param _loserStakeMultiplier Multiplier of the appeal cost that the loser has to pay for a round. In basis points.
+     *  @param _chainId The ID of the chain, used in the EIP-712 domain of the signed actions as there is no chainid opcode before solidity 0.5.12.
+     */
+    constructor (
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        address _governor,
+        uint _feeTimeout,
+        uint _settlementTimeout,
+        uint _sharedStakeMultiplier,
+        uint _winnerStakeMultiplier,
+        uint _loserStakeMultiplier,
+        uint _chainId
+    ) public {
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
+        feeTimeout = _feeTimeout;
+        settlementTimeout = _settlementTimeout;
+        sharedStakeMultiplier = _sharedStakeMultiplier;
+        winnerStakeMultiplier = _winnerStakeMultiplier;
+        loserStakeMultiplier = _loserStakeMultiplier;
+        domainSeparator = keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256("MultipleArbitrableAssetTransaction"),
+                keccak256("1"),
+                _chainId,
+                address(this)
+            )
+        );
+    }
+
+    /** @dev Create a transaction. UNTRUSTED.
+     *  ETH transactions must send the amount as value. Token transactions must have approved the contract to transfer the amount beforehand.
+     *  @param _amount The amount of the transaction, in wei or in the smallest unit of the token.
+     *  @param _token The ERC20 token contract, 0x0 for ETH.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _feeRecipient Address which receives a share of the payments to the receiver, 0x0 for no platform fee.
+     *  @param _feeRecipientBasisPoint The share of the payments received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     *  @param _crowdfundedAppeals Whether appeals are crowdfunded with fundAppeal instead of paid with appeal.
+     *  @param _splits The share of the receiver, in basis points, of each ruling option added after "Pay Receiver". They should be described in the meta-evidence.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransaction(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        address _feeRecipient,
+        uint _feeRecipientBasisPoint,
+        bool _crowdfundedAppeals,
+        uint[] _splits,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        receiveAsset(_token, _amount);
+        require(_feeRecipientBasisPoint <= BASIS_POINT_DIVISOR, "The fee cannot be higher than the payment.");
+
+        transactionID = transactions.length++;
+        Transaction storage transaction = transactions[transactionID];
+        transaction.sender = msg.sender;
+        transaction.receiver = _receiver;
+        transaction.amount = _amount;
+        transaction.token = _token;
+        transaction.timeoutPayment = _timeoutPayment;
+        transaction.lastInteraction = now;
+        if (_feeRecipient != address(0)) {
+            transaction.feeRecipient = _feeRecipient;
+            transaction.feeRecipientBasisPoint = _feeRecipientBasisPoint;
+        }
+        transaction.crowdfundedAppeals = _crowdfundedAppeals;
+        setSplits(transaction, _splits);
+        setArbitrator(transactionID, _arbitrator, _arbitratorExtraData);
+
+        emit MetaEvidence(transactionID, _metaEvidence);
+        emit TransactionCreated(transactionID, msg.sender, transaction.receiver, transaction.token, transaction.amount);
+    }
+
+    /** @dev Change the fee recipient of a transaction. Must be called by its current fee recipient.
+     *  @param _transactionID The index of the transaction.
+     *  @param _newFeeRecipient Address of the new fee recipient.
+     */
+    function changeFeeRecipient(uint _transactionID, address _newFeeRecipient) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(msg.sender == transaction.feeRecipient, "The caller must be the current Fee Recipient");
+        require(_newFeeRecipient != address(0), "The fee recipient cannot be removed.");
+        transaction.feeRecipient = _newFeeRecipient;
+
+        emit FeeRecipientChanged(_transactionID, msg.sender, _newFeeRecipient);
+    }
+
+    /** @dev Pay receiver. To be called if the good or service is provided. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount Amount to pay, in wei or in the smallest unit of the token.
+     */
+    function pay(uint _transactionID, uint _amount) public {
+        require(transactions[_transactionID].sender == msg.sender, "The caller must be the sender.");
+        executePayment(_transactionID, _amount);
+    }
+
+    /** @dev Pay receiver on behalf of the sender, with the sender's EIP-712 signature of Pay. To be called by anyone. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount Amount to pay, in wei or in the smallest unit of the token.
+     *  @param _deadline The time after which the signature cannot be used.
+     *  @param _v The recovery byte of the signature.
+     *  @param _r The first half of the signature.
+     *  @param _s The second half of the signature.
+     */
+    function payBySignature(uint _transactionID, uint _amount, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) public {
+        address sender = transactions[_transactionID].sender;
+        verifySignature(
+            sender,
+            keccak256(abi.encode(PAY_TYPEHASH, _transactionID, _amount, nonces[sender]++, _deadline)),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+        executePayment(_transactionID, _amount);
+    }
+
+    /** @dev Reimburse sender. To be called if the good or service can't be fully provided. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountReimbursed Amount to reimburse, in wei or in the smallest unit of the token.
+     */
+    function reimburse(uint _transactionID, uint _amountReimbursed) public {
+        require(transactions[_transactionID].receiver == msg.sender, "The caller must be the receiver.");
+        executeReimbursement(_transactionID, _amountReimbursed);
+    }
+
+    /** @dev Reimburse sender on behalf of the receiver, with the receiver's EIP-712 signature of Reimburse. To be called by anyone. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountReimbursed Amount to reimburse, in wei or in the smallest unit of the token.
+     *  @param _deadline The time after which the signature cannot be used.
+     *  @param _v The recovery byte of the signature.
+     *  @param _r The first half of the signature.
+     *  @param _s The second half of the signature.
+     */
+    function reimburseBySignature(uint _transactionID, uint _amountReimbursed, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) public {
+        address receiver = transactions[_transactionID].receiver;
+        verifySignature(
+            receiver,
+            keccak256(abi.encode(REIMBURSE_TYPEHASH, _transactionID, _amountReimbursed, nonces[receiver]++, _deadline)),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+        executeReimbursement(_transactionID, _amountReimbursed);
+    }
+
+    /** @dev Transfer the transaction's amount to the receiver if the timeout has passed. UNTRUSTED.
+     *  It can be called by anyone, so relayers can execute transactions for receivers without ETH.
+     *  @param _transactionID The index of the transaction.
+     */
+    function executeTransaction(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(now - transaction.lastInteraction >= transaction.timeoutPayment, "The timeout has not passed yet.");
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+
+        uint amount = transaction.amount;
+        transaction.amount = 0;
+        transaction.status = Status.Resolved;
+
+        payReceiver(_transactionID, amount, true);
+    }
+
+    /** @dev Offer to settle the transaction by splitting its amount, or counter the offer of the other party. UNTRUSTED.
+     *  Can be called until a dispute is created. The offer replaces any pending offer.
+     *  The first offer after the last fee payment opens the window during which offers prevent timeouts. Later offers do not extend it, so a party can't avoid being timed out by making offers repeatedly.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountToReceiver The part of the amount paid to the receiver, the rest being reimbursed to the sender.
+     */
+    function proposeSettlement(uint _transactionID, uint _amountToReceiver) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        require(_amountToReceiver <= transaction.amount, "The settlement cannot exceed the amount of the transaction.");
+        Party party = partyOf(transaction, msg.sender);
+        SettlementOffer storage offer = settlementOffers[_transactionID];
+        uint windowStart = offer.windowStart;
+        if (windowStart == 0 || windowStart < transaction.lastInteraction)
+            windowStart = now;
+
+        settlementOffers[_transactionID] = SettlementOffer({
+            party: party,
+            amountToReceiver: _amountToReceiver,
+            time: now,
+            windowStart: windowStart
+        });
+        emit SettlementProposed(_transactionID, party, _amountToReceiver);
+    }
+
+    /** @dev Accept the pending settlement offer of the other party, executing it. UNTRUSTED.
+     *  Arbitration fees already paid are reimbursed.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountToReceiver The amount of the offer, to make sure the offer accepted is the one expected.
+     */
+    function acceptSettlement(uint _transactionID, uint _amountToReceiver) public {
+        Transaction storage transaction = transactions[_transactionID];
+        SettlementOffer storage offer = settlementOffers[_transactionID];
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        Party party = partyOf(transaction, msg.sender);
+        require(offer.party != Party.None && offer.party != party, "There must be a pending offer of the other party.");
+        require(offer.amountToReceiver == _amountToReceiver, "The offer has changed.");
+        require(_amountToReceiver <= transaction.amount, "The settlement cannot exceed the amount of the transaction.");
+
+        uint amountToSender = transaction.amount - _amountToReceiver;
+        uint senderFee = transaction.senderFee;
+        uint receiverFee = transaction.receiverFee;
+        transaction.amount = 0;
+        transaction.senderFee = 0;
+        transaction.receiverFee = 0;
+        transaction.status = Status.Resolved;
+        delete settlementOffers[_transactionID];
+
+        // Note that we use `send` to prevent a party from blocking the execution.
+        if (senderFee != 0) transaction.sender.send(senderFee);
+        if (receiverFee != 0) transaction.receiver.send(receiverFee);
+        payReceiver(_transactionID, _amountToReceiver, false);
+        transferAsset(transaction.token, transaction.sender, amountToSender, false);
+        emit SettlementAccepted(_transactionID, party, _amountToReceiver);
+    }
+
+    /** @dev Reimburse sender if receiver fails to pay the fee. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function timeOutBySender(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.WaitingReceiver, "The transaction is not waiting on the receiver.");
+        require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+        require(!isSettlementPending(_transactionID), "A settlement offer is pending.");
+
+        if (transaction.receiverFee != 0) {
+            transaction.receiver.send(transaction.receiverFee);
+            transaction.receiverFee = 0;
+        }
+        executeRuling(_transactionID, uint(Party.Sender));
+    }
+
+    /** @dev Pay receiver if sender fails to pay the fee. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function timeOutByReceiver(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.WaitingSender, "The transaction is not waiting on the sender.");
+        require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+        require(!isSettlementPending(_transactionID), "A settlement offer is pending.");
+
+        if (transaction.senderFee != 0) {
+            transaction.sender.send(transaction.senderFee);
+            transaction.senderFee = 0;
+        }
+        executeRuling(_transactionID, uint(Party.Receiver));
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  Note that the arbitrator can have `createDispute` throw, which will make this function throw and therefore lead to a party being timed-out.
+     *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
+
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        require(msg.sender == transaction.sender, "The caller must be the sender.");
+
+        transaction.senderFee += msg.value;
+        // Require that the total paid to be at least the arbitration cost.
+        require(transaction.senderFee >= arbitrationCost, "The sender fee must cover arbitration costs.");
+
+        transaction.lastInteraction = now;
+
+        // The receiver still has to pay. This can also happen if he has paid, but `arbitrationCost` has increased.
+        if (transaction.receiverFee < arbitrationCost) {
+            transaction.status = Status.WaitingReceiver;
+            emit HasToPayFee(_transactionID, Party.Receiver);
+        } else { // The receiver has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, arbitrationCost);
+        }
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  Note that this function mirrors payArbitrationFeeBySender.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
+
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
+
+        transaction.receiverFee += msg.value;
+        // Require that the total paid to be at least the arbitration cost.
+        require(transaction.receiverFee >= arbitrationCost, "The receiver fee must cover arbitration costs.");
+
+        transaction.lastInteraction = now;
+        // The sender still has to pay. This can also happen if he has paid, but `arbitrationCost` has increased.
+        if (transaction.senderFee < arbitrationCost) {
+            transaction.status = Status.WaitingSender;
+            emit HasToPayFee(_transactionID, Party.Sender);
+        } else { // The sender has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, arbitrationCost);
+        }
+    }
+
+    /** @dev Create a dispute. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrationCost Amount to pay the arbitrator.
+     */
+    function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        transaction.status = Status.DisputeCreated;
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES + transaction.splits.length, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
+        if (transaction.crowdfundedAppeals) transaction.rounds.length++;
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
+
+        // Refund sender if it overpaid.
+        if (transaction.senderFee > _arbitrationCost) {
+            uint extraFeeSender = transaction.senderFee - _arbitrationCost;
+            transaction.senderFee = _arbitrationCost;
+            transaction.sender.send(extraFeeSender);
+        }
+
+        // Refund receiver if it overpaid.
+        if (transaction.receiverFee > _arbitrationCost) {
+            uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
+            transaction.receiverFee = _arbitrationCost;
+            transaction.receiver.send(extraFeeReceiver);
+        }
+    }
+
+    /** @dev Submit a reference to evidence. EVENT.
+     *  @param _transactionID The index of the transaction.
+     *  @param _evidence A link to an evidence using its URI.
+     */
+    function submitEvidence(uint _transactionID, string _evidence) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(
+            msg.sender == transaction.sender || msg.sender == transaction.receiver,
+            "The caller must be the sender or the receiver."
+        );
+        emitEvidence(_transactionID, msg.sender, _evidence);
+    }
+
+    /** @dev Submit a reference to evidence on behalf of a party, with the party's EIP-712 signature of SubmitEvidence. EVENT.
+     *  @param _transactionID The index of the transaction.
+     *  @param _evidence A link to an evidence using its URI.
+     *  @param _party The address of the sender or of the receiver, which signed the evidence.
+     *  @param _deadline The time after which the signature cannot be used.
+     *  @param _v The recovery byte of the signature.
+     *  @param _r The first half of the signature.
+     *  @param _s The second half of the signature.
+     */
+    function submitEvidenceBySignature(
+        uint _transactionID,
+        string _evidence,
+        address _party,
+        uint _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public {
+        partyOf(transactions[_transactionID], _party);
+        verifySignature(
+            _party,
+            keccak256(abi.encode(SUBMIT_EVIDENCE_TYPEHASH, _transactionID, keccak256(bytes(_evidence)), nonces[_party]++, _deadline)),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+        emitEvidence(_transactionID, _party, _evidence);
+    }
+
+    /** @dev Appeal an appealable ruling, for transactions whose appeals are not crowdfunded. UNTRUSTED.
+     *  Transfer the funds to the arbitrator.
+     *  Note that no checks are required as the checks are done by the arbitrator.
+     *  @param _transactionID The index of the transaction.
+     */
+    function appeal(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        require(!transaction.crowdfundedAppeals, "The appeals of this transaction are crowdfunded.");
+
+        setting.arbitrator.appeal.value(msg.value)(transaction.disputeId, setting.arbitratorExtraData);
+    }
+
+    /** @dev Takes up to the total amount required to fund a side of an appeal. Reimburses the rest. Creates an appeal if both sides are fully funded.
+     *  Only for transactions whose appeals are crowdfunded.
+     *  @param _transactionID The ID of the disputed transaction.
+     *  @param _side The party that pays the appeal fee.
+     */
+    function fundAppeal(uint _transactionID, Party _side) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        require(transaction.crowdfundedAppeals, "The appeals of this transaction are not crowdfunded.");
+        require(_side == Party.Sender || _side == Party.Receiver, "Wrong party.");
+        require(transaction.status == Status.DisputeCreated, "No dispute to appeal");
+        require(setting.arbitrator.disputeStatus(transaction.disputeId) == Arbitrator.DisputeStatus.Appealable, "Dispute is not appealable.");
+
+        (uint appealPeriodStart, uint appealPeriodEnd) = setting.arbitrator.appealPeriod(transaction.disputeId);
+        require(now >= appealPeriodStart && now < appealPeriodEnd, "Funding must be made within the appeal period.");
+
+        uint winner = setting.arbitrator.currentRuling(transaction.disputeId);
+        uint multiplier;
+        if (winner == uint(_side)){
+            multiplier = winnerStakeMultiplier;
+        } else if (winner == 0 || winner > AMOUNT_OF_CHOICES){ // Neither side wins split rulings.
+            multiplier = sharedStakeMultiplier;
+        } else {
+            require(now - appealPeriodStart < (appealPeriodEnd - appealPeriodStart)/2, "The loser must pay during the first half of the appeal period.");
+            multiplier = loserStakeMultiplier;
+        }
+
+        Round storage round = transaction.rounds[transaction.rounds.length - 1];
+        require(!round.hasPaid[uint(_side)], "Appeal fee has already been paid.");
+
+        uint appealCost = setting.arbitrator.appealCost(transaction.disputeId, setting.arbitratorExtraData);
+        uint totalCost = appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
+
+        // Take up to the amount necessary to fund the current round at the current costs.
+        uint contribution; // Amount contributed.
+        uint remainingETH; // Remaining ETH to send back.
+        (contribution, remainingETH) = calculateContribution(msg.value, totalCost.subCap(round.paidFees[uint(_side)]));
+        round.contributions[msg.sender][uint(_side)] += contribution;
+        round.paidFees[uint(_side)] += contribution;
+        round.feeRewards += contribution;
+
+        if (round.paidFees[uint(_side)] >= totalCost) {
+            round.hasPaid[uint(_side)] = true;
+            emit HasPaidAppealFee(_transactionID, _side);
+        }
+
+        // Reimburse leftover ETH.
+        msg.sender.send(remainingETH); // Deliberate use of send in order to not block the contract in case of reverting fallback.
+
+        // Create an appeal if each side is funded.
+        if (round.hasPaid[uint(Party.Sender)] && round.hasPaid[uint(Party.Receiver)]) {
+            setting.arbitrator.appeal.value(appealCost)(transaction.disputeId, setting.arbitratorExtraData);
+            transaction.rounds.length++;
+            round.feeRewards = round.feeRewards.subCap(appealCost);
+        }
+    }
+
+    /** @dev Returns the contribution value and remainder from available ETH and required amount.
+     *  @param _available The amount of ETH available for the contribution.
+     *  @param _requiredAmount The amount of ETH required for the contribution.
+     *  @return taken The amount of ETH taken.
+     *  @return remainder The amount of ETH left from the contribution.
+     */
+    function calculateContribution(uint _available, uint _requiredAmount)
+        internal
+        pure
+        returns(uint taken, uint remainder)
+    {
+        if (_requiredAmount > _available)
+            return (_available, 0); // Take whatever is available, return 0 as leftover ETH.
+
+        remainder = _available - _requiredAmount;
+        return (_requiredAmount, remainder);
+    }
+
+    /** @dev Witdraws contributions of appeal rounds. Reimburses contributions if the appeal was not fully funded. If the appeal was fully funded, sends the fee stake rewards and reimbursements proportional to the contributions made to the winner of a dispute.
+     *  @param _beneficiary The address that made contributions.
+     *  @param _transactionID The ID of the associated transaction.
+     *  @param _round The round from which to withdraw.
+     */
+    function withdrawFeesAndRewards(address _beneficiary, uint _transactionID, uint _round) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.Resolved, "The transaction should be resolved.");
+        uint reward = roundReward(transaction, transaction.rounds[_round], _beneficiary);
+        transaction.rounds[_round].contributions[_beneficiary][uint(Party.Sender)] = 0;
+        transaction.rounds[_round].contributions[_beneficiary][uint(Party.Receiver)] = 0;
+
+        _beneficiary.send(reward); // It is the user responsibility to accept ETH.
+    }
+
+    /** @dev Withdraws contributions of multiple appeal rounds at once. This function is O(n) where n is the number of rounds. This could exceed the gas limit, therefore this function should be used only as a utility and not be relied upon by other contracts.
+     *  @param _beneficiary The address that made contributions.
+     *  @param _transactionID The ID of the associated transaction.
+     *  @param _cursor The round from where to start withdrawing.
+     *  @param _count The number of rounds to iterate. If set to 0 or a value larger than the number of rounds, iterates until the last round.
+     */
+    function batchRoundWithdraw(address _beneficiary, uint _transactionID, uint _cursor, uint _count) public {
+        Transaction storage transaction = transactions[_transactionID];
+        for (uint i = _cursor; i<transaction.rounds.length && (_count==0 || i<_cursor+_count); i++)
+            withdrawFeesAndRewards(_beneficiary, _transactionID, i);
+    }
+
+    /** @dev Give a ruling for a dispute. Must be called by the arbitrator to enforce the final ruling.
+     *  The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
+     */
+    function rule(uint _disputeID, uint _ruling) public {
+        uint resultRuling = _ruling;
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
+        Transaction storage transaction = transactions[transactionID];
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
+        require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
+
+        if (transaction.crowdfundedAppeals) {
+            Round storage round = transaction.rounds[transaction.rounds.length - 1];
+            // If only one side paid its fees we assume the ruling to be in its favor.
+            if (round.hasPaid[uint(Party.Sender)] == true)
+                resultRuling = uint(Party.Sender);
+            else if (round.hasPaid[uint(Party.Receiver)] == true)
+                resultRuling = uint(Party.Receiver);
+        }
+
+        emit Ruling(Arbitrator(msg.sender), _disputeID, resultRuling);
+
+        executeRuling(transactionID, resultRuling);
+    }
+
+    /** @dev Execute a ruling of a dispute. It reimburses the fee to the winning party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _ruling Ruling given by the arbitrator. 1: Reimburse the sender. 2: Pay the receiver. 3 + i: Split according to splits[i].
+     */
+    function executeRuling(uint _transactionID, uint _ruling) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        require(_ruling <= AMOUNT_OF_CHOICES + transaction.splits.length, "Invalid ruling.");
+
+        uint amount = transaction.amount;
+        uint senderFee = transaction.senderFee;
+        uint receiverFee = transaction.receiverFee;
+
+        transaction.amount = 0;
+        transaction.senderFee = 0;
+        transaction.receiverFee = 0;
+        transaction.status = Status.Resolved;
+        transaction.ruling = _ruling;
+
+        // Give the arbitration fee back.
+        // Note that we use `send` to prevent a party from blocking the execution.
+        if (_ruling == uint(Party.Sender)) {
+            transaction.sender.send(senderFee);
+            transferAsset(transaction.token, transaction.sender, amount, false);
+        } else if (_ruling == uint(Party.Receiver)) {
+            transaction.receiver.send(receiverFee);
+            payReceiver(_transactionID, amount, false);
+        } else if (_ruling == uint(Party.None)) {
+            // `senderFee` and `receiverFee` are equal to the arbitration cost.
+            uint splitArbitrationFee = senderFee / 2;
+            transaction.receiver.send(splitArbitrationFee);
+            transaction.sender.send(splitArbitrationFee);
+            // In the case of an uneven amount, one basic unit can be burnt.
+            payReceiver(_transactionID, amount / 2, false);
+            transferAsset(transaction.token, transaction.sender, amount / 2, false);
+        } else {
+            // The arbitration fee left, equal to the arbitration cost, follows the same split as the amount.
+            uint receiverShare = transaction.splits[_ruling - AMOUNT_OF_CHOICES - 1];
+            uint receiverArbitrationFee = (senderFee * receiverShare) / BASIS_POINT_DIVISOR;
+            uint receiverAmount = (amount * receiverShare) / BASIS_POINT_DIVISOR;
+            transaction.receiver.send(receiverArbitrationFee);
+            transaction.sender.send(senderFee - receiverArbitrationFee);
+            payReceiver(_transactionID, receiverAmount, false);
+            transferAsset(transaction.token, transaction.sender, amount - receiverAmount, false);
+        }
+    }
+
+    /** @dev Pay an amount of the asset of a transaction to its receiver, minus the platform fee.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount The amount, including the platform fee.
+     *  @param _revertOnFailure Whether a failed ETH payment reverts. Rulings must not be blocked by the parties.
+     */
+    function payReceiver(uint _transactionID, uint _amount, bool _revertOnFailure) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        uint feeAmount;
+        if (transaction.feeRecipient != address(0)) {
+            feeAmount = (_amount * transaction.feeRecipientBasisPoint) / BASIS_POINT_DIVISOR;
+            // It is the responsibility of the feeRecipient to accept the payment.
+            if (transaction.token == address(0))
+                transaction.feeRecipient.send(feeAmount);
+            else
+                transaction.token.transfer(transaction.feeRecipient, feeAmount);
+
+            emit FeeRecipientPayment(_transactionID, feeAmount, transaction.token);
+        }
+
+        transferAsset(transaction.token, transaction.receiver, _amount - feeAmount, _revertOnFailure);
+    }
+
+    /** @dev Transfer ETH or tokens.
+     *  Tokens should not reenter or allow recipients to refuse the transfer, so token transfers always revert on failure.
+     *  @param _token The token, 0x0 for ETH.
+     *  @param _to The recipient.
+     *  @param _amount The amount.
+     *  @param _revertOnFailure Whether a failed ETH transfer reverts. If not, ETH is sent with `send`.
+     */
+    function transferAsset(ERC20 _token, address _to, uint _amount, bool _revertOnFailure) internal {
+        if (_token != address(0))
+            require(_token.transfer(_to, _amount), "The `transfer` function must not fail.");
+        else if (_revertOnFailure)
+            _to.transfer(_amount);
+        else
+            _to.send(_amount);
+    }
+
+    /** @dev Pay the receiver from the amount of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount Amount to pay, in wei or in the smallest unit of the token.
+     */
+    function executePayment(uint _transactionID, uint _amount) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+        require(_amount <= transaction.amount, "The amount paid has to be less than or equal to the transaction.");
+
+        transaction.amount -= _amount;
+        payReceiver(_transactionID, _amount, true);
+        emit Payment(_transactionID, _amount, transaction.sender);
+    }
+
+    /** @dev Reimburse the sender from the amount of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountReimbursed Amount to reimburse, in wei or in the smallest unit of the token.
+     */
+    function executeReimbursement(uint _transactionID, uint _amountReimbursed) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+        require(_amountReimbursed <= transaction.amount, "The amount reimbursed has to be less or equal than the transaction.");
+
+        transaction.amount -= _amountReimbursed;
+        transferAsset(transaction.token, transaction.sender, _amountReimbursed, true);
+        emit Payment(_transactionID, _amountReimbursed, transaction.receiver);
+    }
+
+    /** @dev Emit the evidence of a party if the transaction is not resolved.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party submitting the evidence.
+     *  @param _evidence A link to an evidence using its URI.
+     */
+    function emitEvidence(uint _transactionID, address _party, string _evidence) internal {
+        require(
+            transactions[_transactionID].status < Status.Resolved,
+            "Must not send evidence if the dispute is resolved."
+        );
+
+        emit Evidence(arbitrationSettings[_transactionID].arbitrator, _transactionID, _party, _evidence);
+    }
+
+    /** @dev Check that an action was signed by an address, as EIP-712 typed data of the domain of the contract.
+     *  @param _signer The address which must have signed the action.
+     *  @param _structHash The EIP-712 hash of the action, including the nonce of the signer.
+     *  @param _deadline The time after which the signature cannot be used.
+     *  @param _v The recovery byte of the signature.
+     *  @param _r The first half of the signature.
+     *  @param _s The second half of the signature.
+     */
+    function verifySignature(address _signer, bytes32 _structHash, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal view {
+        require(now <= _deadline, "The signature has expired.");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, _structHash));
+        address signer = ecrecover(digest, _v, _r, _s);
+        require(signer != address(0) && signer == _signer, "The signature must be from the party.");
+    }
+
+    /** @dev Receive the amount of a transaction from the sender.
+     *  @param _token The ERC20 token contract, 0x0 for ETH.
+     *  @param _amount The amount of the transaction.
+     */
+    function receiveAsset(ERC20 _token, uint _amount) internal {
+        if (_token == address(0))
+            require(msg.value == _amount, "The value must be the amount of the transaction.");
+        else {
+            require(msg.value == 0, "Token transactions must not send ETH.");
+            // Transfers token from sender wallet to contract.
+            require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
+        }
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    /** @dev Set the split ruling options of a transaction.
+     *  @param _transaction The transaction.
+     *  @param _splits The share of the receiver, in basis points, of each split ruling option.
+     */
+    function setSplits(Transaction storage _transaction, uint[] _splits) internal {
+        for (uint i = 0; i < _splits.length; i++)
+            require(_splits[i] <= BASIS_POINT_DIVISOR, "The share of the receiver cannot be higher than the amount.");
+        _transaction.splits = _splits;
+    }
+
+    /** @dev Get the party of an address in a transaction. Reverts if the address is not a party.
+     *  @param _transaction The transaction.
+     *  @param _address The address.
+     *  @return party The party.
+     */
+    function partyOf(Transaction storage _transaction, address _address) internal view returns (Party party) {
+        if (_address == _transaction.sender) return Party.Sender;
+        require(_address == _transaction.receiver, "The caller must be the sender or the receiver.");
+        return Party.Receiver;
+    }
+
+    /** @dev Get the reward of a contributor for a round of a resolved transaction.
+     *  @param _transaction The transaction.
+     *  @param _round The round.
+     *  @param _beneficiary The contributor.
+     *  @return reward The reward.
+     */
+    function roundReward(Transaction storage _transaction, Round storage _round, address _beneficiary) internal view returns (uint reward) {
+        uint[3] storage contributions = _round.contributions[_beneficiary];
+        if (!_round.hasPaid[uint(Party.Sender)] || !_round.hasPaid[uint(Party.Receiver)]) {
+            // Allow to reimburse if funding was unsuccessful.
+            reward = contributions[uint(Party.Sender)] + contributions[uint(Party.Receiver)];
+        } else if (_transaction.ruling == uint(Party.None) || _transaction.ruling > AMOUNT_OF_CHOICES) {
+            // Reimburse unspent fees proportionally if there is no winner and loser, as with split rulings.
+            uint totalPaid = _round.paidFees[uint(Party.Sender)] + _round.paidFees[uint(Party.Receiver)];
+            if (totalPaid > 0)
+                reward = (contributions[uint(Party.Sender)] * _round.feeRewards) / totalPaid
+                    + (contributions[uint(Party.Receiver)] * _round.feeRewards) / totalPaid;
+        } else {
+            // Reward the winner.
+            reward = _round.paidFees[_transaction.ruling] > 0
+                ? (contributions[_transaction.ruling] * _round.feeRewards) / _round.paidFees[_transaction.ruling]
+                : 0;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
+    // **************************** //
+    // *     Constant getters     * //
+    // **************************** //
+
+    /** @dev Get the receiver's shares of the split ruling options of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @return splits The share of the receiver, in basis points, of ruling option 3 + i.
+     */
+    function getSplits(uint _transactionID) public view returns (uint[] splits) {
+        return transactions[_transactionID].splits;
+    }
+
+    /** @dev Return true if a settlement offer of the transaction still prevents the parties from being timed out.
+     *  @param _transactionID The index of the transaction.
+     *  @return True if an offer is pending and its window started less than settlementTimeout ago.
+     */
+    function isSettlementPending(uint _transactionID) public view returns (bool) {
+        SettlementOffer storage offer = settlementOffers[_transactionID];
+        return offer.party != Party.None && now - offer.windowStart < settlementTimeout;
+    }
+
+    /** @dev Returns the sum of withdrawable wei from appeal rounds. This function is O(n), where n is the number of rounds of the transaction. This could exceed the gas limit, therefore this function should only be used for interface display and not by other contracts.
+     *  @param _transactionID The index of the transaction.
+     *  @param _beneficiary The contributor for which to query.
+     *  @return The total amount of wei available to withdraw.
+     */
+    function amountWithdrawable(uint _transactionID, address _beneficiary) public view returns (uint total){
+        Transaction storage transaction = transactions[_transactionID];
+        if (transaction.status != Status.Resolved) return total;
+
+        for (uint i = 0; i < transaction.rounds.length; i++)
+            total += roundReward(transaction, transaction.rounds[i], _beneficiary);
+    }
+
+    /** @dev Getter to know the count of transactions.
+     *  @return countTransactions The count of transactions.
+     */
+    function getCountTransactions() public view returns (uint countTransactions) {
+        return transactions.length;
+    }
+
+    /** @dev Gets the number of rounds of the specific transaction.
+     *  @param _transactionID The ID of the transaction.
+     *  @return The number of rounds.
+     */
+    function getNumberOfRounds(uint _transactionID) public view returns (uint) {
+        Transaction storage transaction = transactions[_transactionID];
+        return transaction.rounds.length;
+    }
+
+    /** @dev Gets the contributions made by a party for a given round of the appeal.
+     *  @param _transactionID The ID of the transaction.
+     *  @param _round The position of the round.
+     *  @param _contributor The address of the contributor.
+     *  @return The contributions.
+     */
+    function getContributions(
+        uint _transactionID,
+        uint _round,
+        address _contributor
+    ) public view returns(uint[3] contributions) {
+        Transaction storage transaction = transactions[_transactionID];
+        Round storage round = transaction.rounds[_round];
+        contributions = round.contributions[_contributor];
+    }
+
+    /** @dev Gets the information on a round of a transaction.
+     *  @param _transactionID The ID of the transaction.
+     *  @param _round The round to query.
+     *  @return The round information.
+     */
+    function getRoundInfo(uint _transactionID, uint _round)
+        public
+        view
+        returns (
+            uint[3] paidFees,
+            bool[3] hasPaid,
+            uint feeRewards
+        )
+    {
+        Transaction storage transaction = transactions[_transactionID];
+        Round storage round = transaction.rounds[_round];
+        return (
+            round.paidFees,
+            round.hasPaid,
+            round.feeRewards
+        );
+    }
+
+    /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
+     *  This function must be used by the UI and not by other smart contracts.
+     *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
+     *  @param _address The specified address.
+     *  @return transactionIDs The transaction IDs.
+     */
+    function getTransactionIDsByAddress(address _address) public view returns (uint[] transactionIDs) {
+        uint count = 0;
+        for (uint i = 0; i < transactions.length; i++) {
+            if (transactions[i].sender == _address || transactions[i].receiver == _address)
+                count++;
+        }
+
+        transactionIDs = new uint[](count);
+
+        count = 0;
+
+        for (uint j = 0; j < transactions.length; j++) {
+            if (transactions[j].sender == _address || transactions[j].receiver == _address)
+                transactionIDs[count++] = j;
+        }
+    }
+}
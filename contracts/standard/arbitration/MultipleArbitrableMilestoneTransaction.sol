@@ -0,0 +1,488 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+
+import "./Arbitrator.sol";
+import "./IArbitrable.sol";
+
+/** @title Multiple Arbitrable Milestone Transaction
+ *  A variant of MultipleArbitrableTransaction where the amount of a transaction is split into an ordered list of milestones.
+ *  Each milestone has its own amount and deadline, is paid, reimbursed or executed on its own and can be disputed on its own.
+ *  A dispute about a milestone does not affect the other milestones of the transaction.
+ */
+contract MultipleArbitrableMilestoneTransaction is IArbitrable {
+
+    // **************************** //
+    // *    Contract variables    * //
+    // **************************** //
+
+    uint8 constant AMOUNT_OF_CHOICES = 2;
+    uint8 constant SENDER_WINS = 1;
+    uint8 constant RECEIVER_WINS = 2;
+
+    enum Party {Sender, Receiver}
+    enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
+
+    struct Milestone {
+        uint amount;
+        uint deadline; // Timestamp after which the milestone can be automatically executed if not disputed.
+        uint disputeId; // If dispute exists, the ID of the dispute.
+        uint senderFee; // Total fees paid by the sender.
+        uint receiverFee; // Total fees paid by the receiver.
+        uint lastInteraction; // Last interaction for the dispute procedure.
+        Status status;
+    }
+
+    struct Transaction {
+        address sender;
+        address receiver;
+        Milestone[] milestones; // The milestones, ordered by deadline.
+    }
+
+    struct DisputedMilestone {
+        uint transactionID;
+        uint milestoneID;
+    }
+
+    Transaction[] public transactions;
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
+
+    mapping (uint => DisputedMilestone) public disputeIDtoMilestone; // One-to-one relationship between the dispute and the milestone.
+
+    // **************************** //
+    // *          Events          * //
+    // **************************** //
+
+    /** @dev To be emitted when a party pays or reimburses the other.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _amount The amount paid.
+     *  @param _party The party that paid.
+     */
+    event Payment(uint indexed _transactionID, uint indexed _milestoneID, uint _amount, address _party);
+
+    /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _party The party who has to pay.
+     */
+    event HasToPayFee(uint indexed _transactionID, uint indexed _milestoneID, Party _party);
+
+    /** @dev To be raised when a ruling is given.
+     *  @param _arbitrator The arbitrator giving the ruling.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling The ruling which was given.
+     */
+    event Ruling(Arbitrator indexed _arbitrator, uint indexed _disputeID, uint _ruling);
+
+    /** @dev Emitted when a transaction is created.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sender The address of the sender.
+     *  @param _receiver The address of the receiver.
+     *  @param _amount The initial amount in the transaction, the sum of the amounts of its milestones.
+     *  @param _milestoneCount The number of milestones of the transaction.
+     */
+    event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, uint _amount, uint _milestoneCount);
+
+    // **************************** //
+    // *    Arbitrable functions  * //
+    // *    Modifying the state   * //
+    // **************************** //
+
+    /** @dev Constructor.
+     *  @param _arbitrator The arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _feeTimeout Arbitration fee timeout for the parties.
+     */
+    constructor (
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        uint _feeTimeout
+    ) public {
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        feeTimeout = _feeTimeout;
+    }
+
+    /** @dev Create a transaction. The value sent must be the sum of the amounts of the milestones.
+     *  @param _amounts The amounts of the milestones in wei.
+     *  @param _deadlines The timestamps after which each milestone can be automatically executed. Must be in non-decreasing order.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransaction(
+        uint[] _amounts,
+        uint[] _deadlines,
+        address _receiver,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        require(_amounts.length > 0, "The transaction must have at least one milestone.");
+        require(_amounts.length == _deadlines.length, "There must be one deadline per milestone.");
+
+        transactionID = transactions.length++;
+        Transaction storage transaction = transactions[transactionID];
+        transaction.sender = msg.sender;
+        transaction.receiver = _receiver;
+
+        uint total;
+        for (uint i = 0; i < _amounts.length; i++) {
+            require(i == 0 || _deadlines[i] >= _deadlines[i - 1], "The milestones must be ordered by deadline.");
+            total += _amounts[i];
+            require(total >= _amounts[i], "The total amount must not overflow.");
+            transaction.milestones.push(Milestone({
+                amount: _amounts[i],
+                deadline: _deadlines[i],
+                disputeId: 0,
+                senderFee: 0,
+                receiverFee: 0,
+                lastInteraction: now,
+                status: Status.NoDispute
+            }));
+        }
+        require(msg.value == total, "The value sent must be the sum of the amounts of the milestones.");
+
+        emit MetaEvidence(transactionID, _metaEvidence);
+        emit TransactionCreated(transactionID, msg.sender, _receiver, msg.value, _amounts.length);
+    }
+
+    /** @dev Pay receiver. To be called if the milestone is delivered.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _amount Amount to pay in wei.
+     */
+    function pay(uint _transactionID, uint _milestoneID, uint _amount) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(transaction.sender == msg.sender, "The caller must be the sender.");
+        require(milestone.status == Status.NoDispute, "The milestone shouldn't be disputed.");
+        require(_amount <= milestone.amount, "The amount paid has to be less than or equal to the milestone.");
+
+        transaction.receiver.transfer(_amount);
+        milestone.amount -= _amount;
+        emit Payment(_transactionID, _milestoneID, _amount, msg.sender);
+    }
+
+    /** @dev Reimburse sender. To be called if the milestone can't be fully delivered.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _amountReimbursed Amount to reimburse in wei.
+     */
+    function reimburse(uint _transactionID, uint _milestoneID, uint _amountReimbursed) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(transaction.receiver == msg.sender, "The caller must be the receiver.");
+        require(milestone.status == Status.NoDispute, "The milestone shouldn't be disputed.");
+        require(_amountReimbursed <= milestone.amount, "The amount reimbursed has to be less or equal than the milestone.");
+
+        transaction.sender.transfer(_amountReimbursed);
+        milestone.amount -= _amountReimbursed;
+        emit Payment(_transactionID, _milestoneID, _amountReimbursed, msg.sender);
+    }
+
+    /** @dev Transfer the milestone's amount to the receiver if its deadline has passed.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function executeMilestone(uint _transactionID, uint _milestoneID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(now >= milestone.deadline, "The deadline has not passed yet.");
+        require(milestone.status == Status.NoDispute, "The milestone shouldn't be disputed.");
+
+        transaction.receiver.transfer(milestone.amount);
+        milestone.amount = 0;
+
+        milestone.status = Status.Resolved;
+    }
+
+    /** @dev Reimburse sender if receiver fails to pay the fee.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function timeOutBySender(uint _transactionID, uint _milestoneID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(milestone.status == Status.WaitingReceiver, "The milestone is not waiting on the receiver.");
+        require(now - milestone.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (milestone.receiverFee != 0) {
+            transaction.receiver.send(milestone.receiverFee);
+            milestone.receiverFee = 0;
+        }
+        executeRuling(_transactionID, _milestoneID, SENDER_WINS);
+    }
+
+    /** @dev Pay receiver if sender fails to pay the fee.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function timeOutByReceiver(uint _transactionID, uint _milestoneID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(milestone.status == Status.WaitingSender, "The milestone is not waiting on the sender.");
+        require(now - milestone.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (milestone.senderFee != 0) {
+            transaction.sender.send(milestone.senderFee);
+            milestone.senderFee = 0;
+        }
+        executeRuling(_transactionID, _milestoneID, RECEIVER_WINS);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute about a milestone. To be called by the sender. UNTRUSTED.
+     *  Note that the arbitrator can have createDispute throw, which will make this function throw and therefore lead to a party being timed-out.
+     *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID, uint _milestoneID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(milestone.status < Status.DisputeCreated, "Dispute has already been created or because the milestone has been executed.");
+        require(msg.sender == transaction.sender, "The caller must be the sender.");
+
+        milestone.senderFee += msg.value;
+        // Require that the total pay at least the arbitration cost.
+        require(milestone.senderFee >= arbitrationCost, "The sender fee must cover arbitration costs.");
+
+        milestone.lastInteraction = now;
+
+        // The receiver still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (milestone.receiverFee < arbitrationCost) {
+            milestone.status = Status.WaitingReceiver;
+            emit HasToPayFee(_transactionID, _milestoneID, Party.Receiver);
+        } else { // The receiver has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, _milestoneID, arbitrationCost);
+        }
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute about a milestone. To be called by the receiver. UNTRUSTED.
+     *  Note that this function mirrors payArbitrationFeeBySender.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID, uint _milestoneID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(milestone.status < Status.DisputeCreated, "Dispute has already been created or because the milestone has been executed.");
+        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
+
+        milestone.receiverFee += msg.value;
+        // Require that the total paid to be at least the arbitration cost.
+        require(milestone.receiverFee >= arbitrationCost, "The receiver fee must cover arbitration costs.");
+
+        milestone.lastInteraction = now;
+        // The sender still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (milestone.senderFee < arbitrationCost) {
+            milestone.status = Status.WaitingSender;
+            emit HasToPayFee(_transactionID, _milestoneID, Party.Sender);
+        } else { // The sender has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, _milestoneID, arbitrationCost);
+        }
+    }
+
+    /** @dev Create a dispute about a milestone. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _arbitrationCost Amount to pay the arbitrator.
+     */
+    function raiseDispute(uint _transactionID, uint _milestoneID, uint _arbitrationCost) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        milestone.status = Status.DisputeCreated;
+        milestone.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
+        disputeIDtoMilestone[milestone.disputeId] = DisputedMilestone({
+            transactionID: _transactionID,
+            milestoneID: _milestoneID
+        });
+        emit Dispute(arbitrator, milestone.disputeId, _transactionID, getEvidenceGroupID(_transactionID, _milestoneID));
+
+        // Refund sender if it overpaid.
+        if (milestone.senderFee > _arbitrationCost) {
+            uint extraFeeSender = milestone.senderFee - _arbitrationCost;
+            milestone.senderFee = _arbitrationCost;
+            transaction.sender.send(extraFeeSender);
+        }
+
+        // Refund receiver if it overpaid.
+        if (milestone.receiverFee > _arbitrationCost) {
+            uint extraFeeReceiver = milestone.receiverFee - _arbitrationCost;
+            milestone.receiverFee = _arbitrationCost;
+            transaction.receiver.send(extraFeeReceiver);
+        }
+    }
+
+    /** @dev Submit a reference to evidence about a milestone. EVENT.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _evidence A link to an evidence using its URI.
+     */
+    function submitEvidence(uint _transactionID, uint _milestoneID, string _evidence) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(
+            msg.sender == transaction.sender || msg.sender == transaction.receiver,
+            "The caller must be the sender or the receiver."
+        );
+        require(
+            milestone.status < Status.Resolved,
+            "Must not send evidence if the dispute is resolved."
+        );
+
+        emit Evidence(arbitrator, getEvidenceGroupID(_transactionID, _milestoneID), msg.sender, _evidence);
+    }
+
+    /** @dev Appeal an appealable ruling about a milestone.
+     *  Transfer the funds to the arbitrator.
+     *  Note that no checks are required as the checks are done by the arbitrator.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     */
+    function appeal(uint _transactionID, uint _milestoneID) public payable {
+        Milestone storage milestone = transactions[_transactionID].milestones[_milestoneID];
+
+        arbitrator.appeal.value(msg.value)(milestone.disputeId, arbitratorExtraData);
+    }
+
+    /** @dev Give a ruling for a dispute. Must be called by the arbitrator.
+     *  The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
+     */
+    function rule(uint _disputeID, uint _ruling) public {
+        DisputedMilestone storage disputedMilestone = disputeIDtoMilestone[_disputeID];
+        Milestone storage milestone = transactions[disputedMilestone.transactionID].milestones[disputedMilestone.milestoneID];
+        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(milestone.status == Status.DisputeCreated, "The dispute has already been resolved.");
+
+        emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
+
+        executeRuling(disputedMilestone.transactionID, disputedMilestone.milestoneID, _ruling);
+    }
+
+    /** @dev Execute a ruling of a dispute about a milestone. It reimburses the fee to the winning party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @param _ruling Ruling given by the arbitrator. 1 : Reimburse the sender. 2 : Pay the receiver.
+     */
+    function executeRuling(uint _transactionID, uint _milestoneID, uint _ruling) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        Milestone storage milestone = transaction.milestones[_milestoneID];
+        require(_ruling <= AMOUNT_OF_CHOICES, "Invalid ruling.");
+
+        uint amount = milestone.amount;
+        uint senderFee = milestone.senderFee;
+        uint receiverFee = milestone.receiverFee;
+
+        milestone.amount = 0;
+        milestone.senderFee = 0;
+        milestone.receiverFee = 0;
+        milestone.status = Status.Resolved;
+
+        // Give the arbitration fee back.
+        // Note that we use send to prevent a party from blocking the execution.
+        if (_ruling == SENDER_WINS) {
+            transaction.sender.send(senderFee + amount);
+        } else if (_ruling == RECEIVER_WINS) {
+            transaction.receiver.send(receiverFee + amount);
+        } else {
+            uint split_amount = (senderFee + amount) / 2;
+            transaction.sender.send(split_amount);
+            transaction.receiver.send(split_amount);
+        }
+    }
+
+    // **************************** //
+    // *     Constant getters     * //
+    // **************************** //
+
+    /** @dev Get the ID of the evidence group of a milestone, so the evidence of each milestone's dispute is kept apart.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @return evidenceGroupID The ID of the evidence group.
+     */
+    function getEvidenceGroupID(uint _transactionID, uint _milestoneID) public pure returns (uint evidenceGroupID) {
+        return uint(keccak256(abi.encodePacked(_transactionID, _milestoneID)));
+    }
+
+    /** @dev Getter to know the count of transactions.
+     *  @return countTransactions The count of transactions.
+     */
+    function getCountTransactions() public view returns (uint countTransactions) {
+        return transactions.length;
+    }
+
+    /** @dev Getter to know the count of milestones of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @return countMilestones The count of milestones.
+     */
+    function getCountMilestones(uint _transactionID) public view returns (uint countMilestones) {
+        return transactions[_transactionID].milestones.length;
+    }
+
+    /** @dev Get the state of a milestone.
+     *  @param _transactionID The index of the transaction.
+     *  @param _milestoneID The index of the milestone in the transaction.
+     *  @return The milestone's fields.
+     */
+    function getMilestone(uint _transactionID, uint _milestoneID)
+        public
+        view
+        returns (
+            uint amount,
+            uint deadline,
+            uint disputeId,
+            uint senderFee,
+            uint receiverFee,
+            uint lastInteraction,
+            Status status
+        )
+    {
+        Milestone storage milestone = transactions[_transactionID].milestones[_milestoneID];
+        return (
+            milestone.amount,
+            milestone.deadline,
+            milestone.disputeId,
+            milestone.senderFee,
+            milestone.receiverFee,
+            milestone.lastInteraction,
+            milestone.status
+        );
+    }
+
+    /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
+     *  This function must be used by the UI and not by other smart contracts.
+     *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
+     *  @param _address The specified address.
+     *  @return transactionIDs The transaction IDs.
+     */
+    function getTransactionIDsByAddress(address _address) public view returns (uint[] transactionIDs) {
+        uint count = 0;
+        for (uint i = 0; i < transactions.length; i++) {
+            if (transactions[i].sender == _address || transactions[i].receiver == _address)
+                count++;
+        }
+
+        transactionIDs = new uint[](count);
+
+        count = 0;
+
+        for (uint j = 0; j < transactions.length; j++) {
+            if (transactions[j].sender == _address || transactions[j].receiver == _address)
+                transactionIDs[count++] = j;
+        }
+    }
+}
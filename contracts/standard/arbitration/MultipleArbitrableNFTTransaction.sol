@@ -0,0 +1,499 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+
+import "./Arbitrator.sol";
+import "./IArbitrable.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC721/ERC721.sol";
+
+/** @title Multiple Arbitrable NFT Transaction
+ *  This is a contract for multiple arbitrated sales of ERC721 tokens.
+ *  The sender escrows the payment, in ETH or in an ERC20 token, and the receiver escrows the ERC721 token sold.
+ *  On completion the payment goes to the receiver and the ERC721 token to the sender. If the sale is cancelled, both are returned.
+ *  The timeout and arbitration fee flow is the one of MultipleArbitrableTransaction. Arbitration fees are paid in ETH.
+ */
+contract MultipleArbitrableNFTTransaction is IArbitrable {
+
+    // **************************** //
+    // *    Contract variables    * //
+    // **************************** //
+
+    uint8 constant AMOUNT_OF_CHOICES = 2;
+    uint8 constant SENDER_WINS = 1; // The sale is cancelled.
+    uint8 constant RECEIVER_WINS = 2; // The sale is completed.
+
+    enum Party {Sender, Receiver}
+    enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
+
+    struct Transaction {
+        address sender;
+        address receiver;
+        uint amount; // The payment.
+        ERC20 token; // The token of the payment, 0x0 for ETH.
+        ERC721 nft; // The contract of the ERC721 token sold.
+        uint tokenId; // The ID of the ERC721 token sold.
+        bool deposited; // True once the receiver has escrowed the ERC721 token.
+        uint timeoutPayment; // Time in seconds after the deposit after which the sale can be automatically completed if not disputed.
+        uint disputeId; // If dispute exists, the ID of the dispute.
+        uint senderFee; // Total fees paid by the sender.
+        uint receiverFee; // Total fees paid by the receiver.
+        uint lastInteraction; // Last interaction for the dispute procedure.
+        Status status;
+    }
+
+    Transaction[] public transactions;
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
+
+    mapping (uint => uint) public disputeIDtoTransactionID; // One-to-one relationship between the dispute and the transaction.
+
+    // **************************** //
+    // *          Events          * //
+    // **************************** //
+
+    /** @dev To be emitted when the receiver escrows the ERC721 token.
+     *  @param _transactionID The index of the transaction.
+     *  @param _nft The contract of the ERC721 token.
+     *  @param _tokenId The ID of the ERC721 token.
+     */
+    event TokenDeposited(uint indexed _transactionID, ERC721 _nft, uint _tokenId);
+
+    /** @dev To be emitted when the sale is completed, the payment going to the receiver and the ERC721 token to the sender.
+     *  @param _transactionID The index of the transaction.
+     */
+    event SaleCompleted(uint indexed _transactionID);
+
+    /** @dev To be emitted when the sale is cancelled, the payment and the ERC721 token, if deposited, being returned.
+     *  @param _transactionID The index of the transaction.
+     */
+    event SaleCancelled(uint indexed _transactionID);
+
+    /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party who has to pay.
+     */
+    event HasToPayFee(uint indexed _transactionID, Party _party);
+
+    /** @dev To be raised when a ruling is given.
+     *  @param _arbitrator The arbitrator giving the ruling.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling The ruling which was given.
+     */
+    event Ruling(Arbitrator indexed _arbitrator, uint indexed _disputeID, uint _ruling);
+
+    /** @dev Emitted when a transaction is created.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sender The address of the sender.
+     *  @param _receiver The address of the receiver.
+     *  @param _token The token of the payment, 0x0 for ETH.
+     *  @param _amount The payment.
+     *  @param _nft The contract of the ERC721 token sold.
+     *  @param _tokenId The ID of the ERC721 token sold.
+     */
+    event TransactionCreated(
+        uint _transactionID,
+        address indexed _sender,
+        address indexed _receiver,
+        ERC20 _token,
+        uint _amount,
+        ERC721 _nft,
+        uint _tokenId
+    );
+
+    // **************************** //
+    // *    Arbitrable functions  * //
+    // *    Modifying the state   * //
+    // **************************** //
+
+    /** @dev Constructor.
+     *  @param _arbitrator The arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _feeTimeout Arbitration fee timeout for the parties.
+     */
+    constructor (
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        uint _feeTimeout
+    ) public {
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        feeTimeout = _feeTimeout;
+    }
+
+    /** @dev Create a transaction, escrowing the payment. UNTRUSTED.
+     *  ETH payments must be sent as value. ERC20 payments must have been approved beforehand.
+     *  @param _amount The payment, in wei or in the smallest unit of the token.
+     *  @param _token The ERC20 token of the payment, 0x0 for ETH.
+     *  @param _nft The contract of the ERC721 token bought.
+     *  @param _tokenId The ID of the ERC721 token bought.
+     *  @param _timeoutPayment Time after the deposit of the ERC721 token after which a party can automatically complete the sale.
+     *  @param _receiver The seller of the ERC721 token.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransaction(
+        uint _amount,
+        ERC20 _token,
+        ERC721 _nft,
+        uint _tokenId,
+        uint _timeoutPayment,
+        address _receiver,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        if (_token == address(0))
+            require(msg.value == _amount, "The value must be the payment.");
+        else {
+            require(msg.value == 0, "Token payments must not send ETH.");
+            require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
+        }
+
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: _amount,
+            token: _token,
+            nft: _nft,
+            tokenId: _tokenId,
+            deposited: false,
+            timeoutPayment: _timeoutPayment,
+            disputeId: 0,
+            senderFee: 0,
+            receiverFee: 0,
+            lastInteraction: now,
+            status: Status.NoDispute
+        }));
+        transactionID = transactions.length - 1;
+        emit MetaEvidence(transactionID, _metaEvidence);
+        emit TransactionCreated(transactionID, msg.sender, _receiver, _token, _amount, _nft, _tokenId);
+    }
+
+    /** @dev Escrow the ERC721 token sold. To be called by the receiver, after approving the transfer of the token. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function depositToken(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.receiver == msg.sender, "The caller must be the receiver.");
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+        require(!transaction.deposited, "The token has already been deposited.");
+
+        transaction.deposited = true;
+        transaction.lastInteraction = now;
+        transaction.nft.transferFrom(msg.sender, address(this), transaction.tokenId);
+        emit TokenDeposited(_transactionID, transaction.nft, transaction.tokenId);
+    }
+
+    /** @dev Complete the sale. To be called by the sender once the ERC721 token is deposited. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function pay(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.sender == msg.sender, "The caller must be the sender.");
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+        require(transaction.deposited, "The token has not been deposited.");
+
+        transaction.status = Status.Resolved;
+        completeSale(_transactionID, true);
+    }
+
+    /** @dev Cancel the sale. To be called by the receiver if the sale can't be made. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function reimburse(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.receiver == msg.sender, "The caller must be the receiver.");
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+
+        transaction.status = Status.Resolved;
+        cancelSale(_transactionID, true);
+    }
+
+    /** @dev Complete the sale if the timeout has passed since the deposit of the ERC721 token. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function executeTransaction(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.deposited, "The token has not been deposited.");
+        require(now - transaction.lastInteraction >= transaction.timeoutPayment, "The timeout has not passed yet.");
+        require(transaction.status == Status.NoDispute, "The transaction shouldn't be disputed.");
+
+        transaction.status = Status.Resolved;
+        completeSale(_transactionID, true);
+    }
+
+    /** @dev Cancel the sale if receiver fails to pay the fee. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function timeOutBySender(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.WaitingReceiver, "The transaction is not waiting on the receiver.");
+        require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (transaction.receiverFee != 0) {
+            transaction.receiver.send(transaction.receiverFee);
+            transaction.receiverFee = 0;
+        }
+        executeRuling(_transactionID, SENDER_WINS);
+    }
+
+    /** @dev Complete the sale if sender fails to pay the fee. UNTRUSTED.
+     *  Note that the sale can only be completed if the ERC721 token has been deposited. Otherwise the sale is cancelled and the fees are reimbursed.
+     *  @param _transactionID The index of the transaction.
+     */
+    function timeOutByReceiver(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.WaitingSender, "The transaction is not waiting on the sender.");
+        require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (transaction.senderFee != 0) {
+            transaction.sender.send(transaction.senderFee);
+            transaction.senderFee = 0;
+        }
+        executeRuling(_transactionID, RECEIVER_WINS);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  Note that the arbitrator can have createDispute throw, which will make this function throw and therefore lead to a party being timed-out.
+     *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        require(msg.sender == transaction.sender, "The caller must be the sender.");
+
+        transaction.senderFee += msg.value;
+        // Require that the total pay at least the arbitration cost.
+        require(transaction.senderFee >= arbitrationCost, "The sender fee must cover arbitration costs.");
+
+        transaction.lastInteraction = now;
+
+        // The receiver still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (transaction.receiverFee < arbitrationCost) {
+            transaction.status = Status.WaitingReceiver;
+            emit HasToPayFee(_transactionID, Party.Receiver);
+        } else { // The receiver has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, arbitrationCost);
+        }
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  Note that this function mirrors payArbitrationFeeBySender.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
+        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
+
+        transaction.receiverFee += msg.value;
+        // Require that the total paid to be at least the arbitration cost.
+        require(transaction.receiverFee >= arbitrationCost, "The receiver fee must cover arbitration costs.");
+
+        transaction.lastInteraction = now;
+        // The sender still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (transaction.senderFee < arbitrationCost) {
+            transaction.status = Status.WaitingSender;
+            emit HasToPayFee(_transactionID, Party.Sender);
+        } else { // The sender has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, arbitrationCost);
+        }
+    }
+
+    /** @dev Create a dispute. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrationCost Amount to pay the arbitrator.
+     */
+    function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        transaction.status = Status.DisputeCreated;
+        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
+        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
+        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+
+        // Refund sender if it overpaid.
+        if (transaction.senderFee > _arbitrationCost) {
+            uint extraFeeSender = transaction.senderFee - _arbitrationCost;
+            transaction.senderFee = _arbitrationCost;
+            transaction.sender.send(extraFeeSender);
+        }
+
+        // Refund receiver if it overpaid.
+        if (transaction.receiverFee > _arbitrationCost) {
+            uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
+            transaction.receiverFee = _arbitrationCost;
+            transaction.receiver.send(extraFeeReceiver);
+        }
+    }
+
+    /** @dev Submit a reference to evidence. EVENT.
+     *  @param _transactionID The index of the transaction.
+     *  @param _evidence A link to an evidence using its URI.
+     */
+    function submitEvidence(uint _transactionID, string _evidence) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(
+            msg.sender == transaction.sender || msg.sender == transaction.receiver,
+            "The caller must be the sender or the receiver."
+        );
+        require(
+            transaction.status < Status.Resolved,
+            "Must not send evidence if the dispute is resolved."
+        );
+
+        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+    }
+
+    /** @dev Appeal an appealable ruling.
+     *  Transfer the funds to the arbitrator.
+     *  Note that no checks are required as the checks are done by the arbitrator.
+     *  @param _transactionID The index of the transaction.
+     */
+    function appeal(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+
+        arbitrator.appeal.value(msg.value)(transaction.disputeId, arbitratorExtraData);
+    }
+
+    /** @dev Give a ruling for a dispute. Must be called by the arbitrator.
+     *  The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
+     */
+    function rule(uint _disputeID, uint _ruling) public {
+        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        Transaction storage transaction = transactions[transactionID];
+        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
+
+        emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
+
+        executeRuling(transactionID, _ruling);
+    }
+
+    /** @dev Execute a ruling of a dispute. It reimburses the fee to the winning party.
+     *  A sale can't be completed without the ERC721 token, so it is cancelled if the receiver wins without having deposited it.
+     *  @param _transactionID The index of the transaction.
+     *  @param _ruling Ruling given by the arbitrator. 0: Cancel the sale and split the fee. 1: Cancel the sale. 2: Complete the sale.
+     */
+    function executeRuling(uint _transactionID, uint _ruling) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        require(_ruling <= AMOUNT_OF_CHOICES, "Invalid ruling.");
+
+        uint senderFee = transaction.senderFee;
+        uint receiverFee = transaction.receiverFee;
+        transaction.senderFee = 0;
+        transaction.receiverFee = 0;
+        transaction.status = Status.Resolved;
+
+        // Give the arbitration fee back.
+        // Note that we use send to prevent a party from blocking the execution.
+        if (_ruling == SENDER_WINS) {
+            transaction.sender.send(senderFee);
+            cancelSale(_transactionID, false);
+        } else if (_ruling == RECEIVER_WINS) {
+            transaction.receiver.send(receiverFee);
+            if (transaction.deposited)
+                completeSale(_transactionID, false);
+            else
+                cancelSale(_transactionID, false);
+        } else {
+            uint splitArbitrationFee = senderFee / 2;
+            transaction.sender.send(splitArbitrationFee);
+            transaction.receiver.send(splitArbitrationFee);
+            cancelSale(_transactionID, false);
+        }
+    }
+
+    /** @dev Send the payment to the receiver and the ERC721 token to the sender.
+     *  @param _transactionID The index of the transaction.
+     *  @param _revertOnFailure Whether a failed ETH payment reverts. Rulings must not be blocked by the parties.
+     */
+    function completeSale(uint _transactionID, bool _revertOnFailure) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        uint amount = transaction.amount;
+        transaction.amount = 0;
+        transaction.deposited = false;
+
+        transaction.nft.transferFrom(address(this), transaction.sender, transaction.tokenId);
+        sendPayment(transaction.token, transaction.receiver, amount, _revertOnFailure);
+        emit SaleCompleted(_transactionID);
+    }
+
+    /** @dev Return the payment to the sender and the ERC721 token, if deposited, to the receiver.
+     *  @param _transactionID The index of the transaction.
+     *  @param _revertOnFailure Whether a failed ETH payment reverts. Rulings must not be blocked by the parties.
+     */
+    function cancelSale(uint _transactionID, bool _revertOnFailure) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        uint amount = transaction.amount;
+        bool deposited = transaction.deposited;
+        transaction.amount = 0;
+        transaction.deposited = false;
+
+        if (deposited)
+            transaction.nft.transferFrom(address(this), transaction.receiver, transaction.tokenId);
+        sendPayment(transaction.token, transaction.sender, amount, _revertOnFailure);
+        emit SaleCancelled(_transactionID);
+    }
+
+    /** @dev Send a payment in ETH or in an ERC20 token.
+     *  @param _token The ERC20 token, 0x0 for ETH.
+     *  @param _to The recipient.
+     *  @param _amount The amount.
+     *  @param _revertOnFailure Whether a failed ETH payment reverts.
+     */
+    function sendPayment(ERC20 _token, address _to, uint _amount, bool _revertOnFailure) internal {
+        if (_token != address(0))
+            require(_token.transfer(_to, _amount), "The `transfer` function must not fail.");
+        else if (_revertOnFailure)
+            _to.transfer(_amount);
+        else
+            _to.send(_amount);
+    }
+
+    // **************************** //
+    // *     Constant getters     * //
+    // **************************** //
+
+    /** @dev Getter to know the count of transactions.
+     *  @return countTransactions The count of transactions.
+     */
+    function getCountTransactions() public view returns (uint countTransactions) {
+        return transactions.length;
+    }
+
+    /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
+     *  This function must be used by the UI and not by other smart contracts.
+     *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
+     *  @param _address The specified address.
+     *  @return transactionIDs The transaction IDs.
+     */
+    function getTransactionIDsByAddress(address _address) public view returns (uint[] transactionIDs) {
+        uint count = 0;
+        for (uint i = 0; i < transactions.length; i++) {
+            if (transactions[i].sender == _address || transactions[i].receiver == _address)
+                count++;
+        }
+
+        transactionIDs = new uint[](count);
+
+        count = 0;
+
+        for (uint j = 0; j < transactions.length; j++) {
+            if (transactions[j].sender == _address || transactions[j].receiver == _address)
+                transactionIDs[count++] = j;
+        }
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+
+interface RealitioQuestionInterface {
+
+    /// @notice Ask a new question and return the ID.
+    /// @param template_id The ID number of the template the question will use.
+    /// @param question A string containing the parameters that will be passed into the template to make the question.
+    /// @param arbitrator The arbitration contract that will have the final word on the answer if there is a dispute.
+    /// @param timeout How long the contract should wait after the answer is changed before finalizing on that answer.
+    /// @param opening_ts If set, the earliest time it should be possible to answer the question.
+    /// @param nonce A user-specified nonce used in the question ID. Change it to repeat a question.
+    /// @return The ID of the newly-created question, created deterministically.
+    function askQuestion(uint256 template_id, string question, address arbitrator, uint32 timeout, uint32 opening_ts, uint256 nonce) external payable returns (bytes32);
+
+    /// @notice Report whether the answer to the specified question is finalized.
+    /// @param question_id The ID of the question.
+    /// @return Return true if finalized.
+    function isFinalized(bytes32 question_id) external view returns (bool);
+
+    /// @notice Return the final answer to the specified question, or revert if there isn't one.
+    /// @param question_id The ID of the question.
+    /// @return The answer formatted as a bytes32.
+    function resultFor(bytes32 question_id) external view returns (bytes32);
+}
+
+/** @title Multiple Arbitrable Realitio Transaction
+ *  This is a contract for multiple transactions whose delivery is confirmed by a Realitio question.
+ *  Each transaction asks a yes/no question, such as "Was item X delivered?", using a template of the Realitio contract.
+ *  Once the answer is finalized, anyone can execute the transaction: "Yes" pays the receiver, "No" refunds the sender and an invalid answer splits the amount.
+ *  The questions are arbitrated by a RealitioArbitratorProxy, so a contested answer escalates to the ERC792 arbitrator of the proxy through its `requestArbitration` function.
+ *  Parties are identified as "sender" and "receiver". Like in the other escrows, the sender can pay the receiver and the receiver can reimburse the sender at any time before the execution.
+ */
+contract MultipleArbitrableRealitioTransaction {
+
+    // **************************** //
+    // *    Contract variables    * //
+    // **************************** //
+
+    bytes32 constant ANSWER_NO = bytes32(0);
+    bytes32 constant ANSWER_YES = bytes32(1);
+
+    enum Status {Pending, Resolved}
+
+    struct Transaction {
+        address sender;
+        address receiver;
+        uint amount;
+        bytes32 questionID; // The ID of the delivery question in the Realitio contract.
+        Status status;
+    }
+
+    Transaction[] public transactions;
+    RealitioQuestionInterface public realitio; // The Realitio contract answering the delivery questions.
+    address public realitioArbitrator; // The arbitrator of the delivery questions, a RealitioArbitratorProxy.
+
+    // **************************** //
+    // *          Events          * //
+    // **************************** //
+
+    /** @dev To be emitted when a party pays or reimburses the other.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount The amount paid.
+     *  @param _party The party that paid.
+     */
+    event Payment(uint indexed _transactionID, uint _amount, address _party);
+
+    /** @dev Emitted when a transaction is created.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sender The address of the sender.
+     *  @param _receiver The address of the receiver.
+     *  @param _amount The initial amount in the transaction.
+     *  @param _questionID The ID of the delivery question in the Realitio contract.
+     */
+    event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, uint _amount, bytes32 _questionID);
+
+    /** @dev Emitted when a transaction is executed with the final answer to its question.
+     *  @param _transactionID The index of the transaction.
+     *  @param _answer The final answer to the delivery question.
+     */
+    event TransactionResolved(uint indexed _transactionID, bytes32 _answer);
+
+    // **************************** //
+    // *    Modifying the state   * //
+    // **************************** //
+
+    /** @dev Constructor.
+     *  @param _realitio The Realitio contract answering the delivery questions.
+     *  @param _realitioArbitrator The arbitrator of the delivery questions, a RealitioArbitratorProxy.
+     */
+    constructor (RealitioQuestionInterface _realitio, address _realitioArbitrator) public {
+        realitio = _realitio;
+        realitioArbitrator = _realitioArbitrator;
+    }
+
+    /** @dev Create a transaction and ask its delivery question. UNTRUSTED.
+     *  The question must be a yes/no question, as answers other than "Yes" (1) and "No" (0) are considered invalid.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _templateID The ID of the Realitio template of the question. Template 0 of the Realitio contract is the yes/no template.
+     *  @param _question The parameters of the template, separated by the unit separator character U+241F.
+     *  @param _questionTimeout Time in seconds after which an unchallenged answer is final.
+     *  @param _openingTime The earliest time the question can be answered, such as the expected delivery time. 0 to allow answers right away.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransaction(
+        address _receiver,
+        uint _templateID,
+        string _question,
+        uint32 _questionTimeout,
+        uint32 _openingTime
+    ) public payable returns (uint transactionID) {
+        transactionID = transactions.length;
+        // Use the index of the transaction as nonce, so the same question can be asked for several transactions.
+        bytes32 questionID = realitio.askQuestion(_templateID, _question, realitioArbitrator, _questionTimeout, _openingTime, transactionID);
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: msg.value,
+            questionID: questionID,
+            status: Status.Pending
+        }));
+
+        emit TransactionCreated(transactionID, msg.sender, _receiver, msg.value, questionID);
+    }
+
+    /** @dev Pay receiver. To be called if the good or service is provided.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amount Amount to pay in wei.
+     */
+    function pay(uint _transactionID, uint _amount) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.sender == msg.sender, "The caller must be the sender.");
+        require(transaction.status == Status.Pending, "The transaction must not be resolved.");
+        require(_amount <= transaction.amount, "The amount paid has to be less than or equal to the transaction.");
+
+        transaction.receiver.transfer(_amount);
+        transaction.amount -= _amount;
+        emit Payment(_transactionID, _amount, msg.sender);
+    }
+
+    /** @dev Reimburse sender. To be called if the good or service can't be fully provided.
+     *  @param _transactionID The index of the transaction.
+     *  @param _amountReimbursed Amount to reimburse in wei.
+     */
+    function reimburse(uint _transactionID, uint _amountReimbursed) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.receiver == msg.sender, "The caller must be the receiver.");
+        require(transaction.status == Status.Pending, "The transaction must not be resolved.");
+        require(_amountReimbursed <= transaction.amount, "The amount reimbursed has to be less or equal than the transaction.");
+
+        transaction.sender.transfer(_amountReimbursed);
+        transaction.amount -= _amountReimbursed;
+        emit Payment(_transactionID, _amountReimbursed, msg.sender);
+    }
+
+    /** @dev Release or refund the amount of a transaction according to the final answer to its delivery question.
+     *  Reverts if the answer is not final, including while it is arbitrated.
+     *  @param _transactionID The index of the transaction.
+     */
+    function executeTransaction(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.status == Status.Pending, "The transaction must not be resolved.");
+        bytes32 answer = realitio.resultFor(transaction.questionID);
+
+        uint amount = transaction.amount;
+        transaction.amount = 0;
+        transaction.status = Status.Resolved;
+
+        // Note that we use send to prevent a party from blocking the execution.
+        if (answer == ANSWER_YES) {
+            transaction.receiver.send(amount);
+        } else if (answer == ANSWER_NO) {
+            transaction.sender.send(amount);
+        } else {
+            // In the case of an uneven amount, one wei can be burnt.
+            transaction.sender.send(amount / 2);
+            transaction.receiver.send(amount / 2);
+        }
+
+        emit TransactionResolved(_transactionID, answer);
+    }
+
+    // **************************** //
+    // *     Constant getters     * //
+    // **************************** //
+
+    /** @dev Getter to know the count of transactions.
+     *  @return countTransactions The count of transactions.
+     */
+    function getCountTransactions() public view returns (uint countTransactions) {
+        return transactions.length;
+    }
+
+    /** @dev Get whether a transaction can be executed, that is, whether the answer to its question is final.
+     *  @param _transactionID The index of the transaction.
+     *  @return executable True if the transaction can be executed.
+     */
+    function isExecutable(uint _transactionID) public view returns (bool executable) {
+        Transaction storage transaction = transactions[_transactionID];
+        return transaction.status == Status.Pending && realitio.isFinalized(transaction.questionID);
+    }
+
+    /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
+     *  This function must be used by the UI and not by other smart contracts.
+     *  Note that the complexity is O(t), where t is amount of transactions.
+     *  @param _address The specified address.
+     *  @return transactionIDs The transaction IDs.
+     */
+    function getTransactionIDsByAddress(address _address) public view returns (uint[] transactionIDs) {
+        uint count = 0;
+        for (uint i = 0; i < transactions.length; i++) {
+            if (transactions[i].sender == _address || transactions[i].receiver == _address)
+                count++;
+        }
+
+        transactionIDs = new uint[](count);
+
+        count = 0;
+
+        for (uint j = 0; j < transactions.length; j++) {
+            if (transactions[j].sender == _address || transactions[j].receiver == _address)
+                transactionIDs[count++] = j;
+        }
+    }
+}
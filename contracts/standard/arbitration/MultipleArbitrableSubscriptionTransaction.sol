@@ -0,0 +1,471 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+
+import "./Arbitrator.sol";
+import "./IArbitrable.sol";
+
+/** @title Multiple Arbitrable Subscription Transaction
+ *  A variant of MultipleArbitrableTransaction for recurring payments, like paying contractors monthly.
+ *  The sender prefunds a number of periods and a fixed installment is released to the receiver at the end of each period.
+ *  Each period can be disputed on its own and gets its own dispute, without affecting the other periods.
+ *  The sender can cancel the periods which have not started yet, except for the notice periods, and get them refunded.
+ */
+contract MultipleArbitrableSubscriptionTransaction is IArbitrable {
+
+    // **************************** //
+    // *    Contract variables    * //
+    // **************************** //
+
+    uint8 constant AMOUNT_OF_CHOICES = 2;
+    uint8 constant SENDER_WINS = 1;
+    uint8 constant RECEIVER_WINS = 2;
+
+    enum Party {Sender, Receiver}
+    enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
+
+    struct Transaction {
+        address sender;
+        address receiver;
+        uint installment; // The amount released to the receiver for each period, in wei.
+        uint period; // The duration of a period in seconds.
+        uint start; // The timestamp at which the first period starts. Moved forward when periods are funded after the funded ones have ended.
+        uint periodCount; // The number of periods funded. Periods from periodCount onwards are not paid.
+        uint noticePeriods; // The number of periods after the current one which are still paid when the sender cancels.
+        bool cancelled; // Whether the sender cancelled the future periods.
+    }
+
+    struct Installment {
+        uint disputeId; // If dispute exists, the ID of the dispute.
+        uint senderFee; // Total fees paid by the sender.
+        uint receiverFee; // Total fees paid by the receiver.
+        uint lastInteraction; // Last interaction for the dispute procedure.
+        Status status;
+    }
+
+    struct DisputedInstallment {
+        uint transactionID;
+        uint periodID;
+    }
+
+    Transaction[] public transactions;
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
+
+    mapping (uint => mapping (uint => Installment)) public installments; // installments[transactionID][periodID] is the installment of a period of a transaction.
+    mapping (uint => DisputedInstallment) public disputeIDtoInstallment; // One-to-one relationship between the dispute and the installment.
+
+    // **************************** //
+    // *          Events          * //
+    // **************************** //
+
+    /** @dev To be emitted when the installment of a period is released to the receiver.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @param _amount The amount released.
+     */
+    event InstallmentReleased(uint indexed _transactionID, uint indexed _periodID, uint _amount);
+
+    /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @param _party The party who has to pay.
+     */
+    event HasToPayFee(uint indexed _transactionID, uint indexed _periodID, Party _party);
+
+    /** @dev To be raised when a ruling is given.
+     *  @param _arbitrator The arbitrator giving the ruling.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling The ruling which was given.
+     */
+    event Ruling(Arbitrator indexed _arbitrator, uint indexed _disputeID, uint _ruling);
+
+    /** @dev Emitted when a transaction is created.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sender The address of the sender.
+     *  @param _receiver The address of the receiver.
+     *  @param _installment The amount released for each period.
+     *  @param _period The duration of a period in seconds.
+     *  @param _periodCount The number of periods funded.
+     */
+    event TransactionCreated(
+        uint _transactionID,
+        address indexed _sender,
+        address indexed _receiver,
+        uint _installment,
+        uint _period,
+        uint _periodCount
+    );
+
+    /** @dev Emitted when the number of periods of a transaction changes, because the sender funded more periods or cancelled.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodCount The new number of periods.
+     *  @param _cancelled Whether the change is a cancellation.
+     */
+    event PeriodCountChanged(uint indexed _transactionID, uint _periodCount, bool _cancelled);
+
+    // **************************** //
+    // *    Arbitrable functions  * //
+    // *    Modifying the state   * //
+    // **************************** //
+
+    /** @dev Constructor.
+     *  @param _arbitrator The arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _feeTimeout Arbitration fee timeout for the parties.
+     */
+    constructor (
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        uint _feeTimeout
+    ) public {
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        feeTimeout = _feeTimeout;
+    }
+
+    /** @dev Create a transaction whose first period starts now. The value sent must be a multiple of the installment, and funds as many periods.
+     *  @param _installment The amount released to the receiver for each period, in wei.
+     *  @param _period The duration of a period in seconds.
+     *  @param _noticePeriods The number of periods after the current one which are still paid when the sender cancels.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransaction(
+        uint _installment,
+        uint _period,
+        uint _noticePeriods,
+        address _receiver,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        require(_installment > 0, "The installment must not be zero.");
+        require(_period > 0, "The period must not be zero.");
+        require(msg.value > 0 && msg.value % _installment == 0, "The value sent must fund a whole number of periods.");
+
+        transactionID = transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            installment: _installment,
+            period: _period,
+            start: now,
+            periodCount: msg.value / _installment,
+            noticePeriods: _noticePeriods,
+            cancelled: false
+        })) - 1;
+
+        emit MetaEvidence(transactionID, _metaEvidence);
+        emit TransactionCreated(transactionID, msg.sender, _receiver, _installment, _period, msg.value / _installment);
+    }
+
+    /** @dev Fund more periods of a transaction. The value sent must be a multiple of the installment.
+     *  If the funded periods have all ended, the new periods start now, so that the time between them is not paid.
+     *  @param _transactionID The index of the transaction.
+     */
+    function fundPeriods(uint _transactionID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.sender == msg.sender, "The caller must be the sender.");
+        require(!transaction.cancelled, "The transaction must not be cancelled.");
+        require(msg.value > 0 && msg.value % transaction.installment == 0, "The value sent must fund a whole number of periods.");
+
+        // Move the start so that the funded periods end now and the next one starts now.
+        if (getCurrentPeriod(_transactionID) >= transaction.periodCount)
+            transaction.start = now - transaction.periodCount * transaction.period;
+        transaction.periodCount += msg.value / transaction.installment;
+        emit PeriodCountChanged(_transactionID, transaction.periodCount, false);
+    }
+
+    /** @dev Cancel the periods after the current period and the notice periods, and refund their installments to the sender.
+     *  @param _transactionID The index of the transaction.
+     */
+    function cancel(uint _transactionID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(transaction.sender == msg.sender, "The caller must be the sender.");
+        require(!transaction.cancelled, "The transaction is already cancelled.");
+
+        transaction.cancelled = true;
+        uint periodCount = getCurrentPeriod(_transactionID) + 1 + transaction.noticePeriods;
+        if (periodCount < transaction.periodCount) {
+            uint refund = (transaction.periodCount - periodCount) * transaction.installment;
+            transaction.periodCount = periodCount;
+            transaction.sender.transfer(refund);
+        }
+
+        emit PeriodCountChanged(_transactionID, transaction.periodCount, true);
+    }
+
+    /** @dev Transfer the installment of a period to the receiver once the period has ended, if it is not disputed.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function executeInstallment(uint _transactionID, uint _periodID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        require(_periodID < transaction.periodCount, "The period must be funded.");
+        require(now >= transaction.start + (_periodID + 1) * transaction.period, "The period has not ended yet.");
+        require(installment.status == Status.NoDispute, "The installment shouldn't be disputed.");
+
+        installment.status = Status.Resolved;
+        transaction.receiver.transfer(transaction.installment);
+        emit InstallmentReleased(_transactionID, _periodID, transaction.installment);
+    }
+
+    /** @dev Reimburse sender if receiver fails to pay the fee.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function timeOutBySender(uint _transactionID, uint _periodID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        require(installment.status == Status.WaitingReceiver, "The installment is not waiting on the receiver.");
+        require(now - installment.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (installment.receiverFee != 0) {
+            transaction.receiver.send(installment.receiverFee);
+            installment.receiverFee = 0;
+        }
+        executeRuling(_transactionID, _periodID, SENDER_WINS);
+    }
+
+    /** @dev Pay receiver if sender fails to pay the fee.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function timeOutByReceiver(uint _transactionID, uint _periodID) public {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        require(installment.status == Status.WaitingSender, "The installment is not waiting on the sender.");
+        require(now - installment.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
+
+        if (installment.senderFee != 0) {
+            transaction.sender.send(installment.senderFee);
+            installment.senderFee = 0;
+        }
+        executeRuling(_transactionID, _periodID, RECEIVER_WINS);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute about a period. To be called by the sender. UNTRUSTED.
+     *  Only periods which have started can be disputed, as the later ones can be cancelled.
+     *  Note that the arbitrator can have createDispute throw, which will make this function throw and therefore lead to a party being timed-out.
+     *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID, uint _periodID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(_periodID <= getCurrentPeriod(_transactionID) && _periodID < transaction.periodCount, "The period must have started and be funded.");
+        require(installment.status < Status.DisputeCreated, "Dispute has already been created or because the installment has been executed.");
+        require(msg.sender == transaction.sender, "The caller must be the sender.");
+
+        installment.senderFee += msg.value;
+        // Require that the total pay at least the arbitration cost.
+        require(installment.senderFee >= arbitrationCost, "The sender fee must cover arbitration costs.");
+
+        installment.lastInteraction = now;
+
+        // The receiver still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (installment.receiverFee < arbitrationCost) {
+            installment.status = Status.WaitingReceiver;
+            emit HasToPayFee(_transactionID, _periodID, Party.Receiver);
+        } else { // The receiver has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, _periodID, arbitrationCost);
+        }
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute about a period. To be called by the receiver. UNTRUSTED.
+     *  Note that this function mirrors payArbitrationFeeBySender.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID, uint _periodID) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(_periodID <= getCurrentPeriod(_transactionID) && _periodID < transaction.periodCount, "The period must have started and be funded.");
+        require(installment.status < Status.DisputeCreated, "Dispute has already been created or because the installment has been executed.");
+        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
+
+        installment.receiverFee += msg.value;
+        // Require that the total paid to be at least the arbitration cost.
+        require(installment.receiverFee >= arbitrationCost, "The receiver fee must cover arbitration costs.");
+
+        installment.lastInteraction = now;
+        // The sender still has to pay. This can also happen if he has paid, but arbitrationCost has increased.
+        if (installment.senderFee < arbitrationCost) {
+            installment.status = Status.WaitingSender;
+            emit HasToPayFee(_transactionID, _periodID, Party.Sender);
+        } else { // The sender has also paid the fee. We create the dispute.
+            raiseDispute(_transactionID, _periodID, arbitrationCost);
+        }
+    }
+
+    /** @dev Create a dispute about a period. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @param _arbitrationCost Amount to pay the arbitrator.
+     */
+    function raiseDispute(uint _transactionID, uint _periodID, uint _arbitrationCost) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        installment.status = Status.DisputeCreated;
+        installment.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
+        disputeIDtoInstallment[installment.disputeId] = DisputedInstallment({
+            transactionID: _transactionID,
+            periodID: _periodID
+        });
+        emit Dispute(arbitrator, installment.disputeId, _transactionID, getEvidenceGroupID(_transactionID, _periodID));
+
+        // Refund sender if it overpaid.
+        if (installment.senderFee > _arbitrationCost) {
+            uint extraFeeSender = installment.senderFee - _arbitrationCost;
+            installment.senderFee = _arbitrationCost;
+            transaction.sender.send(extraFeeSender);
+        }
+
+        // Refund receiver if it overpaid.
+        if (installment.receiverFee > _arbitrationCost) {
+            uint extraFeeReceiver = installment.receiverFee - _arbitrationCost;
+            installment.receiverFee = _arbitrationCost;
+            transaction.receiver.send(extraFeeReceiver);
+        }
+    }
+
+    /** @dev Submit a reference to evidence about a period. EVENT.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @param _evidence A link to an evidence using its URI.
+     */
+    function submitEvidence(uint _transactionID, uint _periodID, string _evidence) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(
+            msg.sender == transaction.sender || msg.sender == transaction.receiver,
+            "The caller must be the sender or the receiver."
+        );
+        require(
+            installments[_transactionID][_periodID].status < Status.Resolved,
+            "Must not send evidence if the dispute is resolved."
+        );
+
+        emit Evidence(arbitrator, getEvidenceGroupID(_transactionID, _periodID), msg.sender, _evidence);
+    }
+
+    /** @dev Appeal an appealable ruling about a period.
+     *  Transfer the funds to the arbitrator.
+     *  Note that no checks are required as the checks are done by the arbitrator.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     */
+    function appeal(uint _transactionID, uint _periodID) public payable {
+        arbitrator.appeal.value(msg.value)(installments[_transactionID][_periodID].disputeId, arbitratorExtraData);
+    }
+
+    /** @dev Give a ruling for a dispute. Must be called by the arbitrator.
+     *  The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
+     *  @param _disputeID ID of the dispute in the Arbitrator contract.
+     *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
+     */
+    function rule(uint _disputeID, uint _ruling) public {
+        DisputedInstallment storage disputedInstallment = disputeIDtoInstallment[_disputeID];
+        Installment storage installment = installments[disputedInstallment.transactionID][disputedInstallment.periodID];
+        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(installment.status == Status.DisputeCreated, "The dispute has already been resolved.");
+
+        emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
+
+        executeRuling(disputedInstallment.transactionID, disputedInstallment.periodID, _ruling);
+    }
+
+    /** @dev Execute a ruling of a dispute about a period. It reimburses the fee to the winning party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @param _ruling Ruling given by the arbitrator. 1 : Reimburse the sender. 2 : Pay the receiver.
+     */
+    function executeRuling(uint _transactionID, uint _periodID, uint _ruling) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        Installment storage installment = installments[_transactionID][_periodID];
+        require(_ruling <= AMOUNT_OF_CHOICES, "Invalid ruling.");
+
+        uint amount = transaction.installment;
+        uint senderFee = installment.senderFee;
+        uint receiverFee = installment.receiverFee;
+
+        installment.senderFee = 0;
+        installment.receiverFee = 0;
+        installment.status = Status.Resolved;
+
+        // Give the arbitration fee back.
+        // Note that we use send to prevent a party from blocking the execution.
+        if (_ruling == SENDER_WINS) {
+            transaction.sender.send(senderFee + amount);
+        } else if (_ruling == RECEIVER_WINS) {
+            transaction.receiver.send(receiverFee + amount);
+        } else {
+            uint split_amount = (senderFee + amount) / 2;
+            transaction.sender.send(split_amount);
+            transaction.receiver.send(split_amount);
+        }
+    }
+
+    // **************************** //
+    // *     Constant getters     * //
+    // **************************** //
+
+    /** @dev Get the ID of the evidence group of a period, so the evidence of each period's dispute is kept apart.
+     *  @param _transactionID The index of the transaction.
+     *  @param _periodID The index of the period in the transaction.
+     *  @return evidenceGroupID The ID of the evidence group.
+     */
+    function getEvidenceGroupID(uint _transactionID, uint _periodID) public pure returns (uint evidenceGroupID) {
+        return uint(keccak256(abi.encodePacked(_transactionID, _periodID)));
+    }
+
+    /** @dev Get the index of the current period of a transaction. It can be past the funded periods.
+     *  @param _transactionID The index of the transaction.
+     *  @return periodID The index of the current period.
+     */
+    function getCurrentPeriod(uint _transactionID) public view returns (uint periodID) {
+        Transaction storage transaction = transactions[_transactionID];
+        return (now - transaction.start) / transaction.period;
+    }
+
+    /** @dev Getter to know the count of transactions.
+     *  @return countTransactions The count of transactions.
+     */
+    function getCountTransactions() public view returns (uint countTransactions) {
+        return transactions.length;
+    }
+
+    /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
+     *  This function must be used by the UI and not by other smart contracts.
+     *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
+     *  @param _address The specified address.
+     *  @return transactionIDs The transaction IDs.
+     */
+    function getTransactionIDsByAddress(address _address) public view returns (uint[] transactionIDs) {
+        uint count = 0;
+        for (uint i = 0; i < transactions.length; i++) {
+            if (transactions[i].sender == _address || transactions[i].receiver == _address)
+                count++;
+        }
+
+        transactionIDs = new uint[](count);
+
+        count = 0;
+
+        for (uint j = 0; j < transactions.length; j++) {
+            if (transactions[j].sender == _address || transactions[j].receiver == _address)
+                transactionIDs[count++] = j;
+        }
+    }
+}
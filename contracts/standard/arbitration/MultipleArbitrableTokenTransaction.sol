@@ -26,7 +26,8 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
     // *    Contract variables    * //
     // **************************** //
 
-    uint8 constant AMOUNT_OF_CHOICES = 2;
+    uint8 constant AMOUNT_OF_CHOICES = 2; // The ruling options of every transaction. Split ruling options come after them.
+    uint public constant BASIS_POINT_DIVISOR = 10000; // Divisor of the shares of split ruling options.
 
     enum Party {Sender, Receiver}
     enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
@@ -43,14 +44,32 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         uint receiverFee; // Total fees paid by the receiver.
         uint lastInteraction; // Last interaction for the dispute procedure.
         Status status;
+        uint[] splits; // The share of the receiver, in basis points, of each additional ruling option. Ruling option 3 + i splits the amount and the arbitration fee according to splits[i].
+    }
+
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
     }
 
     Transaction[] public transactions;
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
 
-    mapping (uint => uint) public disputeIDtoTransactionID;
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+    mapping (uint => mapping (uint => address)) public sponsors; // sponsors[transactionID][party] is the address which pays the arbitration fee of the party in its place, if any.
+    mapping (uint => mapping (uint => uint)) public sponsoredFees; // sponsoredFees[transactionID][party] is the part of the arbitration fee of the party paid by its sponsor and not refunded yet.
+    mapping (uint => mapping (uint => address)) public approvedSponsors; // approvedSponsors[transactionID][party] is the address the party allows to pay its arbitration fee in its place, if any.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -69,6 +88,21 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      */
     event HasToPayFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when a third party pays the arbitration fee of a party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee is paid.
+     *  @param _sponsor The address paying the fee, which gets the fee refunds of the party.
+     *  @param _amount The amount paid.
+     */
+    event FeeSponsored(uint indexed _transactionID, Party _party, address indexed _sponsor, uint _amount);
+
+    /** @dev To be emitted when a party allows an address to pay its arbitration fee in its place.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party approving the sponsor.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 if the approval is withdrawn.
+     */
+    event SponsorApproved(uint indexed _transactionID, Party _party, address indexed _sponsor);
+
     /** @dev Emitted when the final ruling of a dispute is given by the arbitrator.
      *  @param _arbitrator The arbitrator giving the ruling.
      *  @param _disputeID ID of the dispute in the Arbitrator contract.
@@ -85,23 +119,49 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      */
     event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, ERC20 _token, uint _amount);
 
+    /** @dev Emitted when a transaction is executed after its timeout.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecuted(uint indexed _transactionID);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
      */
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         uint _feeTimeout
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeTimeout = _feeTimeout;
     }
 
@@ -123,22 +183,127 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         // Transfers token from sender wallet to contract.
         require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
 
-        transactions.push(Transaction({
-            sender: msg.sender,
-            receiver: _receiver,
-            amount: _amount,
-            token: _token,
-            timeoutPayment: _timeoutPayment,
-            disputeId: 0,
-            senderFee: 0,
-            receiverFee: 0,
-            lastInteraction: now,
-            status: Status.NoDispute
-        }));
-        emit MetaEvidence(transactions.length - 1, _metaEvidence);
-        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _token, _amount);
+        return addTransaction(_amount, _token, _timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
 
-        return transactions.length - 1;
+    /** @dev Create a transaction whose disputes can also be ruled with a split of the amount between the parties. UNTRUSTED.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _splits The share of the receiver, in basis points, of each ruling option added after "Pay Receiver". They should be described in the meta-evidence.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function createTransactionWithSplits(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        uint[] _splits,
+        string _metaEvidence
+    ) public returns (uint transactionIndex) {
+        transactionIndex = createTransaction(_amount, _token, _timeoutPayment, _receiver, _metaEvidence);
+        setSplits(transactions[transactionIndex], _splits);
+    }
+
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one. UNTRUSTED.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _splits The share of the receiver, in basis points, of each ruling option added after "Pay Receiver". They should be described in the meta-evidence.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        uint[] _splits,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) public returns (uint transactionIndex) {
+        // Transfers token from sender wallet to contract.
+        require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
+
+        transactionIndex = addTransaction(_amount, _token, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
+        setSplits(transactions[transactionIndex], _splits);
+    }
+
+    /** @dev Create a batch of transactions of the same token, sharing the same meta-evidence. UNTRUSTED.
+     *  A transaction whose tokens cannot be transferred from the sender, e.g. because the allowance is exhausted, is skipped and reported.
+     *  @param _amounts The amounts of tokens of the transactions.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayments Times after which a party automatically loses a dispute, for each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        ERC20 _token,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (!tryTransferFrom(_token, msg.sender, _amounts[i])) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            addTransaction(_amounts[i], _token, _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
+    }
+
+    /** @dev Create a transaction, approving the tokens with an EIP-2612 permit signature of the sender instead of a separate approve transaction. UNTRUSTED.
+     *  If the token does not support permit or the permit fails (e.g. it was already submitted by someone else), the tokens are pulled with the existing allowance of the sender.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @param _deadline The time after which the permit cannot be used.
+     *  @param _v The recovery byte of the permit signature.
+     *  @param _r The first half of the permit signature.
+     *  @param _s The second half of the permit signature.
+     *  @return The index of the transaction.
+     */
+    function createTransactionWithPermit(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        string _metaEvidence,
+        uint _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public returns (uint transactionIndex) {
+        // The result is ignored so that tokens without permit fall back to the allowance.
+        address(_token).call(abi.encodeWithSignature(
+            "permit(address,address,uint256,uint256,uint8,bytes32,bytes32)",
+            msg.sender,
+            address(this),
+            _amount,
+            _deadline,
+            _v,
+            _r,
+            _s
+        ));
+
+        return createTransaction(_amount, _token, _timeoutPayment, _receiver, _metaEvidence);
     }
 
     /** @dev Pay receiver. To be called if the good or service is provided. UNTRUSTED.
@@ -185,6 +350,22 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         transaction.status = Status.Resolved;
 
         require(transaction.token.transfer(transaction.receiver, amount), "The `transfer` function must not fail.");
+        emit TransactionExecuted(_transactionID);
+    }
+
+    /** @dev Execute a batch of transactions whose timeout has passed. UNTRUSTED.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its token transfer fails, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
     }
 
     /** @dev Reimburse sender if receiver fails to pay the fee. UNTRUSTED.
@@ -196,7 +377,7 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.receiverFee != 0) {
-            transaction.receiver.send(transaction.receiverFee);
+            refundFee(_transactionID, Party.Receiver, transaction.receiverFee);
             transaction.receiverFee = 0;
         }
         executeRuling(_transactionID, uint(RulingOptions.SenderWins));
@@ -211,22 +392,76 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.senderFee != 0) {
-            transaction.sender.send(transaction.senderFee);
+            refundFee(_transactionID, Party.Sender, transaction.senderFee);
             transaction.senderFee = 0;
         }
         executeRuling(_transactionID, uint(RulingOptions.ReceiverWins));
     }
 
     /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].sender, "The caller must be the sender.");
+
+        depositSenderFee(_transactionID);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].receiver, "The caller must be the receiver.");
+
+        depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Allow an address to pay the arbitration fee of the caller in its place. To be called by the sender or the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 to withdraw the approval.
+     */
+    function approveSponsor(uint _transactionID, address _sponsor) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(msg.sender == transaction.sender || msg.sender == transaction.receiver, "The caller must be the sender or the receiver.");
+        Party party = msg.sender == transaction.sender ? Party.Sender : Party.Receiver;
+
+        approvedSponsors[_transactionID][uint(party)] = _sponsor;
+        emit SponsorApproved(_transactionID, party, _sponsor);
+    }
+
+    /** @dev Pay the arbitration fee of a party in its place, e.g. as a legal-aid partner. To be called by the sponsor approved by the party. UNTRUSTED.
+     *  The refunds of the fee of the party go to the sponsor up to what it paid, while the rest and the amount of the transaction go to the party.
+     *  The fee of a party can only be paid by a single sponsor, but the party can still top it up itself, e.g. if the arbitration cost increases.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee to pay.
+     */
+    function sponsorArbitrationFee(uint _transactionID, Party _party) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        require(approvedSponsors[_transactionID][uint(_party)] == msg.sender, "The sponsor must be approved by the party.");
+        address sponsor = sponsors[_transactionID][uint(_party)];
+        uint paidFee = _party == Party.Sender ? transaction.senderFee : transaction.receiverFee;
+        require(sponsor == msg.sender || (sponsor == address(0) && paidFee == 0), "The fee of the party is already paid by someone else.");
+
+        sponsors[_transactionID][uint(_party)] = msg.sender;
+        sponsoredFees[_transactionID][uint(_party)] += msg.value;
+        emit FeeSponsored(_transactionID, _party, msg.sender, msg.value);
+
+        if (_party == Party.Sender)
+            depositSenderFee(_transactionID);
+        else
+            depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Add the value sent to the arbitration fee of the sender, and raise a dispute if both parties paid. UNTRUSTED.
      *  Note that the arbitrator can have `createDispute` throw, which will make this function throw and therefore lead to a party being timed-out.
      *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeBySender(uint _transactionID) public payable {
+    function depositSenderFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
-        require(msg.sender == transaction.sender, "The caller must be the sender.");
 
         transaction.senderFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -242,15 +477,15 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         }
     }
 
-    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
-     *  Note that this function mirrors payArbitrationFeeBySender.
+    /** @dev Add the value sent to the arbitration fee of the receiver, and raise a dispute if both parties paid. UNTRUSTED.
+     *  Note that this function mirrors depositSenderFee.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+    function depositReceiverFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
-        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
 
         transaction.receiverFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -272,23 +507,24 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES + transaction.splits.length, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
             uint extraFeeSender = transaction.senderFee - _arbitrationCost;
             transaction.senderFee = _arbitrationCost;
-            transaction.sender.send(extraFeeSender);
+            refundFee(_transactionID, Party.Sender, extraFeeSender);
         }
 
         // Refund receiver if it overpaid.
         if (transaction.receiverFee > _arbitrationCost) {
             uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
             transaction.receiverFee = _arbitrationCost;
-            transaction.receiver.send(extraFeeReceiver);
+            refundFee(_transactionID, Party.Receiver, extraFeeReceiver);
         }
     }
 
@@ -298,6 +534,7 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.receiver || msg.sender == transaction.sender,
             "The caller must be the receiver or the sender."
@@ -307,7 +544,7 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Appeal an appealable ruling. UNTRUSTED.
@@ -317,8 +554,9 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      */
     function appeal(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
 
-        arbitrator.appeal.value(msg.value)(transaction.disputeId, arbitratorExtraData);
+        setting.arbitrator.appeal.value(msg.value)(transaction.disputeId, setting.arbitratorExtraData);
     }
 
     /** @dev Give a ruling for a dispute. Must be called by the arbitrator to enforce the final ruling.
@@ -327,9 +565,9 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
      */
     function rule(uint _disputeID, uint _ruling) public {
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
 
         emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
@@ -339,11 +577,11 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
 
     /** @dev Execute a ruling of a dispute. It reimburses the fee to the winning party.
      *  @param _transactionID The index of the transaction.
-     *  @param _ruling Ruling given by the arbitrator. 1: Reimburse the receiver. 2: Pay the sender.
+     *  @param _ruling Ruling given by the arbitrator. 1: Reimburse the receiver. 2: Pay the sender. 3 + i: Split according to splits[i].
      */
     function executeRuling(uint _transactionID, uint _ruling) internal {
         Transaction storage transaction = transactions[_transactionID];
-        require(_ruling <= AMOUNT_OF_CHOICES, "Invalid ruling.");
+        require(_ruling <= AMOUNT_OF_CHOICES + transaction.splits.length, "Invalid ruling.");
 
         uint amount = transaction.amount;
         uint senderFee = transaction.senderFee;
@@ -357,23 +595,169 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         // Give the arbitration fee back.
         // Note that we use `send` to prevent a party from blocking the execution.
         if (_ruling == uint(RulingOptions.SenderWins)) {
-            transaction.sender.send(senderFee);
+            refundFee(_transactionID, Party.Sender, senderFee);
             require(transaction.token.transfer(transaction.sender, amount), "The `transfer` function must not fail.");
         } else if (_ruling == uint(RulingOptions.ReceiverWins)) {
-            transaction.receiver.send(receiverFee);
+            refundFee(_transactionID, Party.Receiver, receiverFee);
             require(transaction.token.transfer(transaction.receiver, amount), "The `transfer` function must not fail.");
-        } else {
+        } else if (_ruling == uint(RulingOptions.NoRuling)) {
             // `senderFee` and `receiverFee` are equal to the arbitration cost.
             uint splitArbitrationFee = senderFee / 2;
-            transaction.receiver.send(splitArbitrationFee);
-            transaction.sender.send(splitArbitrationFee);
+            refundFee(_transactionID, Party.Receiver, splitArbitrationFee);
+            refundFee(_transactionID, Party.Sender, splitArbitrationFee);
             // Tokens should not reenter or allow recipients to refuse the transfer.
             // In the case of an uneven token amount, one basic token unit can be burnt.
             require(transaction.token.transfer(transaction.receiver, amount / 2), "The `transfer` function must not fail.");
             require(transaction.token.transfer(transaction.sender, amount / 2), "The `transfer` function must not fail.");
+        } else {
+            // The arbitration fee left, equal to the arbitration cost, follows the same split as the amount.
+            uint receiverShare = transaction.splits[_ruling - AMOUNT_OF_CHOICES - 1];
+            uint receiverArbitrationFee = (senderFee * receiverShare) / BASIS_POINT_DIVISOR;
+            uint receiverAmount = (amount * receiverShare) / BASIS_POINT_DIVISOR;
+            refundFee(_transactionID, Party.Receiver, receiverArbitrationFee);
+            refundFee(_transactionID, Party.Sender, senderFee - receiverArbitrationFee);
+            require(transaction.token.transfer(transaction.receiver, receiverAmount), "The `transfer` function must not fail.");
+            require(transaction.token.transfer(transaction.sender, amount - receiverAmount), "The `transfer` function must not fail.");
         }
     }
 
+    /** @dev Store a transaction of the caller whose tokens were received.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionIndex) {
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: _amount,
+            token: _token,
+            timeoutPayment: _timeoutPayment,
+            disputeId: 0,
+            senderFee: 0,
+            receiverFee: 0,
+            lastInteraction: now,
+            status: Status.NoDispute,
+            splits: new uint[](0)
+        }));
+        setArbitrator(transactions.length - 1, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactions.length - 1, _metaEvidence);
+        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _token, _amount);
+
+        return transactions.length - 1;
+    }
+
+    /** @dev Set the split ruling options of a transaction.
+     *  @param _transaction The transaction.
+     *  @param _splits The share of the receiver, in basis points, of each split ruling option.
+     */
+    function setSplits(Transaction storage _transaction, uint[] _splits) internal {
+        for (uint i = 0; i < _splits.length; i++)
+            require(_splits[i] <= BASIS_POINT_DIVISOR, "The share of the receiver cannot be higher than the amount.");
+        _transaction.splits = _splits;
+    }
+
+    /** @dev Transfer tokens from an address to the contract without reverting if the transfer fails.
+     *  @param _token The ERC20 token contract.
+     *  @param _from The address to transfer the tokens from.
+     *  @param _amount The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function tryTransferFrom(ERC20 _token, address _from, uint _amount) internal returns (bool success) {
+        // A call to an address without code succeeds without transferring anything.
+        uint codeSize;
+        assembly { codeSize := extcodesize(_token) }
+        if (codeSize == 0)
+            return false;
+
+        success = address(_token).call(abi.encodeWithSignature("transferFrom(address,address,uint256)", _from, address(this), _amount));
+        if (!success)
+            return false;
+
+        // Tokens which do not return a value on success are accepted. Any other return value than a single non-zero word is a failure.
+        uint returned = 0;
+        assembly {
+            switch returndatasize
+            case 0 {
+                returned := 1
+            }
+            case 0x20 {
+                returndatacopy(0, 0, 0x20)
+                returned := mload(0)
+            }
+        }
+        return returned != 0;
+    }
+
+    /** @dev Refund an arbitration fee of a party. The refund goes to the sponsor of the party first, up to what it paid and was not refunded yet, and the rest to the party.
+     *  Note that we use `send` to prevent a party or a sponsor from blocking the execution.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party.
+     *  @param _fee The arbitration fee to refund.
+     */
+    function refundFee(uint _transactionID, Party _party, uint _fee) internal {
+        address party = _party == Party.Sender ? transactions[_transactionID].sender : transactions[_transactionID].receiver;
+        uint sponsorRefund = sponsoredFees[_transactionID][uint(_party)];
+        if (sponsorRefund > _fee)
+            sponsorRefund = _fee;
+        if (sponsorRefund != 0) {
+            sponsoredFees[_transactionID][uint(_party)] -= sponsorRefund;
+            sponsors[_transactionID][uint(_party)].send(sponsorRefund);
+        }
+        if (_fee != sponsorRefund)
+            party.send(_fee - sponsorRefund);
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
@@ -385,6 +769,14 @@ contract MultipleArbitrableTokenTransaction is IArbitrable {
         return transactions.length;
     }
 
+    /** @dev Get the receiver's shares of the split ruling options of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @return splits The share of the receiver, in basis points, of ruling option 3 + i.
+     */
+    function getSplits(uint _transactionID) public view returns (uint[] splits) {
+        return transactions[_transactionID].splits;
+    }
+
     /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
      *  This function must be used by the UI and not by other smart contracts.
      *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
@@ -54,16 +54,33 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         mapping(address => uint[3]) contributions; // Maps contributors to their contributions for each side.
     }
 
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
+    }
+
     Transaction[] public transactions;
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
     
     uint public sharedStakeMultiplier; // Multiplier for calculating the appeal fee that must be paid by submitter in the case where there is no winner or loser (e.g. when the arbitrator ruled "refuse to arbitrate").
     uint public winnerStakeMultiplier; // Multiplier for calculating the appeal fee of the party that won the previous round.
     uint public loserStakeMultiplier; // Multiplier for calculating the appeal fee of the party that lost the previous round.
 
-    mapping (uint => uint) public disputeIDtoTransactionID;
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+    mapping (uint => mapping (uint => address)) public sponsors; // sponsors[transactionID][party] is the address which pays the arbitration fee of the party in its place, if any.
+    mapping (uint => mapping (uint => uint)) public sponsoredFees; // sponsoredFees[transactionID][party] is the part of the arbitration fee of the party paid by its sponsor and not refunded yet.
+    mapping (uint => mapping (uint => address)) public approvedSponsors; // approvedSponsors[transactionID][party] is the address the party allows to pay its arbitration fee in its place, if any.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -82,6 +99,21 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     event HasToPayFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when a third party pays the arbitration fee of a party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee is paid.
+     *  @param _sponsor The address paying the fee, which gets the fee refunds of the party.
+     *  @param _amount The amount paid.
+     */
+    event FeeSponsored(uint indexed _transactionID, Party _party, address indexed _sponsor, uint _amount);
+
+    /** @dev To be emitted when a party allows an address to pay its arbitration fee in its place.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party approving the sponsor.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 if the approval is withdrawn.
+     */
+    event SponsorApproved(uint indexed _transactionID, Party _party, address indexed _sponsor);
+
     /** @dev Emitted when the final ruling of a dispute is given by the arbitrator.
      *  @param _arbitrator The arbitrator giving the ruling.
      *  @param _disputeID ID of the dispute in the Arbitrator contract.
@@ -104,14 +136,33 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     event HasPaidAppealFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
      *  @param _sharedStakeMultiplier Multiplier of the appeal cost that submitter must pay for a round when there is no winner/loser in the previous round. In basis points.
      *  @param _winnerStakeMultiplier Multiplier of the appeal cost that the winner has to pay for a round. In basis points.
@@ -120,6 +171,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         uint _feeTimeout,
         uint _sharedStakeMultiplier,
         uint _winnerStakeMultiplier,
@@ -127,6 +179,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeTimeout = _feeTimeout;
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
@@ -147,21 +200,65 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         uint _timeoutPayment,
         address _receiver,
         string _metaEvidence
+    ) public returns (uint transactionIndex) {
+        return createTransactionWithArbitrator(_amount, _token, _timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
+
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one. UNTRUSTED.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
     ) public returns (uint transactionIndex) {
         // Transfers token from sender wallet to contract.
         require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
-        
-        transactionIndex = transactions.length++;
-        Transaction storage transaction = transactions[transactionIndex];
-        transaction.sender = msg.sender;
-        transaction.receiver = _receiver;
-        transaction.amount = _amount;
-        transaction.token = _token;
-        transaction.timeoutPayment = _timeoutPayment;
-        transaction.lastInteraction = now;
 
-        emit MetaEvidence(transactionIndex, _metaEvidence);
-        emit TransactionCreated(transactionIndex, msg.sender, _receiver, _token, _amount);
+        return addTransaction(_amount, _token, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
+    }
+
+    /** @dev Create a batch of transactions of the same token, sharing the same meta-evidence. UNTRUSTED.
+     *  A transaction whose tokens cannot be transferred from the sender, e.g. because the allowance is exhausted, is skipped and reported.
+     *  @param _amounts The amounts of tokens of the transactions.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayments Times after which a party automatically loses a dispute, for each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        ERC20 _token,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (!tryTransferFrom(_token, msg.sender, _amounts[i])) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            addTransaction(_amounts[i], _token, _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
     }
 
     /** @dev Pay receiver. To be called if the good or service is provided. UNTRUSTED.
@@ -210,6 +307,21 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         require(transaction.token.transfer(transaction.receiver, amount), "The `transfer` function must not fail.");
     }
 
+    /** @dev Execute a batch of transactions whose timeout has passed. UNTRUSTED.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its token transfer fails, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
+    }
+
     /** @dev Reimburse sender if receiver fails to pay the fee. UNTRUSTED.
      *  @param _transactionID The index of the transaction.
      */
@@ -219,7 +331,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.receiverFee != 0) {
-            transaction.receiver.send(transaction.receiverFee);
+            refundFee(_transactionID, Party.Receiver, transaction.receiverFee);
             transaction.receiverFee = 0;
         }
         executeRuling(_transactionID, uint(Party.Sender));
@@ -234,22 +346,77 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.senderFee != 0) {
-            transaction.sender.send(transaction.senderFee);
+            refundFee(_transactionID, Party.Sender, transaction.senderFee);
             transaction.senderFee = 0;
         }
         executeRuling(_transactionID, uint(Party.Receiver));
     }
 
     /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].sender, "The caller must be the sender.");
+
+        depositSenderFee(_transactionID);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].receiver, "The caller must be the receiver.");
+
+        depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Allow an address to pay the arbitration fee of the caller in its place. To be called by the sender or the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 to withdraw the approval.
+     */
+    function approveSponsor(uint _transactionID, address _sponsor) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(msg.sender == transaction.sender || msg.sender == transaction.receiver, "The caller must be the sender or the receiver.");
+        Party party = msg.sender == transaction.sender ? Party.Sender : Party.Receiver;
+
+        approvedSponsors[_transactionID][uint(party)] = _sponsor;
+        emit SponsorApproved(_transactionID, party, _sponsor);
+    }
+
+    /** @dev Pay the arbitration fee of a party in its place, e.g. as a legal-aid partner. To be called by the sponsor approved by the party. UNTRUSTED.
+     *  The refunds of the fee of the party go to the sponsor up to what it paid, while the rest and the amount of the transaction go to the party.
+     *  The fee of a party can only be paid by a single sponsor, but the party can still top it up itself, e.g. if the arbitration cost increases.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee to pay.
+     */
+    function sponsorArbitrationFee(uint _transactionID, Party _party) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        require(_party != Party.None, "The party must be the sender or the receiver.");
+        require(approvedSponsors[_transactionID][uint(_party)] == msg.sender, "The sponsor must be approved by the party.");
+        address sponsor = sponsors[_transactionID][uint(_party)];
+        uint paidFee = _party == Party.Sender ? transaction.senderFee : transaction.receiverFee;
+        require(sponsor == msg.sender || (sponsor == address(0) && paidFee == 0), "The fee of the party is already paid by someone else.");
+
+        sponsors[_transactionID][uint(_party)] = msg.sender;
+        sponsoredFees[_transactionID][uint(_party)] += msg.value;
+        emit FeeSponsored(_transactionID, _party, msg.sender, msg.value);
+
+        if (_party == Party.Sender)
+            depositSenderFee(_transactionID);
+        else
+            depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Add the value sent to the arbitration fee of the sender, and raise a dispute if both parties paid. UNTRUSTED.
      *  Note that the arbitrator can have `createDispute` throw, which will make this function throw and therefore lead to a party being timed-out.
      *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeBySender(uint _transactionID) public payable {
+    function depositSenderFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
-        require(msg.sender == transaction.sender, "The caller must be the sender.");
 
         transaction.senderFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -265,15 +432,15 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         }
     }
 
-    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
-     *  Note that this function mirrors payArbitrationFeeBySender.
+    /** @dev Add the value sent to the arbitration fee of the receiver, and raise a dispute if both parties paid. UNTRUSTED.
+     *  Note that this function mirrors depositSenderFee.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+    function depositReceiverFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
-        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
 
         transaction.receiverFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -295,24 +462,25 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
         transaction.rounds.length++;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
             uint extraFeeSender = transaction.senderFee - _arbitrationCost;
             transaction.senderFee = _arbitrationCost;
-            transaction.sender.send(extraFeeSender);
+            refundFee(_transactionID, Party.Sender, extraFeeSender);
         }
 
         // Refund receiver if it overpaid.
         if (transaction.receiverFee > _arbitrationCost) {
             uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
             transaction.receiverFee = _arbitrationCost;
-            transaction.receiver.send(extraFeeReceiver);
+            refundFee(_transactionID, Party.Receiver, extraFeeReceiver);
         }
     }
 
@@ -322,6 +490,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.receiver || msg.sender == transaction.sender,
             "The caller must be the receiver or the sender."
@@ -331,7 +500,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Takes up to the total amount required to fund a side of an appeal. Reimburses the rest. Creates an appeal if both sides are fully funded.
@@ -340,14 +509,15 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     function fundAppeal(uint _transactionID, Party _side) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(_side == Party.Sender || _side == Party.Receiver, "Wrong party.");
         require(transaction.status == Status.DisputeCreated, "No dispute to appeal");
-        require(arbitrator.disputeStatus(transaction.disputeId) == Arbitrator.DisputeStatus.Appealable, "Dispute is not appealable.");
+        require(setting.arbitrator.disputeStatus(transaction.disputeId) == Arbitrator.DisputeStatus.Appealable, "Dispute is not appealable.");
 
-        (uint appealPeriodStart, uint appealPeriodEnd) = arbitrator.appealPeriod(transaction.disputeId);
+        (uint appealPeriodStart, uint appealPeriodEnd) = setting.arbitrator.appealPeriod(transaction.disputeId);
         require(now >= appealPeriodStart && now < appealPeriodEnd, "Funding must be made within the appeal period.");
 
-        uint winner = arbitrator.currentRuling(transaction.disputeId);
+        uint winner = setting.arbitrator.currentRuling(transaction.disputeId);
         uint multiplier;
         if (winner == uint(_side)){
             multiplier = winnerStakeMultiplier;
@@ -361,7 +531,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         Round storage round = transaction.rounds[transaction.rounds.length - 1];
         require(!round.hasPaid[uint(_side)], "Appeal fee has already been paid.");
 
-        uint appealCost = arbitrator.appealCost(transaction.disputeId, arbitratorExtraData);
+        uint appealCost = setting.arbitrator.appealCost(transaction.disputeId, setting.arbitratorExtraData);
         uint totalCost = appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
 
         // Take up to the amount necessary to fund the current round at the current costs.
@@ -382,7 +552,7 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
 
         // Create an appeal if each side is funded.
         if (round.hasPaid[uint(Party.Sender)] && round.hasPaid[uint(Party.Receiver)]) {
-            arbitrator.appeal.value(appealCost)(transaction.disputeId, arbitratorExtraData);
+            setting.arbitrator.appeal.value(appealCost)(transaction.disputeId, setting.arbitratorExtraData);
             transaction.rounds.length++;
             round.feeRewards = round.feeRewards.subCap(appealCost);
         }
@@ -460,10 +630,10 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
      */
     function rule(uint _disputeID, uint _ruling) public {
         Party resultRuling = Party(_ruling);
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
         Round storage round = transaction.rounds[transaction.rounds.length - 1];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
         
         // If only one side paid its fees we assume the ruling to be in its favor.
@@ -498,16 +668,16 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         // Give the arbitration fee back.
         // Note that we use `send` to prevent a party from blocking the execution.
         if (_ruling == uint(Party.Sender)) {
-            transaction.sender.send(senderFee);
+            refundFee(_transactionID, Party.Sender, senderFee);
             require(transaction.token.transfer(transaction.sender, amount), "The `transfer` function must not fail.");
         } else if (_ruling == uint(Party.Receiver)) {
-            transaction.receiver.send(receiverFee);
+            refundFee(_transactionID, Party.Receiver, receiverFee);
             require(transaction.token.transfer(transaction.receiver, amount), "The `transfer` function must not fail.");
         } else {
             // `senderFee` and `receiverFee` are equal to the arbitration cost.
             uint splitArbitrationFee = senderFee / 2;
-            transaction.receiver.send(splitArbitrationFee);
-            transaction.sender.send(splitArbitrationFee);
+            refundFee(_transactionID, Party.Receiver, splitArbitrationFee);
+            refundFee(_transactionID, Party.Sender, splitArbitrationFee);
             // Tokens should not reenter or allow recipients to refuse the transfer.
             // In the case of an uneven token amount, one basic token unit can be burnt.
             require(transaction.token.transfer(transaction.receiver, amount / 2), "The `transfer` function must not fail.");
@@ -515,6 +685,127 @@ contract MultipleArbitrableTokenTransactionWithAppeals is IArbitrable {
         }
     }
 
+    /** @dev Refund an arbitration fee of a party. The refund goes to the sponsor of the party first, up to what it paid and was not refunded yet, and the rest to the party.
+     *  Note that we use `send` to prevent a party or a sponsor from blocking the execution.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party.
+     *  @param _fee The arbitration fee to refund.
+     */
+    function refundFee(uint _transactionID, Party _party, uint _fee) internal {
+        address party = _party == Party.Sender ? transactions[_transactionID].sender : transactions[_transactionID].receiver;
+        uint sponsorRefund = sponsoredFees[_transactionID][uint(_party)];
+        if (sponsorRefund > _fee)
+            sponsorRefund = _fee;
+        if (sponsorRefund != 0) {
+            sponsoredFees[_transactionID][uint(_party)] -= sponsorRefund;
+            sponsors[_transactionID][uint(_party)].send(sponsorRefund);
+        }
+        if (_fee != sponsorRefund)
+            party.send(_fee - sponsorRefund);
+    }
+
+    /** @dev Store a transaction of the caller whose tokens were received.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionIndex) {
+        transactionIndex = transactions.length++;
+        Transaction storage transaction = transactions[transactionIndex];
+        transaction.sender = msg.sender;
+        transaction.receiver = _receiver;
+        transaction.amount = _amount;
+        transaction.token = _token;
+        transaction.timeoutPayment = _timeoutPayment;
+        transaction.lastInteraction = now;
+
+        setArbitrator(transactionIndex, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactionIndex, _metaEvidence);
+        emit TransactionCreated(transactionIndex, msg.sender, _receiver, _token, _amount);
+    }
+
+    /** @dev Transfer tokens from an address to the contract without reverting if the transfer fails.
+     *  @param _token The ERC20 token contract.
+     *  @param _from The address to transfer the tokens from.
+     *  @param _amount The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function tryTransferFrom(ERC20 _token, address _from, uint _amount) internal returns (bool success) {
+        // A call to an address without code succeeds without transferring anything.
+        uint codeSize;
+        assembly { codeSize := extcodesize(_token) }
+        if (codeSize == 0)
+            return false;
+
+        success = address(_token).call(abi.encodeWithSignature("transferFrom(address,address,uint256)", _from, address(this), _amount));
+        if (!success)
+            return false;
+
+        // Tokens which do not return a value on success are accepted. Any other return value than a single non-zero word is a failure.
+        uint returned = 0;
+        assembly {
+            switch returndatasize
+            case 0 {
+                returned := 1
+            }
+            case 0x20 {
+                returndatacopy(0, 0, 0x20)
+                returned := mload(0)
+            }
+        }
+        return returned != 0;
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
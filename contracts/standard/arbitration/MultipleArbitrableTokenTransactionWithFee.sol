@@ -44,16 +44,40 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         uint receiverFee; // Total arbitration fees paid by the receiver.
         uint lastInteraction; // Last interaction for the dispute procedure.
         Status status;
+        uint feeBasisPoint; // The share of the feeRecipient in the payments of the transaction, set on creation from the fee schedule.
+    }
+
+    struct FeeSchedule {
+        uint[] thresholds; // The smallest transaction amount of each bracket, in increasing order. The first bracket starts at 0.
+        uint[] basisPoints; // The share of the feeRecipient for the transactions of each bracket, down to 2 decimal places as 550 = 5.5%.
     }
 
     address public feeRecipient; // Address which receives a share of receiver payment.
-    uint public feeRecipientBasisPoint; // The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+    // The fee schedule of each token. The schedule of token 0x0 is the default one, used by the tokens without a schedule of their own.
+    mapping (address => FeeSchedule) feeSchedules;
+    mapping (address => FeeSchedule) pendingFeeSchedules; // The fee schedules which can be applied once the timelock has passed.
+    mapping (address => uint) public pendingFeeScheduleTimes; // The time from which the pending fee schedule of each token can be applied.
+    uint public feeTimelock; // Time in seconds between the submission of a fee schedule and the moment it can be applied.
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
+    }
+
     Transaction[] public transactions;
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
 
-    mapping (uint => uint) public disputeIDtoTransactionID;
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -66,7 +90,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     event Payment(uint indexed _transactionID, uint _amount, address _party);
 
-    /** @dev To be emitted when a fee is received by the feeRecipient in Token.
+    /** @dev To be emitted on every release of the amount of a transaction, with the part received by the feeRecipient in Token.
      *  @param _transactionID The index of the transaction.
      *  @param _amount The amount paid.
      *  @param _token The Token Address.
@@ -79,6 +103,19 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     event FeeRecipientChanged(address indexed _oldFeeRecipient, address indexed _newFeeRecipient);
 
+    /** @dev To be emitted when the feeRecipient submits a fee schedule.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     *  @param _thresholds The smallest transaction amount of each bracket.
+     *  @param _basisPoints The share of the feeRecipient in each bracket.
+     *  @param _activationTime The time from which the schedule can be applied.
+     */
+    event FeeScheduleSubmitted(address indexed _token, uint[] _thresholds, uint[] _basisPoints, uint _activationTime);
+
+    /** @dev To be emitted when a pending fee schedule is applied.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     */
+    event FeeScheduleApplied(address indexed _token);
+
     /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
      *  @param _transactionID The index of the transaction.
      *  @param _party The party who has to pay.
@@ -101,31 +138,56 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, ERC20 _token, uint _amount);
 
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeRecipient Address which receives a share of receiver payment.
-     *  @param _feeRecipientBasisPoint The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     *  @param _feeRecipientBasisPoint The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%. It is the only bracket of the initial default fee schedule.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
+     *  @param _feeTimelock Time in seconds between the submission of a fee schedule and the moment it can be applied.
      */
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         address _feeRecipient,
         uint _feeRecipientBasisPoint,
-        uint _feeTimeout
+        uint _feeTimeout,
+        uint _feeTimelock
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeRecipient = _feeRecipient;
         // Basis point being set higher than 10000 will result in underflow, but it's the responsibility of the deployer of the contract.
-        feeRecipientBasisPoint = _feeRecipientBasisPoint;
+        feeSchedules[address(0)].thresholds.push(0);
+        feeSchedules[address(0)].basisPoints.push(_feeRecipientBasisPoint);
         feeTimeout = _feeTimeout;
+        feeTimelock = _feeTimelock;
     }
 
     /** @dev Create a transaction. UNTRUSTED.
@@ -142,33 +204,73 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         uint _timeoutPayment,
         address _receiver,
         string _metaEvidence
+    ) public returns (uint transactionIndex) {
+        return createTransactionWithArbitrator(_amount, _token, _timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
+
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one. UNTRUSTED.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
     ) public returns (uint transactionIndex) {
         // Transfers token from sender wallet to contract.
         require(_token.transferFrom(msg.sender, address(this), _amount), "Sender does not have enough approved funds.");
 
-        transactions.push(Transaction({
-            sender: msg.sender,
-            receiver: _receiver,
-            amount: _amount,
-            token: _token,
-            timeoutPayment: _timeoutPayment,
-            disputeId: 0,
-            senderFee: 0,
-            receiverFee: 0,
-            lastInteraction: now,
-            status: Status.NoDispute
-        }));
-        emit MetaEvidence(transactions.length - 1, _metaEvidence);
-        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _token, _amount);
+        return addTransaction(_amount, _token, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
+    }
 
-        return transactions.length - 1;
+    /** @dev Create a batch of transactions of the same token, sharing the same meta-evidence. UNTRUSTED.
+     *  A transaction whose tokens cannot be transferred from the sender, e.g. because the allowance is exhausted, is skipped and reported.
+     *  @param _amounts The amounts of tokens of the transactions.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayments Times after which a party automatically loses a dispute, for each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        ERC20 _token,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (!tryTransferFrom(_token, msg.sender, _amounts[i])) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            addTransaction(_amounts[i], _token, _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
     }
 
-    /** @dev Calculate the amount to be paid according to feeRecipientBasisPoint for a particular amount.
+    /** @dev Calculate the amount to be paid to the feeRecipient for a particular amount of a transaction.
+     *  @param _transaction The transaction.
      *  @param _amount Amount to pay.
      */
-    function calculateFeeRecipientAmount(uint _amount) internal view returns(uint feeAmount){
-        feeAmount = (_amount * feeRecipientBasisPoint) / 10000;
+    function calculateFeeRecipientAmount(Transaction storage _transaction, uint _amount) internal view returns(uint feeAmount){
+        feeAmount = (_amount * _transaction.feeBasisPoint) / 10000;
     }
 
     /** @dev Change Fee Recipient.
@@ -181,6 +283,51 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         emit FeeRecipientChanged(msg.sender, _newFeeRecipient);
     }
 
+    /** @dev Submit a fee schedule for a token, to be applied once the timelock has passed. Replaces the pending schedule of the token, if any.
+     *  The fee of a transaction is set on its creation, so the schedule only applies to the transactions created after it.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     *  @param _thresholds The smallest transaction amount of each bracket, in increasing order, starting at 0. Empty to remove the schedule of a token, which will use the default schedule instead.
+     *  @param _basisPoints The share of the feeRecipient in each bracket, down to 2 decimal places as 550 = 5.5%.
+     */
+    function submitFeeSchedule(address _token, uint[] _thresholds, uint[] _basisPoints) public {
+        require(msg.sender == feeRecipient, "The caller must be the current Fee Recipient");
+        require(_token != address(0) || _thresholds.length > 0, "The default schedule must have at least one bracket.");
+        requireValidFeeSchedule(_thresholds, _basisPoints);
+
+        FeeSchedule storage pendingFeeSchedule = pendingFeeSchedules[_token];
+        pendingFeeSchedule.thresholds = _thresholds;
+        pendingFeeSchedule.basisPoints = _basisPoints;
+        pendingFeeScheduleTimes[_token] = now + feeTimelock;
+
+        emit FeeScheduleSubmitted(_token, _thresholds, _basisPoints, now + feeTimelock);
+    }
+
+    /** @dev Apply the pending fee schedule of a token once the timelock has passed.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     */
+    function applyFeeSchedule(address _token) public {
+        require(pendingFeeScheduleTimes[_token] != 0, "There is no pending fee schedule.");
+        require(now >= pendingFeeScheduleTimes[_token], "The timelock has not passed yet.");
+
+        feeSchedules[_token] = pendingFeeSchedules[_token];
+        delete pendingFeeSchedules[_token];
+        pendingFeeScheduleTimes[_token] = 0;
+
+        emit FeeScheduleApplied(_token);
+    }
+
+    /** @dev Check that brackets are well formed. Thresholds must be increasing and start at 0, and basis points can't exceed 100%.
+     *  @param _thresholds The smallest transaction amount of each bracket.
+     *  @param _basisPoints The share of the feeRecipient in each bracket.
+     */
+    function requireValidFeeSchedule(uint[] _thresholds, uint[] _basisPoints) internal pure {
+        require(_thresholds.length == _basisPoints.length, "There must be one basis point per bracket.");
+        for (uint i = 0; i < _thresholds.length; i++) {
+            require(i == 0 ? _thresholds[i] == 0 : _thresholds[i] > _thresholds[i - 1], "The thresholds must be increasing and start at 0.");
+            require(_basisPoints[i] <= 10000, "The basis points can't exceed 10000.");
+        }
+    }
+
     /** @dev Pay receiver. To be called if the good or service is provided. UNTRUSTED.
      *  @param _transactionID The index of the transaction.
      *  @param _amount Amount to pay in tokens.
@@ -192,7 +339,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         require(_amount <= transaction.amount, "The amount paid has to be less than or equal to the transaction.");
 
         transaction.amount -= _amount;
-        uint feeAmount = calculateFeeRecipientAmount(_amount);
+        uint feeAmount = calculateFeeRecipientAmount(transaction, _amount);
 
         // Tokens should not reenter or allow recipients to refuse the transfer.
         transaction.token.transfer(feeRecipient, feeAmount); // It is the responsibility of the feeRecipient to accept Token.
@@ -228,7 +375,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         uint amount = transaction.amount;
         transaction.amount = 0;
         transaction.status = Status.Resolved;
-        uint feeAmount = calculateFeeRecipientAmount(amount);
+        uint feeAmount = calculateFeeRecipientAmount(transaction, amount);
 
         transaction.token.transfer(feeRecipient, feeAmount);
         require(transaction.token.transfer(transaction.receiver, amount - feeAmount), "The `transfer` function must not fail.");
@@ -237,6 +384,21 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         emit FeeRecipientPaymentInToken(_transactionID, feeAmount, transaction.token);
     }
 
+    /** @dev Execute a batch of transactions whose timeout has passed. UNTRUSTED.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its token transfer fails, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
+    }
+
     /** @dev Reimburse sender if receiver fails to pay the fee. UNTRUSTED.
      *  @param _transactionID The index of the transaction.
      */
@@ -274,7 +436,8 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     function payArbitrationFeeBySender(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
         require(msg.sender == transaction.sender, "The caller must be the sender.");
 
@@ -298,7 +461,8 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     function payArbitrationFeeByReceiver(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created.");
         require(msg.sender == transaction.receiver, "The caller must be the receiver.");
 
@@ -322,10 +486,11 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
@@ -348,6 +513,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.receiver || msg.sender == transaction.sender,
             "The caller must be the receiver or the sender."
@@ -357,7 +523,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Appeal an appealable ruling. UNTRUSTED.
@@ -367,8 +533,9 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      */
     function appeal(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
 
-        arbitrator.appeal.value(msg.value)(transaction.disputeId, arbitratorExtraData);
+        setting.arbitrator.appeal.value(msg.value)(transaction.disputeId, setting.arbitratorExtraData);
     }
 
     /** @dev Give a ruling for a dispute. Must be called by the arbitrator to enforce the final ruling.
@@ -377,9 +544,9 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
      */
     function rule(uint _disputeID, uint _ruling) public {
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
 
         emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
@@ -411,8 +578,10 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         if (_ruling == uint(RulingOptions.SenderWins)) {
             transaction.sender.send(senderArbitrationFee);
             require(transaction.token.transfer(transaction.sender, amount), "The `transfer` function must not fail.");
+
+            emit FeeRecipientPaymentInToken(_transactionID, 0, transaction.token);
         } else if (_ruling == uint(RulingOptions.ReceiverWins)) {
-            feeAmount = calculateFeeRecipientAmount(amount);
+            feeAmount = calculateFeeRecipientAmount(transaction, amount);
 
             transaction.receiver.send(receiverArbitrationFee);
             transaction.token.transfer(feeRecipient, feeAmount);
@@ -423,7 +592,7 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
             // `senderFee` and `receiverFee` are equal to the arbitration cost.
             uint splitArbitration = senderArbitrationFee / 2;
             uint splitAmount = amount / 2;
-            feeAmount = calculateFeeRecipientAmount(splitAmount);
+            feeAmount = calculateFeeRecipientAmount(transaction, splitAmount);
 
             transaction.sender.send(splitArbitration);
             transaction.receiver.send(splitArbitration);
@@ -436,6 +605,114 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         }
     }
 
+    /** @dev Store a transaction of the caller whose tokens were received.
+     *  @param _amount The amount of tokens in this transaction.
+     *  @param _token The ERC20 token contract.
+     *  @param _timeoutPayment Time after which a party automatically loses a dispute.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        ERC20 _token,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionIndex) {
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: _amount,
+            token: _token,
+            timeoutPayment: _timeoutPayment,
+            disputeId: 0,
+            senderFee: 0,
+            receiverFee: 0,
+            lastInteraction: now,
+            status: Status.NoDispute,
+            feeBasisPoint: getFeeBasisPoint(_token, _amount)
+        }));
+        setArbitrator(transactions.length - 1, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactions.length - 1, _metaEvidence);
+        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _token, _amount);
+
+        return transactions.length - 1;
+    }
+
+    /** @dev Transfer tokens from an address to the contract without reverting if the transfer fails.
+     *  @param _token The ERC20 token contract.
+     *  @param _from The address to transfer the tokens from.
+     *  @param _amount The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function tryTransferFrom(ERC20 _token, address _from, uint _amount) internal returns (bool success) {
+        // A call to an address without code succeeds without transferring anything.
+        uint codeSize;
+        assembly { codeSize := extcodesize(_token) }
+        if (codeSize == 0)
+            return false;
+
+        success = address(_token).call(abi.encodeWithSignature("transferFrom(address,address,uint256)", _from, address(this), _amount));
+        if (!success)
+            return false;
+
+        // Tokens which do not return a value on success are accepted. Any other return value than a single non-zero word is a failure.
+        uint returned = 0;
+        assembly {
+            switch returndatasize
+            case 0 {
+                returned := 1
+            }
+            case 0x20 {
+                returndatacopy(0, 0, 0x20)
+                returned := mload(0)
+            }
+        }
+        return returned != 0;
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
@@ -447,6 +724,43 @@ contract MultipleArbitrableTokenTransactionWithFee is IArbitrable {
         return transactions.length;
     }
 
+    /** @dev Get the share of the feeRecipient for a new transaction.
+     *  @param _token The token of the transaction.
+     *  @param _amount The amount of the transaction.
+     *  @return feeBasisPoint The share of the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     */
+    function getFeeBasisPoint(address _token, uint _amount) public view returns (uint feeBasisPoint) {
+        FeeSchedule storage schedule = feeSchedules[_token].thresholds.length > 0 ? feeSchedules[_token] : feeSchedules[address(0)];
+        for (uint i = schedule.thresholds.length; i > 0; i--) {
+            if (_amount >= schedule.thresholds[i - 1])
+                return schedule.basisPoints[i - 1];
+        }
+    }
+
+    /** @dev Get the share of the feeRecipient in the first bracket of the default fee schedule, used by the tokens without their own.
+     *  It is the share of every transaction if the schedule has a single bracket, as with the former fixed fee.
+     *  @return feeBasisPoint The share of the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     */
+    function feeRecipientBasisPoint() public view returns (uint feeBasisPoint) {
+        return getFeeBasisPoint(address(0), 0);
+    }
+
+    /** @dev Get the fee schedule of a token. Empty if the token uses the default schedule.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     *  @return The brackets of the schedule.
+     */
+    function getFeeSchedule(address _token) public view returns (uint[] thresholds, uint[] basisPoints) {
+        return (feeSchedules[_token].thresholds, feeSchedules[_token].basisPoints);
+    }
+
+    /** @dev Get the pending fee schedule of a token.
+     *  @param _token The token of the schedule. 0x0 for the default schedule.
+     *  @return The brackets of the schedule and the time from which it can be applied, 0 if there is no pending schedule.
+     */
+    function getPendingFeeSchedule(address _token) public view returns (uint[] thresholds, uint[] basisPoints, uint activationTime) {
+        return (pendingFeeSchedules[_token].thresholds, pendingFeeSchedules[_token].basisPoints, pendingFeeScheduleTimes[_token]);
+    }
+
     /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
      *  This function must be used by the UI and not by other smart contracts.
      *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
@@ -18,9 +18,10 @@ contract MultipleArbitrableTransaction is IArbitrable {
     // *    Contract variables    * //
     // **************************** //
 
-    uint8 constant AMOUNT_OF_CHOICES = 2;
+    uint8 constant AMOUNT_OF_CHOICES = 2; // The ruling options of every transaction. Split ruling options come after them.
     uint8 constant SENDER_WINS = 1;
     uint8 constant RECEIVER_WINS = 2;
+    uint public constant BASIS_POINT_DIVISOR = 10000; // Divisor of the shares of split ruling options.
 
     enum Party {Sender, Receiver}
     enum Status {NoDispute, WaitingSender, WaitingReceiver, DisputeCreated, Resolved}
@@ -35,15 +36,33 @@ contract MultipleArbitrableTransaction is IArbitrable {
         uint receiverFee; // Total fees paid by the receiver.
         uint lastInteraction; // Last interaction for the dispute procedure.
         Status status;
+        uint[] splits; // The share of the receiver, in basis points, of each additional ruling option. Ruling option 3 + i splits the amount and the arbitration fee according to splits[i].
+    }
+
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
     }
 
     Transaction[] public transactions;
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
 
 
-    mapping (uint => uint) public disputeIDtoTransactionID; // One-to-one relationship between the dispute and the transaction.
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+    mapping (uint => mapping (uint => address)) public sponsors; // sponsors[transactionID][party] is the address which pays the arbitration fee of the party in its place, if any.
+    mapping (uint => mapping (uint => uint)) public sponsoredFees; // sponsoredFees[transactionID][party] is the part of the arbitration fee of the party paid by its sponsor and not refunded yet.
+    mapping (uint => mapping (uint => address)) public approvedSponsors; // approvedSponsors[transactionID][party] is the address the party allows to pay its arbitration fee in its place, if any.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -62,6 +81,21 @@ contract MultipleArbitrableTransaction is IArbitrable {
      */
     event HasToPayFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when a third party pays the arbitration fee of a party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee is paid.
+     *  @param _sponsor The address paying the fee, which gets the fee refunds of the party.
+     *  @param _amount The amount paid.
+     */
+    event FeeSponsored(uint indexed _transactionID, Party _party, address indexed _sponsor, uint _amount);
+
+    /** @dev To be emitted when a party allows an address to pay its arbitration fee in its place.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party approving the sponsor.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 if the approval is withdrawn.
+     */
+    event SponsorApproved(uint indexed _transactionID, Party _party, address indexed _sponsor);
+
     /** @dev To be raised when a ruling is given.
      *  @param _arbitrator The arbitrator giving the ruling.
      *  @param _disputeID ID of the dispute in the Arbitrator contract.
@@ -77,23 +111,49 @@ contract MultipleArbitrableTransaction is IArbitrable {
      */
     event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, uint _amount);
 
+    /** @dev Emitted when a transaction is executed after its timeout.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecuted(uint indexed _transactionID);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
      */
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         uint _feeTimeout
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeTimeout = _feeTimeout;
     }
 
@@ -108,21 +168,80 @@ contract MultipleArbitrableTransaction is IArbitrable {
         address _receiver,
         string _metaEvidence
     ) public payable returns (uint transactionID) {
-        transactions.push(Transaction({
-            sender: msg.sender,
-            receiver: _receiver,
-            amount: msg.value,
-            timeoutPayment: _timeoutPayment,
-            disputeId: 0,
-            senderFee: 0,
-            receiverFee: 0,
-            lastInteraction: now,
-            status: Status.NoDispute
-        }));
-        emit MetaEvidence(transactions.length - 1, _metaEvidence);
-        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, msg.value);
+        return addTransaction(msg.value, _timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
 
-        return transactions.length - 1;
+    /** @dev Create a transaction whose disputes can also be ruled with a split of the amount between the parties.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _splits The share of the receiver, in basis points, of each ruling option added after "Pay Receiver". They should be described in the meta-evidence.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransactionWithSplits(
+        uint _timeoutPayment,
+        address _receiver,
+        uint[] _splits,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        transactionID = addTransaction(msg.value, _timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+        setSplits(transactions[transactionID], _splits);
+    }
+
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _splits The share of the receiver, in basis points, of each ruling option added after "Pay Receiver". They should be described in the meta-evidence.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _timeoutPayment,
+        address _receiver,
+        uint[] _splits,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        transactionID = addTransaction(msg.value, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
+        setSplits(transactions[transactionID], _splits);
+    }
+
+    /** @dev Create a batch of transactions sharing the same meta-evidence.
+     *  The value sent is split between the transactions in order. A transaction whose amount exceeds the remaining value is skipped and reported, and the value left is refunded.
+     *  @param _amounts The amounts of the transactions, in wei.
+     *  @param _timeoutPayments Times after which a party can automatically execute each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public payable returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        uint remainingValue = msg.value;
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (_amounts[i] > remainingValue) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            remainingValue -= _amounts[i];
+            addTransaction(_amounts[i], _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
+
+        if (remainingValue > 0)
+            msg.sender.transfer(remainingValue);
     }
 
     /** @dev Pay receiver. To be called if the good or service is provided.
@@ -167,6 +286,22 @@ contract MultipleArbitrableTransaction is IArbitrable {
         transaction.amount = 0;
 
         transaction.status = Status.Resolved;
+        emit TransactionExecuted(_transactionID);
+    }
+
+    /** @dev Execute a batch of transactions whose timeout has passed.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its receiver rejects the payment, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
     }
 
     /** @dev Reimburse sender if receiver fails to pay the fee.
@@ -178,7 +313,7 @@ contract MultipleArbitrableTransaction is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.receiverFee != 0) {
-            transaction.receiver.send(transaction.receiverFee);
+            sendToParty(_transactionID, Party.Receiver, 0, transaction.receiverFee);
             transaction.receiverFee = 0;
         }
         executeRuling(_transactionID, SENDER_WINS);
@@ -193,23 +328,77 @@ contract MultipleArbitrableTransaction is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.senderFee != 0) {
-            transaction.sender.send(transaction.senderFee);
+            sendToParty(_transactionID, Party.Sender, 0, transaction.senderFee);
             transaction.senderFee = 0;
         }
         executeRuling(_transactionID, RECEIVER_WINS);
     }
 
     /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].sender, "The caller must be the sender.");
+
+        depositSenderFee(_transactionID);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].receiver, "The caller must be the receiver.");
+
+        depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Allow an address to pay the arbitration fee of the caller in its place. To be called by the sender or the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 to withdraw the approval.
+     */
+    function approveSponsor(uint _transactionID, address _sponsor) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(msg.sender == transaction.sender || msg.sender == transaction.receiver, "The caller must be the sender or the receiver.");
+        Party party = msg.sender == transaction.sender ? Party.Sender : Party.Receiver;
+
+        approvedSponsors[_transactionID][uint(party)] = _sponsor;
+        emit SponsorApproved(_transactionID, party, _sponsor);
+    }
+
+    /** @dev Pay the arbitration fee of a party in its place, e.g. as a legal-aid partner. To be called by the sponsor approved by the party. UNTRUSTED.
+     *  The refunds of the fee of the party go to the sponsor up to what it paid, while the rest and the amount of the transaction go to the party.
+     *  The fee of a party can only be paid by a single sponsor, but the party can still top it up itself, e.g. if the arbitration cost increases.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee to pay.
+     */
+    function sponsorArbitrationFee(uint _transactionID, Party _party) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        require(approvedSponsors[_transactionID][uint(_party)] == msg.sender, "The sponsor must be approved by the party.");
+        address sponsor = sponsors[_transactionID][uint(_party)];
+        uint paidFee = _party == Party.Sender ? transaction.senderFee : transaction.receiverFee;
+        require(sponsor == msg.sender || (sponsor == address(0) && paidFee == 0), "The fee of the party is already paid by someone else.");
+
+        sponsors[_transactionID][uint(_party)] = msg.sender;
+        sponsoredFees[_transactionID][uint(_party)] += msg.value;
+        emit FeeSponsored(_transactionID, _party, msg.sender, msg.value);
+
+        if (_party == Party.Sender)
+            depositSenderFee(_transactionID);
+        else
+            depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Add the value sent to the arbitration fee of the sender, and raise a dispute if both parties paid. UNTRUSTED.
      *  Note that the arbitrator can have createDispute throw, which will make this function throw and therefore lead to a party being timed-out.
      *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeBySender(uint _transactionID) public payable {
+    function depositSenderFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
-        require(msg.sender == transaction.sender, "The caller must be the sender.");
 
         transaction.senderFee += msg.value;
         // Require that the total pay at least the arbitration cost.
@@ -226,16 +415,16 @@ contract MultipleArbitrableTransaction is IArbitrable {
         }
     }
 
-    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
-     *  Note that this function mirrors payArbitrationFeeBySender.
+    /** @dev Add the value sent to the arbitration fee of the receiver, and raise a dispute if both parties paid. UNTRUSTED.
+     *  Note that this function mirrors depositSenderFee.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+    function depositReceiverFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
-        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
 
         transaction.receiverFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -257,23 +446,24 @@ contract MultipleArbitrableTransaction is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES + transaction.splits.length, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
             uint extraFeeSender = transaction.senderFee - _arbitrationCost;
             transaction.senderFee = _arbitrationCost;
-            transaction.sender.send(extraFeeSender);
+            sendToParty(_transactionID, Party.Sender, 0, extraFeeSender);
         }
 
         // Refund receiver if it overpaid.
         if (transaction.receiverFee > _arbitrationCost) {
             uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
             transaction.receiverFee = _arbitrationCost;
-            transaction.receiver.send(extraFeeReceiver);
+            sendToParty(_transactionID, Party.Receiver, 0, extraFeeReceiver);
         }
     }
 
@@ -283,6 +473,7 @@ contract MultipleArbitrableTransaction is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.sender || msg.sender == transaction.receiver,
             "The caller must be the sender or the receiver."
@@ -292,7 +483,7 @@ contract MultipleArbitrableTransaction is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Appeal an appealable ruling.
@@ -302,8 +493,9 @@ contract MultipleArbitrableTransaction is IArbitrable {
      */
     function appeal(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
 
-        arbitrator.appeal.value(msg.value)(transaction.disputeId, arbitratorExtraData);
+        setting.arbitrator.appeal.value(msg.value)(transaction.disputeId, setting.arbitratorExtraData);
     }
 
     /** @dev Give a ruling for a dispute. Must be called by the arbitrator.
@@ -312,9 +504,9 @@ contract MultipleArbitrableTransaction is IArbitrable {
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
      */
     function rule(uint _disputeID, uint _ruling) public {
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
 
         emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
@@ -324,22 +516,30 @@ contract MultipleArbitrableTransaction is IArbitrable {
 
     /** @dev Execute a ruling of a dispute. It reimburses the fee to the winning party.
      *  @param _transactionID The index of the transaction.
-     *  @param _ruling Ruling given by the arbitrator. 1 : Reimburse the receiver. 2 : Pay the sender.
+     *  @param _ruling Ruling given by the arbitrator. 1 : Reimburse the receiver. 2 : Pay the sender. 3 + i : Split according to splits[i].
      */
     function executeRuling(uint _transactionID, uint _ruling) internal {
         Transaction storage transaction = transactions[_transactionID];
-        require(_ruling <= AMOUNT_OF_CHOICES, "Invalid ruling.");
+        require(_ruling <= AMOUNT_OF_CHOICES + transaction.splits.length, "Invalid ruling.");
 
         // Give the arbitration fee back.
         // Note that we use send to prevent a party from blocking the execution.
         if (_ruling == SENDER_WINS) {
-            transaction.sender.send(transaction.senderFee + transaction.amount);
+            sendToParty(_transactionID, Party.Sender, transaction.amount, transaction.senderFee);
         } else if (_ruling == RECEIVER_WINS) {
-            transaction.receiver.send(transaction.receiverFee + transaction.amount);
-        } else {
+            sendToParty(_transactionID, Party.Receiver, transaction.amount, transaction.receiverFee);
+        } else if (_ruling == 0) {
             uint split_amount = (transaction.senderFee + transaction.amount) / 2;
-            transaction.sender.send(split_amount);
-            transaction.receiver.send(split_amount);
+            uint split_fee = transaction.senderFee / 2;
+            sendToParty(_transactionID, Party.Sender, split_amount - split_fee, split_fee);
+            sendToParty(_transactionID, Party.Receiver, split_amount - split_fee, split_fee);
+        } else {
+            // The arbitration fee left, equal to the arbitration cost, follows the same split as the amount.
+            uint receiverShare = transaction.splits[_ruling - AMOUNT_OF_CHOICES - 1];
+            uint receiverFee = (transaction.senderFee * receiverShare) / BASIS_POINT_DIVISOR;
+            uint receiverAmount = (transaction.amount * receiverShare) / BASIS_POINT_DIVISOR;
+            sendToParty(_transactionID, Party.Sender, transaction.amount - receiverAmount, transaction.senderFee - receiverFee);
+            sendToParty(_transactionID, Party.Receiver, receiverAmount, receiverFee);
         }
 
         transaction.amount = 0;
@@ -348,6 +548,110 @@ contract MultipleArbitrableTransaction is IArbitrable {
         transaction.status = Status.Resolved;
     }
 
+    /** @dev Store a transaction of the caller whose amount was received.
+     *  @param _amount The amount of the transaction, in wei.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionID) {
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: _amount,
+            timeoutPayment: _timeoutPayment,
+            disputeId: 0,
+            senderFee: 0,
+            receiverFee: 0,
+            lastInteraction: now,
+            status: Status.NoDispute,
+            splits: new uint[](0)
+        }));
+        setArbitrator(transactions.length - 1, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactions.length - 1, _metaEvidence);
+        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _amount);
+
+        return transactions.length - 1;
+    }
+
+    /** @dev Set the split ruling options of a transaction.
+     *  @param _transaction The transaction.
+     *  @param _splits The share of the receiver, in basis points, of each split ruling option.
+     */
+    function setSplits(Transaction storage _transaction, uint[] _splits) internal {
+        for (uint i = 0; i < _splits.length; i++)
+            require(_splits[i] <= BASIS_POINT_DIVISOR, "The share of the receiver cannot be higher than the amount.");
+        _transaction.splits = _splits;
+    }
+
+    /** @dev Send an amount and a fee refund to a party. The fee refund goes to the sponsor of the party first, up to what it paid and was not refunded yet.
+     *  Note that we use send to prevent a party or a sponsor from blocking the execution.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party.
+     *  @param _amount The amount of the transaction to send to the party.
+     *  @param _fee The arbitration fee to refund.
+     */
+    function sendToParty(uint _transactionID, Party _party, uint _amount, uint _fee) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        address party = _party == Party.Sender ? transaction.sender : transaction.receiver;
+        uint sponsorRefund = sponsoredFees[_transactionID][uint(_party)];
+        if (sponsorRefund > _fee)
+            sponsorRefund = _fee;
+        if (sponsorRefund != 0) {
+            sponsoredFees[_transactionID][uint(_party)] -= sponsorRefund;
+            sponsors[_transactionID][uint(_party)].send(sponsorRefund);
+        }
+        if (_amount + _fee - sponsorRefund != 0)
+            party.send(_amount + _fee - sponsorRefund);
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
@@ -359,6 +663,14 @@ contract MultipleArbitrableTransaction is IArbitrable {
         return transactions.length;
     }
 
+    /** @dev Get the receiver's shares of the split ruling options of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @return splits The share of the receiver, in basis points, of ruling option 3 + i.
+     */
+    function getSplits(uint _transactionID) public view returns (uint[] splits) {
+        return transactions[_transactionID].splits;
+    }
+
     /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
      *  This function must be used by the UI and not by other smart contracts.
      *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
@@ -46,9 +46,15 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         mapping(address => uint[3]) contributions; // Maps contributors to their contributions for each side.
     }
 
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
+    }
+
     Transaction[] public transactions;
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
     
     uint public sharedStakeMultiplier; // Multiplier for calculating the appeal fee that must be paid by submitter in the case where there is no winner or loser (e.g. when the arbitrator ruled "refuse to arbitrate").
@@ -56,7 +62,18 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
     uint public loserStakeMultiplier; // Multiplier for calculating the appeal fee of the party that lost the previous round.
 
 
-    mapping (uint => uint) public disputeIDtoTransactionID; // One-to-one relationship between the dispute and the transaction.
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+    mapping (uint => mapping (uint => address)) public sponsors; // sponsors[transactionID][party] is the address which pays the arbitration fee of the party in its place, if any.
+    mapping (uint => mapping (uint => uint)) public sponsoredFees; // sponsoredFees[transactionID][party] is the part of the arbitration fee of the party paid by its sponsor and not refunded yet.
+    mapping (uint => mapping (uint => address)) public approvedSponsors; // approvedSponsors[transactionID][party] is the address the party allows to pay its arbitration fee in its place, if any.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -75,6 +92,21 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     event HasToPayFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when a third party pays the arbitration fee of a party.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee is paid.
+     *  @param _sponsor The address paying the fee, which gets the fee refunds of the party.
+     *  @param _amount The amount paid.
+     */
+    event FeeSponsored(uint indexed _transactionID, Party _party, address indexed _sponsor, uint _amount);
+
+    /** @dev To be emitted when a party allows an address to pay its arbitration fee in its place.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party approving the sponsor.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 if the approval is withdrawn.
+     */
+    event SponsorApproved(uint indexed _transactionID, Party _party, address indexed _sponsor);
+
     /** @dev To be raised when a ruling is given.
      *  @param _arbitrator The arbitrator giving the ruling.
      *  @param _disputeID ID of the dispute in the Arbitrator contract.
@@ -96,14 +128,33 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     event HasPaidAppealFee(uint indexed _transactionID, Party _party);
 
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
      *  @param _sharedStakeMultiplier Multiplier of the appeal cost that submitter must pay for a round when there is no winner/loser in the previous round. In basis points.
      *  @param _winnerStakeMultiplier Multiplier of the appeal cost that the winner has to pay for a round. In basis points.
@@ -112,6 +163,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         uint _feeTimeout,
         uint _sharedStakeMultiplier,
         uint _winnerStakeMultiplier,
@@ -119,6 +171,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeTimeout = _feeTimeout;
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
@@ -136,17 +189,60 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         address _receiver,
         string _metaEvidence
     ) public payable returns (uint transactionID) {
-        
-        transactionID = transactions.length++;
-        Transaction storage transaction = transactions[transactionID];
-        transaction.sender = msg.sender;
-        transaction.receiver = _receiver;
-        transaction.amount = msg.value;
-        transaction.timeoutPayment = _timeoutPayment;
-        transaction.lastInteraction = now;
+        return createTransactionWithArbitrator(_timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
 
-        emit MetaEvidence(transactionID, _metaEvidence);
-        emit TransactionCreated(transactionID, msg.sender, _receiver, msg.value);
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        return addTransaction(msg.value, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
+    }
+
+    /** @dev Create a batch of transactions sharing the same meta-evidence.
+     *  The value sent is split between the transactions in order. A transaction whose amount exceeds the remaining value is skipped and reported, and the value left is refunded.
+     *  @param _amounts The amounts of the transactions, in wei.
+     *  @param _timeoutPayments Times after which a party can automatically execute each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public payable returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        uint remainingValue = msg.value;
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (_amounts[i] > remainingValue) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            remainingValue -= _amounts[i];
+            addTransaction(_amounts[i], _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
+
+        if (remainingValue > 0)
+            msg.sender.transfer(remainingValue);
     }
 
     /** @dev Pay receiver. To be called if the good or service is provided.
@@ -193,6 +289,21 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         transaction.status = Status.Resolved;
     }
 
+    /** @dev Execute a batch of transactions whose timeout has passed.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its receiver rejects the payment, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
+    }
+
     /** @dev Reimburse sender if receiver fails to pay the fee.
      *  @param _transactionID The index of the transaction.
      */
@@ -202,7 +313,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.receiverFee != 0) {
-            transaction.receiver.send(transaction.receiverFee);
+            sendToParty(_transactionID, Party.Receiver, 0, transaction.receiverFee);
             transaction.receiverFee = 0;
         }
         executeRuling(_transactionID, uint(Party.Sender));
@@ -217,23 +328,78 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         require(now - transaction.lastInteraction >= feeTimeout, "Timeout time has not passed yet.");
 
         if (transaction.senderFee != 0) {
-            transaction.sender.send(transaction.senderFee);
+            sendToParty(_transactionID, Party.Sender, 0, transaction.senderFee);
             transaction.senderFee = 0;
         }
         executeRuling(_transactionID, uint(Party.Receiver));
     }
 
     /** @dev Pay the arbitration fee to raise a dispute. To be called by the sender. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeBySender(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].sender, "The caller must be the sender.");
+
+        depositSenderFee(_transactionID);
+    }
+
+    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     */
+    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+        require(msg.sender == transactions[_transactionID].receiver, "The caller must be the receiver.");
+
+        depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Allow an address to pay the arbitration fee of the caller in its place. To be called by the sender or the receiver. UNTRUSTED.
+     *  @param _transactionID The index of the transaction.
+     *  @param _sponsor The address allowed to pay the fee, 0x0 to withdraw the approval.
+     */
+    function approveSponsor(uint _transactionID, address _sponsor) public {
+        Transaction storage transaction = transactions[_transactionID];
+        require(msg.sender == transaction.sender || msg.sender == transaction.receiver, "The caller must be the sender or the receiver.");
+        Party party = msg.sender == transaction.sender ? Party.Sender : Party.Receiver;
+
+        approvedSponsors[_transactionID][uint(party)] = _sponsor;
+        emit SponsorApproved(_transactionID, party, _sponsor);
+    }
+
+    /** @dev Pay the arbitration fee of a party in its place, e.g. as a legal-aid partner. To be called by the sponsor approved by the party. UNTRUSTED.
+     *  The refunds of the fee of the party go to the sponsor up to what it paid, while the rest and the amount of the transaction go to the party.
+     *  The fee of a party can only be paid by a single sponsor, but the party can still top it up itself, e.g. if the arbitration cost increases.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party whose fee to pay.
+     */
+    function sponsorArbitrationFee(uint _transactionID, Party _party) public payable {
+        Transaction storage transaction = transactions[_transactionID];
+        require(_party != Party.None, "The party must be the sender or the receiver.");
+        require(approvedSponsors[_transactionID][uint(_party)] == msg.sender, "The sponsor must be approved by the party.");
+        address sponsor = sponsors[_transactionID][uint(_party)];
+        uint paidFee = _party == Party.Sender ? transaction.senderFee : transaction.receiverFee;
+        require(sponsor == msg.sender || (sponsor == address(0) && paidFee == 0), "The fee of the party is already paid by someone else.");
+
+        sponsors[_transactionID][uint(_party)] = msg.sender;
+        sponsoredFees[_transactionID][uint(_party)] += msg.value;
+        emit FeeSponsored(_transactionID, _party, msg.sender, msg.value);
+
+        if (_party == Party.Sender)
+            depositSenderFee(_transactionID);
+        else
+            depositReceiverFee(_transactionID);
+    }
+
+    /** @dev Add the value sent to the arbitration fee of the sender, and raise a dispute if both parties paid. UNTRUSTED.
      *  Note that the arbitrator can have createDispute throw, which will make this function throw and therefore lead to a party being timed-out.
      *  This is not a vulnerability as the arbitrator can rule in favor of one party anyway.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeBySender(uint _transactionID) public payable {
+    function depositSenderFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
-        require(msg.sender == transaction.sender, "The caller must be the sender.");
 
         transaction.senderFee += msg.value;
         // Require that the total pay at least the arbitration cost.
@@ -250,16 +416,16 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         }
     }
 
-    /** @dev Pay the arbitration fee to raise a dispute. To be called by the receiver. UNTRUSTED.
-     *  Note that this function mirrors payArbitrationFeeBySender.
+    /** @dev Add the value sent to the arbitration fee of the receiver, and raise a dispute if both parties paid. UNTRUSTED.
+     *  Note that this function mirrors depositSenderFee.
      *  @param _transactionID The index of the transaction.
      */
-    function payArbitrationFeeByReceiver(uint _transactionID) public payable {
+    function depositReceiverFee(uint _transactionID) internal {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
-        require(msg.sender == transaction.receiver, "The caller must be the receiver.");
 
         transaction.receiverFee += msg.value;
         // Require that the total paid to be at least the arbitration cost.
@@ -281,24 +447,25 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
         transaction.rounds.length++;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
             uint extraFeeSender = transaction.senderFee - _arbitrationCost;
             transaction.senderFee = _arbitrationCost;
-            transaction.sender.send(extraFeeSender);
+            sendToParty(_transactionID, Party.Sender, 0, extraFeeSender);
         }
 
         // Refund receiver if it overpaid.
         if (transaction.receiverFee > _arbitrationCost) {
             uint extraFeeReceiver = transaction.receiverFee - _arbitrationCost;
             transaction.receiverFee = _arbitrationCost;
-            transaction.receiver.send(extraFeeReceiver);
+            sendToParty(_transactionID, Party.Receiver, 0, extraFeeReceiver);
         }
     }
 
@@ -308,6 +475,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.sender || msg.sender == transaction.receiver,
             "The caller must be the sender or the receiver."
@@ -317,7 +485,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Takes up to the total amount required to fund a side of an appeal. Reimburses the rest. Creates an appeal if both sides are fully funded.
@@ -326,14 +494,15 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     function fundAppeal(uint _transactionID, Party _side) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(_side == Party.Sender || _side == Party.Receiver, "Wrong party.");
         require(transaction.status == Status.DisputeCreated, "No dispute to appeal");
-        require(arbitrator.disputeStatus(transaction.disputeId) == Arbitrator.DisputeStatus.Appealable, "Dispute is not appealable.");
+        require(setting.arbitrator.disputeStatus(transaction.disputeId) == Arbitrator.DisputeStatus.Appealable, "Dispute is not appealable.");
 
-        (uint appealPeriodStart, uint appealPeriodEnd) = arbitrator.appealPeriod(transaction.disputeId);
+        (uint appealPeriodStart, uint appealPeriodEnd) = setting.arbitrator.appealPeriod(transaction.disputeId);
         require(now >= appealPeriodStart && now < appealPeriodEnd, "Funding must be made within the appeal period.");
 
-        uint winner = arbitrator.currentRuling(transaction.disputeId);
+        uint winner = setting.arbitrator.currentRuling(transaction.disputeId);
         uint multiplier;
         if (winner == uint(_side)){
             multiplier = winnerStakeMultiplier;
@@ -347,7 +516,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         Round storage round = transaction.rounds[transaction.rounds.length - 1];
         require(!round.hasPaid[uint(_side)], "Appeal fee has already been paid.");
 
-        uint appealCost = arbitrator.appealCost(transaction.disputeId, arbitratorExtraData);
+        uint appealCost = setting.arbitrator.appealCost(transaction.disputeId, setting.arbitratorExtraData);
         uint totalCost = appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
 
         // Take up to the amount necessary to fund the current round at the current costs.
@@ -368,7 +537,7 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
 
         // Create an appeal if each side is funded.
         if (round.hasPaid[uint(Party.Sender)] && round.hasPaid[uint(Party.Receiver)]) {
-            arbitrator.appeal.value(appealCost)(transaction.disputeId, arbitratorExtraData);
+            setting.arbitrator.appeal.value(appealCost)(transaction.disputeId, setting.arbitratorExtraData);
             transaction.rounds.length++;
             round.feeRewards = round.feeRewards.subCap(appealCost);
         }
@@ -446,10 +615,10 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
      */
     function rule(uint _disputeID, uint _ruling) public {
         Party resultRuling = Party(_ruling);
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
         Round storage round = transaction.rounds[transaction.rounds.length - 1];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
         
         // If only one side paid its fees we assume the ruling to be in its favor.
@@ -474,13 +643,14 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         // Give the arbitration fee back.
         // Note that we use send to prevent a party from blocking the execution.
         if (_ruling == uint(Party.Sender)) {
-            transaction.sender.send(transaction.senderFee + transaction.amount);
+            sendToParty(_transactionID, Party.Sender, transaction.amount, transaction.senderFee);
         } else if (_ruling == uint(Party.Receiver)) {
-            transaction.receiver.send(transaction.receiverFee + transaction.amount);
+            sendToParty(_transactionID, Party.Receiver, transaction.amount, transaction.receiverFee);
         } else {
             uint split_amount = (transaction.senderFee + transaction.amount) / 2;
-            transaction.sender.send(split_amount);
-            transaction.receiver.send(split_amount);
+            uint split_fee = transaction.senderFee / 2;
+            sendToParty(_transactionID, Party.Sender, split_amount - split_fee, split_fee);
+            sendToParty(_transactionID, Party.Receiver, split_amount - split_fee, split_fee);
         }
 
         transaction.amount = 0;
@@ -490,6 +660,94 @@ contract MultipleArbitrableTransactionWithAppeals is IArbitrable {
         transaction.ruling = _ruling;
     }
 
+    /** @dev Send an amount and a fee refund to a party. The fee refund goes to the sponsor of the party first, up to what it paid and was not refunded yet.
+     *  Note that we use send to prevent a party or a sponsor from blocking the execution.
+     *  @param _transactionID The index of the transaction.
+     *  @param _party The party.
+     *  @param _amount The amount of the transaction to send to the party.
+     *  @param _fee The arbitration fee to refund.
+     */
+    function sendToParty(uint _transactionID, Party _party, uint _amount, uint _fee) internal {
+        Transaction storage transaction = transactions[_transactionID];
+        address party = _party == Party.Sender ? transaction.sender : transaction.receiver;
+        uint sponsorRefund = sponsoredFees[_transactionID][uint(_party)];
+        if (sponsorRefund > _fee)
+            sponsorRefund = _fee;
+        if (sponsorRefund != 0) {
+            sponsoredFees[_transactionID][uint(_party)] -= sponsorRefund;
+            sponsors[_transactionID][uint(_party)].send(sponsorRefund);
+        }
+        if (_amount + _fee - sponsorRefund != 0)
+            party.send(_amount + _fee - sponsorRefund);
+    }
+
+    /** @dev Store a transaction of the caller whose amount was received.
+     *  @param _amount The amount of the transaction, in wei.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionID) {
+        transactionID = transactions.length++;
+        Transaction storage transaction = transactions[transactionID];
+        transaction.sender = msg.sender;
+        transaction.receiver = _receiver;
+        transaction.amount = _amount;
+        transaction.timeoutPayment = _timeoutPayment;
+        transaction.lastInteraction = now;
+
+        setArbitrator(transactionID, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactionID, _metaEvidence);
+        emit TransactionCreated(transactionID, msg.sender, _receiver, _amount);
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
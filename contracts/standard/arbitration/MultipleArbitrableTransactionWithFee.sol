@@ -35,17 +35,40 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         uint receiverFee; // Total arbitration fees paid by the receiver.
         uint lastInteraction; // Last interaction for the dispute procedure.
         Status status;
+        uint feeBasisPoint; // The share of the feeRecipient in the payments of the transaction, set on creation from the fee schedule.
+    }
+
+    struct FeeSchedule {
+        uint[] thresholds; // The smallest transaction amount of each bracket, in increasing order. The first bracket starts at 0.
+        uint[] basisPoints; // The share of the feeRecipient for the transactions of each bracket, down to 2 decimal places as 550 = 5.5%.
     }
 
     address public feeRecipient; // Address which receives a share of receiver payment.
-    uint public feeRecipientBasisPoint; // The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+    FeeSchedule feeSchedule; // The fee schedule of new transactions.
+    FeeSchedule pendingFeeSchedule; // The fee schedule which can be applied once the timelock has passed.
+    uint public pendingFeeScheduleTime; // The time from which the pending fee schedule can be applied. 0 if there is none.
+    uint public feeTimelock; // Time in seconds between the submission of a fee schedule and the moment it can be applied.
+    struct ArbitrationSetting {
+        Arbitrator arbitrator; // The arbitrator of the transaction.
+        bytes arbitratorExtraData; // Extra data to set up the arbitration of the transaction.
+    }
+
     Transaction[] public transactions;
-    bytes public arbitratorExtraData; // Extra data to set up the arbitration.
-    Arbitrator public arbitrator; // Address of the arbitrator contract.
+    bytes public arbitratorExtraData; // Extra data to set up the arbitration of transactions using the default arbitrator.
+    Arbitrator public arbitrator; // Address of the default arbitrator contract, used by transactions which do not choose one.
+    address public governor; // The address that can allow and disallow arbitrators.
     uint public feeTimeout; // Time in seconds a party can take to pay arbitration fees before being considered unresponding and lose the dispute.
 
 
-    mapping (uint => uint) public disputeIDtoTransactionID; // One-to-one relationship between the dispute and the transaction.
+    mapping (address => bool) public allowedArbitrators; // True if transactions can choose the arbitrator.
+    mapping (address => mapping (uint => uint)) public disputeIDtoTransactionID; // One-to-one relationship between the dispute of an arbitrator and the transaction.
+    mapping (uint => ArbitrationSetting) public arbitrationSettings; // Maps transactions to their arbitrator.
+
+    // **************************** //
+    // *        Modifiers         * //
+    // **************************** //
+
+    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
 
     // **************************** //
     // *          Events          * //
@@ -58,7 +81,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     event Payment(uint indexed _transactionID, uint _amount, address _party);
 
-    /** @dev To be emitted when a fee is received by the feeRecipient.
+    /** @dev To be emitted on every release of the amount of a transaction, with the part received by the feeRecipient.
      *  @param _transactionID The index of the transaction.
      *  @param _amount The amount paid.
      */
@@ -70,6 +93,17 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     event FeeRecipientChanged(address indexed _oldFeeRecipient, address indexed _newFeeRecipient);
 
+    /** @dev To be emitted when the feeRecipient submits a fee schedule.
+     *  @param _thresholds The smallest transaction amount of each bracket.
+     *  @param _basisPoints The share of the feeRecipient in each bracket.
+     *  @param _activationTime The time from which the schedule can be applied.
+     */
+    event FeeScheduleSubmitted(uint[] _thresholds, uint[] _basisPoints, uint _activationTime);
+
+    /** @dev To be emitted when the pending fee schedule is applied.
+     */
+    event FeeScheduleApplied();
+
     /** @dev Indicate that a party has to pay a fee or would otherwise be considered as losing.
      *  @param _transactionID The index of the transaction.
      *  @param _party The party who has to pay.
@@ -91,31 +125,56 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     event TransactionCreated(uint _transactionID, address indexed _sender, address indexed _receiver, uint _amount);
 
+    /** @dev To be emitted when the governor allows or disallows an arbitrator.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True if transactions can now choose the arbitrator, false otherwise.
+     */
+    event ArbitratorAllowed(Arbitrator indexed _arbitrator, bool _allowed);
+
+    /** @dev Emitted when a transaction of a batch could not be created, in which case it is skipped.
+     *  @param _index The index of the transaction in the arrays of the batch.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _amount The amount of the transaction.
+     */
+    event TransactionCreationFailed(uint _index, address indexed _receiver, uint _amount);
+
+    /** @dev Emitted when a transaction of a batch could not be executed, in which case it is skipped.
+     *  @param _transactionID The index of the transaction.
+     */
+    event TransactionExecutionFailed(uint indexed _transactionID);
+
     // **************************** //
     // *    Arbitrable functions  * //
     // *    Modifying the state   * //
     // **************************** //
 
     /** @dev Constructor.
-     *  @param _arbitrator The arbitrator of the contract.
-     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _arbitrator The default arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the default arbitrator.
+     *  @param _governor The trusted governor of the allowed arbitrators.
      *  @param _feeRecipient Address which receives a share of receiver payment.
-     *  @param _feeRecipientBasisPoint The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     *  @param _feeRecipientBasisPoint The share of fee to be received by the feeRecipient, down to 2 decimal places as 550 = 5.5%. It is the only bracket of the initial fee schedule.
      *  @param _feeTimeout Arbitration fee timeout for the parties.
+     *  @param _feeTimelock Time in seconds between the submission of a fee schedule and the moment it can be applied.
      */
     constructor (
         Arbitrator _arbitrator,
         bytes _arbitratorExtraData,
+        address _governor,
         address _feeRecipient,
         uint _feeRecipientBasisPoint,
-        uint _feeTimeout
+        uint _feeTimeout,
+        uint _feeTimelock
     ) public {
         arbitrator = _arbitrator;
         arbitratorExtraData = _arbitratorExtraData;
+        governor = _governor;
         feeRecipient = _feeRecipient;
         // Basis point being set higher than 10000 will result in underflow, but it's the responsibility of the deployer of the contract.
-        feeRecipientBasisPoint = _feeRecipientBasisPoint;
+        feeSchedule.thresholds.push(0);
+        feeSchedule.basisPoints.push(_feeRecipientBasisPoint);
         feeTimeout = _feeTimeout;
+        feeTimelock = _feeTimelock;
     }
 
     /** @dev Create a transaction.
@@ -129,28 +188,68 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         address _receiver,
         string _metaEvidence
     ) public payable returns (uint transactionID) {
-        transactions.push(Transaction({
-            sender: msg.sender,
-            receiver: _receiver,
-            amount: msg.value,
-            timeoutPayment: _timeoutPayment,
-            disputeId: 0,
-            senderFee: 0,
-            receiverFee: 0,
-            lastInteraction: now,
-            status: Status.NoDispute
-        }));
-        emit MetaEvidence(transactions.length - 1, _metaEvidence);
-        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, msg.value);
+        return createTransactionWithArbitrator(_timeoutPayment, _receiver, Arbitrator(0), "", _metaEvidence);
+    }
 
-        return transactions.length - 1;
+    /** @dev Create a transaction arbitrated by an arbitrator allowed by the governor instead of the default one.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function createTransactionWithArbitrator(
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) public payable returns (uint transactionID) {
+        return addTransaction(msg.value, _timeoutPayment, _receiver, _arbitrator, _arbitratorExtraData, _metaEvidence);
     }
 
-    /** @dev Calculate the amount to be paid in wei according to feeRecipientBasisPoint for a particular amount.
+    /** @dev Create a batch of transactions sharing the same meta-evidence.
+     *  The value sent is split between the transactions in order. A transaction whose amount exceeds the remaining value is skipped and reported, and the value left is refunded.
+     *  @param _amounts The amounts of the transactions, in wei.
+     *  @param _timeoutPayments Times after which a party can automatically execute each transaction.
+     *  @param _receivers The recipients of the transactions.
+     *  @param _metaEvidence Link to the meta-evidence of all the transactions.
+     *  @return created Whether each transaction was created.
+     */
+    function createTransactions(
+        uint[] _amounts,
+        uint[] _timeoutPayments,
+        address[] _receivers,
+        string _metaEvidence
+    ) public payable returns (bool[] created) {
+        require(
+            _amounts.length == _timeoutPayments.length && _amounts.length == _receivers.length,
+            "The arrays must have the same length."
+        );
+        created = new bool[](_amounts.length);
+        uint remainingValue = msg.value;
+        for (uint i = 0; i < _amounts.length; i++) {
+            if (_amounts[i] > remainingValue) {
+                emit TransactionCreationFailed(i, _receivers[i], _amounts[i]);
+                continue;
+            }
+
+            remainingValue -= _amounts[i];
+            addTransaction(_amounts[i], _timeoutPayments[i], _receivers[i], Arbitrator(0), "", _metaEvidence);
+            created[i] = true;
+        }
+
+        if (remainingValue > 0)
+            msg.sender.transfer(remainingValue);
+    }
+
+    /** @dev Calculate the amount to be paid in wei to the feeRecipient for a particular amount of a transaction.
+     *  @param _transaction The transaction.
      *  @param _amount Amount to pay in wei.
      */
-    function calculateFeeRecipientAmount(uint _amount) internal view returns(uint feeAmount){
-        feeAmount = (_amount * feeRecipientBasisPoint) / 10000;
+    function calculateFeeRecipientAmount(Transaction storage _transaction, uint _amount) internal view returns(uint feeAmount){
+        feeAmount = (_amount * _transaction.feeBasisPoint) / 10000;
     }
 
     /** @dev Change Fee Recipient.
@@ -163,6 +262,48 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         emit FeeRecipientChanged(msg.sender, _newFeeRecipient);
     }
 
+    /** @dev Submit a fee schedule, to be applied once the timelock has passed. Replaces the pending schedule, if any.
+     *  The fee of a transaction is set on its creation, so the schedule only applies to the transactions created after it.
+     *  @param _thresholds The smallest transaction amount of each bracket, in increasing order, starting at 0.
+     *  @param _basisPoints The share of the feeRecipient in each bracket, down to 2 decimal places as 550 = 5.5%.
+     */
+    function submitFeeSchedule(uint[] _thresholds, uint[] _basisPoints) public {
+        require(msg.sender == feeRecipient, "The caller must be the current Fee Recipient");
+        require(_thresholds.length > 0, "The schedule must have at least one bracket.");
+        requireValidFeeSchedule(_thresholds, _basisPoints);
+
+        pendingFeeSchedule.thresholds = _thresholds;
+        pendingFeeSchedule.basisPoints = _basisPoints;
+        pendingFeeScheduleTime = now + feeTimelock;
+
+        emit FeeScheduleSubmitted(_thresholds, _basisPoints, now + feeTimelock);
+    }
+
+    /** @dev Apply the pending fee schedule once the timelock has passed.
+     */
+    function applyFeeSchedule() public {
+        require(pendingFeeScheduleTime != 0, "There is no pending fee schedule.");
+        require(now >= pendingFeeScheduleTime, "The timelock has not passed yet.");
+
+        feeSchedule = pendingFeeSchedule;
+        delete pendingFeeSchedule;
+        pendingFeeScheduleTime = 0;
+
+        emit FeeScheduleApplied();
+    }
+
+    /** @dev Check that brackets are well formed. Thresholds must be increasing and start at 0, and basis points can't exceed 100%.
+     *  @param _thresholds The smallest transaction amount of each bracket.
+     *  @param _basisPoints The share of the feeRecipient in each bracket.
+     */
+    function requireValidFeeSchedule(uint[] _thresholds, uint[] _basisPoints) internal pure {
+        require(_thresholds.length == _basisPoints.length, "There must be one basis point per bracket.");
+        for (uint i = 0; i < _thresholds.length; i++) {
+            require(i == 0 ? _thresholds[i] == 0 : _thresholds[i] > _thresholds[i - 1], "The thresholds must be increasing and start at 0.");
+            require(_basisPoints[i] <= 10000, "The basis points can't exceed 10000.");
+        }
+    }
+
     /** @dev Pay receiver. To be called if the good or service is provided.
      *  @param _transactionID The index of the transaction.
      *  @param _amount Amount to pay in wei.
@@ -175,7 +316,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
 
         transaction.amount -= _amount;
 
-        uint feeAmount = calculateFeeRecipientAmount(_amount);
+        uint feeAmount = calculateFeeRecipientAmount(transaction, _amount);
         feeRecipient.send(feeAmount);
         transaction.receiver.send(_amount - feeAmount);
 
@@ -208,7 +349,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
 
         uint amount = transaction.amount;
         transaction.amount = 0;
-        uint feeAmount = calculateFeeRecipientAmount(amount);
+        uint feeAmount = calculateFeeRecipientAmount(transaction, amount);
         feeRecipient.send(feeAmount);
         transaction.receiver.send(amount - feeAmount);
 
@@ -217,6 +358,21 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         transaction.status = Status.Resolved;
     }
 
+    /** @dev Execute a batch of transactions whose timeout has passed.
+     *  A transaction which cannot be executed, e.g. because it is disputed or its timeout has not passed, is skipped and reported.
+     *  @param _transactionIDs The indexes of the transactions.
+     *  @return executed Whether each transaction was executed.
+     */
+    function executeTransactions(uint[] _transactionIDs) public returns (bool[] executed) {
+        executed = new bool[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            // Calling the contract itself reverts the failed executions without reverting the batch.
+            executed[i] = address(this).call(abi.encodeWithSignature("executeTransaction(uint256)", _transactionIDs[i]));
+            if (!executed[i])
+                emit TransactionExecutionFailed(_transactionIDs[i]);
+        }
+    }
+
     /** @dev Reimburse sender if receiver fails to pay the fee.
      *  @param _transactionID The index of the transaction.
      */
@@ -254,7 +410,8 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     function payArbitrationFeeBySender(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
         require(msg.sender == transaction.sender, "The caller must be the sender.");
@@ -280,7 +437,8 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     function payArbitrationFeeByReceiver(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        uint arbitrationCost = setting.arbitrator.arbitrationCost(setting.arbitratorExtraData);
 
         require(transaction.status < Status.DisputeCreated, "Dispute has already been created or because the transaction has been executed.");
         require(msg.sender == transaction.receiver, "The caller must be the receiver.");
@@ -305,10 +463,11 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     function raiseDispute(uint _transactionID, uint _arbitrationCost) internal {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         transaction.status = Status.DisputeCreated;
-        transaction.disputeId = arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, arbitratorExtraData);
-        disputeIDtoTransactionID[transaction.disputeId] = _transactionID;
-        emit Dispute(arbitrator, transaction.disputeId, _transactionID, _transactionID);
+        transaction.disputeId = setting.arbitrator.createDispute.value(_arbitrationCost)(AMOUNT_OF_CHOICES, setting.arbitratorExtraData);
+        disputeIDtoTransactionID[setting.arbitrator][transaction.disputeId] = _transactionID;
+        emit Dispute(setting.arbitrator, transaction.disputeId, _transactionID, _transactionID);
 
         // Refund sender if it overpaid.
         if (transaction.senderFee > _arbitrationCost) {
@@ -331,6 +490,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     function submitEvidence(uint _transactionID, string _evidence) public {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
         require(
             msg.sender == transaction.sender || msg.sender == transaction.receiver,
             "The caller must be the sender or the receiver."
@@ -340,7 +500,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
             "Must not send evidence if the dispute is resolved."
         );
 
-        emit Evidence(arbitrator, _transactionID, msg.sender, _evidence);
+        emit Evidence(setting.arbitrator, _transactionID, msg.sender, _evidence);
     }
 
     /** @dev Appeal an appealable ruling.
@@ -350,8 +510,9 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      */
     function appeal(uint _transactionID) public payable {
         Transaction storage transaction = transactions[_transactionID];
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
 
-        arbitrator.appeal.value(msg.value)(transaction.disputeId, arbitratorExtraData);
+        setting.arbitrator.appeal.value(msg.value)(transaction.disputeId, setting.arbitratorExtraData);
     }
 
     /** @dev Give a ruling for a dispute. Must be called by the arbitrator.
@@ -360,9 +521,9 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
      */
     function rule(uint _disputeID, uint _ruling) public {
-        uint transactionID = disputeIDtoTransactionID[_disputeID];
+        uint transactionID = disputeIDtoTransactionID[msg.sender][_disputeID];
         Transaction storage transaction = transactions[transactionID];
-        require(msg.sender == address(arbitrator), "The caller must be the arbitrator.");
+        require(msg.sender == address(arbitrationSettings[transactionID].arbitrator) && _disputeID == transaction.disputeId, "The caller must be the arbitrator of the dispute.");
         require(transaction.status == Status.DisputeCreated, "The dispute has already been resolved.");
 
         emit Ruling(Arbitrator(msg.sender), _disputeID, _ruling);
@@ -392,8 +553,10 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         // Note that we use send to prevent a party from blocking the execution.
         if (_ruling == SENDER_WINS) {
             transaction.sender.send(senderArbitrationFee + amount);
+
+            emit FeeRecipientPayment(_transactionID, 0);
         } else if (_ruling == RECEIVER_WINS) {
-            feeAmount = calculateFeeRecipientAmount(amount);
+            feeAmount = calculateFeeRecipientAmount(transaction, amount);
 
             feeRecipient.send(feeAmount);
             transaction.receiver.send(receiverArbitrationFee + amount - feeAmount);
@@ -402,7 +565,7 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         } else {
             uint split_arbitration = senderArbitrationFee / 2;
             uint split_amount = amount / 2;
-            feeAmount = calculateFeeRecipientAmount(split_amount);
+            feeAmount = calculateFeeRecipientAmount(transaction, split_amount);
 
             transaction.sender.send(split_arbitration + split_amount);
             feeRecipient.send(feeAmount);
@@ -414,6 +577,79 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         transaction.status = Status.Resolved;
     }
 
+    /** @dev Store a transaction of the caller whose amount was received.
+     *  @param _amount The amount of the transaction, in wei.
+     *  @param _timeoutPayment Time after which a party can automatically execute the arbitrable transaction.
+     *  @param _receiver The recipient of the transaction.
+     *  @param _arbitrator The arbitrator of the transaction, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator of the transaction. Ignored if the default arbitrator is used.
+     *  @param _metaEvidence Link to the meta-evidence.
+     *  @return transactionID The index of the transaction.
+     */
+    function addTransaction(
+        uint _amount,
+        uint _timeoutPayment,
+        address _receiver,
+        Arbitrator _arbitrator,
+        bytes _arbitratorExtraData,
+        string _metaEvidence
+    ) internal returns (uint transactionID) {
+        transactions.push(Transaction({
+            sender: msg.sender,
+            receiver: _receiver,
+            amount: _amount,
+            timeoutPayment: _timeoutPayment,
+            disputeId: 0,
+            senderFee: 0,
+            receiverFee: 0,
+            lastInteraction: now,
+            status: Status.NoDispute,
+            feeBasisPoint: getFeeBasisPoint(_amount)
+        }));
+        setArbitrator(transactions.length - 1, _arbitrator, _arbitratorExtraData);
+        emit MetaEvidence(transactions.length - 1, _metaEvidence);
+        emit TransactionCreated(transactions.length - 1, msg.sender, _receiver, _amount);
+
+        return transactions.length - 1;
+    }
+
+    /** @dev Set the arbitrator of a transaction.
+     *  @param _transactionID The index of the transaction.
+     *  @param _arbitrator The arbitrator, which must be allowed by the governor. 0x0 for the default arbitrator.
+     *  @param _arbitratorExtraData Extra data for the arbitrator. Ignored if the default arbitrator is used.
+     */
+    function setArbitrator(uint _transactionID, Arbitrator _arbitrator, bytes _arbitratorExtraData) internal {
+        ArbitrationSetting storage setting = arbitrationSettings[_transactionID];
+        if (_arbitrator == address(0)) {
+            setting.arbitrator = arbitrator;
+            setting.arbitratorExtraData = arbitratorExtraData;
+        } else {
+            require(allowedArbitrators[_arbitrator], "The arbitrator must be allowed by the governor.");
+            setting.arbitrator = _arbitrator;
+            setting.arbitratorExtraData = _arbitratorExtraData;
+        }
+    }
+
+    // **************************** //
+    // *        Governance        * //
+    // **************************** //
+
+    /** @dev Allow or disallow an arbitrator for new transactions. Transactions already using it are not affected.
+     *  @param _arbitrator The arbitrator.
+     *  @param _allowed True to allow transactions to choose the arbitrator, false to disallow it.
+     */
+    function setArbitratorAllowed(Arbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        allowedArbitrators[_arbitrator] = _allowed;
+        emit ArbitratorAllowed(_arbitrator, _allowed);
+    }
+
+    /** @dev Change the governor of the allowed arbitrators.
+     *  @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
     // **************************** //
     // *     Constant getters     * //
     // **************************** //
@@ -425,6 +661,39 @@ contract MultipleArbitrableTransactionWithFee is IArbitrable {
         return transactions.length;
     }
 
+    /** @dev Get the share of the feeRecipient for a new transaction.
+     *  @param _amount The amount of the transaction.
+     *  @return feeBasisPoint The share of the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     */
+    function getFeeBasisPoint(uint _amount) public view returns (uint feeBasisPoint) {
+        for (uint i = feeSchedule.thresholds.length; i > 0; i--) {
+            if (_amount >= feeSchedule.thresholds[i - 1])
+                return feeSchedule.basisPoints[i - 1];
+        }
+    }
+
+    /** @dev Get the share of the feeRecipient in the first bracket of the fee schedule.
+     *  It is the share of every transaction if the schedule has a single bracket, as with the former fixed fee.
+     *  @return feeBasisPoint The share of the feeRecipient, down to 2 decimal places as 550 = 5.5%.
+     */
+    function feeRecipientBasisPoint() public view returns (uint feeBasisPoint) {
+        return getFeeBasisPoint(0);
+    }
+
+    /** @dev Get the fee schedule.
+     *  @return The brackets of the schedule.
+     */
+    function getFeeSchedule() public view returns (uint[] thresholds, uint[] basisPoints) {
+        return (feeSchedule.thresholds, feeSchedule.basisPoints);
+    }
+
+    /** @dev Get the pending fee schedule.
+     *  @return The brackets of the schedule and the time from which it can be applied, 0 if there is no pending schedule.
+     */
+    function getPendingFeeSchedule() public view returns (uint[] thresholds, uint[] basisPoints, uint activationTime) {
+        return (pendingFeeSchedule.thresholds, pendingFeeSchedule.basisPoints, pendingFeeScheduleTime);
+    }
+
     /** @dev Get IDs for transactions where the specified address is the receiver and/or the sender.
      *  This function must be used by the UI and not by other smart contracts.
      *  Note that the complexity is O(t), where t is amount of arbitrable transactions.
@@ -0,0 +1,265 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+pragma experimental ABIEncoderV2;
+
+
+/** @title TransactionsView
+ *  Utility view contract to fetch multiple escrow transactions at once.
+ *  ETH transactions are read from MultipleArbitrableTransaction, MultipleArbitrableTransactionWithFee and MultipleArbitrableTransactionWithAppeals.
+ *  Token transactions are read from MultipleArbitrableTokenTransaction, MultipleArbitrableTokenTransactionWithFee, MultipleArbitrableTokenTransactionWithAppeals and MultipleArbitrableAssetTransaction.
+ *  The transactions of every escrow, including MultipleArbitrableNFTTransaction and MultipleArbitrableMilestoneTransaction, can be queried by status and party.
+ */
+contract TransactionsView {
+
+    struct Transaction {
+        uint ID;
+        address sender;
+        address receiver;
+        uint amount;
+        address token; // The token of the transaction, 0x0 for ETH.
+        uint timeoutPayment;
+        uint disputeId;
+        uint senderFee;
+        uint receiverFee;
+        uint lastInteraction;
+        uint8 status; // The Status of the transaction, in the order of the enum of the escrows.
+    }
+
+    struct Query {
+        address escrow; // The address of the escrow.
+        uint cursor; // The ID of the transaction from which to start iterating, included.
+        uint count; // The maximum number of transactions to return.
+        bool[5] filter; // The statuses to include, in the order of the enum of the escrows.
+        address party; // The address whose transactions to include, 0x0 to include the transactions of every address.
+        bool asSender; // Whether to include the transactions where party is the sender.
+        bool asReceiver; // Whether to include the transactions where party is the receiver.
+    }
+
+    /** @dev Fetch the ETH transactions of an escrow with their IDs.
+     *  @param _escrowAddress The address of the escrow from where to fetch the transactions.
+     *  @param _transactionIDs The IDs of the transactions we want to query.
+     *  @return transactions The transactions information.
+     */
+    function getTransactions(address _escrowAddress, uint[] _transactionIDs)
+        external
+        view
+        returns (Transaction[] memory transactions)
+    {
+        transactions = new Transaction[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            uint[10] memory values = readTransaction(_escrowAddress, _transactionIDs[i]);
+            Transaction memory transaction = transactions[i];
+            transaction.ID = _transactionIDs[i];
+            transaction.sender = address(values[0]);
+            transaction.receiver = address(values[1]);
+            transaction.amount = values[2];
+            transaction.timeoutPayment = values[3];
+            transaction.disputeId = values[4];
+            transaction.senderFee = values[5];
+            transaction.receiverFee = values[6];
+            transaction.lastInteraction = values[7];
+            transaction.status = uint8(values[8]);
+        }
+    }
+
+    /** @dev Fetch the token transactions of an escrow with their IDs.
+     *  @param _escrowAddress The address of the escrow from where to fetch the transactions.
+     *  @param _transactionIDs The IDs of the transactions we want to query.
+     *  @return transactions The transactions information.
+     */
+    function getTokenTransactions(address _escrowAddress, uint[] _transactionIDs)
+        external
+        view
+        returns (Transaction[] memory transactions)
+    {
+        transactions = new Transaction[](_transactionIDs.length);
+        for (uint i = 0; i < _transactionIDs.length; i++) {
+            uint[10] memory values = readTransaction(_escrowAddress, _transactionIDs[i]);
+            Transaction memory transaction = transactions[i];
+            transaction.ID = _transactionIDs[i];
+            transaction.sender = address(values[0]);
+            transaction.receiver = address(values[1]);
+            transaction.amount = values[2];
+            transaction.token = address(values[3]);
+            transaction.timeoutPayment = values[4];
+            transaction.disputeId = values[5];
+            transaction.senderFee = values[6];
+            transaction.receiverFee = values[7];
+            transaction.lastInteraction = values[8];
+            transaction.status = uint8(values[9]);
+        }
+    }
+
+    /** @dev Query the IDs of the transactions of an escrow by status and party, page by page.
+     *  Note that the complexity is O(t), where t is the amount of transactions of the escrow after the cursor.
+     *  @param _escrowAddress The address of the escrow.
+     *  @param _statusIndex The position of the status in the values returned by the `transactions` getter of the escrow:
+     *  8 for the ETH escrows, 9 for the token escrows and MultipleArbitrableAssetTransaction, 12 for MultipleArbitrableNFTTransaction.
+     *  @param _cursor The ID of the transaction from which to start iterating, included.
+     *  @param _count The maximum number of transactions to return.
+     *  @param _filter The statuses to include. Each element of the array in sequence means:
+     *  - Include transactions with status NoDispute.
+     *  - Include transactions with status WaitingSender.
+     *  - Include transactions with status WaitingReceiver.
+     *  - Include transactions with status DisputeCreated.
+     *  - Include transactions with status Resolved.
+     *  @param _party The address whose transactions to include, 0x0 to include the transactions of every address.
+     *  @param _asSender Whether to include the transactions where _party is the sender. Ignored if _party is 0x0.
+     *  @param _asReceiver Whether to include the transactions where _party is the receiver. Ignored if _party is 0x0.
+     *  @return The IDs of the transactions found and whether there are more transactions for the current filter. The next page starts after the last ID.
+     */
+    function queryTransactions(
+        address _escrowAddress,
+        uint _statusIndex,
+        uint _cursor,
+        uint _count,
+        bool[5] _filter,
+        address _party,
+        bool _asSender,
+        bool _asReceiver
+    )
+        external
+        view
+        returns (uint[] memory transactionIDs, bool hasMore)
+    {
+        return scan(Query(_escrowAddress, _cursor, _count, _filter, _party, _asSender, _asReceiver), _statusIndex, false);
+    }
+
+    /** @dev Query the IDs of the transactions of a MultipleArbitrableMilestoneTransaction escrow by status and party, page by page.
+     *  A transaction is included if one of its milestones has one of the statuses.
+     *  Note that the complexity is O(m), where m is the amount of milestones of the transactions of the escrow after the cursor.
+     *  @param _escrowAddress The address of the escrow.
+     *  @param _cursor The ID of the transaction from which to start iterating, included.
+     *  @param _count The maximum number of transactions to return.
+     *  @param _filter The statuses to include, as in queryTransactions.
+     *  @param _party The address whose transactions to include, 0x0 to include the transactions of every address.
+     *  @param _asSender Whether to include the transactions where _party is the sender. Ignored if _party is 0x0.
+     *  @param _asReceiver Whether to include the transactions where _party is the receiver. Ignored if _party is 0x0.
+     *  @return The IDs of the transactions found and whether there are more transactions for the current filter. The next page starts after the last ID.
+     */
+    function queryMilestoneTransactions(
+        address _escrowAddress,
+        uint _cursor,
+        uint _count,
+        bool[5] _filter,
+        address _party,
+        bool _asSender,
+        bool _asReceiver
+    )
+        external
+        view
+        returns (uint[] memory transactionIDs, bool hasMore)
+    {
+        return scan(Query(_escrowAddress, _cursor, _count, _filter, _party, _asSender, _asReceiver), 0, true);
+    }
+
+    /** @dev Scan the transactions of an escrow from the cursor and collect the ones matching a query.
+     *  @param _query The query.
+     *  @param _statusIndex The position of the status in the values returned by the `transactions` getter of the escrow. Ignored for milestones.
+     *  @param _milestones Whether the statuses are the ones of the milestones of the transactions.
+     *  @return The IDs of the transactions found and whether there are more transactions for the query.
+     */
+    function scan(Query memory _query, uint _statusIndex, bool _milestones) internal view returns (uint[] memory transactionIDs, bool hasMore) {
+        uint[] memory found = new uint[](_query.count);
+        uint index = 0;
+        uint countTransactions = readValues(_query.escrow, abi.encodeWithSignature("getCountTransactions()"), 1)[0];
+        for (uint i = _query.cursor; i < countTransactions; i++) {
+            // The sender and the receiver are the first two values returned by the `transactions` getter of every escrow.
+            uint[] memory values = readValues(
+                _query.escrow,
+                abi.encodeWithSignature("transactions(uint256)", i),
+                _milestones ? 2 : _statusIndex + 1
+            );
+            if (
+                (_milestones ? hasMilestoneWithStatus(_query, i) : _query.filter[values[_statusIndex]]) &&
+                (
+                    _query.party == address(0) ||
+                    (_query.asSender && address(values[0]) == _query.party) ||
+                    (_query.asReceiver && address(values[1]) == _query.party)
+                )
+            ) {
+                if (index < _query.count)
+                    found[index++] = i;
+                else {
+                    hasMore = true;
+                    break;
+                }
+            }
+        }
+
+        transactionIDs = new uint[](index);
+        for (uint j = 0; j < index; j++)
+            transactionIDs[j] = found[j];
+    }
+
+    /** @dev Check whether a transaction of a milestone escrow has a milestone with one of the statuses of a query.
+     *  @param _query The query.
+     *  @param _transactionID The ID of the transaction.
+     *  @return Whether one of the milestones has one of the statuses.
+     */
+    function hasMilestoneWithStatus(Query memory _query, uint _transactionID) internal view returns (bool) {
+        uint countMilestones = readValues(_query.escrow, abi.encodeWithSignature("getCountMilestones(uint256)", _transactionID), 1)[0];
+        for (uint i = 0; i < countMilestones; i++) {
+            // The status is the seventh value returned by `getMilestone`.
+            uint status = readValues(_query.escrow, abi.encodeWithSignature("getMilestone(uint256,uint256)", _transactionID, i), 7)[6];
+            if (_query.filter[status]) return true;
+        }
+        return false;
+    }
+
+    /** @dev Call a view function of an escrow and read the first values it returns.
+     *  @param _escrowAddress The address of the escrow.
+     *  @param _call The calldata of the function.
+     *  @param _length The number of values to read.
+     *  @return values The values.
+     */
+    function readValues(address _escrowAddress, bytes memory _call, uint _length) internal view returns (uint[] memory values) {
+        values = new uint[](_length);
+        bool success;
+        assembly {
+            success := staticcall(
+                gas,                  // All the remaining gas.
+                _escrowAddress,       // The call target.
+                add(_call, 0x20),     // Inputs are stored after the length of the calldata.
+                mload(_call),         // The input length.
+                add(values, 0x20),    // Write the output after the length of values.
+                mul(_length, 0x20)    // The output length.
+            )
+            // Fewer values than expected means the function is not the expected one.
+            if lt(returndatasize, mul(_length, 0x20)) { success := 0 }
+        }
+        require(success, "The escrow could not be read.");
+    }
+
+    /** @dev Read the first values returned by the `transactions` getter of an escrow.
+     *  Decoding the getter with a tuple assignment would exceed the stack limit. The values after the tenth, like the rulings of the appeal variants, are not read.
+     *  @param _escrowAddress The address of the escrow.
+     *  @param _transactionID The ID of the transaction.
+     *  @return values The values, in the order of the fields of the Transaction struct of the escrow.
+     */
+    function readTransaction(address _escrowAddress, uint _transactionID) internal view returns (uint[10] memory values) {
+        bool success;
+        bytes4 sig = bytes4(keccak256("transactions(uint256)"));
+        assembly {
+            let x := mload(0x40)   // Find empty storage location using "free memory pointer"
+            mstore(x, sig)         // Set the signature to the first call parameter.
+            mstore(add(x, 0x04), _transactionID)
+            success := staticcall(
+                gas,                // All the remaining gas.
+                _escrowAddress,     // The call target.
+                x,                  // Inputs are stored at location x
+                0x24,               // Input is 36 bytes long (signature (4B) + transaction ID (32B))
+                values,             // Write the output to values
+                0x140               // The output length (10 values)
+            )
+        }
+        require(success, "The transaction could not be read.");
+    }
+}
@@ -11,12 +11,13 @@ pragma solidity ^0.4.24;
 import "../arbitration/Arbitrable.sol";
 import "./PermissionInterface.sol";
 import "../../libraries/CappedMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
 
 /**
  *  @title ArbitrableAddressList
  *  This contract is an arbitrable token curated registry for addresses, sometimes referred to as a Address Curated Registry. Users can send requests to register or remove addresses from the registry, which can in turn, be challenged by parties that disagree with them.
  *  A crowdsourced insurance system allows parties to contribute to arbitration fees and win rewards if the side they backed ultimately wins a dispute.
- *  NOTE: This contract trusts that the Arbitrator is honest and will not reenter or modify its costs during a call. This contract is only to be used with an arbitrator returning appealPeriod and having non-zero fees. The governor contract (which will be a DAO) is also to be trusted.
+ *  NOTE: This contract trusts that the Arbitrator is honest and will not reenter or modify its costs during a call. This contract is only to be used with an arbitrator returning appealPeriod and having non-zero fees. The governor contract (which will be a DAO) is also to be trusted, as well as the deposit token it sets, which must return true on successful transfers.
  */
 contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     using CappedMath for uint; // Operations bounded between 0 and 2**256 - 1.
@@ -27,7 +28,8 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         Absent, // The address is not in the registry.
         Registered, // The address is in the registry.
         RegistrationRequested, // The address has a request to be added to the registry.
-        ClearingRequested // The address has a request to be removed from the registry.
+        ClearingRequested, // The address has a request to be removed from the registry.
+        RenewalRequested // The address is in the registry and has a request to renew its registration.
     }
 
     enum Party {
@@ -47,11 +49,13 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     // - A challenge reward given to the party that wins a potential dispute.
     // - Arbitration fees used to pay jurors.
     // - A fee stake that is distributed among insurers of the side that ultimately wins a dispute.
+    // Deposits are paid in ETH, unless the governor sets a deposit token in which the deposits of the next requests are paid. Arbitration fees and fee stakes are always paid in ETH.
 
     /* Structs */
 
     struct Address {
         AddressStatus status; // The status of the address.
+        uint registrationTime; // The time when the address was last registered or renewed. Used to track when the registration expires.
         Request[] requests; // List of status change requests made for the address.
     }
 
@@ -69,6 +73,8 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         Party ruling; // The final ruling given, if any.
         Arbitrator arbitrator; // The arbitrator trusted to solve disputes for this request.
         bytes arbitratorExtraData; // The extra data for the trusted arbitrator of this request.
+        ERC20 depositToken; // The token in which the deposits of this request are paid. Deposits are paid in ETH if not set.
+        uint[3] deposits; // The deposits paid by the requester and challenger in the deposit token, if any.
     }
 
     struct Round {
@@ -89,6 +95,9 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     uint public requesterBaseDeposit; // The base deposit to make a request.
     uint public challengerBaseDeposit; // The base deposit to challenge a request.
     uint public challengePeriodDuration; // The time before a request becomes executable if not challenged.
+    uint public registrationDuration; // The time after which a registration expires unless renewed. 0 if registrations do not expire.
+    uint public renewalBaseDeposit; // The base deposit to make a renewal request.
+    ERC20 public depositToken; // The token in which base deposits are paid. Base deposits are paid in ETH if not set.
     uint public metaEvidenceUpdates; // The number of times the meta evidence has been updated. Used to track the latest meta evidence ID.
 
     // The required fee stake that a party must pay depends on who won the previous round and is proportional to the arbitration cost such that the fee stake for a round is stake multiplier * arbitration cost for that round.
@@ -118,7 +127,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
     /** @dev Emitted when a party makes a request to change an address status.
      *  @param _address The affected address.
-     *  @param _registrationRequest Whether the request is a registration request. False means it is a clearing request.
+     *  @param _registrationRequest Whether the request is a registration or renewal request. False means it is a clearing request.
      */
     event RequestSubmitted(address indexed _address, bool _registrationRequest);
 
@@ -149,6 +158,14 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      */
     event RewardWithdrawal(address indexed _address, address indexed _contributor, uint indexed _request, uint _round, uint _value);
 
+    /** @dev Emitted when a deposit paid in the deposit token is withdrawn.
+     *  @param _address The address from which the withdrawal was made.
+     *  @param _beneficiary The party that receives the deposit.
+     *  @param _request The request from which the withdrawal was made.
+     *  @param _value The amount of the deposit token withdrawn.
+     */
+    event DepositWithdrawal(address indexed _address, address indexed _beneficiary, uint indexed _request, uint _value);
+
 
     /* Constructor */
 
@@ -161,6 +178,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      *  @param _governor The trusted governor of this contract.
      *  @param _requesterBaseDeposit The base deposit to make a request.
      *  @param _challengerBaseDeposit The base deposit to challenge a request.
+     *  @param _renewalBaseDeposit The base deposit to make a renewal request.
      *  @param _challengePeriodDuration The time in seconds, parties have to challenge a request.
      *  @param _sharedStakeMultiplier Multiplier of the arbitration cost that each party must pay as fee stake for a round when there isn't a winner/loser in the previous round (e.g. when it's the first round or the arbitrator refused to or did not rule). In basis points.
      *  @param _winnerStakeMultiplier Multiplier of the arbitration cost that the winner has to pay as fee stake for a round in basis points.
@@ -174,6 +192,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         address _governor,
         uint _requesterBaseDeposit,
         uint _challengerBaseDeposit,
+        uint _renewalBaseDeposit,
         uint _challengePeriodDuration,
         uint _sharedStakeMultiplier,
         uint _winnerStakeMultiplier,
@@ -185,6 +204,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         governor = _governor;
         requesterBaseDeposit = _requesterBaseDeposit;
         challengerBaseDeposit = _challengerBaseDeposit;
+        renewalBaseDeposit = _renewalBaseDeposit;
         challengePeriodDuration = _challengePeriodDuration;
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
@@ -220,31 +240,20 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         else
             revert("Address already has a pending request.");
 
-        // Setup request.
-        Request storage request = addr.requests[addr.requests.length++];
-        request.parties[uint(Party.Requester)] = msg.sender;
-        request.submissionTime = now;
-        request.arbitrator = arbitrator;
-        request.arbitratorExtraData = arbitratorExtraData;
-        Round storage round = request.rounds[request.rounds.length++];
-
-        emit RequestSubmitted(_address, addr.status == AddressStatus.RegistrationRequested);
+        submitRequest(_address, requesterBaseDeposit);
+    }
 
-        // Amount required to fully the requester: requesterBaseDeposit + arbitration cost + (arbitration cost * multiplier).
-        uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(requesterBaseDeposit);
-        contribute(round, Party.Requester, msg.sender, msg.value, totalCost);
-        require(round.paidFees[uint(Party.Requester)] >= totalCost, "You must fully fund your side.");
-        round.hasPaid[uint(Party.Requester)] = true;
+    /** @dev Submits a request to renew the registration of an address, which restarts its registration duration. The request can be challenged like a registration request, and the address is removed if the challenger wins. Requires a renewal deposit instead of the request deposit. Accepts enough ETH to fund a potential dispute considering the current required amount and reimburses the rest. TRUSTED.
+     *  Only available if registrations expire. Expired addresses can be renewed, as they remain registered until they are removed.
+     *  @param _address The address to renew.
+     */
+    function requestRenewal(address _address) external payable {
+        require(registrationDuration != 0, "Registrations do not expire.");
+        Address storage addr = addresses[_address];
+        require(addr.status == AddressStatus.Registered, "The address must be registered.");
+        addr.status = AddressStatus.RenewalRequested;
 
-        emit AddressStatusChange(
-            request.parties[uint(Party.Requester)],
-            address(0x0),
-            _address,
-            addr.status,
-            false,
-            false
-        );
+        submitRequest(_address, renewalBaseDeposit);
     }
 
     /** @dev Challenges the latest request of an address. Accepts enough ETH to fund a potential dispute considering the current required amount. Reimburses unused ETH. TRUSTED.
@@ -254,7 +263,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     function challengeRequest(address _address, string _evidence) external payable {
         Address storage addr = addresses[_address];
         require(
-            addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.ClearingRequested,
+            addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.ClearingRequested || addr.status == AddressStatus.RenewalRequested,
             "The address must have a pending request."
         );
         Request storage request = addr.requests[addr.requests.length - 1];
@@ -266,7 +275,11 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
         Round storage round = request.rounds[request.rounds.length - 1];
         uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(challengerBaseDeposit);
+        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR);
+        if (request.depositToken == ERC20(0x0))
+            totalCost = totalCost.addCap(challengerBaseDeposit);
+        else
+            takeDeposit(request, Party.Challenger, challengerBaseDeposit);
         contribute(round, Party.Challenger, msg.sender, msg.value, totalCost);
         require(round.paidFees[uint(Party.Challenger)] >= totalCost, "You must fully fund your side.");
         round.hasPaid[uint(Party.Challenger)] = true;
@@ -281,9 +294,9 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         emit Dispute(
             request.arbitrator,
             request.disputeID,
-            addr.status == AddressStatus.RegistrationRequested
-                ? 2 * metaEvidenceUpdates
-                : 2 * metaEvidenceUpdates + 1,
+            addr.status == AddressStatus.ClearingRequested
+                ? 2 * metaEvidenceUpdates + 1
+                : 2 * metaEvidenceUpdates, // Renewal requests use the registration meta evidence.
             uint(keccak256(abi.encodePacked(_address,addr.requests.length - 1)))
         );
         emit AddressStatusChange(
@@ -307,7 +320,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         require(_side == Party.Requester || _side == Party.Challenger); // solium-disable-line error-reason
         Address storage addr = addresses[_address];
         require(
-            addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.ClearingRequested,
+            addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.ClearingRequested || addr.status == AddressStatus.RenewalRequested,
             "The address must have a pending request."
         );
         Request storage request = addr.requests[addr.requests.length - 1];
@@ -362,7 +375,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      *  @param _beneficiary The address that made contributions to a request.
      *  @param _address The address submission with the request from which to withdraw.
      *  @param _request The request from which to withdraw.
-     *  @param _round The round from which to withdraw.
+     *  @param _round The round from which to withdraw. Deposits paid in the deposit token are withdrawn with the first round, which can be withdrawn again if the token refused the transfer.
      */
     function withdrawFeesAndRewards(address _beneficiary, address _address, uint _request, uint _round) public {
         Address storage addr = addresses[_address];
@@ -395,6 +408,9 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
         emit RewardWithdrawal(_address, _beneficiary, _request, _round,  reward);
         _beneficiary.send(reward); // It is the user responsibility to accept ETH.
+
+        if (_round == 0)
+            withdrawDeposit(_beneficiary, _address, _request);
     }
 
     /** @dev Withdraws rewards and reimbursements of multiple rounds at once. This function is O(n) where n is the number of rounds. This could exceed gas limits, therefore this function should be used only as a utility and not be relied upon by other contracts.
@@ -444,9 +460,10 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         );
         require(!request.disputed, "The request should not be disputed.");
 
-        if (addr.status == AddressStatus.RegistrationRequested)
+        if (addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.RenewalRequested) {
             addr.status = AddressStatus.Registered;
-        else if (addr.status == AddressStatus.ClearingRequested)
+            addr.registrationTime = now;
+        } else if (addr.status == AddressStatus.ClearingRequested)
             addr.status = AddressStatus.Absent;
         else
             revert("There must be a request.");
@@ -518,6 +535,27 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
         requesterBaseDeposit = _requesterBaseDeposit;
     }
 
+    /** @dev Change the base amount required as a deposit to make a renewal request.
+     *  @param _renewalBaseDeposit The new base amount of wei required to make a renewal request.
+     */
+    function changeRenewalBaseDeposit(uint _renewalBaseDeposit) external onlyGovernor {
+        renewalBaseDeposit = _renewalBaseDeposit;
+    }
+
+    /** @dev Change the token in which the deposits of the next requests are paid. The base deposits should be changed accordingly, as they are amounts of this token.
+     *  @param _depositToken The new deposit token. 0 for deposits in ETH.
+     */
+    function changeDepositToken(ERC20 _depositToken) external onlyGovernor {
+        depositToken = _depositToken;
+    }
+
+    /** @dev Change the time after which registrations expire. Applies to current registrations, which expire this long after they were made or last renewed.
+     *  @param _registrationDuration The new duration of registrations in seconds. 0 for registrations that do not expire.
+     */
+    function changeRegistrationDuration(uint _registrationDuration) external onlyGovernor {
+        registrationDuration = _registrationDuration;
+    }
+
     /** @dev Change the base amount required as a deposit to challenge a request.
      *  @param _challengerBaseDeposit The new base amount of wei required to challenge a request.
      */
@@ -575,6 +613,107 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
     /* Internal */
 
+    /** @dev Setup the request made for the new status of an address and take the deposit of the requester.
+     *  @param _address The address.
+     *  @param _baseDeposit The base deposit of the request.
+     */
+    function submitRequest(address _address, uint _baseDeposit) internal {
+        Address storage addr = addresses[_address];
+        Request storage request = addr.requests[addr.requests.length++];
+        request.parties[uint(Party.Requester)] = msg.sender;
+        request.submissionTime = now;
+        request.arbitrator = arbitrator;
+        request.arbitratorExtraData = arbitratorExtraData;
+        request.depositToken = depositToken;
+        Round storage round = request.rounds[request.rounds.length++];
+
+        emit RequestSubmitted(_address, addr.status != AddressStatus.ClearingRequested);
+
+        // Amount required to fully the requester: base deposit + arbitration cost + (arbitration cost * multiplier). The base deposit is taken separately if it is paid in the deposit token.
+        uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
+        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR);
+        if (request.depositToken == ERC20(0x0))
+            totalCost = totalCost.addCap(_baseDeposit);
+        else
+            takeDeposit(request, Party.Requester, _baseDeposit);
+        contribute(round, Party.Requester, msg.sender, msg.value, totalCost);
+        require(round.paidFees[uint(Party.Requester)] >= totalCost, "You must fully fund your side.");
+        round.hasPaid[uint(Party.Requester)] = true;
+
+        emit AddressStatusChange(
+            request.parties[uint(Party.Requester)],
+            address(0x0),
+            _address,
+            addr.status,
+            false,
+            false
+        );
+    }
+
+    /** @dev Take the deposit of a party of a request in the deposit token of the request.
+     *  @param _request The request.
+     *  @param _side The party paying the deposit.
+     *  @param _amount The amount of the deposit.
+     */
+    function takeDeposit(Request storage _request, Party _side, uint _amount) internal {
+        _request.deposits[uint(_side)] = _amount;
+        require(_request.depositToken.transferFrom(msg.sender, this, _amount), "Failed to transfer the deposit.");
+    }
+
+    /** @dev Withdraw the deposits paid in the deposit token of a resolved request. The winner of a dispute takes both deposits. Otherwise, each party is reimbursed its deposit.
+     *  The deposits are kept if the token refuses the transfer, to be withdrawn later with withdrawFeesAndRewards.
+     *  @param _beneficiary The party to withdraw for.
+     *  @param _address The address.
+     *  @param _request The request from which to withdraw.
+     */
+    function withdrawDeposit(address _beneficiary, address _address, uint _request) internal {
+        Request storage request = addresses[_address].requests[_request];
+        uint[3] memory withdrawn;
+        if (!request.disputed || request.ruling == Party.None) {
+            for (uint side = uint(Party.Requester); side <= uint(Party.Challenger); side++) {
+                if (request.parties[side] == _beneficiary)
+                    withdrawn[side] = request.deposits[side];
+            }
+        } else if (request.parties[uint(request.ruling)] == _beneficiary) {
+            withdrawn = request.deposits;
+        }
+        uint reward = withdrawn[uint(Party.Requester)] + withdrawn[uint(Party.Challenger)];
+        if (reward == 0) return;
+
+        request.deposits[uint(Party.Requester)] -= withdrawn[uint(Party.Requester)];
+        request.deposits[uint(Party.Challenger)] -= withdrawn[uint(Party.Challenger)];
+        // Reverting would block the execution of the request and the ruling, so the deposits are kept for a later withdrawal instead.
+        if (!tryTransfer(request.depositToken, _beneficiary, reward)) {
+            request.deposits[uint(Party.Requester)] += withdrawn[uint(Party.Requester)];
+            request.deposits[uint(Party.Challenger)] += withdrawn[uint(Party.Challenger)];
+            return;
+        }
+
+        emit DepositWithdrawal(_address, _beneficiary, _request, reward);
+    }
+
+    /** @dev Transfer tokens from the contract to an address without reverting if the transfer fails.
+     *  @param _token The ERC20 token contract.
+     *  @param _to The address to transfer the tokens to.
+     *  @param _amount The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function tryTransfer(ERC20 _token, address _to, uint _amount) internal returns (bool success) {
+        success = address(_token).call(abi.encodeWithSignature("transfer(address,uint256)", _to, _amount));
+        if (!success)
+            return false;
+
+        // Tokens which do not return a value on success are accepted.
+        uint returned = 1;
+        assembly {
+            if eq(returndatasize, 0x20) {
+                returndatacopy(0, 0, 0x20)
+                returned := mload(0)
+            }
+        }
+        return returned != 0;
+    }
+
     /** @dev Returns the contribution value and remainder from available ETH and required amount.
      *  @param _available The amount of ETH available for the contribution.
      *  @param _requiredAmount The amount of ETH required for the contribution.
@@ -626,12 +765,14 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
         // Update address state
         if (winner == Party.Requester) { // Execute Request
-            if (addr.status == AddressStatus.RegistrationRequested)
-                addr.status = AddressStatus.Registered;
-            else
+            if (addr.status == AddressStatus.ClearingRequested)
                 addr.status = AddressStatus.Absent;
-        } else { // Revert to previous state.
-            if (addr.status == AddressStatus.RegistrationRequested)
+            else {
+                addr.status = AddressStatus.Registered;
+                addr.registrationTime = now;
+            }
+        } else { // Revert to previous state. A denied renewal removes the address, like a denied registration.
+            if (addr.status == AddressStatus.RegistrationRequested || addr.status == AddressStatus.RenewalRequested)
                 addr.status = AddressStatus.Absent;
             else if (addr.status == AddressStatus.ClearingRequested)
                 addr.status = AddressStatus.Registered;
@@ -660,13 +801,29 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
 
     /* Views */
 
-    /** @dev Return true if the address is on the list.
+    /** @dev Return true if the address is on the list and its registration did not expire.
      *  @param _address The address to be queried.
      *  @return allowed True if the address is allowed, false otherwise.
      */
     function isPermitted(bytes32 _address) external view returns (bool allowed) {
         Address storage addr = addresses[address(_address)];
-        return addr.status == AddressStatus.Registered || addr.status == AddressStatus.ClearingRequested;
+        return (
+            addr.status == AddressStatus.Registered ||
+            addr.status == AddressStatus.ClearingRequested ||
+            addr.status == AddressStatus.RenewalRequested
+        ) && !isExpired(address(_address));
+    }
+
+    /** @dev Return true if the registration of the address expired. Expired addresses are not permitted until their registration is renewed.
+     *  @param _address The address to be queried.
+     *  @return expired True if the address is on the list and was registered or last renewed more than `registrationDuration` ago.
+     */
+    function isExpired(address _address) public view returns (bool expired) {
+        Address storage addr = addresses[_address];
+        return registrationDuration != 0 &&
+            addr.status != AddressStatus.Absent &&
+            addr.status != AddressStatus.RegistrationRequested &&
+            now - addr.registrationTime > registrationDuration;
     }
 
 
@@ -676,7 +833,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      *  @param _address The address to query.
      *  @param _beneficiary The contributor for which to query.
      *  @param _request The request from which to query for.
-     *  @return The total amount of wei available to withdraw.
+     *  @return The total amount of wei available to withdraw. Deposits paid in the deposit token are not included, see `getRequestInfo`.
      */
     function amountWithdrawable(address _address, address _beneficiary, uint _request) external view returns (uint total){
         Request storage request = addresses[_address].requests[_request];
@@ -711,6 +868,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     }
 
     /** @dev Return the numbers of addresses with each status. This function is O(n), where n is the number of addresses. This could exceed the gas limit, therefore this function should only be used for interface display and not by other contracts.
+     *  Registered addresses that expired are counted as expired instead of registered.
      *  @return The numbers of addresses in the list per status.
      */
     function countByStatus()
@@ -722,7 +880,10 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             uint registrationRequest,
             uint clearingRequest,
             uint challengedRegistrationRequest,
-            uint challengedClearingRequest
+            uint challengedClearingRequest,
+            uint expired,
+            uint renewalRequest,
+            uint challengedRenewalRequest
         )
     {
         for (uint i = 0; i < addressList.length; i++) {
@@ -730,11 +891,14 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             Request storage request = addr.requests[addr.requests.length - 1];
 
             if (addr.status == AddressStatus.Absent) absent++;
+            else if (addr.status == AddressStatus.Registered && isExpired(addressList[i])) expired++;
             else if (addr.status == AddressStatus.Registered) registered++;
             else if (addr.status == AddressStatus.RegistrationRequested && !request.disputed) registrationRequest++;
             else if (addr.status == AddressStatus.ClearingRequested && !request.disputed) clearingRequest++;
             else if (addr.status == AddressStatus.RegistrationRequested && request.disputed) challengedRegistrationRequest++;
             else if (addr.status == AddressStatus.ClearingRequested && request.disputed) challengedClearingRequest++;
+            else if (addr.status == AddressStatus.RenewalRequested && !request.disputed) renewalRequest++;
+            else if (addr.status == AddressStatus.RenewalRequested && request.disputed) challengedRenewalRequest++;
         }
     }
 
@@ -743,17 +907,20 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      *  @param _count The number of addresses to return.
      *  @param _filter The filter to use. Each element of the array in sequence means:
      *  - Include absent addresses in result.
-     *  - Include registered addresses in result.
+     *  - Include registered addresses that did not expire in result.
      *  - Include addresses with registration requests that are not disputed in result.
      *  - Include addresses with clearing requests that are not disputed in result.
      *  - Include disputed addresses with registration requests in result.
      *  - Include disputed addresses with clearing requests in result.
      *  - Include addresses submitted by the caller.
      *  - Include addresses challenged by the caller.
+     *  - Include registered addresses that expired in result.
+     *  - Include addresses with renewal requests that are not disputed in result.
+     *  - Include disputed addresses with renewal requests in result.
      *  @param _oldestFirst Whether to sort from oldest to the newest item.
      *  @return The values of the addresses found and whether there are more addresses for the current filter and sort.
      */
-    function queryAddresses(address _cursor, uint _count, bool[8] _filter, bool _oldestFirst)
+    function queryAddresses(address _cursor, uint _count, bool[11] _filter, bool _oldestFirst)
         external
         view
         returns (address[] values, bool hasMore)
@@ -784,13 +951,16 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             if (
                 /* solium-disable operator-whitespace */
                 (_filter[0] && addr.status == AddressStatus.Absent) ||
-                (_filter[1] && addr.status == AddressStatus.Registered) ||
+                (_filter[1] && addr.status == AddressStatus.Registered && !isExpired(addressList[_oldestFirst ? i : addressList.length - i])) ||
                 (_filter[2] && addr.status == AddressStatus.RegistrationRequested && !request.disputed) ||
                 (_filter[3] && addr.status == AddressStatus.ClearingRequested && !request.disputed) ||
                 (_filter[4] && addr.status == AddressStatus.RegistrationRequested && request.disputed) ||
                 (_filter[5] && addr.status == AddressStatus.ClearingRequested && request.disputed) ||
                 (_filter[6] && request.parties[uint(Party.Requester)] == msg.sender) || // My Submissions.
-                (_filter[7] && request.parties[uint(Party.Challenger)] == msg.sender) // My Challenges.
+                (_filter[7] && request.parties[uint(Party.Challenger)] == msg.sender) || // My Challenges.
+                (_filter[8] && addr.status == AddressStatus.Registered && isExpired(addressList[_oldestFirst ? i : addressList.length - i])) ||
+                (_filter[9] && addr.status == AddressStatus.RenewalRequested && !request.disputed) ||
+                (_filter[10] && addr.status == AddressStatus.RenewalRequested && request.disputed)
                 /* solium-enable operator-whitespace */
             ) {
                 if (index < _count) {
@@ -845,7 +1015,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
     /** @dev Gets information on a request made for an address.
      *  @param _address The queried address.
      *  @param _request The request to be queried.
-     *  @return The request information.
+     *  @return The request information, including its deposit token and the deposits paid in it.
      */
     function getRequestInfo(address _address, uint _request)
         external
@@ -859,7 +1029,9 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             uint numberOfRounds,
             Party ruling,
             Arbitrator arbitrator,
-            bytes arbitratorExtraData
+            bytes arbitratorExtraData,
+            ERC20 depositToken,
+            uint[3] deposits
         )
     {
         Request storage request = addresses[_address].requests[_request];
@@ -872,7 +1044,9 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             request.rounds.length,
             request.ruling,
             request.arbitrator,
-            request.arbitratorExtraData
+            request.arbitratorExtraData,
+            request.depositToken,
+            request.deposits
         );
     }
 
@@ -880,7 +1054,7 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
      *  @param _address The queried address.
      *  @param _request The request to be queried.
      *  @param _round The round to be queried.
-     *  @return The round information.
+     *  @return The round information. `paidFees` and `feeRewards` are in ETH and `deposits` are the deposits paid in the deposit token of the request, if any.
      */
     function getRoundInfo(address _address, uint _request, uint _round)
         external
@@ -889,17 +1063,21 @@ contract ArbitrableAddressList is PermissionInterface, Arbitrable {
             bool appealed,
             uint[3] paidFees,
             bool[3] hasPaid,
-            uint feeRewards
+            uint feeRewards,
+            uint[3] deposits
         )
     {
         Address storage addr = addresses[_address];
         Request storage request = addr.requests[_request];
         Round storage round = request.rounds[_round];
+        if (_round == 0)
+            deposits = request.deposits; // Deposits in the deposit token are paid in the first round.
         return (
             _round != (request.rounds.length-1),
             round.paidFees,
             round.hasPaid,
-            round.feeRewards
+            round.feeRewards,
+            deposits
         );
     }
 }
@@ -12,12 +12,13 @@ pragma solidity ^0.4.24;
 import "../arbitration/Arbitrable.sol";
 import "./PermissionInterface.sol";
 import "../../libraries/CappedMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
 
 /**
  *  @title ArbitrableTokenList
  *  This contract is an arbitrable token curated registry for tokens, sometimes referred to as a Token² Curated Registry. Users can send requests to register or remove tokens from the registry, which can in turn, be challenged by parties that disagree with them.
  *  A crowdsourced insurance system allows parties to contribute to arbitration fees and win rewards if the side they backed ultimately wins a dispute.
- *  NOTE: This contract trusts that the Arbitrator is honest and will not reenter or modify its costs during a call. This contract is only to be used with an arbitrator returning appealPeriod and having non-zero fees. The governor contract (which will be a DAO) is also to be trusted.
+ *  NOTE: This contract trusts that the Arbitrator is honest and will not reenter or modify its costs during a call. This contract is only to be used with an arbitrator returning appealPeriod and having non-zero fees. The governor contract (which will be a DAO) is also to be trusted, as well as the deposit token it sets, which must return true on successful transfers.
  */
 contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     using CappedMath for uint; // Operations bounded between 0 and 2**256 - 1.
@@ -28,7 +29,8 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         Absent, // The token is not in the registry.
         Registered, // The token is in the registry.
         RegistrationRequested, // The token has a request to be added to the registry.
-        ClearingRequested // The token has a request to be removed from the registry.
+        ClearingRequested, // The token has a request to be removed from the registry.
+        RenewalRequested // The token is in the registry and has a request to renew its registration.
     }
 
     enum Party {
@@ -48,6 +50,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     // - A challenge reward given to the party that wins a potential dispute.
     // - Arbitration fees used to pay jurors.
     // - A fee stake that is distributed among insurers of the side that ultimately wins a dispute.
+    // Deposits are paid in ETH, unless the governor sets a deposit token in which the deposits of the next requests are paid. Arbitration fees and fee stakes are always paid in ETH.
 
     /* Structs */
 
@@ -57,6 +60,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         address addr; // The Ethereum address of the token.
         string symbolMultihash; // The multihash of the token symbol.
         TokenStatus status; // The status of the token.
+        uint registrationTime; // The time when the token was last registered or renewed. Used to track when the registration expires.
         Request[] requests; // List of status change requests made for the token.
     }
 
@@ -74,6 +78,8 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         Party ruling; // The final ruling given, if any.
         Arbitrator arbitrator; // The arbitrator trusted to solve disputes for this request.
         bytes arbitratorExtraData; // The extra data for the trusted arbitrator of this request.
+        ERC20 depositToken; // The token in which the deposits of this request are paid. Deposits are paid in ETH if not set.
+        uint[3] deposits; // The deposits paid by the requester and challenger in the deposit token, if any.
     }
 
     struct Round {
@@ -94,6 +100,9 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     uint public requesterBaseDeposit; // The base deposit to make a request.
     uint public challengerBaseDeposit; // The base deposit to challenge a request.
     uint public challengePeriodDuration; // The time before a request becomes executable if not challenged.
+    uint public registrationDuration; // The time after which a registration expires unless renewed. 0 if registrations do not expire.
+    uint public renewalBaseDeposit; // The base deposit to make a renewal request.
+    ERC20 public depositToken; // The token in which base deposits are paid. Base deposits are paid in ETH if not set.
     uint public metaEvidenceUpdates; // The number of times the meta evidence has been updated. Used to track the latest meta evidence ID.
 
     // The required fee stake that a party must pay depends on who won the previous round and is proportional to the arbitration cost such that the fee stake for a round is stake multiplier * arbitration cost for that round.
@@ -128,7 +137,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
 
     /** @dev Emitted when a party makes a request to change a token status.
      *  @param _tokenID The ID of the affected token.
-     *  @param _registrationRequest Whether the request is a registration request. False means it is a clearing request.
+     *  @param _registrationRequest Whether the request is a registration or renewal request. False means it is a clearing request.
      */
     event RequestSubmitted(bytes32 indexed _tokenID, bool _registrationRequest);
 
@@ -159,6 +168,14 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      */
     event RewardWithdrawal(bytes32 indexed _tokenID, address indexed _contributor, uint indexed _request, uint _round, uint _value);
 
+    /** @dev Emitted when a deposit paid in the deposit token is withdrawn.
+     *  @param _tokenID The ID of the token from which the withdrawal was made.
+     *  @param _beneficiary The party that receives the deposit.
+     *  @param _request The request from which the withdrawal was made.
+     *  @param _value The amount of the deposit token withdrawn.
+     */
+    event DepositWithdrawal(bytes32 indexed _tokenID, address indexed _beneficiary, uint indexed _request, uint _value);
+
     
     /* Constructor */
 
@@ -171,6 +188,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      *  @param _governor The trusted governor of this contract.
      *  @param _requesterBaseDeposit The base deposit to make a request.
      *  @param _challengerBaseDeposit The base deposit to challenge a request.
+     *  @param _renewalBaseDeposit The base deposit to make a renewal request.
      *  @param _challengePeriodDuration The time in seconds, parties have to challenge a request.
      *  @param _sharedStakeMultiplier Multiplier of the arbitration cost that each party must pay as fee stake for a round when there isn't a winner/loser in the previous round (e.g. when it's the first round or the arbitrator refused to or did not rule). In basis points.
      *  @param _winnerStakeMultiplier Multiplier of the arbitration cost that the winner has to pay as fee stake for a round in basis points.
@@ -184,6 +202,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         address _governor,
         uint _requesterBaseDeposit,
         uint _challengerBaseDeposit,
+        uint _renewalBaseDeposit,
         uint _challengePeriodDuration,
         uint _sharedStakeMultiplier,
         uint _winnerStakeMultiplier,
@@ -195,6 +214,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         governor = _governor;
         requesterBaseDeposit = _requesterBaseDeposit;
         challengerBaseDeposit = _challengerBaseDeposit;
+        renewalBaseDeposit = _renewalBaseDeposit;
         challengePeriodDuration = _challengePeriodDuration;
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
@@ -223,60 +243,58 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         external
         payable
     {
-        bytes32 tokenID = keccak256(
-            abi.encodePacked(
-                _name,
-                _ticker,
-                _addr,
-                _symbolMultihash
-            )
-        );
+        requestTokenStatusChange(_name, _ticker, _addr, _symbolMultihash, msg.value);
+    }
 
-        Token storage token = tokens[tokenID];
-        if (token.requests.length == 0) {
-            // Initial token registration.
-            token.name = _name;
-            token.ticker = _ticker;
-            token.addr = _addr;
-            token.symbolMultihash = _symbolMultihash;
-            tokensList.push(tokenID);
-            addressToSubmissions[_addr].push(tokenID);
-            emit TokenSubmitted(_name, _ticker, _symbolMultihash, _addr);
+    /** @dev Submits requests to change the status of several tokens at once, such as the deployments of a token on several chains. Each request is a separate request which can be challenged on its own. Accepts enough ETH to fund all the requests considering the current required amount and reimburses the rest. TRUSTED.
+     *  The strings of the tokens are packed in a single bytes array, as arrays of strings cannot be passed without ABIEncoderV2.
+     *  @param _strings The name, ticker and symbol multihash of each token, concatenated in this order.
+     *  @param _lengths The length in bytes of each string of _strings, three per token.
+     *  @param _addrs The Ethereum address of each token.
+     */
+    function batchRequestStatusChange(
+        bytes _strings,
+        uint[] _lengths,
+        address[] _addrs
+    )
+        public
+        payable
+    {
+        require(_lengths.length == _addrs.length * 3, "There must be one value of each field per token.");
+
+        // Amount required to fully fund each request, see `submitRequest`.
+        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        uint cost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR);
+        if (depositToken == ERC20(0x0))
+            cost = cost.addCap(requesterBaseDeposit);
+        uint totalCost = cost.mulCap(_addrs.length);
+        require(msg.value >= totalCost, "You must fully fund every request.");
+
+        uint start;
+        for (uint i = 0; i < _addrs.length; i++) {
+            string[3] memory fields; // The name, ticker and symbol multihash of the token.
+            for (uint j = 0; j < 3; j++) {
+                fields[j] = sliceString(_strings, start, _lengths[3 * i + j]);
+                start += _lengths[3 * i + j];
+            }
+            requestTokenStatusChange(fields[0], fields[1], _addrs[i], fields[2], cost);
         }
+        require(start == _strings.length, "The lengths must cover all the strings.");
 
-        // Update token status.
-        if (token.status == TokenStatus.Absent)
-            token.status = TokenStatus.RegistrationRequested;
-        else if (token.status == TokenStatus.Registered)
-            token.status = TokenStatus.ClearingRequested;
-        else
-            revert("Token already has a pending request.");
-
-        // Setup request.
-        Request storage request = token.requests[token.requests.length++];
-        request.parties[uint(Party.Requester)] = msg.sender;
-        request.submissionTime = now;
-        request.arbitrator = arbitrator;
-        request.arbitratorExtraData = arbitratorExtraData;
-        Round storage round = request.rounds[request.rounds.length++];
+        msg.sender.send(msg.value - totalCost); // Deliberate use of send in order to not block the contract in case of reverting fallback.
+    }
 
-        emit RequestSubmitted(tokenID, token.status == TokenStatus.RegistrationRequested);
+    /** @dev Submits a request to renew the registration of a token, which restarts its registration duration. The request can be challenged like a registration request, and the token is removed if the challenger wins. Requires a renewal deposit instead of the request deposit. Accepts enough ETH to fund a potential dispute considering the current required amount and reimburses the rest. TRUSTED.
+     *  Only available if registrations expire. Expired tokens can be renewed, as they remain registered until they are removed.
+     *  @param _tokenID The ID of the token to renew.
+     */
+    function requestRenewal(bytes32 _tokenID) external payable {
+        require(registrationDuration != 0, "Registrations do not expire.");
+        Token storage token = tokens[_tokenID];
+        require(token.status == TokenStatus.Registered, "The token must be registered.");
+        token.status = TokenStatus.RenewalRequested;
 
-        // Amount required to fully fund each side: requesterBaseDeposit + arbitration cost + (arbitration cost * multiplier).
-        uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(requesterBaseDeposit);
-        contribute(round, Party.Requester, msg.sender, msg.value, totalCost);
-        require(round.paidFees[uint(Party.Requester)] >= totalCost, "You must fully fund your side.");
-        round.hasPaid[uint(Party.Requester)] = true;
-        
-        emit TokenStatusChange(
-            request.parties[uint(Party.Requester)],
-            address(0x0),
-            tokenID,
-            token.status,
-            false,
-            false
-        );
+        submitRequest(_tokenID, renewalBaseDeposit, msg.value);
     }
 
     /** @dev Challenges the latest request of a token. Accepts enough ETH to fund a potential dispute considering the current required amount. Reimburses unused ETH. TRUSTED.
@@ -286,7 +304,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     function challengeRequest(bytes32 _tokenID, string _evidence) external payable {
         Token storage token = tokens[_tokenID];
         require(
-            token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.ClearingRequested,
+            token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.ClearingRequested || token.status == TokenStatus.RenewalRequested,
             "The token must have a pending request."
         );
         Request storage request = token.requests[token.requests.length - 1];
@@ -298,7 +316,11 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
 
         Round storage round = request.rounds[request.rounds.length - 1];
         uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(challengerBaseDeposit);
+        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR);
+        if (request.depositToken == ERC20(0x0))
+            totalCost = totalCost.addCap(challengerBaseDeposit);
+        else
+            takeDeposit(request, Party.Challenger, challengerBaseDeposit);
         contribute(round, Party.Challenger, msg.sender, msg.value, totalCost);
         require(round.paidFees[uint(Party.Challenger)] >= totalCost, "You must fully fund your side.");
         round.hasPaid[uint(Party.Challenger)] = true;
@@ -313,9 +335,9 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         emit Dispute(
             request.arbitrator,
             request.disputeID,
-            token.status == TokenStatus.RegistrationRequested
-                ? 2 * metaEvidenceUpdates
-                : 2 * metaEvidenceUpdates + 1,
+            token.status == TokenStatus.ClearingRequested
+                ? 2 * metaEvidenceUpdates + 1
+                : 2 * metaEvidenceUpdates, // Renewal requests use the registration meta evidence.
             uint(keccak256(abi.encodePacked(_tokenID,token.requests.length - 1)))
         );
         emit TokenStatusChange(
@@ -339,7 +361,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         require(_side == Party.Requester || _side == Party.Challenger); // solium-disable-line error-reason
         Token storage token = tokens[_tokenID];
         require(
-            token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.ClearingRequested,
+            token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.ClearingRequested || token.status == TokenStatus.RenewalRequested,
             "The token must have a pending request."
         );
         Request storage request = token.requests[token.requests.length - 1];
@@ -394,7 +416,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      *  @param _beneficiary The address that made contributions to a request.
      *  @param _tokenID The ID of the token submission with the request from which to withdraw.
      *  @param _request The request from which to withdraw.
-     *  @param _round The round from which to withdraw.
+     *  @param _round The round from which to withdraw. Deposits paid in the deposit token are withdrawn with the first round, which can be withdrawn again if the token refused the transfer.
      */
     function withdrawFeesAndRewards(address _beneficiary, bytes32 _tokenID, uint _request, uint _round) public {
         Token storage token = tokens[_tokenID];
@@ -427,6 +449,9 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
 
         emit RewardWithdrawal(_tokenID, _beneficiary, _request, _round,  reward);
         _beneficiary.send(reward); // It is the user responsibility to accept ETH.
+
+        if (_round == 0)
+            withdrawDeposit(_beneficiary, _tokenID, _request);
     }
 
     /** @dev Withdraws rewards and reimbursements of multiple rounds at once. This function is O(n) where n is the number of rounds. This could exceed gas limits, therefore this function should be used only as a utility and not be relied upon by other contracts.
@@ -476,9 +501,10 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         );
         require(!request.disputed, "The request should not be disputed.");
 
-        if (token.status == TokenStatus.RegistrationRequested)
+        if (token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.RenewalRequested) {
             token.status = TokenStatus.Registered;
-        else if (token.status == TokenStatus.ClearingRequested)
+            token.registrationTime = now;
+        } else if (token.status == TokenStatus.ClearingRequested)
             token.status = TokenStatus.Absent;
         else
             revert("There must be a request.");
@@ -550,6 +576,27 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
         requesterBaseDeposit = _requesterBaseDeposit;
     }
     
+    /** @dev Change the base amount required as a deposit to make a renewal request.
+     *  @param _renewalBaseDeposit The new base amount of wei required to make a renewal request.
+     */
+    function changeRenewalBaseDeposit(uint _renewalBaseDeposit) external onlyGovernor {
+        renewalBaseDeposit = _renewalBaseDeposit;
+    }
+
+    /** @dev Change the token in which the deposits of the next requests are paid. The base deposits should be changed accordingly, as they are amounts of this token.
+     *  @param _depositToken The new deposit token. 0 for deposits in ETH.
+     */
+    function changeDepositToken(ERC20 _depositToken) external onlyGovernor {
+        depositToken = _depositToken;
+    }
+
+    /** @dev Change the time after which registrations expire. Applies to current registrations, which expire this long after they were made or last renewed.
+     *  @param _registrationDuration The new duration of registrations in seconds. 0 for registrations that do not expire.
+     */
+    function changeRegistrationDuration(uint _registrationDuration) external onlyGovernor {
+        registrationDuration = _registrationDuration;
+    }
+
     /** @dev Change the base amount required as a deposit to challenge a request.
      *  @param _challengerBaseDeposit The new base amount of wei required to challenge a request.
      */
@@ -607,6 +654,170 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     
     /* Internal */
 
+    /** @dev Submits a request to change a token status, funded with the given amount of the ETH sent.
+     *  @param _name The token name (e.g. Pinakion).
+     *  @param _ticker The token ticker (e.g. PNK).
+     *  @param _addr The Ethereum address of the token.
+     *  @param _symbolMultihash The multihash of the token symbol.
+     *  @param _value The amount of the ETH sent to fund the request. The amount left after funding it is reimbursed.
+     */
+    function requestTokenStatusChange(
+        string memory _name,
+        string memory _ticker,
+        address _addr,
+        string memory _symbolMultihash,
+        uint _value
+    )
+        internal
+    {
+        bytes32 tokenID = keccak256(
+            abi.encodePacked(
+                _name,
+                _ticker,
+                _addr,
+                _symbolMultihash
+            )
+        );
+
+        Token storage token = tokens[tokenID];
+        if (token.requests.length == 0) {
+            // Initial token registration.
+            token.name = _name;
+            token.ticker = _ticker;
+            token.addr = _addr;
+            token.symbolMultihash = _symbolMultihash;
+            tokensList.push(tokenID);
+            addressToSubmissions[_addr].push(tokenID);
+            emit TokenSubmitted(_name, _ticker, _symbolMultihash, _addr);
+        }
+
+        // Update token status.
+        if (token.status == TokenStatus.Absent)
+            token.status = TokenStatus.RegistrationRequested;
+        else if (token.status == TokenStatus.Registered)
+            token.status = TokenStatus.ClearingRequested;
+        else
+            revert("Token already has a pending request.");
+
+        submitRequest(tokenID, requesterBaseDeposit, _value);
+    }
+
+    /** @dev Copy a part of a bytes array into a new string.
+     *  @param _data The bytes array.
+     *  @param _start The index of the first byte of the string.
+     *  @param _length The length of the string in bytes.
+     *  @return The string.
+     */
+    function sliceString(bytes memory _data, uint _start, uint _length) internal pure returns (string memory) {
+        require(_start.addCap(_length) <= _data.length, "The strings must be as long as their lengths.");
+        bytes memory slice = new bytes(_length);
+        for (uint i = 0; i < _length; i++)
+            slice[i] = _data[_start + i];
+        return string(slice);
+    }
+
+    /** @dev Setup the request made for the new status of a token and take the deposit of the requester.
+     *  @param _tokenID The ID of the token.
+     *  @param _baseDeposit The base deposit of the request.
+     *  @param _value The amount of the ETH sent to fund the request. The amount left after funding it is reimbursed.
+     */
+    function submitRequest(bytes32 _tokenID, uint _baseDeposit, uint _value) internal {
+        Token storage token = tokens[_tokenID];
+        Request storage request = token.requests[token.requests.length++];
+        request.parties[uint(Party.Requester)] = msg.sender;
+        request.submissionTime = now;
+        request.arbitrator = arbitrator;
+        request.arbitratorExtraData = arbitratorExtraData;
+        request.depositToken = depositToken;
+        Round storage round = request.rounds[request.rounds.length++];
+
+        emit RequestSubmitted(_tokenID, token.status != TokenStatus.ClearingRequested);
+
+        // Amount required to fully fund each side: base deposit + arbitration cost + (arbitration cost * multiplier). The base deposit is taken separately if it is paid in the deposit token.
+        uint arbitrationCost = request.arbitrator.arbitrationCost(request.arbitratorExtraData);
+        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR);
+        if (request.depositToken == ERC20(0x0))
+            totalCost = totalCost.addCap(_baseDeposit);
+        else
+            takeDeposit(request, Party.Requester, _baseDeposit);
+        contribute(round, Party.Requester, msg.sender, _value, totalCost);
+        require(round.paidFees[uint(Party.Requester)] >= totalCost, "You must fully fund your side.");
+        round.hasPaid[uint(Party.Requester)] = true;
+        
+        emit TokenStatusChange(
+            request.parties[uint(Party.Requester)],
+            address(0x0),
+            _tokenID,
+            token.status,
+            false,
+            false
+        );
+    }
+
+    /** @dev Take the deposit of a party of a request in the deposit token of the request.
+     *  @param _request The request.
+     *  @param _side The party paying the deposit.
+     *  @param _amount The amount of the deposit.
+     */
+    function takeDeposit(Request storage _request, Party _side, uint _amount) internal {
+        _request.deposits[uint(_side)] = _amount;
+        require(_request.depositToken.transferFrom(msg.sender, this, _amount), "Failed to transfer the deposit.");
+    }
+
+    /** @dev Withdraw the deposits paid in the deposit token of a resolved request. The winner of a dispute takes both deposits. Otherwise, each party is reimbursed its deposit.
+     *  The deposits are kept if the token refuses the transfer, to be withdrawn later with withdrawFeesAndRewards.
+     *  @param _beneficiary The party to withdraw for.
+     *  @param _tokenID The ID of the token.
+     *  @param _request The request from which to withdraw.
+     */
+    function withdrawDeposit(address _beneficiary, bytes32 _tokenID, uint _request) internal {
+        Request storage request = tokens[_tokenID].requests[_request];
+        uint[3] memory withdrawn;
+        if (!request.disputed || request.ruling == Party.None) {
+            for (uint side = uint(Party.Requester); side <= uint(Party.Challenger); side++) {
+                if (request.parties[side] == _beneficiary)
+                    withdrawn[side] = request.deposits[side];
+            }
+        } else if (request.parties[uint(request.ruling)] == _beneficiary) {
+            withdrawn = request.deposits;
+        }
+        uint reward = withdrawn[uint(Party.Requester)] + withdrawn[uint(Party.Challenger)];
+        if (reward == 0) return;
+
+        request.deposits[uint(Party.Requester)] -= withdrawn[uint(Party.Requester)];
+        request.deposits[uint(Party.Challenger)] -= withdrawn[uint(Party.Challenger)];
+        // Reverting would block the execution of the request and the ruling, so the deposits are kept for a later withdrawal instead.
+        if (!tryTransfer(request.depositToken, _beneficiary, reward)) {
+            request.deposits[uint(Party.Requester)] += withdrawn[uint(Party.Requester)];
+            request.deposits[uint(Party.Challenger)] += withdrawn[uint(Party.Challenger)];
+            return;
+        }
+
+        emit DepositWithdrawal(_tokenID, _beneficiary, _request, reward);
+    }
+
+    /** @dev Transfer tokens from the contract to an address without reverting if the transfer fails.
+     *  @param _token The ERC20 token contract.
+     *  @param _to The address to transfer the tokens to.
+     *  @param _amount The amount of tokens.
+     *  @return Whether the tokens were transferred.
+     */
+    function tryTransfer(ERC20 _token, address _to, uint _amount) internal returns (bool success) {
+        success = address(_token).call(abi.encodeWithSignature("transfer(address,uint256)", _to, _amount));
+        if (!success)
+            return false;
+
+        // Tokens which do not return a value on success are accepted.
+        uint returned = 1;
+        assembly {
+            if eq(returndatasize, 0x20) {
+                returndatacopy(0, 0, 0x20)
+                returned := mload(0)
+            }
+        }
+        return returned != 0;
+    }
+
     /** @dev Returns the contribution value and remainder from available ETH and required amount.
      *  @param _available The amount of ETH available for the contribution.
      *  @param _requiredAmount The amount of ETH required for the contribution.
@@ -658,12 +869,14 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
 
         // Update token state
         if (winner == Party.Requester) { // Execute Request
-            if (token.status == TokenStatus.RegistrationRequested)
-                token.status = TokenStatus.Registered;
-            else
+            if (token.status == TokenStatus.ClearingRequested)
                 token.status = TokenStatus.Absent;
-        } else { // Revert to previous state.
-            if (token.status == TokenStatus.RegistrationRequested)
+            else {
+                token.status = TokenStatus.Registered;
+                token.registrationTime = now;
+            }
+        } else { // Revert to previous state. A denied renewal removes the token, like a denied registration.
+            if (token.status == TokenStatus.RegistrationRequested || token.status == TokenStatus.RenewalRequested)
                 token.status = TokenStatus.Absent;
             else if (token.status == TokenStatus.ClearingRequested)
                 token.status = TokenStatus.Registered;
@@ -692,13 +905,29 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     
     /* Views */
 
-    /** @dev Return true if the token is on the list.
+    /** @dev Return true if the token is on the list and its registration did not expire.
      *  @param _tokenID The ID of the token to be queried.
      *  @return allowed True if the token is allowed, false otherwise.
      */
     function isPermitted(bytes32 _tokenID) external view returns (bool allowed) {
         Token storage token = tokens[_tokenID];
-        return token.status == TokenStatus.Registered || token.status == TokenStatus.ClearingRequested;
+        return (
+            token.status == TokenStatus.Registered ||
+            token.status == TokenStatus.ClearingRequested ||
+            token.status == TokenStatus.RenewalRequested
+        ) && !isExpired(_tokenID);
+    }
+
+    /** @dev Return true if the registration of the token expired. Expired tokens are not permitted until their registration is renewed.
+     *  @param _tokenID The ID of the token to be queried.
+     *  @return expired True if the token is on the list and was registered or last renewed more than `registrationDuration` ago.
+     */
+    function isExpired(bytes32 _tokenID) public view returns (bool expired) {
+        Token storage token = tokens[_tokenID];
+        return registrationDuration != 0 &&
+            token.status != TokenStatus.Absent &&
+            token.status != TokenStatus.RegistrationRequested &&
+            now - token.registrationTime > registrationDuration;
     }
 
     
@@ -708,7 +937,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      *  @param _tokenID The ID of the token to query.
      *  @param _beneficiary The contributor for which to query.
      *  @param _request The request from which to query for.
-     *  @return The total amount of wei available to withdraw.
+     *  @return The total amount of wei available to withdraw. Deposits paid in the deposit token are not included, see `getRequestInfo`.
      */
     function amountWithdrawable(bytes32 _tokenID, address _beneficiary, uint _request) external view returns (uint total){
         Request storage request = tokens[_tokenID].requests[_request];
@@ -743,6 +972,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     }
     
     /** @dev Return the numbers of tokens with each status. This function is O(n), where n is the number of tokens. This could exceed the gas limit, therefore this function should only be used for interface display and not by other contracts.
+     *  Registered tokens that expired are counted as expired instead of registered.
      *  @return The numbers of tokens in the list per status.
      */
     function countByStatus()
@@ -754,7 +984,10 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             uint registrationRequest,
             uint clearingRequest,
             uint challengedRegistrationRequest,
-            uint challengedClearingRequest
+            uint challengedClearingRequest,
+            uint expired,
+            uint renewalRequest,
+            uint challengedRenewalRequest
         )
     {
         for (uint i = 0; i < tokensList.length; i++) {
@@ -762,11 +995,14 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             Request storage request = token.requests[token.requests.length - 1];
 
             if (token.status == TokenStatus.Absent) absent++;
+            else if (token.status == TokenStatus.Registered && isExpired(tokensList[i])) expired++;
             else if (token.status == TokenStatus.Registered) registered++;
             else if (token.status == TokenStatus.RegistrationRequested && !request.disputed) registrationRequest++;
             else if (token.status == TokenStatus.ClearingRequested && !request.disputed) clearingRequest++;
             else if (token.status == TokenStatus.RegistrationRequested && request.disputed) challengedRegistrationRequest++;
             else if (token.status == TokenStatus.ClearingRequested && request.disputed) challengedClearingRequest++;
+            else if (token.status == TokenStatus.RenewalRequested && !request.disputed) renewalRequest++;
+            else if (token.status == TokenStatus.RenewalRequested && request.disputed) challengedRenewalRequest++;
         }
     }
 
@@ -775,18 +1011,21 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      *  @param _count The number of tokens to return.
      *  @param _filter The filter to use. Each element of the array in sequence means:
      *  - Include absent tokens in result.
-     *  - Include registered tokens in result.
+     *  - Include registered tokens that did not expire in result.
      *  - Include tokens with registration requests that are not disputed in result.
      *  - Include tokens with clearing requests that are not disputed in result.
      *  - Include disputed tokens with registration requests in result.
      *  - Include disputed tokens with clearing requests in result.
      *  - Include tokens submitted by the caller.
      *  - Include tokens challenged by the caller.
+     *  - Include registered tokens that expired in result.
+     *  - Include tokens with renewal requests that are not disputed in result.
+     *  - Include disputed tokens with renewal requests in result.
      *  @param _oldestFirst Whether to sort from oldest to the newest item.
      *  @param _tokenAddr A token address to filter submissions by address (optional).
      *  @return The values of the tokens found and whether there are more tokens for the current filter and sort.
      */
-    function queryTokens(bytes32 _cursor, uint _count, bool[8] _filter, bool _oldestFirst, address _tokenAddr)
+    function queryTokens(bytes32 _cursor, uint _count, bool[11] _filter, bool _oldestFirst, address _tokenAddr)
         external
         view
         returns (bytes32[] values, bool hasMore)
@@ -822,13 +1061,16 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             if (
                 /* solium-disable operator-whitespace */
                 (_filter[0] && token.status == TokenStatus.Absent) ||
-                (_filter[1] && token.status == TokenStatus.Registered) ||
+                (_filter[1] && token.status == TokenStatus.Registered && !isExpired(tokenID)) ||
                 (_filter[2] && token.status == TokenStatus.RegistrationRequested && !request.disputed) ||
                 (_filter[3] && token.status == TokenStatus.ClearingRequested && !request.disputed) ||
                 (_filter[4] && token.status == TokenStatus.RegistrationRequested && request.disputed) ||
                 (_filter[5] && token.status == TokenStatus.ClearingRequested && request.disputed) ||
                 (_filter[6] && request.parties[uint(Party.Requester)] == msg.sender) || // My Submissions.
-                (_filter[7] && request.parties[uint(Party.Challenger)] == msg.sender) // My Challenges.
+                (_filter[7] && request.parties[uint(Party.Challenger)] == msg.sender) || // My Challenges.
+                (_filter[8] && token.status == TokenStatus.Registered && isExpired(tokenID)) ||
+                (_filter[9] && token.status == TokenStatus.RenewalRequested && !request.disputed) ||
+                (_filter[10] && token.status == TokenStatus.RenewalRequested && request.disputed)
                 /* solium-enable operator-whitespace */
             ) {
                 if (index < _count) {
@@ -891,7 +1133,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
     /** @dev Gets information on a request made for a token.
      *  @param _tokenID The ID of the queried token.
      *  @param _request The request to be queried.
-     *  @return The request information.
+     *  @return The request information, including its deposit token and the deposits paid in it.
      */
     function getRequestInfo(bytes32 _tokenID, uint _request)
         external
@@ -905,7 +1147,9 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             uint numberOfRounds,
             Party ruling,
             Arbitrator arbitrator,
-            bytes arbitratorExtraData
+            bytes arbitratorExtraData,
+            ERC20 depositToken,
+            uint[3] deposits
         )
     {
         Request storage request = tokens[_tokenID].requests[_request];
@@ -918,7 +1162,9 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             request.rounds.length,
             request.ruling,
             request.arbitrator,
-            request.arbitratorExtraData
+            request.arbitratorExtraData,
+            request.depositToken,
+            request.deposits
         );
     }
 
@@ -926,7 +1172,7 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
      *  @param _tokenID The ID of the queried token.
      *  @param _request The request to be queried.
      *  @param _round The round to be queried.
-     *  @return The round information.
+     *  @return The round information. `paidFees` and `feeRewards` are in ETH and `deposits` are the deposits paid in the deposit token of the request, if any.
      */
     function getRoundInfo(bytes32 _tokenID, uint _request, uint _round)
         external
@@ -935,17 +1181,21 @@ contract ArbitrableTokenList is PermissionInterface, Arbitrable {
             bool appealed,
             uint[3] paidFees,
             bool[3] hasPaid,
-            uint feeRewards
+            uint feeRewards,
+            uint[3] deposits
         )
     {
         Token storage token = tokens[_tokenID];
         Request storage request = token.requests[_request];
         Round storage round = request.rounds[_round];
+        if (_round == 0)
+            deposits = request.deposits; // Deposits in the deposit token are paid in the first round.
         return (
             _round != (request.rounds.length-1),
             round.paidFees,
             round.hasPaid,
-            round.feeRewards
+            round.feeRewards,
+            deposits
         );
     }
 }
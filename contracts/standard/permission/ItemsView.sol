@@ -0,0 +1,65 @@
+/**
+ *  @authors: []
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.4.24;
+pragma experimental ABIEncoderV2;
+
+
+contract IArbitrableItemList {
+
+    enum ItemStatus {
+        Absent, // The item is not in the registry.
+        Registered, // The item is in the registry.
+        RegistrationRequested, // The item has a request to be added to the registry.
+        ClearingRequested // The item has a request to be removed from the registry.
+    }
+
+    function getItemInfo(bytes32) external view returns (bytes memory, ItemStatus, uint);
+}
+
+
+/** @title ItemsView
+ *  Utility view contract to fetch multiple item information at once.
+ */
+contract ItemsView {
+
+    struct Item {
+        bytes32 ID;
+        bytes data;
+        IArbitrableItemList.ItemStatus status;
+        uint numberOfRequests;
+    }
+
+    /** @dev Fetch item information with item IDs.
+     *  @param _listAddress The address of the item list contract from where to fetch item information.
+     *  @param _itemIDs The IDs of the items we want to query.
+     *  @return items The items information.
+     */
+    function getItems(address _listAddress, bytes32[] _itemIDs)
+        external
+        view
+        returns (Item[] memory items)
+    {
+        IArbitrableItemList list = IArbitrableItemList(_listAddress);
+        items = new Item[](_itemIDs.length);
+        for (uint i = 0; i < _itemIDs.length ; i++){
+            (
+                bytes memory data,
+                IArbitrableItemList.ItemStatus status,
+                uint numberOfRequests
+            ) = list.getItemInfo(_itemIDs[i]);
+
+            items[i] = Item(
+                _itemIDs[i],
+                data,
+                status,
+                numberOfRequests
+            );
+        }
+    }
+}
@@ -16,16 +16,21 @@ contract IArbitrableTokenList {
         Absent, // The token is not in the registry.
         Registered, // The token is in the registry.
         RegistrationRequested, // The token has a request to be added to the registry.
-        ClearingRequested // The token has a request to be removed from the registry.
+        ClearingRequested, // The token has a request to be removed from the registry.
+        RenewalRequested // The token is in the registry and has a request to renew its registration.
     }
 
     function getTokenInfo(bytes32) external view returns (string memory, string memory, address, string memory, TokenStatus, uint);
-    function queryTokens(bytes32 _cursor, uint _count, bool[8] _filter, bool _oldestFirst, address _tokenAddr)
+    function queryTokens(bytes32 _cursor, uint _count, bool[11] _filter, bool _oldestFirst, address _tokenAddr)
         external
         view
         returns (bytes32[] memory values, bool hasMore);
     function tokenCount() external view returns (uint);
     function addressToSubmissions(address _addr, uint _index) external view returns (bytes32);
+    function getRequestInfo(bytes32 _tokenID, uint _request)
+        external
+        view
+        returns (bool, uint, uint, bool, address[3] memory, uint, uint8, address, bytes memory, address, uint[3] memory);
 }
 
 
@@ -56,36 +61,17 @@ contract TokensView {
         result = new bytes32[](_tokenAddresses.length);
         uint[2] memory iterators = [uint(0), uint(0)]; // Using array to avoid stack limit.
         while(iterators[0] < _tokenAddresses.length) {
-            // Count how many submissions were made for an address.
             address tokenAddr = _tokenAddresses[iterators[0]];
-            bool counting = true;
-            bytes4 sig = bytes4(keccak256("addressToSubmissions(address,uint256)"));
-            uint submissions = 0;
-            while(counting) {
-                assembly {
-                    let x := mload(0x40)   // Find empty storage location using "free memory pointer"
-                    mstore(x, sig)         // Set the signature to the first call parameter.
-                    mstore(add(x, 0x04), tokenAddr)
-                    mstore(add(x, 0x24), submissions)
-                    counting := staticcall( // `counting` will be set to false if the call reverts (which will happen if we reached the end of the array.)
-                        30000,              // 30k gas
-                        _t2crAddress,       // The call target.
-                        x,                  // Inputs are stored at location x
-                        0x44,               // Input is 44 bytes long (signature (4B) + address (20B) + index(20B))
-                        x,                  // Overwrite x with output
-                        0x20                // The output length
-                    )
-                }
-
-                if (counting) {
-                    submissions++;
-                }
-            }
+            uint submissions = countSubmissions(_t2crAddress, tokenAddr);
 
             // Search for the oldest submission currently in the registry.
             while (iterators[1] < submissions) {
                 (,,,,IArbitrableTokenList.TokenStatus status,) = t2cr.getTokenInfo(t2cr.addressToSubmissions(tokenAddr, iterators[1]));
-                if (status == IArbitrableTokenList.TokenStatus.Registered || status == IArbitrableTokenList.TokenStatus.ClearingRequested)
+                if (
+                    status == IArbitrableTokenList.TokenStatus.Registered ||
+                    status == IArbitrableTokenList.TokenStatus.ClearingRequested ||
+                    status == IArbitrableTokenList.TokenStatus.RenewalRequested
+                )
                 {
                     result[iterators[0]] = t2cr.addressToSubmissions(tokenAddr, iterators[1]);
                     break;
@@ -97,6 +83,32 @@ contract TokensView {
         }
     }
 
+    /** @dev Fetch token IDs of the latest submissions requested by the submitters for the addresses, such as the tokens of a batch request.
+     *  @param _t2crAddress The address of the t2cr contract from where to fetch token information.
+     *  @param _tokenAddresses The address of each token.
+     *  @param _submitters The submitter of each token.
+     *  @return result The ID of the latest submission for each address whose latest request was made by its submitter, 0 if there is none.
+     */
+    function getTokensIDsForSubmitters(
+        address _t2crAddress,
+        address[] _tokenAddresses,
+        address[] _submitters
+    ) external view returns (bytes32[] memory result) {
+        require(_submitters.length == _tokenAddresses.length, "There must be one submitter per token address.");
+        IArbitrableTokenList t2cr = IArbitrableTokenList(_t2crAddress);
+        result = new bytes32[](_tokenAddresses.length);
+        for (uint i = 0; i < _tokenAddresses.length; i++) {
+            // Search for the newest submission whose latest request was made by the submitter.
+            for (uint j = countSubmissions(_t2crAddress, _tokenAddresses[i]); j > 0; j--) {
+                bytes32 tokenID = t2cr.addressToSubmissions(_tokenAddresses[i], j - 1);
+                if (getRequester(t2cr, tokenID) == _submitters[i]) {
+                    result[i] = tokenID;
+                    break;
+                }
+            }
+        }
+    }
+
     /** @dev Fetch up token information with token IDs. If a token contract does not implement the decimals() function, its decimals field will be 0.
      *  @param _t2crAddress The address of the t2cr contract from where to fetch token information.
      *  @param _tokenIDs The IDs of the tokens we want to query.
@@ -165,4 +177,47 @@ contract TokensView {
             }
         }
     }
-}
\ No newline at end of file
+
+    /* Internal */
+
+    /** @dev Count how many submissions were made for an address.
+     *  @param _t2crAddress The address of the t2cr contract from where to fetch token information.
+     *  @param _tokenAddr The address of the token.
+     *  @return submissions The number of submissions made for the address.
+     */
+    function countSubmissions(address _t2crAddress, address _tokenAddr) internal view returns (uint submissions) {
+        bool counting = true;
+        bytes4 sig = bytes4(keccak256("addressToSubmissions(address,uint256)"));
+        while(counting) {
+            assembly {
+                let x := mload(0x40)   // Find empty storage location using "free memory pointer"
+                mstore(x, sig)         // Set the signature to the first call parameter.
+                mstore(add(x, 0x04), _tokenAddr)
+                mstore(add(x, 0x24), submissions)
+                counting := staticcall( // `counting` will be set to false if the call reverts (which will happen if we reached the end of the array.)
+                    30000,              // 30k gas
+                    _t2crAddress,       // The call target.
+                    x,                  // Inputs are stored at location x
+                    0x44,               // Input is 44 bytes long (signature (4B) + address (20B) + index(20B))
+                    x,                  // Overwrite x with output
+                    0x20                // The output length
+                )
+            }
+
+            if (counting) {
+                submissions++;
+            }
+        }
+    }
+
+    /** @dev Get the requester of the latest request of a token.
+     *  @param _t2cr The t2cr contract from where to fetch token information.
+     *  @param _tokenID The ID of the token.
+     *  @return requester The requester of the latest request.
+     */
+    function getRequester(IArbitrableTokenList _t2cr, bytes32 _tokenID) internal view returns (address requester) {
+        (,,,,,uint numberOfRequests) = _t2cr.getTokenInfo(_tokenID);
+        (,,,,address[3] memory parties,,,,,,) = _t2cr.getRequestInfo(_tokenID, numberOfRequests - 1);
+        return parties[1];
+    }
+}
@@ -1,9 +1,261 @@
-/*var ConvertLib = artifacts.require("./ConvertLib.sol");
-var MetaCoin = artifacts.require("./MetaCoin.sol");*/
-
-module.exports = function(deployer) {
-	/*
-  deployer.deploy(ConvertLib);
-  deployer.link(ConvertLib, MetaCoin);
-  deployer.deploy(MetaCoin,10000);*/
-};
+/* global artifacts, web3 */
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Constructor parameters of the deployable contracts, in constructor order.
+ * Contracts are grouped by the section of the parameter file they can be deployed from.
+ */
+const DEPLOYABLE_CONTRACTS = {
+  arbitrators: {
+    CentralizedArbitrator: ['arbitrationPrice'],
+    AppealableArbitrator: [
+      'arbitrationPrice',
+      'arbitrator',
+      'arbitratorExtraData',
+      'timeOut'
+    ],
+    EnhancedAppealableArbitrator: [
+      'arbitrationPrice',
+      'arbitrator',
+      'arbitratorExtraData',
+      'timeOut'
+    ],
+    AutoAppealableArbitrator: ['arbitrationPrice']
+  },
+  escrows: {
+    MultipleArbitrableTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeTimeout'
+    ],
+    MultipleArbitrableTokenTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeTimeout'
+    ],
+    MultipleArbitrableTransactionWithFee: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeRecipient',
+      'feeRecipientBasisPoint',
+      'feeTimeout',
+      'feeTimelock'
+    ],
+    MultipleArbitrableTokenTransactionWithFee: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeRecipient',
+      'feeRecipientBasisPoint',
+      'feeTimeout',
+      'feeTimelock'
+    ],
+    MultipleArbitrableTransactionWithAppeals: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeTimeout',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier'
+    ],
+    MultipleArbitrableTokenTransactionWithAppeals: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeTimeout',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier'
+    ],
+    MultipleArbitrableMilestoneTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'feeTimeout'
+    ],
+    MultipleArbitrableNFTTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'feeTimeout'
+    ],
+    MultipleArbitrableSubscriptionTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'feeTimeout'
+    ],
+    MultipleArbitrableRealitioTransaction: ['realitio', 'realitioArbitrator'],
+    MultipleArbitrableAssetTransaction: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'governor',
+      'feeTimeout',
+      'settlementTimeout',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier',
+      'chainId'
+    ]
+  },
+  lists: {
+    ArbitrableAddressList: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'registrationMetaEvidence',
+      'clearingMetaEvidence',
+      'governor',
+      'requesterBaseDeposit',
+      'challengerBaseDeposit',
+      'renewalBaseDeposit',
+      'challengePeriodDuration',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier'
+    ],
+    ArbitrableTokenList: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'registrationMetaEvidence',
+      'clearingMetaEvidence',
+      'governor',
+      'requesterBaseDeposit',
+      'challengerBaseDeposit',
+      'renewalBaseDeposit',
+      'challengePeriodDuration',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier'
+    ],
+    ArbitrableItemList: [
+      'arbitrator',
+      'arbitratorExtraData',
+      'registrationMetaEvidence',
+      'clearingMetaEvidence',
+      'governor',
+      'requesterBaseDeposit',
+      'challengerBaseDeposit',
+      'challengePeriodDuration',
+      'sharedStakeMultiplier',
+      'winnerStakeMultiplier',
+      'loserStakeMultiplier'
+    ]
+  }
+}
+
+const CONFIG_DIRECTORY = path.join(__dirname, 'config')
+const MANIFEST_DIRECTORY = path.join(__dirname, '..', 'deployments')
+
+/**
+ * Resolve a parameter value. Strings starting with `@` reference either the deploying account (`@deployer`)
+ * or a contract deployed earlier in the same run (`@<instance name>`).
+ * @param {*} value The value from the parameter file.
+ * @param {object} deployed The contracts deployed so far, by instance name.
+ * @param {string} deployer The address of the deploying account.
+ * @returns {*} The value to pass to the constructor.
+ */
+function resolveValue(value, deployed, deployer) {
+  if (typeof value !== 'string' || value[0] !== '@') return value
+  const reference = value.slice(1)
+  if (reference === 'deployer') return deployer
+  if (!deployed[reference])
+    throw new Error(
+      `Reference to ${value} must point to a contract deployed before it.`
+    )
+
+  return deployed[reference].address
+}
+
+/**
+ * Build the ordered constructor arguments of an instance from its parameters.
+ * @param {string} instanceName The name of the instance in the parameter file.
+ * @param {string[]} parameterNames The constructor parameters of the contract, in order.
+ * @param {object} parameters The parameters of the instance.
+ * @param {object} deployed The contracts deployed so far, by instance name.
+ * @param {string} deployer The address of the deploying account.
+ * @returns {Array} The constructor arguments.
+ */
+function constructorArgs(
+  instanceName,
+  parameterNames,
+  parameters,
+  deployed,
+  deployer
+) {
+  return parameterNames.map(name => {
+    if (name === 'governor' && parameters[name] === undefined) return deployer
+    if (name === 'arbitratorExtraData' && parameters[name] === undefined)
+      return '0x0'
+    if (parameters[name] === undefined)
+      throw new Error(`Missing parameter "${name}" for ${instanceName}.`)
+
+    return resolveValue(parameters[name], deployed, deployer)
+  })
+}
+
+module.exports = function(deployer, network, accounts) {
+  const configPath = path.join(CONFIG_DIRECTORY, `${network}.json`)
+  if (!fs.existsSync(configPath)) {
+    console.log(
+      `  No parameter file found at ${configPath}, skipping deployment.`
+    )
+    return
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+
+  deployer.then(async () => {
+    const deployed = {}
+    const manifest = {
+      network,
+      networkId: web3.version.network,
+      deployer: accounts[0],
+      contracts: {}
+    }
+
+    for (const section of Object.keys(DEPLOYABLE_CONTRACTS))
+      for (const instanceName of Object.keys(config[section] || {})) {
+        const parameters = config[section][instanceName]
+        const contractName = parameters.contract || instanceName
+        const parameterNames = DEPLOYABLE_CONTRACTS[section][contractName]
+        if (!parameterNames)
+          throw new Error(
+            `${contractName} can not be deployed from the "${section}" section.`
+          )
+        if (deployed[instanceName])
+          throw new Error(`Instance name ${instanceName} is used twice.`)
+
+        const args = constructorArgs(
+          instanceName,
+          parameterNames,
+          parameters,
+          deployed,
+          accounts[0]
+        )
+        const Contract = artifacts.require(contractName)
+        deployed[instanceName] = await Contract.new(...args, {
+          from: accounts[0]
+        })
+
+        manifest.contracts[instanceName] = {
+          contract: contractName,
+          address: deployed[instanceName].address,
+          transactionHash: deployed[instanceName].transactionHash,
+          args: parameterNames.reduce((acc, name, i) => {
+            acc[name] = args[i]
+            return acc
+          }, {})
+        }
+        console.log(
+          `  ${instanceName} (${contractName}): ${deployed[instanceName].address}`
+        )
+      }
+
+    if (!fs.existsSync(MANIFEST_DIRECTORY)) fs.mkdirSync(MANIFEST_DIRECTORY)
+    fs.writeFileSync(
+      path.join(MANIFEST_DIRECTORY, `${network}.json`),
+      JSON.stringify(manifest, null, 2) + '\n'
+    )
+  })
+}
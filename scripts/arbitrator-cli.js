@@ -0,0 +1,21 @@
+/* global artifacts, web3 */
+const { main } = require('../src/arbitrator-cli')
+
+/**
+ * Operator CLI for `CentralizedArbitrator` and `AutoAppealableArbitrator`, run with `truffle exec`.
+ * See `src/arbitrator-cli.js` for the commands.
+ * @param {function} callback Called when the command is done.
+ */
+module.exports = async function(callback) {
+  const scriptIndex = process.argv.findIndex(arg =>
+    arg.endsWith('arbitrator-cli.js')
+  )
+  try {
+    await main(process.argv.slice(scriptIndex + 1), { artifacts, web3 })
+  } catch (err) {
+    process.stderr.write(`${JSON.stringify({ error: err.message })}\n`)
+    // truffle exec exits with 0 once the callback is called, unless it is called with an error.
+    return callback(err)
+  }
+  callback()
+}
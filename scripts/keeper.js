@@ -0,0 +1,71 @@
+/* global artifacts, web3 */
+const fs = require('fs')
+const path = require('path')
+
+const { parseArgs } = require('../src/arbitrator-cli')
+const { Keeper, targetsFromManifest } = require('../src/keeper')
+
+const USAGE = `Usage: truffle exec scripts/keeper.js --network <network> [options]
+
+Options:
+  --manifest <path>     Deployment manifest listing the contracts to keep. Defaults to deployments/<network>.json.
+  --state <path>        File the keeper state is saved to. Defaults to keeper-<network>.json.
+  --from <account>      Account sending the calls. Defaults to the first account.
+  --from-block <block>  Block to start scanning events from, when there is no state file yet.
+  --interval <seconds>  Time between ticks. Defaults to 15.
+  --once                Tick once and exit.
+  --dry-run             Print the calls that would be sent without sending them or saving the state.
+
+Calls are printed as JSON lines on stdout, errors as JSON lines on stderr.`
+
+/**
+ * Keeper executing expired escrow timeouts, list requests and appealable rulings, run with `truffle exec`.
+ * See `src/keeper.js`.
+ * @param {function} callback Called when the keeper stops.
+ */
+module.exports = async function(callback) {
+  const scriptIndex = process.argv.findIndex(arg => arg.endsWith('keeper.js'))
+  const { command, options } = parseArgs(process.argv.slice(scriptIndex + 1))
+  const print = calls =>
+    calls.forEach(call => process.stdout.write(`${JSON.stringify(call)}\n`))
+  const printError = err =>
+    process.stderr.write(`${JSON.stringify({ error: err.message })}\n`)
+
+  try {
+    if (command === 'help') {
+      process.stdout.write(`${USAGE}\n`)
+      return callback()
+    }
+    const network = options.network || 'local'
+    const manifestPath =
+      options.manifest ||
+      path.join(__dirname, '..', 'deployments', `${network}.json`)
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    const from =
+      options.from ||
+      (await new Promise((resolve, reject) =>
+        web3.eth.getAccounts((err, accounts) =>
+          err ? reject(err) : resolve(accounts[0])
+        )
+      ))
+
+    const keeper = new Keeper({
+      provider: web3.currentProvider,
+      targets: await targetsFromManifest(manifest, artifacts),
+      from,
+      statePath: options.state || `keeper-${network}.json`,
+      dryRun: Boolean(options.dryRun),
+      fromBlock: Number(options.fromBlock || 0)
+    })
+
+    if (options.once) {
+      print(await keeper.tick())
+      return callback()
+    }
+    keeper.start(Number(options.interval || 15) * 1000, print, printError)
+  } catch (err) {
+    printError(err)
+    // truffle exec exits with 0 once the callback is called, unless it is called with an error.
+    return callback(err)
+  }
+}
@@ -0,0 +1,223 @@
+const { toBN } = require('web3-utils')
+
+/** Divisor of the stake multipliers, `MULTIPLIER_DIVISOR` in the contracts. */
+const MULTIPLIER_DIVISOR = toBN(10000)
+
+/** Largest uint256, the cap of the `CappedMath` operations. */
+const UINT_MAX = toBN(2)
+  .pow(toBN(256))
+  .subn(1)
+
+/** The two sides that can be funded, as numbered in the contracts (sender/requester and receiver/challenger). */
+const FUNDABLE_SIDES = [1, 2]
+
+/**
+ * Convert a number, string, BN or BigNumber to a BN.
+ * @param {(number|string|BN|BigNumber)} value The value.
+ * @returns {BN} The BN.
+ */
+function bn(value) {
+  return toBN(value.toString())
+}
+
+/**
+ * Cap a value at the largest uint256, as `CappedMath` does.
+ * @param {BN} value The value.
+ * @returns {BN} The capped value.
+ */
+function cap(value) {
+  return value.gt(UINT_MAX) ? UINT_MAX : value
+}
+
+/**
+ * Get the larger of two BNs.
+ * @param {BN} a The first BN.
+ * @param {BN} b The second BN.
+ * @returns {BN} The larger one.
+ */
+function max(a, b) {
+  return a.gte(b) ? a : b
+}
+
+/**
+ * Check if a ruling has a winning side. Refusals to arbitrate and the split rulings of `MultipleArbitrableAssetTransaction` do not.
+ * @param {number} ruling The ruling.
+ * @returns {boolean} True if one of the sides won.
+ */
+function hasWinner(ruling) {
+  return FUNDABLE_SIDES.includes(Number(ruling))
+}
+
+/**
+ * Get the stake multiplier of a side. Mirrors `fundAppeal`.
+ * @param {number} side The side, 1 or 2.
+ * @param {number} currentRuling The current ruling of the dispute.
+ * @param {object} multipliers The `shared`, `winner` and `loser` stake multipliers.
+ * @returns {BN} The multiplier.
+ */
+function stakeMultiplier(side, currentRuling, { shared, winner, loser }) {
+  if (Number(currentRuling) === side) return bn(winner)
+  if (!hasWinner(currentRuling)) return bn(shared)
+  return bn(loser)
+}
+
+/**
+ * Get the total amount required to fund a side: the appeal cost plus its stake. Mirrors `fundAppeal`.
+ * @param {(number|string|BN)} appealCost The appeal cost.
+ * @param {(number|string|BN)} multiplier The stake multiplier of the side.
+ * @returns {BN} The total.
+ */
+function totalCost(appealCost, multiplier) {
+  const cost = bn(appealCost)
+  return cap(cost.add(cap(cost.mul(bn(multiplier))).div(MULTIPLIER_DIVISOR)))
+}
+
+/**
+ * Split an amount sent between the contribution taken and the remainder sent back. Mirrors `calculateContribution`.
+ * @param {(number|string|BN)} available The amount sent.
+ * @param {(number|string|BN)} required The amount still required.
+ * @returns {object} The `contribution` taken and the `remainder` sent back.
+ */
+function calculateContribution(available, required) {
+  const amount = bn(available)
+  const requiredAmount = bn(required)
+  if (requiredAmount.gt(amount))
+    return { contribution: amount, remainder: toBN(0) }
+
+  return {
+    contribution: requiredAmount,
+    remainder: amount.sub(requiredAmount)
+  }
+}
+
+/**
+ * Get the funding state of both sides of the current appeal round.
+ * @param {object} state The on-chain state.
+ * @param {(number|string|BN)} state.appealCost The appeal cost, from `appealCost` of the arbitrator.
+ * @param {number} state.currentRuling The current ruling, from `currentRuling` of the arbitrator.
+ * @param {object} state.multipliers The `shared`, `winner` and `loser` stake multipliers of the arbitrable contract.
+ * @param {object} state.round The current round, as `{ paidFees, hasPaid }` from `getRoundInfo`.
+ * @param {object} state.appealPeriod The `start` and `end` of the appeal period, from `appealPeriod` of the arbitrator. Optional.
+ * @returns {object} For each side, by side number: the `multiplier`, the `total` required, the amount already `paid`, the `remaining` amount, whether it `hasPaid` and, if the appeal period was given, the `deadline` to fund it.
+ */
+function getAppealFunding({
+  appealCost,
+  currentRuling,
+  multipliers,
+  round,
+  appealPeriod
+}) {
+  return FUNDABLE_SIDES.reduce((acc, side) => {
+    const multiplier = stakeMultiplier(side, currentRuling, multipliers)
+    const total = totalCost(appealCost, multiplier)
+    const paid = bn(round.paidFees[side])
+    acc[side] = {
+      multiplier,
+      total,
+      paid,
+      remaining: paid.gte(total) ? toBN(0) : total.sub(paid),
+      hasPaid: Boolean(round.hasPaid[side])
+    }
+    if (appealPeriod) {
+      const start = bn(appealPeriod.start)
+      const end = bn(appealPeriod.end)
+      const loses = hasWinner(currentRuling) && Number(currentRuling) !== side
+      acc[side].deadline = loses ? start.add(end.sub(start).divn(2)) : end // The loser must pay during the first half.
+    }
+
+    return acc
+  }, {})
+}
+
+/**
+ * Get the outcome of a contribution to a side, assuming the appeal gets fully funded and the side wins.
+ * @param {object} state The on-chain state, see `getAppealFunding`.
+ * @param {number} side The side, 1 or 2.
+ * @param {(number|string|BN)} amount The amount sent.
+ * @returns {object} The `contribution` taken, the `remainder` sent back, the `reward` withdrawable if the side wins, which includes the contribution, and the `profit`.
+ */
+function getContributionReward(state, side, amount) {
+  const funding = getAppealFunding(state)
+  const { contribution, remainder } = calculateContribution(
+    amount,
+    funding[side].remaining
+  )
+  // Once both sides are funded, the fee rewards are everything paid minus the appeal cost sent to the arbitrator.
+  const paid = FUNDABLE_SIDES.map(s => max(funding[s].paid, funding[s].total))
+  const feeRewards = paid[0].add(paid[1]).sub(bn(state.appealCost))
+  const reward = contribution.isZero()
+    ? toBN(0)
+    : contribution.mul(feeRewards).div(paid[side - 1])
+
+  return { contribution, remainder, reward, profit: reward.sub(contribution) }
+}
+
+/**
+ * Get the amount a contributor can withdraw from a round once the dispute is over. Mirrors `withdrawFeesAndRewards`.
+ * The escrows reimburse the contributions of rounds that were not fully funded, the lists share them like fully funded rounds.
+ * @param {object} round The round, as `{ paidFees, hasPaid, feeRewards }` from `getRoundInfo`.
+ * @param {Array} contributions The contributions of the contributor to the round, by side number, from `getContributions`.
+ * @param {number} ruling The final ruling.
+ * @param {object} rules The rules of the contract.
+ * @param {boolean} rules.refundUnfundedRounds Whether rounds that were not fully funded are reimbursed, as in the escrows.
+ * @param {boolean} rules.disputed For the lists, whether the request was disputed. Rewards are shared when it was not.
+ * @returns {BN} The withdrawable amount.
+ */
+function getRoundWithdrawable(
+  round,
+  contributions,
+  ruling,
+  { refundUnfundedRounds = false, disputed = true } = {}
+) {
+  const paidFees = FUNDABLE_SIDES.map(side => bn(round.paidFees[side]))
+  const contributed = FUNDABLE_SIDES.map(side => bn(contributions[side]))
+  const feeRewards = bn(round.feeRewards)
+
+  if (refundUnfundedRounds && !(round.hasPaid[1] && round.hasPaid[2]))
+    return contributed[0].add(contributed[1])
+
+  if (!disputed || !hasWinner(ruling)) {
+    const totalPaid = paidFees[0].add(paidFees[1])
+    return FUNDABLE_SIDES.reduce(
+      (total, _side, i) =>
+        paidFees[i].isZero()
+          ? total
+          : total.add(contributed[i].mul(feeRewards).div(totalPaid)),
+      toBN(0)
+    )
+  }
+
+  const winner = Number(ruling) - 1
+  return paidFees[winner].isZero()
+    ? toBN(0)
+    : contributed[winner].mul(feeRewards).div(paidFees[winner])
+}
+
+/**
+ * Get the amount a contributor can withdraw from all the rounds of a dispute. Mirrors `amountWithdrawable`.
+ * Only meaningful once the transaction or request is resolved, `amountWithdrawable` returns 0 before.
+ * @param {object[]} rounds The rounds, as `{ paidFees, hasPaid, feeRewards, contributions }`.
+ * @param {number} ruling The final ruling.
+ * @param {object} rules The rules of the contract, see `getRoundWithdrawable`.
+ * @returns {BN} The withdrawable amount.
+ */
+function getWithdrawable(rounds, ruling, rules) {
+  return rounds.reduce(
+    (total, round) =>
+      total.add(
+        getRoundWithdrawable(round, round.contributions, ruling, rules)
+      ),
+    toBN(0)
+  )
+}
+
+module.exports = {
+  MULTIPLIER_DIVISOR,
+  stakeMultiplier,
+  totalCost,
+  calculateContribution,
+  getAppealFunding,
+  getContributionReward,
+  getRoundWithdrawable,
+  getWithdrawable
+}
@@ -0,0 +1,150 @@
+const { ArbitratorOperator } = require('./arbitrator-operator')
+
+const USAGE = `Usage: truffle exec scripts/arbitrator-cli.js --network <network> --arbitrator <address> [--from <account>] <command>
+
+Commands:
+  info                                                         Show the arbitrator settings.
+  list [--status <Waiting|Appealable|Solved>]                  List the disputes.
+  show <disputeID> [--from-block <block>]                      Show a dispute with its meta-evidence and evidence.
+  rule <disputeID> <ruling>                                    Give a final ruling.
+  rule-appealable <disputeID> <ruling> <appealCost> <timeToAppeal>
+                                                               Give an appealable ruling (AutoAppealableArbitrator).
+  change-appeal-fee <disputeID> <appealCost>                   Change the appeal cost (AutoAppealableArbitrator).
+  set-price <arbitrationPrice>                                 Change the arbitration cost.
+
+Results are printed as JSON on stdout, errors as JSON on stderr.`
+
+/** Commands, with the names of their positional arguments and the operator call they make. */
+const COMMANDS = {
+  info: { args: [], run: operator => operator.info() },
+  list: {
+    args: [],
+    run: (operator, _args, options) => operator.listDisputes(options.status)
+  },
+  show: {
+    args: ['disputeID'],
+    run: (operator, { disputeID }) => operator.showDispute(disputeID)
+  },
+  rule: {
+    args: ['disputeID', 'ruling'],
+    run: (operator, { disputeID, ruling }, { from }) =>
+      operator.giveRuling(disputeID, ruling, from)
+  },
+  'rule-appealable': {
+    args: ['disputeID', 'ruling', 'appealCost', 'timeToAppeal'],
+    run: (
+      operator,
+      { disputeID, ruling, appealCost, timeToAppeal },
+      { from }
+    ) =>
+      operator.giveAppealableRuling(
+        disputeID,
+        ruling,
+        appealCost,
+        timeToAppeal,
+        from
+      )
+  },
+  'change-appeal-fee': {
+    args: ['disputeID', 'appealCost'],
+    run: (operator, { disputeID, appealCost }, { from }) =>
+      operator.changeAppealFee(disputeID, appealCost, from)
+  },
+  'set-price': {
+    args: ['arbitrationPrice'],
+    run: (operator, { arbitrationPrice }, { from }) =>
+      operator.setArbitrationPrice(arbitrationPrice, from)
+  }
+}
+
+/**
+ * Parse command line arguments.
+ * @param {string[]} argv The arguments, e.g. `['rule', '0', '1', '--from', '0x...']`.
+ * @returns {object} The `command`, its positional `args` and the `options`, with dashed names camel cased. Options without a value are `true`.
+ */
+function parseArgs(argv) {
+  const positionals = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++)
+    if (argv[i].startsWith('--')) {
+      const name = argv[i]
+        .slice(2)
+        .replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))
+        options[name] = true
+      else options[name] = argv[++i]
+    } else positionals.push(argv[i])
+
+  return { command: positionals[0], args: positionals.slice(1), options }
+}
+
+/**
+ * Validate the arguments of a command and run it.
+ * @param {ArbitratorOperator} operator The operator.
+ * @param {string} command The command name.
+ * @param {string[]} args The positional arguments.
+ * @param {object} options The options.
+ * @returns {object} The result of the command.
+ */
+function runCommand(operator, command, args, options) {
+  const definition = COMMANDS[command]
+  if (!definition) throw new Error(`Unknown command ${command}.\n\n${USAGE}`)
+  if (args.length !== definition.args.length)
+    throw new Error(
+      `${command} expects ${
+        definition.args.length
+      } argument(s): ${definition.args.join(', ') || 'none'}.`
+    )
+  const named = definition.args.reduce((acc, name, i) => {
+    if (!/^\d+$/.test(args[i]))
+      throw new Error(`${name} must be a non-negative integer.`)
+    acc[name] = args[i]
+    return acc
+  }, {})
+
+  return definition.run(operator, named, options)
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv The command line arguments after the script name.
+ * @param {object} env The truffle environment.
+ * @param {object} env.artifacts The truffle artifacts.
+ * @param {object} env.web3 The web3 instance.
+ * @param {object} env.output The stream results are printed to.
+ * @returns {object} The result of the command.
+ */
+async function main(argv, { artifacts, web3, output = process.stdout }) {
+  const { command, args, options } = parseArgs(argv)
+  if (!command || command === 'help') {
+    output.write(`${USAGE}\n`)
+    return null
+  }
+  if (!options.arbitrator)
+    throw new Error(`--arbitrator is required.\n\n${USAGE}`)
+
+  if (!options.from) {
+    const accounts = await new Promise((resolve, reject) =>
+      web3.eth.getAccounts((err, result) =>
+        err ? reject(err) : resolve(result)
+      )
+    )
+    options.from = accounts[0]
+  }
+  const operator = await ArbitratorOperator.at(
+    options.arbitrator,
+    {
+      CentralizedArbitrator: artifacts.require('CentralizedArbitrator'),
+      AutoAppealableArbitrator: artifacts.require('AutoAppealableArbitrator')
+    },
+    web3.currentProvider,
+    Number(options.fromBlock || 0)
+  )
+
+  const result = await runCommand(operator, command, args, options)
+  output.write(`${JSON.stringify(result, null, 2)}\n`)
+
+  return result
+}
+
+module.exports = { COMMANDS, USAGE, parseArgs, runCommand, main }
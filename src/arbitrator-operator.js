@@ -0,0 +1,272 @@
+const { promisify } = require('util')
+
+const { keccak256 } = require('web3-utils')
+
+const { EventIndexer } = require('./event-indexer')
+const { MemoryStore } = require('./event-store')
+
+/** Dispute statuses, in the order of `Arbitrator.DisputeStatus`. */
+const DISPUTE_STATUSES = ['Waiting', 'Appealable', 'Solved']
+
+const GIVE_APPEALABLE_RULING_SELECTOR = keccak256(
+  'giveAppealableRuling(uint256,uint256,uint256,uint256)'
+).slice(2, 10)
+
+/**
+ * Operator API for `CentralizedArbitrator` and `AutoAppealableArbitrator`.
+ * Contracts are truffle-contract instances. Every method returns plain objects with numbers as decimal strings, so results can be printed as JSON.
+ */
+class ArbitratorOperator {
+  /**
+   * Create the operator.
+   * @param {object} arbitrator The arbitrator contract instance.
+   * @param {object} options The options.
+   * @param {boolean} options.appeals Whether the arbitrator is an `AutoAppealableArbitrator`.
+   * @param {object} options.provider The JSON-RPC provider used to read the evidence events.
+   * @param {number} options.fromBlock The block to read the evidence events from.
+   */
+  constructor(arbitrator, { appeals, provider, fromBlock = 0 }) {
+    this.arbitrator = arbitrator
+    this.appeals = appeals
+    this.provider = provider
+    this.fromBlock = fromBlock
+  }
+
+  /**
+   * Create the operator of a deployed arbitrator, detecting whether it supports appealable rulings from its code.
+   * @param {string} address The address of the arbitrator.
+   * @param {object} contracts The `CentralizedArbitrator` and `AutoAppealableArbitrator` truffle contracts.
+   * @param {object} provider The JSON-RPC provider.
+   * @param {number} fromBlock The block to read the evidence events from.
+   * @returns {ArbitratorOperator} The operator.
+   */
+  static async at(
+    address,
+    { CentralizedArbitrator, AutoAppealableArbitrator },
+    provider,
+    fromBlock
+  ) {
+    const send = promisify((provider.sendAsync || provider.send).bind(provider))
+    const { result: code } = await send({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'eth_getCode',
+      params: [address, 'latest']
+    })
+    if (!code || code === '0x')
+      throw new Error(`There is no contract at ${address}.`)
+
+    // The dispatcher of the contract pushes the selector of every external function.
+    const appeals = code.includes(`63${GIVE_APPEALABLE_RULING_SELECTOR}`)
+    const Contract = appeals ? AutoAppealableArbitrator : CentralizedArbitrator
+
+    return new ArbitratorOperator(await Contract.at(address), {
+      appeals,
+      provider,
+      fromBlock
+    })
+  }
+
+  /**
+   * Get the arbitrator settings.
+   * @returns {object} The address, type, owner, arbitration cost and number of disputes of the arbitrator.
+   */
+  async info() {
+    return {
+      address: this.arbitrator.address,
+      type: this.appeals ? 'AutoAppealableArbitrator' : 'CentralizedArbitrator',
+      owner: await this.arbitrator.owner(),
+      arbitrationCost: (
+        await this.arbitrator.arbitrationCost('0x0')
+      ).toString(),
+      disputes: await this.countDisputes()
+    }
+  }
+
+  /**
+   * Count the disputes. The arbitrators do not expose the length of their dispute array, so it is probed.
+   * @returns {number} The number of disputes.
+   */
+  async countDisputes() {
+    const exists = async disputeID => {
+      try {
+        const [arbitrable] = await this.arbitrator.disputes(disputeID)
+        return Boolean(arbitrable) && !/^0x0*$/.test(arbitrable) // Some nodes return empty data instead of failing.
+      } catch (_) {
+        return false
+      }
+    }
+
+    if (!(await exists(0))) return 0
+    let low = 1
+    let high = 2
+    while (await exists(high - 1)) {
+      low = high
+      high *= 2
+    }
+    while (high - low > 1) {
+      // The number of disputes is in [low, high).
+      const middle = Math.floor((low + high) / 2)
+      if (await exists(middle - 1)) low = middle
+      else high = middle
+    }
+
+    return low
+  }
+
+  /**
+   * Get a dispute.
+   * @param {(number|string)} disputeID The ID of the dispute.
+   * @returns {object} The dispute. The status and ruling are the ones of `disputeStatus` and `currentRuling`.
+   */
+  async getDispute(disputeID) {
+    const dispute = await this.arbitrator.disputes(disputeID)
+    const status = (await this.arbitrator.disputeStatus(disputeID)).toNumber()
+    const result = {
+      disputeID: String(disputeID),
+      arbitrable: dispute[0],
+      choices: dispute[1].toString(),
+      fee: dispute[2].toString(),
+      ruling: (await this.arbitrator.currentRuling(disputeID)).toString(),
+      status: DISPUTE_STATUSES[status]
+    }
+    if (this.appeals)
+      Object.assign(result, {
+        appealCost: dispute[5].toString(),
+        appealPeriodStart: dispute[6].toString(),
+        appealPeriodEnd: dispute[7].toString()
+      })
+
+    return result
+  }
+
+  /**
+   * List the disputes.
+   * @param {string} status Only list the disputes with this status, e.g. `Waiting`. Lists every dispute if omitted.
+   * @returns {object[]} The disputes.
+   */
+  async listDisputes(status) {
+    if (status !== undefined && !DISPUTE_STATUSES.includes(status))
+      throw new Error(
+        `Unknown status ${status}, expected one of ${DISPUTE_STATUSES.join(
+          ', '
+        )}.`
+      )
+
+    const count = await this.countDisputes()
+    const disputes = []
+    for (let disputeID = 0; disputeID < count; disputeID++) {
+      const dispute = await this.getDispute(disputeID)
+      if (status === undefined || dispute.status === status)
+        disputes.push(dispute)
+    }
+
+    return disputes
+  }
+
+  /**
+   * Get a dispute with its meta-evidence, evidence, appeals and rulings, read from the events of the arbitrator and the arbitrable contract.
+   * @param {(number|string)} disputeID The ID of the dispute.
+   * @returns {object} The dispute and its `history`, see `EventIndexer.getDisputeHistory`.
+   */
+  async showDispute(disputeID) {
+    const dispute = await this.getDispute(disputeID)
+    const indexer = new EventIndexer({
+      provider: this.provider,
+      store: new MemoryStore(),
+      addresses: [this.arbitrator.address, dispute.arbitrable],
+      fromBlock: this.fromBlock
+    })
+    await indexer.sync()
+
+    return Object.assign(dispute, {
+      history: await indexer.getDisputeHistory(
+        this.arbitrator.address,
+        disputeID
+      )
+    })
+  }
+
+  /**
+   * Send a transaction to the arbitrator.
+   * @param {string} method The method.
+   * @param {Array} args The arguments.
+   * @param {string} from The account of the owner.
+   * @returns {object} The transaction hash and the block it was mined in.
+   */
+  async send(method, args, from) {
+    const { tx, receipt } = await this.arbitrator[method](...args, { from })
+
+    return { method, transactionHash: tx, blockNumber: receipt.blockNumber }
+  }
+
+  /**
+   * Throw if the arbitrator does not support appealable rulings.
+   * @param {string} method The method that requires them.
+   */
+  requireAppeals(method) {
+    if (!this.appeals)
+      throw new Error(
+        `${method} is only supported by AutoAppealableArbitrator.`
+      )
+  }
+
+  /**
+   * Give a final ruling.
+   * @param {(number|string)} disputeID The ID of the dispute.
+   * @param {(number|string)} ruling The ruling, 0 to refuse to arbitrate.
+   * @param {string} from The account of the owner.
+   * @returns {object} The transaction.
+   */
+  async giveRuling(disputeID, ruling, from) {
+    return this.send('giveRuling', [disputeID, ruling], from)
+  }
+
+  /**
+   * Give a ruling that can be appealed.
+   * @param {(number|string)} disputeID The ID of the dispute.
+   * @param {(number|string)} ruling The ruling, 0 to refuse to arbitrate.
+   * @param {(number|string)} appealCost The cost to appeal, in wei.
+   * @param {(number|string)} timeToAppeal The duration of the appeal period, in seconds.
+   * @param {string} from The account of the owner.
+   * @returns {object} The transaction.
+   */
+  async giveAppealableRuling(
+    disputeID,
+    ruling,
+    appealCost,
+    timeToAppeal,
+    from
+  ) {
+    this.requireAppeals('giveAppealableRuling')
+    return this.send(
+      'giveAppealableRuling',
+      [disputeID, ruling, appealCost, timeToAppeal],
+      from
+    )
+  }
+
+  /**
+   * Change the appeal cost of an appealable dispute.
+   * @param {(number|string)} disputeID The ID of the dispute.
+   * @param {(number|string)} appealCost The new cost to appeal, in wei.
+   * @param {string} from The account of the owner.
+   * @returns {object} The transaction.
+   */
+  async changeAppealFee(disputeID, appealCost, from) {
+    this.requireAppeals('changeAppealFee')
+    return this.send('changeAppealFee', [disputeID, appealCost], from)
+  }
+
+  /**
+   * Change the arbitration cost of new disputes.
+   * @param {(number|string)} arbitrationPrice The new arbitration cost, in wei.
+   * @param {string} from The account of the owner.
+   * @returns {object} The transaction.
+   */
+  async setArbitrationPrice(arbitrationPrice, from) {
+    return this.send('setArbitrationPrice', [arbitrationPrice], from)
+  }
+}
+
+module.exports = { ArbitratorOperator, DISPUTE_STATUSES }
@@ -0,0 +1,453 @@
+const { toBN } = require('web3-utils')
+
+const { getAppealFunding } = require('./appeal-funding')
+const {
+  UnauthorizedCallerError,
+  InvalidStatusError,
+  UnsupportedActionError,
+  toEscrowError
+} = require('./escrow-errors')
+
+const STATUSES = [
+  'NoDispute',
+  'WaitingSender',
+  'WaitingReceiver',
+  'DisputeCreated',
+  'Resolved'
+]
+
+/** Appeal sides, as used by `fundAppeal` in the escrows with crowdfunded appeals. */
+const SIDES = { sender: 1, receiver: 2 }
+
+/**
+ * Detect which escrow variant a contract is from its ABI.
+ * @param {object[]} abi The ABI of the contract.
+ * @returns {object} The variant, as `{ name, token, fee, appeals }`.
+ */
+function detectVariant(abi) {
+  const functions = abi.filter(item => item.type === 'function')
+  const has = name => functions.some(item => item.name === name)
+  const createTransaction = functions.find(
+    item => item.name === 'createTransaction'
+  )
+  if (!createTransaction || !has('payArbitrationFeeBySender'))
+    throw new UnsupportedActionError(
+      'The contract is not a MultipleArbitrableTransaction escrow.'
+    )
+
+  const token = createTransaction.inputs.some(input => input.name === '_token')
+  const fee = has('feeRecipient')
+  const appeals = has('fundAppeal')
+
+  return {
+    name: `MultipleArbitrable${token ? 'Token' : ''}Transaction${
+      fee ? 'WithFee' : ''
+    }${appeals ? 'WithAppeals' : ''}`,
+    token,
+    fee,
+    appeals
+  }
+}
+
+/**
+ * Client for the MultipleArbitrableTransaction escrow family.
+ * It wraps the ETH and token escrows, with or without platform fee or crowdfunded appeals, behind one API.
+ * Contracts are truffle-contract instances. Amounts are returned as BN and can be passed as BN, numbers or strings.
+ * Failed calls are rethrown as the typed errors of `./escrow-errors`.
+ */
+class EscrowClient {
+  /**
+   * Create the client.
+   * @param {object} escrow The escrow contract instance.
+   * @param {object} arbitrator The instance of the default arbitrator of the escrow.
+   */
+  constructor(escrow, arbitrator) {
+    this.escrow = escrow
+    this.arbitrator = arbitrator
+    this.variant = detectVariant(escrow.abi)
+  }
+
+  /**
+   * Create a client for an escrow, loading its arbitrator.
+   * @param {object} escrow The escrow contract instance.
+   * @param {object} Arbitrator The truffle-contract class to load the arbitrator with.
+   * @returns {EscrowClient} The client.
+   */
+  static async at(escrow, Arbitrator) {
+    return new EscrowClient(
+      escrow,
+      await Arbitrator.at(await escrow.arbitrator())
+    )
+  }
+
+  /**
+   * Send a transaction to the escrow, turning reverts into typed errors.
+   * @param {string} method The name of the method.
+   * @param {Array} args The arguments of the method, including the transaction options.
+   * @returns {object} The result of the transaction.
+   */
+  async _send(method, ...args) {
+    try {
+      return await this.escrow[method](...args)
+    } catch (err) {
+      throw toEscrowError(err)
+    }
+  }
+
+  /**
+   * Get the arbitrator of a transaction, which can be one allowed by the governor instead of the default one.
+   * @param {number} transactionID The ID of the transaction.
+   * @returns {object} The `arbitrator` instance and its `extraData`.
+   */
+  async _arbitrationSetting(transactionID) {
+    const [address, extraData] = await this.escrow.arbitrationSettings(
+      transactionID
+    )
+    const arbitrator =
+      address === this.arbitrator.address
+        ? this.arbitrator
+        : await this.arbitrator.constructor.at(address)
+
+    return { arbitrator, extraData }
+  }
+
+  /**
+   * Throw if the escrow does not support crowdfunded appeals.
+   * @param {string} action The name of the action, for the error message.
+   */
+  _requireAppeals(action) {
+    if (!this.variant.appeals)
+      throw new UnsupportedActionError(
+        `${this.variant.name} does not support ${action}.`
+      )
+  }
+
+  // **************************** //
+  // *         Getters          * //
+  // **************************** //
+
+  /**
+   * Get a transaction.
+   * @param {number} transactionID The ID of the transaction.
+   * @returns {object} The transaction. `token` is only set for token escrows and `ruling` for escrows with crowdfunded appeals.
+   */
+  async getTransaction(transactionID) {
+    const fields = [
+      'sender',
+      'receiver',
+      'amount',
+      ...(this.variant.token ? ['token'] : []),
+      'timeoutPayment',
+      'disputeID',
+      'senderFee',
+      'receiverFee',
+      'lastInteraction',
+      'status',
+      ...(this.variant.appeals ? ['ruling'] : [])
+    ]
+    const values = await this.escrow.transactions(transactionID)
+    const transaction = fields.reduce((acc, field, i) => {
+      acc[field] = values[i]
+      return acc
+    }, {})
+
+    for (const field of ['amount', 'senderFee', 'receiverFee'])
+      transaction[field] = toBN(transaction[field].toString())
+    for (const field of ['timeoutPayment', 'disputeID', 'lastInteraction'])
+      transaction[field] = transaction[field].toNumber()
+    if (this.variant.appeals) transaction.ruling = transaction.ruling.toNumber()
+    transaction.status = STATUSES[transaction.status.toNumber()]
+
+    return transaction
+  }
+
+  /**
+   * Get the amount a party still has to pay to cover the arbitration fee of a transaction.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} party `sender` or `receiver`.
+   * @returns {BN} The amount due.
+   */
+  async arbitrationFeeDue(transactionID, party) {
+    const transaction = await this.getTransaction(transactionID)
+    const { arbitrator, extraData } = await this._arbitrationSetting(
+      transactionID
+    )
+    const arbitrationCost = toBN(
+      (await arbitrator.arbitrationCost(extraData)).toString()
+    )
+    const paid = transaction[`${party}Fee`]
+
+    return paid.gte(arbitrationCost) ? toBN(0) : arbitrationCost.sub(paid)
+  }
+
+  /**
+   * Get the amounts required to fund a side of the current appeal round.
+   * Mirrors the stake multiplier selection of `fundAppeal`, see `./appeal-funding`.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} side `sender` or `receiver`.
+   * @returns {object} The `total` required for the side, the amount already `paid` and the `remaining` amount.
+   */
+  async appealFeeDue(transactionID, side) {
+    this._requireAppeals('crowdfunded appeals')
+    const transaction = await this.getTransaction(transactionID)
+    const { arbitrator, extraData } = await this._arbitrationSetting(
+      transactionID
+    )
+    const appealCost = toBN(
+      (await arbitrator.appealCost(transaction.disputeID, extraData)).toString()
+    )
+    const currentRuling = (
+      await arbitrator.currentRuling(transaction.disputeID)
+    ).toNumber()
+    const rounds = (
+      await this.escrow.getNumberOfRounds(transactionID)
+    ).toNumber()
+    const [paidFees, hasPaid] = await this.escrow.getRoundInfo(
+      transactionID,
+      rounds - 1
+    )
+    const { total, paid, remaining } = getAppealFunding({
+      appealCost,
+      currentRuling,
+      multipliers: {
+        shared: await this.escrow.sharedStakeMultiplier(),
+        winner: await this.escrow.winnerStakeMultiplier(),
+        loser: await this.escrow.loserStakeMultiplier()
+      },
+      round: { paidFees, hasPaid }
+    })[SIDES[side]]
+
+    return { total, paid, remaining }
+  }
+
+  /**
+   * Get the amount of appeal fees and rewards a contributor can withdraw from a transaction.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} beneficiary The address of the contributor.
+   * @returns {BN} The withdrawable amount.
+   */
+  async amountWithdrawable(transactionID, beneficiary) {
+    this._requireAppeals('appeal rewards')
+
+    return toBN(
+      (
+        await this.escrow.amountWithdrawable(transactionID, beneficiary)
+      ).toString()
+    )
+  }
+
+  // **************************** //
+  // *         Actions          * //
+  // **************************** //
+
+  /**
+   * Create a transaction. For token escrows, the escrow must have been approved to transfer `amount` tokens beforehand.
+   * @param {object} params The parameters of the transaction.
+   * @param {string} params.receiver The receiver of the payment.
+   * @param {(BN|number|string)} params.amount The amount in wei or in the smallest unit of the token.
+   * @param {number} params.timeoutPayment Time in seconds after which the transaction can be executed if not disputed.
+   * @param {string} params.metaEvidence Link to the meta-evidence.
+   * @param {string} params.token The address of the token, for token escrows.
+   * @param {string} params.from The address of the sender.
+   * @returns {number} The ID of the transaction.
+   */
+  async createTransaction({
+    receiver,
+    amount,
+    timeoutPayment,
+    metaEvidence,
+    token,
+    from
+  }) {
+    const result = this.variant.token
+      ? await this._send(
+          'createTransaction',
+          amount.toString(),
+          token,
+          timeoutPayment,
+          receiver,
+          metaEvidence,
+          { from }
+        )
+      : await this._send(
+          'createTransaction',
+          timeoutPayment,
+          receiver,
+          metaEvidence,
+          { from, value: amount.toString() }
+        )
+
+    return result.logs
+      .find(log => log.event === 'TransactionCreated')
+      .args._transactionID.toNumber()
+  }
+
+  /**
+   * Pay the receiver. Must be called by the sender.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {(BN|number|string)} amount The amount to pay.
+   * @param {string} from The address of the sender.
+   * @returns {object} The result of the transaction.
+   */
+  pay(transactionID, amount, from) {
+    return this._send('pay', transactionID, amount.toString(), { from })
+  }
+
+  /**
+   * Reimburse the sender. Must be called by the receiver.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {(BN|number|string)} amount The amount to reimburse.
+   * @param {string} from The address of the receiver.
+   * @returns {object} The result of the transaction.
+   */
+  reimburse(transactionID, amount, from) {
+    return this._send('reimburse', transactionID, amount.toString(), { from })
+  }
+
+  /**
+   * Pay the receiver after the payment timeout.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} from The address sending the transaction.
+   * @returns {object} The result of the transaction.
+   */
+  executeTransaction(transactionID, from) {
+    return this._send('executeTransaction', transactionID, { from })
+  }
+
+  /**
+   * Pay the arbitration fee still due by the calling party, raising a dispute if the other party has already paid.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} from The address of the sender or of the receiver.
+   * @returns {object} The result of the transaction.
+   */
+  async payArbitrationFee(transactionID, from) {
+    const transaction = await this.getTransaction(transactionID)
+    let party
+    if (from.toLowerCase() === transaction.sender.toLowerCase())
+      party = 'sender'
+    else if (from.toLowerCase() === transaction.receiver.toLowerCase())
+      party = 'receiver'
+    else
+      throw new UnauthorizedCallerError(
+        'The caller must be the sender or the receiver.'
+      )
+
+    const value = await this.arbitrationFeeDue(transactionID, party)
+
+    return this._send(
+      party === 'sender'
+        ? 'payArbitrationFeeBySender'
+        : 'payArbitrationFeeByReceiver',
+      transactionID,
+      { from, value: value.toString() }
+    )
+  }
+
+  /**
+   * Make the party that did not pay the arbitration fee in time lose.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} from The address sending the transaction.
+   * @returns {object} The result of the transaction.
+   */
+  async timeOut(transactionID, from) {
+    const { status } = await this.getTransaction(transactionID)
+    if (status === 'WaitingReceiver')
+      return this._send('timeOutBySender', transactionID, { from })
+    if (status === 'WaitingSender')
+      return this._send('timeOutByReceiver', transactionID, { from })
+
+    throw new InvalidStatusError(
+      `The transaction is not waiting on a party (status ${status}).`
+    )
+  }
+
+  /**
+   * Submit a link to evidence.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} evidence The URI of the evidence.
+   * @param {string} from The address of the sender or of the receiver.
+   * @returns {object} The result of the transaction.
+   */
+  submitEvidence(transactionID, evidence, from) {
+    return this._send('submitEvidence', transactionID, evidence, { from })
+  }
+
+  /**
+   * Appeal a ruling, paying the full appeal cost. Only for escrows without crowdfunded appeals.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} from The address sending the transaction.
+   * @returns {object} The result of the transaction.
+   */
+  async appeal(transactionID, from) {
+    if (this.variant.appeals)
+      throw new UnsupportedActionError(
+        `${this.variant.name} appeals are crowdfunded, use fundAppeal.`
+      )
+    const { disputeID } = await this.getTransaction(transactionID)
+    const { arbitrator, extraData } = await this._arbitrationSetting(
+      transactionID
+    )
+    const appealCost = await arbitrator.appealCost(disputeID, extraData)
+
+    return this._send('appeal', transactionID, {
+      from,
+      value: appealCost.toString()
+    })
+  }
+
+  /**
+   * Contribute to the appeal fees of a side. Only for escrows with crowdfunded appeals.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} side `sender` or `receiver`.
+   * @param {string} from The address of the contributor.
+   * @param {(BN|number|string)} value The contribution. Defaults to the amount remaining to fully fund the side.
+   * @returns {object} The result of the transaction.
+   */
+  async fundAppeal(transactionID, side, from, value) {
+    this._requireAppeals('crowdfunded appeals')
+    const contribution =
+      value === undefined
+        ? (await this.appealFeeDue(transactionID, side)).remaining
+        : value
+
+    return this._send('fundAppeal', transactionID, SIDES[side], {
+      from,
+      value: contribution.toString()
+    })
+  }
+
+  /**
+   * Withdraw the appeal fees and rewards of a contributor, for one round or for all of them.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {string} beneficiary The address of the contributor.
+   * @param {string} from The address sending the transaction.
+   * @param {number} round The round to withdraw from. Withdraws from every round if omitted.
+   * @returns {object} The result of the transaction.
+   */
+  withdrawFeesAndRewards(transactionID, beneficiary, from, round) {
+    this._requireAppeals('appeal rewards')
+    if (round === undefined)
+      return this._send(
+        'batchRoundWithdraw',
+        beneficiary,
+        transactionID,
+        0,
+        0,
+        {
+          from
+        }
+      )
+
+    return this._send(
+      'withdrawFeesAndRewards',
+      beneficiary,
+      transactionID,
+      round,
+      {
+        from
+      }
+    )
+  }
+}
+
+module.exports = { EscrowClient, detectVariant, STATUSES, SIDES }
@@ -0,0 +1,90 @@
+/** Base class of the errors thrown by the escrow client. */
+class EscrowError extends Error {
+  /**
+   * Create the error.
+   * @param {string} message The error message.
+   * @param {string} reason The revert reason given by the contract, if any.
+   */
+  constructor(message, reason) {
+    super(message)
+    this.name = this.constructor.name
+    this.reason = reason
+  }
+}
+
+/** The caller is not allowed to perform the action (e.g. the receiver calling `pay`). */
+class UnauthorizedCallerError extends EscrowError {}
+
+/** The transaction is not in a status that allows the action (e.g. paying a disputed transaction). */
+class InvalidStatusError extends EscrowError {}
+
+/** A payment or fee timeout has not passed yet. */
+class TimeoutNotPassedError extends EscrowError {}
+
+/** The value sent or the tokens approved do not cover the required amount. */
+class InsufficientFundsError extends EscrowError {}
+
+/** The amount asked for is greater than the amount left in the transaction. */
+class InvalidAmountError extends EscrowError {}
+
+/** An appeal can not be funded or raised at this time. */
+class AppealError extends EscrowError {}
+
+/** A token transfer made by the escrow failed. */
+class TokenTransferError extends EscrowError {}
+
+/** The contract does not support the action (e.g. `fundAppeal` on an escrow without crowdfunded appeals). */
+class UnsupportedActionError extends EscrowError {}
+
+/** Revert reasons of the escrow contracts and the error class they map to. */
+const REVERT_REASONS = [
+  [/^The caller must be/, UnauthorizedCallerError],
+  [
+    /^(The transaction shouldn't be disputed|Dispute has already been created|The transaction is not waiting on|The dispute has already been resolved|The transaction should be resolved|No dispute to appeal)/,
+    InvalidStatusError
+  ],
+  [
+    /^(The timeout has not passed yet|Timeout time has not passed yet)/,
+    TimeoutNotPassedError
+  ],
+  [
+    /^(The (sender|receiver) fee must cover arbitration costs|Sender does not have enough approved funds)/,
+    InsufficientFundsError
+  ],
+  [/^The amount (paid|reimbursed) has to be less/, InvalidAmountError],
+  [
+    /^(Dispute is not appealable|Funding must be made within the appeal period|The loser must pay during the first half|Appeal fee has already been paid|Wrong party)/,
+    AppealError
+  ],
+  [/^The `transfer` function must not fail/, TokenTransferError]
+]
+
+/**
+ * Turn an error thrown by a contract call into a typed escrow error.
+ * Errors that are not reverts are returned unchanged.
+ * @param {Error} err The error thrown by the call.
+ * @returns {Error} The typed error.
+ */
+function toEscrowError(err) {
+  const match = /revert ?(.*)$/.exec(err.message)
+  if (!match) return err
+
+  const reason = match[1].trim()
+  const entry = REVERT_REASONS.find(([pattern]) => pattern.test(reason))
+  const ErrorClass = entry ? entry[1] : EscrowError
+
+  return new ErrorClass(reason || err.message, reason)
+}
+
+module.exports = {
+  EscrowError,
+  UnauthorizedCallerError,
+  InvalidStatusError,
+  TimeoutNotPassedError,
+  InsufficientFundsError,
+  InvalidAmountError,
+  AppealError,
+  TokenTransferError,
+  UnsupportedActionError,
+  toEscrowError
+}
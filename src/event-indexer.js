@@ -0,0 +1,346 @@
+const { promisify } = require('util')
+
+const { hexToNumber, hexToUtf8, keccak256, toBN } = require('web3-utils')
+
+/**
+ * Indexed events, by name. `topics` and `data` list the indexed and non-indexed parameters, in order.
+ * `emitter` tells whether the event is emitted by the arbitrable contract or by the arbitrator.
+ */
+const EVENTS = {
+  MetaEvidence: {
+    signature: 'MetaEvidence(uint256,string)',
+    emitter: 'arbitrable',
+    topics: [['metaEvidenceID', 'uint']],
+    data: [['uri', 'string']]
+  },
+  Dispute: {
+    signature: 'Dispute(address,uint256,uint256,uint256)',
+    emitter: 'arbitrable',
+    topics: [
+      ['arbitrator', 'address'],
+      ['disputeID', 'uint']
+    ],
+    data: [
+      ['metaEvidenceID', 'uint'],
+      ['evidenceGroupID', 'uint']
+    ]
+  },
+  Evidence: {
+    signature: 'Evidence(address,uint256,address,string)',
+    emitter: 'arbitrable',
+    topics: [
+      ['arbitrator', 'address'],
+      ['evidenceGroupID', 'uint'],
+      ['party', 'address']
+    ],
+    data: [['uri', 'string']]
+  },
+  Ruling: {
+    signature: 'Ruling(address,uint256,uint256)',
+    emitter: 'arbitrable',
+    topics: [
+      ['arbitrator', 'address'],
+      ['disputeID', 'uint']
+    ],
+    data: [['ruling', 'uint']]
+  },
+  AppealPossible: {
+    signature: 'AppealPossible(uint256,address)',
+    emitter: 'arbitrator',
+    topics: [
+      ['disputeID', 'uint'],
+      ['arbitrable', 'address']
+    ],
+    data: []
+  },
+  AppealDecision: {
+    signature: 'AppealDecision(uint256,address)',
+    emitter: 'arbitrator',
+    topics: [
+      ['disputeID', 'uint'],
+      ['arbitrable', 'address']
+    ],
+    data: []
+  }
+}
+
+const EVENT_TOPICS = Object.keys(EVENTS).reduce((acc, name) => {
+  acc[keccak256(EVENTS[name].signature)] = name
+  return acc
+}, {})
+
+/**
+ * Decode a 32 bytes word.
+ * @param {string} word The word, as 64 hex characters.
+ * @param {string} type `uint` or `address`.
+ * @returns {string} The decimal string of the number or the address.
+ */
+function decodeWord(word, type) {
+  return type === 'address'
+    ? `0x${word.slice(24)}`
+    : toBN(`0x${word}`).toString(10)
+}
+
+/**
+ * Decode the data of a log.
+ * @param {string} data The data of the log.
+ * @param {Array[]} fields The fields of the data, as `[name, type]`.
+ * @returns {object} The decoded fields.
+ * @throws {Error} If a string is out of the data or is not valid UTF-8.
+ */
+function decodeData(data, fields) {
+  const hex = data.slice(2)
+  const word = i => hex.slice(i * 64, (i + 1) * 64)
+
+  return fields.reduce((acc, [name, type], i) => {
+    if (type === 'string') {
+      const offset = hexToNumber(`0x${word(i)}`) / 32
+      const length = hexToNumber(`0x${word(offset)}`)
+      const start = (offset + 1) * 64
+      if (!Number.isInteger(offset) || start + length * 2 > hex.length)
+        throw new Error(`The ${name} string is out of the data.`)
+      acc[name] =
+        length === 0
+          ? ''
+          : hexToUtf8(`0x${hex.slice(start, start + length * 2)}`)
+    } else acc[name] = decodeWord(word(i), type)
+    return acc
+  }, {})
+}
+
+/**
+ * Decode a log into an indexed event.
+ * @param {object} log The log, as returned by `eth_getLogs`.
+ * @returns {object} The event, `null` if the log is not one of the indexed events or its data is malformed.
+ */
+function decodeLog(log) {
+  const type = EVENT_TOPICS[log.topics[0]]
+  if (!type) return null
+  const { emitter, topics, data } = EVENTS[type]
+  if (log.topics.length !== topics.length + 1) return null // Same signature but different indexed parameters.
+  let fields
+  try {
+    fields = decodeData(log.data, data)
+  } catch (_) {
+    return null // Same signature but malformed data, which would otherwise stop the sync on this block range forever.
+  }
+
+  const event = {
+    type,
+    [emitter]: log.address.toLowerCase(),
+    blockNumber: hexToNumber(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: hexToNumber(log.logIndex)
+  }
+  topics.forEach(([name, fieldType], i) => {
+    event[name] = decodeWord(log.topics[i + 1].slice(2), fieldType)
+  })
+
+  return Object.assign(event, fields)
+}
+
+/**
+ * Indexer of the ERC-1497 and ERC-792 events (MetaEvidence, Dispute, Evidence, Ruling, AppealPossible and AppealDecision).
+ * It reads logs from a JSON-RPC node into a store, resuming from the last processed block and undoing reorged blocks.
+ */
+class EventIndexer {
+  /**
+   * Create the indexer.
+   * @param {object} options The options.
+   * @param {object} options.provider A JSON-RPC provider with a web3 style `sendAsync` or `send` method taking a callback.
+   * @param {object} options.store The store, e.g. `MemoryStore` or `JsonFileStore`.
+   * @param {string[]} options.addresses The contracts to index. Indexes every contract if omitted.
+   * @param {number} options.fromBlock The block to start indexing from.
+   * @param {number} options.confirmations The number of blocks to leave between the last indexed block and the head of the chain.
+   * @param {number} options.batchSize The maximum number of blocks to request logs for at once.
+   * @param {number} options.maxCheckpoints The number of checkpoints to keep. Reorgs deeper than the oldest checkpoint cause a full reindex.
+   */
+  constructor({
+    provider,
+    store,
+    addresses,
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = 5000,
+    maxCheckpoints = 64
+  }) {
+    const send = (provider.sendAsync || provider.send).bind(provider)
+    this.sendPayload = promisify(send)
+    this.store = store
+    this.addresses = addresses && addresses.map(a => a.toLowerCase())
+    this.fromBlock = fromBlock
+    this.confirmations = confirmations
+    this.batchSize = batchSize
+    this.maxCheckpoints = maxCheckpoints
+    this.requestID = 0
+  }
+
+  /**
+   * Send a JSON-RPC request.
+   * @param {string} method The method.
+   * @param {Array} params The parameters.
+   * @returns {*} The result.
+   */
+  async rpc(method, params = []) {
+    const response = await this.sendPayload({
+      jsonrpc: '2.0',
+      id: ++this.requestID,
+      method,
+      params
+    })
+    if (response.error)
+      throw new Error(`${method} failed: ${response.error.message}`)
+
+    return response.result
+  }
+
+  /**
+   * Get the hash of a block.
+   * @param {number} number The block number.
+   * @returns {string} The hash, `null` if the block does not exist.
+   */
+  async getBlockHash(number) {
+    const block = await this.rpc('eth_getBlockByNumber', [
+      `0x${number.toString(16)}`,
+      false
+    ])
+
+    return block && block.hash
+  }
+
+  /**
+   * Undo the blocks that are no longer part of the chain.
+   * Walks back the checkpoints until one still matches the chain and rolls the store back to it.
+   * @param {object} state The state of the store.
+   * @returns {object} The state after the rollback.
+   */
+  async handleReorg(state) {
+    const checkpoints = state.checkpoints.slice()
+    while (checkpoints.length > 0) {
+      const { number, hash } = checkpoints[checkpoints.length - 1]
+      if ((await this.getBlockHash(number)) === hash) break
+      checkpoints.pop()
+    }
+
+    const lastBlock =
+      checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].number : null
+    if (lastBlock !== state.lastBlock)
+      await this.store.rollback(lastBlock, checkpoints)
+
+    return { lastBlock, checkpoints }
+  }
+
+  /**
+   * Index the blocks between the last processed block and the head of the chain.
+   * @returns {number} The number of events added.
+   */
+  async sync() {
+    let state = await this.handleReorg(await this.store.load())
+    const head = hexToNumber(await this.rpc('eth_blockNumber'))
+    const target = head - this.confirmations
+    let added = 0
+
+    let from = state.lastBlock === null ? this.fromBlock : state.lastBlock + 1
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target)
+      const hash = await this.getBlockHash(to)
+      const logs = await this.rpc('eth_getLogs', [
+        {
+          fromBlock: `0x${from.toString(16)}`,
+          toBlock: `0x${to.toString(16)}`,
+          address: this.addresses,
+          topics: [Object.keys(EVENT_TOPICS)]
+        }
+      ])
+      // A reorg happened while fetching logs, start over from the last good checkpoint.
+      if ((await this.getBlockHash(to)) !== hash) {
+        state = await this.handleReorg(await this.store.load())
+        from = state.lastBlock === null ? this.fromBlock : state.lastBlock + 1
+        continue
+      }
+
+      const events = logs.map(decodeLog).filter(event => event)
+      const checkpoints = state.checkpoints
+        .concat({ number: to, hash })
+        .slice(-this.maxCheckpoints)
+      await this.store.commit({ events, lastBlock: to, checkpoints })
+      state = { lastBlock: to, checkpoints }
+      added += events.length
+      from = to + 1
+    }
+
+    return added
+  }
+
+  /**
+   * Sync periodically until `stop` is called.
+   * @param {number} interval The time between syncs, in milliseconds.
+   * @param {function} onError Called with the error when a sync fails. Syncing continues afterwards.
+   */
+  start(interval = 15000, onError = console.error) {
+    this.stop()
+    const loop = async () => {
+      try {
+        await this.sync()
+      } catch (err) {
+        onError(err)
+      }
+      if (this.timeout !== null) this.timeout = setTimeout(loop, interval)
+    }
+    this.timeout = setTimeout(loop, 0)
+  }
+
+  /** Stop syncing periodically. */
+  stop() {
+    if (this.timeout) clearTimeout(this.timeout)
+    this.timeout = null
+  }
+
+  /**
+   * Get everything indexed about a dispute: the dispute, its meta-evidence, evidence, rulings and appeals.
+   * @param {string} arbitrator The address of the arbitrator.
+   * @param {(number|string)} disputeID The ID of the dispute in the arbitrator.
+   * @returns {object} The history, `null` if the dispute has not been indexed.
+   */
+  async getDisputeHistory(arbitrator, disputeID) {
+    const [dispute] = await this.store.query({
+      type: 'Dispute',
+      arbitrator,
+      disputeID
+    })
+    if (!dispute) return null
+    const { arbitrable, metaEvidenceID, evidenceGroupID } = dispute
+
+    const [metaEvidence] = await this.store.query({
+      type: 'MetaEvidence',
+      arbitrable,
+      metaEvidenceID
+    })
+
+    return {
+      dispute,
+      metaEvidence: metaEvidence || null,
+      evidence: await this.store.query({
+        type: 'Evidence',
+        arbitrable,
+        arbitrator,
+        evidenceGroupID
+      }),
+      appeals: await this.store.query({
+        type: ['AppealPossible', 'AppealDecision'],
+        arbitrator,
+        arbitrable,
+        disputeID
+      }),
+      rulings: await this.store.query({
+        type: 'Ruling',
+        arbitrator,
+        arbitrable,
+        disputeID
+      })
+    }
+  }
+}
+
+module.exports = { EventIndexer, EVENTS, decodeLog }
@@ -0,0 +1,149 @@
+const fs = require('fs')
+
+/**
+ * Compare two indexed events by chain position.
+ * @param {object} a The first event.
+ * @param {object} b The second event.
+ * @returns {number} A negative number if `a` comes first, a positive one otherwise.
+ */
+function byChainPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+}
+
+/**
+ * In-memory store for the events of `EventIndexer`.
+ * Stores implement `load`, `commit`, `rollback` and `query`, all async, so they can be backed by a database.
+ */
+class MemoryStore {
+  /**
+   * Create an empty store.
+   * @param {object} state The initial state, as saved by `toJSON`.
+   */
+  constructor(state = {}) {
+    this.events = state.events || []
+    this.lastBlock = state.lastBlock === undefined ? null : state.lastBlock
+    this.checkpoints = state.checkpoints || []
+  }
+
+  /**
+   * Get the indexing progress.
+   * @returns {object} The last processed block number, `null` if none, and the checkpoints used to detect reorgs.
+   */
+  async load() {
+    return { lastBlock: this.lastBlock, checkpoints: this.checkpoints }
+  }
+
+  /**
+   * Add the events of a processed block range and move the progress forward.
+   * @param {object} update The update.
+   * @param {object[]} update.events The new events.
+   * @param {number} update.lastBlock The last processed block number.
+   * @param {object[]} update.checkpoints The checkpoints to keep, as `{ number, hash }`.
+   */
+  async commit({ events, lastBlock, checkpoints }) {
+    this.events = this.events.concat(events).sort(byChainPosition)
+    this.lastBlock = lastBlock
+    this.checkpoints = checkpoints
+  }
+
+  /**
+   * Remove the events of the blocks after a block, to undo a reorg.
+   * @param {number} blockNumber The last block to keep, `null` to remove everything.
+   * @param {object[]} checkpoints The checkpoints to keep.
+   */
+  async rollback(blockNumber, checkpoints) {
+    this.events = this.events.filter(
+      event => blockNumber !== null && event.blockNumber <= blockNumber
+    )
+    this.lastBlock = blockNumber
+    this.checkpoints = checkpoints
+  }
+
+  /**
+   * Get the events matching a filter, in chain order.
+   * Every field of the filter is optional. Addresses are compared case-insensitively and IDs as decimal strings.
+   * @param {object} filter The filter.
+   * @param {(string|string[])} filter.type The event type(s), e.g. `Dispute`.
+   * @param {string} filter.arbitrator The arbitrator address.
+   * @param {string} filter.arbitrable The arbitrable contract address.
+   * @param {(number|string)} filter.disputeID The dispute ID.
+   * @param {(number|string)} filter.metaEvidenceID The meta-evidence ID.
+   * @param {(number|string)} filter.evidenceGroupID The evidence group ID.
+   * @param {string} filter.party The address of the party that submitted evidence.
+   * @returns {object[]} The events.
+   */
+  async query(filter = {}) {
+    const types =
+      filter.type === undefined ? null : [].concat(filter.type).map(String)
+    const addressFields = ['arbitrator', 'arbitrable', 'party']
+    const idFields = ['disputeID', 'metaEvidenceID', 'evidenceGroupID']
+
+    return this.events.filter(
+      event =>
+        (!types || types.includes(event.type)) &&
+        addressFields.every(
+          field =>
+            filter[field] === undefined ||
+            (event[field] !== undefined &&
+              event[field].toLowerCase() === filter[field].toLowerCase())
+        ) &&
+        idFields.every(
+          field =>
+            filter[field] === undefined ||
+            event[field] === String(filter[field])
+        )
+    )
+  }
+
+  /**
+   * Serialize the store.
+   * @returns {object} The state of the store.
+   */
+  toJSON() {
+    return {
+      lastBlock: this.lastBlock,
+      checkpoints: this.checkpoints,
+      events: this.events
+    }
+  }
+}
+
+/** Store persisting the events of `EventIndexer` in a JSON file. */
+class JsonFileStore extends MemoryStore {
+  /**
+   * Open the store, reading the file if it exists.
+   * @param {string} path The path of the JSON file.
+   */
+  constructor(path) {
+    super(fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : {})
+    this.path = path
+  }
+
+  /** Write the store to its file. The file is replaced atomically so an interrupted write can not corrupt it. */
+  save() {
+    const temporaryPath = `${this.path}.tmp`
+    fs.writeFileSync(temporaryPath, JSON.stringify(this))
+    fs.renameSync(temporaryPath, this.path)
+  }
+
+  /**
+   * Add the events of a processed block range, move the progress forward and save.
+   * @param {object} update The update, see `MemoryStore.commit`.
+   */
+  async commit(update) {
+    await super.commit(update)
+    this.save()
+  }
+
+  /**
+   * Remove the events of the blocks after a block and save.
+   * @param {number} blockNumber The last block to keep, `null` to remove everything.
+   * @param {object[]} checkpoints The checkpoints to keep.
+   */
+  async rollback(blockNumber, checkpoints) {
+    await super.rollback(blockNumber, checkpoints)
+    this.save()
+  }
+}
+
+module.exports = { MemoryStore, JsonFileStore }
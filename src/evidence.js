@@ -0,0 +1,676 @@
+const fs = require('fs')
+const path = require('path')
+
+const { keccak256 } = require('web3-utils')
+
+const ADDRESS_PATTERN = '^0x[0-9a-fA-F]{40}$'
+const HASH_PATTERN = '^(0x)?[0-9a-fA-F]{64}$'
+
+/** Schema of ERC-1497 evidence files. */
+const EVIDENCE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    fileURI: { type: 'string', minLength: 1 },
+    fileHash: { type: 'string', pattern: HASH_PATTERN },
+    fileTypeExtension: { type: 'string' },
+    selfHash: { type: 'string', pattern: HASH_PATTERN }
+  }
+}
+
+/** Schema of ERC-1497 meta-evidence files. */
+const META_EVIDENCE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'question', 'rulingOptions'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    question: { type: 'string', minLength: 1 },
+    rulingOptions: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: {
+          enum: [
+            'single-select',
+            'multiple-select',
+            'uint',
+            'int',
+            'string',
+            'datetime'
+          ]
+        },
+        titles: { type: 'array', items: { type: 'string', minLength: 1 } },
+        descriptions: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    fileURI: { type: 'string', minLength: 1 },
+    fileHash: { type: 'string', pattern: HASH_PATTERN },
+    fileTypeExtension: { type: 'string' },
+    evidenceDisplayInterfaceURI: { type: 'string' },
+    dynamicScriptURI: { type: 'string' },
+    aliases: { type: 'object' },
+    selfHash: { type: 'string', pattern: HASH_PATTERN }
+  }
+}
+
+/**
+ * Extend the meta-evidence schema with the fields of a contract family.
+ * @param {string[]} required The additional required fields.
+ * @param {object} properties The additional fields.
+ * @returns {object} The schema.
+ */
+function extendMetaEvidenceSchema(required, properties) {
+  return Object.assign({}, META_EVIDENCE_SCHEMA, {
+    required: META_EVIDENCE_SCHEMA.required.concat(required),
+    properties: Object.assign({}, META_EVIDENCE_SCHEMA.properties, properties)
+  })
+}
+
+/** Schema of the meta-evidence of the MultipleArbitrableTransaction escrow family. */
+const ESCROW_META_EVIDENCE_SCHEMA = extendMetaEvidenceSchema(
+  ['sender', 'receiver', 'amount'],
+  {
+    sender: { type: 'string', pattern: ADDRESS_PATTERN },
+    receiver: { type: 'string', pattern: ADDRESS_PATTERN },
+    amount: { type: 'string', pattern: '^[0-9]+$' },
+    token: { type: 'string', pattern: ADDRESS_PATTERN },
+    timeout: { type: 'integer' },
+    splits: { type: 'array', items: { type: 'integer' } }
+  }
+)
+
+/** Divisor of the split ruling shares, `BASIS_POINT_DIVISOR` in the contracts. */
+const BASIS_POINT_DIVISOR = 10000
+
+/** Schema of the meta-evidence of `Rental`. */
+const RENTAL_META_EVIDENCE_SCHEMA = extendMetaEvidenceSchema(
+  ['renter', 'owner'],
+  {
+    renter: { type: 'string', pattern: ADDRESS_PATTERN },
+    owner: { type: 'string', pattern: ADDRESS_PATTERN }
+  }
+)
+
+/** Schema of the registration and clearing meta-evidence of `ArbitrableTokenList`. */
+const TOKEN_LIST_META_EVIDENCE_SCHEMA = extendMetaEvidenceSchema(
+  ['requestType'],
+  { requestType: { enum: ['registration', 'clearing'] } }
+)
+
+/** Schemas of the values of each column type of `ArbitrableItemList` items. */
+const ITEM_COLUMN_SCHEMAS = {
+  text: { type: 'string' },
+  address: { type: 'string', pattern: ADDRESS_PATTERN },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  image: { type: 'string' },
+  link: { type: 'string' }
+}
+
+/** Schema of the registration and clearing meta-evidence of `ArbitrableItemList`. `metadata.columns` describes the fields of the items. */
+const ITEM_LIST_META_EVIDENCE_SCHEMA = extendMetaEvidenceSchema(
+  ['requestType', 'metadata'],
+  {
+    requestType: { enum: ['registration', 'clearing'] },
+    metadata: {
+      type: 'object',
+      required: ['columns'],
+      properties: {
+        itemName: { type: 'string', minLength: 1 },
+        columns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['label', 'type'],
+            properties: {
+              label: { type: 'string', minLength: 1 },
+              description: { type: 'string' },
+              type: { enum: Object.keys(ITEM_COLUMN_SCHEMAS) },
+              isIdentifier: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }
+  }
+)
+
+/** Error thrown when a file does not match its schema. */
+class EvidenceValidationError extends Error {
+  /**
+   * Create the error.
+   * @param {string[]} errors The schema violations.
+   */
+  constructor(errors) {
+    super(`Invalid evidence file: ${errors.join(', ')}.`)
+    this.name = this.constructor.name
+    this.errors = errors
+  }
+}
+
+/**
+ * Get the JSON schema type of a value.
+ * @param {*} value The value.
+ * @returns {string} The type.
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+/**
+ * Validate a value against a schema.
+ * Supports the subset of JSON Schema used by the schemas of this module: `type`, `enum`, `required`, `properties`, `items`, `minLength` and `pattern`.
+ * Fields that are not in the schema are allowed, as ERC-1497 files may carry extra fields.
+ * @param {*} value The value.
+ * @param {object} schema The schema.
+ * @param {string} at The path of the value, used in error messages.
+ * @returns {string[]} The violations, empty if the value is valid.
+ */
+function validate(value, schema, at = 'file') {
+  const type = typeOf(value)
+  if (
+    schema.type &&
+    type !== schema.type &&
+    !(schema.type === 'number' && type === 'integer')
+  )
+    return [`${at} should be of type ${schema.type}`]
+  if (schema.enum && !schema.enum.includes(value))
+    return [`${at} should be one of ${schema.enum.join(', ')}`]
+
+  const errors = []
+  if (type === 'string') {
+    if (schema.minLength && value.length < schema.minLength)
+      errors.push(`${at} should not be empty`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value))
+      errors.push(`${at} should match ${schema.pattern}`)
+  } else if (type === 'object') {
+    for (const field of schema.required || [])
+      if (value[field] === undefined) errors.push(`${at}.${field} is required`)
+    for (const field of Object.keys(schema.properties || {}))
+      if (value[field] !== undefined)
+        errors.push(
+          ...validate(value[field], schema.properties[field], `${at}.${field}`)
+        )
+  } else if (type === 'array' && schema.items)
+    value.forEach((item, i) =>
+      errors.push(...validate(item, schema.items, `${at}[${i}]`))
+    )
+
+  return errors
+}
+
+/**
+ * Validate a meta-evidence file: its schema and the consistency of its ruling options.
+ * @param {object} metaEvidence The meta-evidence.
+ * @param {object} schema The schema of the contract family.
+ * @returns {string[]} The violations, empty if the meta-evidence is valid.
+ */
+function validateMetaEvidence(metaEvidence, schema = META_EVIDENCE_SCHEMA) {
+  const errors = validate(metaEvidence, schema)
+  if (errors.length > 0) return errors
+
+  const { type, titles, descriptions } = metaEvidence.rulingOptions
+  if (type.endsWith('select') && !titles)
+    errors.push(`file.rulingOptions.titles is required for ${type} rulings`)
+  if (titles && descriptions && titles.length !== descriptions.length)
+    errors.push(
+      'file.rulingOptions.descriptions should have one entry per title'
+    )
+
+  return errors
+}
+
+/**
+ * Throw if there are violations.
+ * @param {string[]} errors The violations.
+ */
+function assertValid(errors) {
+  if (errors.length > 0) throw new EvidenceValidationError(errors)
+}
+
+/**
+ * Copy the defined fields of an object.
+ * @param {object} fields The fields.
+ * @returns {object} The fields that are not `undefined`.
+ */
+function definedFields(fields) {
+  return Object.keys(fields).reduce((acc, field) => {
+    if (fields[field] !== undefined) acc[field] = fields[field]
+    return acc
+  }, {})
+}
+
+/**
+ * Build an evidence file, valid for every contract family.
+ * @param {object} evidence The evidence.
+ * @param {string} evidence.name The name of the evidence.
+ * @param {string} evidence.description The description of the evidence.
+ * @param {string} evidence.fileURI The URI of the attached file.
+ * @param {string} evidence.fileHash The hash of the attached file.
+ * @param {string} evidence.fileTypeExtension The extension of the attached file, e.g. `pdf`.
+ * @returns {object} The evidence file.
+ */
+function buildEvidence({
+  name,
+  description,
+  fileURI,
+  fileHash,
+  fileTypeExtension
+}) {
+  const evidence = definedFields({
+    name,
+    description,
+    fileURI,
+    fileHash,
+    fileTypeExtension
+  })
+  assertValid(validate(evidence, EVIDENCE_SCHEMA))
+
+  return evidence
+}
+
+/**
+ * Format a share in basis points as a percentage.
+ * @param {number} share The share, in basis points.
+ * @returns {string} The percentage, as `37.5%`.
+ */
+function formatShare(share) {
+  return `${share / (BASIS_POINT_DIVISOR / 100)}%`
+}
+
+/**
+ * Build the meta-evidence of a transaction of the MultipleArbitrableTransaction escrow family.
+ * The ruling options follow the `RulingOptions` of the contracts: 1 refunds the sender, 2 pays the receiver.
+ * Transactions of `MultipleArbitrableTransaction`, `MultipleArbitrableTokenTransaction` and `MultipleArbitrableAssetTransaction` can add split ruling options: 3 + i pays `splits[i]` basis points of the amount and of the arbitration fee to the receiver and the rest to the sender.
+ * @param {object} transaction The transaction.
+ * @param {string} transaction.title The title of the agreement.
+ * @param {string} transaction.description The terms of the agreement.
+ * @param {string} transaction.sender The address of the sender.
+ * @param {string} transaction.receiver The address of the receiver.
+ * @param {(number|string|BN)} transaction.amount The amount in escrow, in wei or in token base units.
+ * @param {string} transaction.token The address of the token, for token escrows.
+ * @param {number} transaction.timeout The payment timeout, in seconds.
+ * @param {number[]} transaction.splits The receiver's shares of the split ruling options, in basis points, as passed to the contract.
+ * @param {string} transaction.fileURI The URI of the agreement document.
+ * @param {string} transaction.fileHash The hash of the agreement document.
+ * @param {string} transaction.fileTypeExtension The extension of the agreement document.
+ * @returns {object} The meta-evidence file.
+ */
+function buildEscrowMetaEvidence({
+  title,
+  description,
+  sender,
+  receiver,
+  amount,
+  token,
+  timeout,
+  splits = [],
+  fileURI,
+  fileHash,
+  fileTypeExtension
+}) {
+  const invalidSplits = splits
+    .filter(
+      split =>
+        !Number.isInteger(split) || split < 0 || split > BASIS_POINT_DIVISOR
+    )
+    .map(
+      split =>
+        `splits should be integers between 0 and ${BASIS_POINT_DIVISOR}, got ${split}`
+    )
+  assertValid(invalidSplits)
+
+  const metaEvidence = definedFields({
+    title,
+    description,
+    category: 'Escrow',
+    question: 'Which party abided by the terms of the contract?',
+    rulingOptions: {
+      type: 'single-select',
+      titles: ['Refund Sender', 'Pay Receiver'].concat(
+        splits.map(split => `Pay Receiver ${formatShare(split)}`)
+      ),
+      descriptions: [
+        'Select to return the funds to the sender.',
+        'Select to release the funds to the receiver.'
+      ].concat(
+        splits.map(
+          split =>
+            `Select to release ${formatShare(
+              split
+            )} of the funds to the receiver and return ${formatShare(
+              BASIS_POINT_DIVISOR - split
+            )} to the sender. The arbitration fees are reimbursed in the same proportions.`
+        )
+      )
+    },
+    sender,
+    receiver,
+    amount: amount === undefined ? undefined : String(amount),
+    token,
+    timeout,
+    splits: splits.length > 0 ? splits : undefined,
+    fileURI,
+    fileHash,
+    fileTypeExtension
+  })
+  assertValid(validateMetaEvidence(metaEvidence, ESCROW_META_EVIDENCE_SCHEMA))
+
+  return metaEvidence
+}
+
+/**
+ * Build the meta-evidence of a `Rental` contract.
+ * The ruling options follow `RULING_OPTIONS` of the contract: 1 rules for the renter (party A), 2 for the owner (party B).
+ * @param {object} rental The rental.
+ * @param {string} rental.title The title of the rental agreement.
+ * @param {string} rental.description The terms of the rental agreement.
+ * @param {string} rental.renter The address of the renter.
+ * @param {string} rental.owner The address of the owner.
+ * @param {string} rental.fileURI The URI of the rental agreement document.
+ * @param {string} rental.fileHash The hash of the rental agreement document.
+ * @param {string} rental.fileTypeExtension The extension of the rental agreement document.
+ * @returns {object} The meta-evidence file.
+ */
+function buildRentalMetaEvidence({
+  title,
+  description,
+  renter,
+  owner,
+  fileURI,
+  fileHash,
+  fileTypeExtension
+}) {
+  const metaEvidence = definedFields({
+    title,
+    description,
+    category: 'Rental',
+    question: 'Are the damages claimed by the owner justified?',
+    rulingOptions: {
+      type: 'single-select',
+      titles: ['Rule for the renter', 'Rule for the owner'],
+      descriptions: [
+        'Select to return the deposit to the renter.',
+        'Select to pay the claimed damages to the owner.'
+      ]
+    },
+    renter,
+    owner,
+    fileURI,
+    fileHash,
+    fileTypeExtension
+  })
+  assertValid(validateMetaEvidence(metaEvidence, RENTAL_META_EVIDENCE_SCHEMA))
+
+  return metaEvidence
+}
+
+/**
+ * Build the registration or clearing meta-evidence of a curated list.
+ * The ruling options follow the `Party` enum of the list contracts: 1 executes the request (requester wins), 2 denies it (challenger wins).
+ * @param {string} requestType `registration` or `clearing`.
+ * @param {string} itemName The name of the listed items, used in the question.
+ * @param {object} fields The other fields of the file.
+ * @param {object} schema The schema of the contract family.
+ * @returns {object} The meta-evidence file.
+ */
+function buildListMetaEvidence(requestType, itemName, fields, schema) {
+  const registration = requestType === 'registration'
+  const metaEvidence = definedFields(
+    Object.assign(
+      {
+        title: fields.title,
+        description: fields.description,
+        category: 'Curated Lists',
+        question: registration
+          ? `Should the ${itemName} be added to the list?`
+          : `Should the ${itemName} be removed from the list?`,
+        rulingOptions: {
+          type: 'single-select',
+          titles: registration
+            ? ['Yes, add it', 'No, do not add it']
+            : ['Yes, remove it', 'No, keep it'],
+          descriptions: [
+            'Select to execute the request, the requester wins.',
+            'Select to deny the request, the challenger wins.'
+          ]
+        },
+        requestType
+      },
+      fields
+    )
+  )
+  assertValid(validateMetaEvidence(metaEvidence, schema))
+
+  return metaEvidence
+}
+
+/**
+ * Build the registration or clearing meta-evidence of an `ArbitrableTokenList`.
+ * @param {object} list The list.
+ * @param {string} list.requestType `registration` or `clearing`.
+ * @param {string} list.title The title of the list.
+ * @param {string} list.description The description of the list.
+ * @param {string} list.fileURI The URI of the listing criteria.
+ * @param {string} list.fileHash The hash of the listing criteria.
+ * @param {string} list.fileTypeExtension The extension of the listing criteria.
+ * @returns {object} The meta-evidence file.
+ */
+function buildTokenListMetaEvidence({
+  requestType,
+  title,
+  description,
+  fileURI,
+  fileHash,
+  fileTypeExtension
+}) {
+  return buildListMetaEvidence(
+    requestType,
+    'token',
+    { title, description, fileURI, fileHash, fileTypeExtension },
+    TOKEN_LIST_META_EVIDENCE_SCHEMA
+  )
+}
+
+/**
+ * Build the registration or clearing meta-evidence of an `ArbitrableItemList`.
+ * @param {object} list The list.
+ * @param {string} list.requestType `registration` or `clearing`.
+ * @param {string} list.title The title of the list.
+ * @param {string} list.description The description of the list.
+ * @param {object[]} list.columns The columns of the items: their `label`, `description`, `type` (one of `ITEM_COLUMN_SCHEMAS`) and whether they identify the item, `isIdentifier`.
+ * @param {string} list.itemName The name of the listed items, e.g. `badge`. Defaults to `item`.
+ * @param {string} list.fileURI The URI of the listing criteria.
+ * @param {string} list.fileHash The hash of the listing criteria.
+ * @param {string} list.fileTypeExtension The extension of the listing criteria.
+ * @returns {object} The meta-evidence file.
+ */
+function buildItemListMetaEvidence({
+  requestType,
+  title,
+  description,
+  columns,
+  itemName,
+  fileURI,
+  fileHash,
+  fileTypeExtension
+}) {
+  return buildListMetaEvidence(
+    requestType,
+    itemName || 'item',
+    {
+      title,
+      description,
+      metadata: definedFields({ columns, itemName }),
+      fileURI,
+      fileHash,
+      fileTypeExtension
+    },
+    ITEM_LIST_META_EVIDENCE_SCHEMA
+  )
+}
+
+/**
+ * Get the schema of the items of an `ArbitrableItemList`.
+ * @param {object[]} columns The columns of the items, from the meta-evidence.
+ * @returns {object} The schema.
+ */
+function itemSchema(columns) {
+  return {
+    type: 'object',
+    required: columns.map(column => column.label),
+    properties: columns.reduce((acc, column) => {
+      acc[column.label] = ITEM_COLUMN_SCHEMAS[column.type]
+      return acc
+    }, {})
+  }
+}
+
+/**
+ * Encode an item as the data submitted to an `ArbitrableItemList`: the UTF-8 JSON array of its values, in the order of the columns.
+ * @param {object[]} columns The columns of the items, from the meta-evidence.
+ * @param {object} item The values of the item, by column label.
+ * @returns {string} The data, as a 0x prefixed hex string.
+ */
+function encodeItem(columns, item) {
+  assertValid(validate(item, itemSchema(columns), 'item'))
+
+  return `0x${Buffer.from(
+    JSON.stringify(columns.map(column => item[column.label]))
+  ).toString('hex')}`
+}
+
+/**
+ * Decode the data of an `ArbitrableItemList` item.
+ * @param {object[]} columns The columns of the items, from the meta-evidence.
+ * @param {string} data The data, as a hex string.
+ * @returns {object} The values of the item, by column label.
+ */
+function decodeItem(columns, data) {
+  let values
+  try {
+    values = JSON.parse(
+      Buffer.from(data.replace(/^0x/, ''), 'hex').toString('utf8')
+    )
+  } catch (_) {
+    throw new EvidenceValidationError(['item is not JSON'])
+  }
+  if (!Array.isArray(values) || values.length !== columns.length)
+    throw new EvidenceValidationError(['item should have one value per column'])
+
+  const item = columns.reduce((acc, column, i) => {
+    acc[column.label] = values[i]
+    return acc
+  }, {})
+  assertValid(validate(item, itemSchema(columns), 'item'))
+
+  return item
+}
+
+/**
+ * Hash the content of a file, as required for evidence file names.
+ * @param {(string|Buffer)} content The content of the file.
+ * @returns {string} The keccak256 hash of the content, with the 0x prefix.
+ */
+function hashFile(content) {
+  return keccak256(
+    `0x${(Buffer.isBuffer(content) ? content : Buffer.from(content)).toString(
+      'hex'
+    )}`
+  )
+}
+
+/**
+ * Serialize a file and compute its name. IArbitrable requires the name of an evidence file to be its keccak256 hash followed by `.json`.
+ * @param {object} file The evidence or meta-evidence.
+ * @returns {object} The `content` to upload, its `hash` and its `fileName`.
+ */
+function serialize(file) {
+  const content = JSON.stringify(file)
+  const hash = hashFile(content)
+
+  return { content, hash, fileName: `${hash.slice(2)}.json` }
+}
+
+/**
+ * Write an evidence or meta-evidence file in a directory, named after its hash.
+ * @param {string} directory The directory.
+ * @param {object} file The evidence or meta-evidence.
+ * @returns {object} The `path` of the file, its `hash` and its `fileName`.
+ */
+function writeFile(directory, file) {
+  const { content, hash, fileName } = serialize(file)
+  const filePath = path.join(directory, fileName)
+  fs.writeFileSync(filePath, content)
+
+  return { path: filePath, hash, fileName }
+}
+
+/**
+ * Check a fetched evidence or meta-evidence file against the hash in its URI, then against its schema.
+ * @param {string} uri The URI of the file, as emitted in the `Evidence` or `MetaEvidence` event.
+ * @param {(string|Buffer)} content The fetched content of the file.
+ * @param {object} schema The schema to check the file against, e.g. `EVIDENCE_SCHEMA`. Skips the schema check if omitted.
+ * @returns {object} `valid`, the `errors` and the parsed `file`, `null` if it is not JSON.
+ */
+function verifyFile(uri, content, schema) {
+  const match = /(?:^|\/)(?:0x)?([0-9a-fA-F]{64})\.json(?:[?#].*)?$/.exec(uri)
+  if (!match)
+    return {
+      valid: false,
+      errors: ['the file name is not a keccak256 hash followed by .json'],
+      file: null
+    }
+  if ((hashFile(content) || '').slice(2) !== match[1].toLowerCase())
+    return {
+      valid: false,
+      errors: ['the file does not match the hash in its URI'],
+      file: null
+    }
+
+  let file
+  try {
+    file = JSON.parse(content.toString())
+  } catch (_) {
+    return { valid: false, errors: ['the file is not JSON'], file: null }
+  }
+  let errors = []
+  if (schema)
+    errors =
+      schema === EVIDENCE_SCHEMA
+        ? validate(file, schema)
+        : validateMetaEvidence(file, schema)
+
+  return { valid: errors.length === 0, errors, file }
+}
+
+module.exports = {
+  EVIDENCE_SCHEMA,
+  META_EVIDENCE_SCHEMA,
+  ESCROW_META_EVIDENCE_SCHEMA,
+  RENTAL_META_EVIDENCE_SCHEMA,
+  TOKEN_LIST_META_EVIDENCE_SCHEMA,
+  ITEM_COLUMN_SCHEMAS,
+  ITEM_LIST_META_EVIDENCE_SCHEMA,
+  EvidenceValidationError,
+  validate,
+  validateMetaEvidence,
+  buildEvidence,
+  buildEscrowMetaEvidence,
+  buildRentalMetaEvidence,
+  buildTokenListMetaEvidence,
+  buildItemListMetaEvidence,
+  encodeItem,
+  decodeItem,
+  hashFile,
+  serialize,
+  writeFile,
+  verifyFile
+}
@@ -0,0 +1,362 @@
+const fs = require('fs')
+const { promisify } = require('util')
+
+const { hexToNumber } = require('web3-utils')
+
+const { EscrowClient } = require('./escrow-client')
+
+/**
+ * Get the logs of a contract event.
+ * @param {object} contract The truffle-contract instance.
+ * @param {string} event The name of the event.
+ * @param {number} fromBlock The first block.
+ * @param {number} toBlock The last block.
+ * @returns {object[]} The decoded logs.
+ */
+function getEvents(contract, event, fromBlock, toBlock) {
+  const filter = contract[event]({}, { fromBlock, toBlock })
+  return promisify(filter.get.bind(filter))()
+}
+
+/** Item statuses of the address, token and item lists that have a pending request, see `AddressStatus`, `TokenStatus` and `ItemStatus`. 4 is the renewal request of the address and token lists. */
+const LIST_REQUESTED_STATUSES = [2, 3, 4]
+
+/** Item statuses of `ArbitrablePermissionList` that have a pending request, see `ItemStatus`. */
+const PERMISSION_LIST_REQUESTED_STATUSES = [2, 4, 5, 6]
+
+/**
+ * Inspect the last request of an item of an address, token or item list.
+ * @param {object} list The list contract instance.
+ * @param {string} id The address, token ID or item ID.
+ * @param {string} getInfo The name of the item getter, `getAddressInfo`, `getTokenInfo` or `getItemInfo`.
+ * @returns {object} The job, `null` if there is no request to execute.
+ */
+async function inspectListRequest(list, id, getInfo) {
+  const info = await list[getInfo](id)
+  const status = info[info.length - 2].toNumber()
+  const numberOfRequests = info[info.length - 1].toNumber()
+  if (!LIST_REQUESTED_STATUSES.includes(status)) return null
+
+  const [disputed, , submissionTime] = await list.getRequestInfo(
+    id,
+    numberOfRequests - 1
+  )
+  if (disputed) return null // A new request emits a new event once the dispute is over.
+  const challengePeriodDuration = await list.challengePeriodDuration()
+
+  return {
+    method: 'executeRequest',
+    args: [id],
+    dueAt: submissionTime.plus(challengePeriodDuration).toNumber() + 1
+  }
+}
+
+/**
+ * Contract kinds the keeper handles.
+ * `event` is the event announcing new items and `id` reads the item ID from it.
+ * `inspect` reads the state of an item and returns the call that will move it forward, as `{ method, args, dueAt }`, or `null` if there is none.
+ * `dueAt` is the timestamp from which the call succeeds.
+ */
+const KINDS = {
+  escrow: {
+    event: 'TransactionCreated',
+    id: args => args._transactionID.toString(),
+    async inspect(escrow, transactionID) {
+      const transaction = await new EscrowClient(escrow).getTransaction(
+        transactionID
+      )
+      switch (transaction.status) {
+        case 'NoDispute':
+          if (transaction.amount.isZero()) return null
+          return {
+            method: 'executeTransaction',
+            args: [transactionID],
+            dueAt: transaction.lastInteraction + transaction.timeoutPayment
+          }
+        case 'WaitingSender':
+        case 'WaitingReceiver':
+          return {
+            method:
+              transaction.status === 'WaitingReceiver'
+                ? 'timeOutBySender'
+                : 'timeOutByReceiver',
+            args: [transactionID],
+            dueAt:
+              transaction.lastInteraction +
+              (await escrow.feeTimeout()).toNumber()
+          }
+        default:
+          return null
+      }
+    }
+  },
+  addressList: {
+    event: 'RequestSubmitted',
+    id: args => args._address,
+    inspect: (list, address) =>
+      inspectListRequest(list, address, 'getAddressInfo')
+  },
+  tokenList: {
+    event: 'RequestSubmitted',
+    id: args => args._tokenID,
+    inspect: (list, tokenID) =>
+      inspectListRequest(list, tokenID, 'getTokenInfo')
+  },
+  itemList: {
+    event: 'RequestSubmitted',
+    id: args => args._itemID,
+    inspect: (list, itemID) => inspectListRequest(list, itemID, 'getItemInfo')
+  },
+  permissionList: {
+    event: 'ItemStatusChange',
+    id: args => args.value,
+    async inspect(list, value) {
+      const [status, lastAction, , , , disputed] = await list.items(value)
+      if (
+        disputed ||
+        !PERMISSION_LIST_REQUESTED_STATUSES.includes(status.toNumber())
+      )
+        return null
+
+      return {
+        method: 'executeRequest',
+        args: [value],
+        dueAt: lastAction.plus(await list.timeToChallenge()).toNumber()
+      }
+    }
+  },
+  autoAppealableArbitrator: {
+    event: 'AppealPossible',
+    id: args => args._disputeID.toString(),
+    async inspect(arbitrator, disputeID) {
+      const dispute = await arbitrator.disputes(disputeID)
+      if (dispute[4].toNumber() !== 1) return null // Not appealable.
+
+      return {
+        method: 'executeRuling',
+        args: [disputeID],
+        dueAt: dispute[7].toNumber()
+      }
+    }
+  }
+}
+
+/** Kinds of the contracts of a deployment manifest, by contract name. */
+const CONTRACT_KINDS = {
+  MultipleArbitrableTransaction: 'escrow',
+  MultipleArbitrableTokenTransaction: 'escrow',
+  MultipleArbitrableTransactionWithFee: 'escrow',
+  MultipleArbitrableTokenTransactionWithFee: 'escrow',
+  MultipleArbitrableTransactionWithAppeals: 'escrow',
+  MultipleArbitrableTokenTransactionWithAppeals: 'escrow',
+  ArbitrableAddressList: 'addressList',
+  ArbitrableTokenList: 'tokenList',
+  ArbitrableItemList: 'itemList',
+  ArbitrablePermissionList: 'permissionList',
+  AutoAppealableArbitrator: 'autoAppealableArbitrator'
+}
+
+/**
+ * Get the keeper targets of a deployment manifest, as written by the deploy migration.
+ * @param {object} manifest The manifest.
+ * @param {object} artifacts The truffle artifacts.
+ * @returns {object[]} The targets, as `{ kind, contract }`. Contracts the keeper has nothing to do for are left out.
+ */
+async function targetsFromManifest(manifest, artifacts) {
+  const targets = []
+  for (const { contract, address } of Object.values(manifest.contracts))
+    if (CONTRACT_KINDS[contract])
+      targets.push({
+        kind: CONTRACT_KINDS[contract],
+        contract: await artifacts.require(contract).at(address)
+      })
+
+  return targets
+}
+
+/**
+ * Keeper calling the functions that only move contracts forward once a deadline has passed:
+ * `executeTransaction` and `timeOutBySender`/`timeOutByReceiver` on the escrows, `executeRequest` on the lists and `executeRuling` on `AutoAppealableArbitrator`.
+ * Items are discovered from events, but what to call and when is always read from the contract state, so a restarted keeper picks up where it stopped.
+ * The state file records the last scanned block, the tracked items and the transactions sent and not mined yet, so no call is sent twice.
+ */
+class Keeper {
+  /**
+   * Create the keeper.
+   * @param {object} options The options.
+   * @param {object} options.provider The JSON-RPC provider.
+   * @param {object[]} options.targets The contracts to keep, as `{ kind, contract }` with `kind` a key of `KINDS` and `contract` a truffle-contract instance.
+   * @param {string} options.from The account sending the calls.
+   * @param {string} options.statePath The path of the JSON file the state is saved to. The state is only kept in memory if omitted.
+   * @param {boolean} options.dryRun Only report the calls that would be sent.
+   * @param {number} options.fromBlock The block to start scanning events from.
+   */
+  constructor({
+    provider,
+    targets,
+    from,
+    statePath,
+    dryRun = false,
+    fromBlock = 0
+  }) {
+    for (const { kind } of targets)
+      if (!KINDS[kind]) throw new Error(`Unknown contract kind ${kind}.`)
+
+    this.sendPayload = promisify(
+      (provider.sendAsync || provider.send).bind(provider)
+    )
+    this.targets = targets
+    this.from = from
+    this.statePath = statePath
+    this.dryRun = dryRun
+    this.state =
+      statePath && fs.existsSync(statePath)
+        ? JSON.parse(fs.readFileSync(statePath, 'utf8'))
+        : { lastBlock: fromBlock - 1, items: {}, sent: {} }
+    this.requestID = 0
+  }
+
+  /**
+   * Send a JSON-RPC request.
+   * @param {string} method The method.
+   * @param {Array} params The parameters.
+   * @returns {*} The result.
+   */
+  async rpc(method, params = []) {
+    const response = await this.sendPayload({
+      jsonrpc: '2.0',
+      id: ++this.requestID,
+      method,
+      params
+    })
+    if (response.error)
+      throw new Error(`${method} failed: ${response.error.message}`)
+
+    return response.result
+  }
+
+  /** Save the state to the state file, if any. The file is replaced atomically. */
+  save() {
+    if (!this.statePath) return
+    const temporaryPath = `${this.statePath}.tmp`
+    fs.writeFileSync(temporaryPath, JSON.stringify(this.state))
+    fs.renameSync(temporaryPath, this.statePath)
+  }
+
+  /**
+   * Track the items announced by events since the last scanned block.
+   * @param {number} head The last block to scan.
+   */
+  async discover(head) {
+    const fromBlock = this.state.lastBlock + 1
+    if (fromBlock > head) return
+
+    for (const { kind, contract } of this.targets) {
+      const events = await getEvents(
+        contract,
+        KINDS[kind].event,
+        fromBlock,
+        head
+      )
+      for (const { args } of events) {
+        const id = KINDS[kind].id(args)
+        this.state.items[`${kind}:${contract.address}:${id}`] = {
+          kind,
+          address: contract.address,
+          id
+        }
+      }
+    }
+    this.state.lastBlock = head
+  }
+
+  /**
+   * Check whether a call sent earlier is still pending, forgetting it once mined or dropped.
+   * @param {string} key The key of the item.
+   * @returns {boolean} True if the call is still pending.
+   */
+  async isPending(key) {
+    const transactionHash = this.state.sent[key]
+    if (!transactionHash) return false
+    if (
+      !(await this.rpc('eth_getTransactionReceipt', [transactionHash])) &&
+      (await this.rpc('eth_getTransactionByHash', [transactionHash])) // Dropped transactions can be sent again.
+    )
+      return true
+
+    delete this.state.sent[key]
+    return false
+  }
+
+  /**
+   * Scan new events, then send the calls whose deadline has passed.
+   * @returns {object[]} The calls sent, or that would be sent in dry-run mode, as `{ kind, address, id, method, transactionHash }`.
+   */
+  async tick() {
+    const head = await this.rpc('eth_getBlockByNumber', ['latest', false])
+    await this.discover(hexToNumber(head.number))
+    const now = hexToNumber(head.timestamp)
+    const calls = []
+
+    for (const key of Object.keys(this.state.items)) {
+      if (await this.isPending(key)) continue
+      const { kind, address, id } = this.state.items[key]
+      const { contract } = this.targets.find(
+        target => target.kind === kind && target.contract.address === address
+      )
+      const job = await KINDS[kind].inspect(contract, id)
+      if (!job) {
+        delete this.state.items[key]
+        continue
+      }
+      if (job.dueAt > now) continue
+
+      // Simulate the call first, the deadline is checked against the next block which may not be mined yet.
+      try {
+        await contract[job.method].call(...job.args, { from: this.from })
+      } catch (_) {
+        continue
+      }
+      const call = { kind, address, id, method: job.method }
+      if (!this.dryRun) {
+        call.transactionHash = await contract[
+          job.method
+        ].sendTransaction(...job.args, { from: this.from })
+        this.state.sent[key] = call.transactionHash
+        this.save()
+      }
+      calls.push(call)
+    }
+    if (!this.dryRun) this.save()
+
+    return calls
+  }
+
+  /**
+   * Tick periodically until `stop` is called.
+   * @param {number} interval The time between ticks, in milliseconds.
+   * @param {function} onCalls Called with the calls sent at every tick that sent some.
+   * @param {function} onError Called with the error when a tick fails. Ticking continues afterwards.
+   */
+  start(interval = 15000, onCalls = () => {}, onError = console.error) {
+    this.stop()
+    const loop = async () => {
+      try {
+        const calls = await this.tick()
+        if (calls.length > 0) onCalls(calls)
+      } catch (err) {
+        onError(err)
+      }
+      if (this.timeout !== null) this.timeout = setTimeout(loop, interval)
+    }
+    this.timeout = setTimeout(loop, 0)
+  }
+
+  /** Stop ticking periodically. */
+  stop() {
+    if (this.timeout) clearTimeout(this.timeout)
+    this.timeout = null
+  }
+}
+
+module.exports = { Keeper, KINDS, CONTRACT_KINDS, targetsFromManifest }
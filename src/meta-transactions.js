@@ -0,0 +1,220 @@
+const Account = require('eth-lib/lib/account')
+const { keccak256, padLeft, toBN, utf8ToHex } = require('web3-utils')
+
+/** Keccak256 of empty data, which `keccak256` of web3-utils returns as null. */
+const EMPTY_HASH =
+  '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+
+/** EIP-712 domain of the signed actions of `MultipleArbitrableAssetTransaction`. The chain ID and the escrow address are added as `chainId` and `verifyingContract`. */
+const DOMAIN = { name: 'MultipleArbitrableAssetTransaction', version: '1' }
+
+/** EIP-712 types of the domain and of the actions parties can sign, mirroring the type hashes of the contract. */
+const TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  Pay: [
+    { name: 'transactionID', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  Reimburse: [
+    { name: 'transactionID', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  SubmitEvidence: [
+    { name: 'transactionID', type: 'uint256' },
+    { name: 'evidence', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+/** EIP-712 types of EIP-2612 permits. */
+const PERMIT_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+/**
+ * Hash data, returning the hash of empty data instead of null.
+ * @param {string} hex The data, as hex.
+ * @returns {string} The keccak256 hash.
+ */
+function hash(hex) {
+  return keccak256(hex) || EMPTY_HASH
+}
+
+/**
+ * Encode a type as EIP-712 `encodeType` does. Only structs without struct members are supported.
+ * @param {string} primaryType The name of the type.
+ * @param {object} types The types, by name.
+ * @returns {string} The encoded type, as `Name(type1 name1,type2 name2)`.
+ */
+function encodeType(primaryType, types) {
+  const fields = types[primaryType].map(({ name, type }) => `${type} ${name}`)
+  return `${primaryType}(${fields.join(',')})`
+}
+
+/**
+ * Encode a value of a field as a 32 bytes word, as EIP-712 `encodeData` does.
+ * @param {string} type The type of the field.
+ * @param {*} value The value.
+ * @returns {string} The word, as hex without the 0x prefix.
+ */
+function encodeValue(type, value) {
+  if (type === 'string') return hash(utf8ToHex(value)).slice(2)
+  if (type === 'bytes') return hash(value).slice(2)
+  if (type === 'address' || type === 'bytes32')
+    return padLeft(value.toLowerCase().slice(2), 64)
+  if (/^uint\d*$/.test(type))
+    return padLeft(toBN(value.toString()).toString(16), 64)
+  throw new Error(`Unsupported EIP-712 type: ${type}.`)
+}
+
+/**
+ * Hash a struct as EIP-712 `hashStruct` does.
+ * @param {string} primaryType The name of the type of the struct.
+ * @param {object} types The types, by name.
+ * @param {object} data The struct.
+ * @returns {string} The hash.
+ */
+function hashStruct(primaryType, types, data) {
+  const words = types[primaryType].map(({ name, type }) => {
+    if (data[name] === undefined)
+      throw new Error(`Missing field "${name}" of ${primaryType}.`)
+    return encodeValue(type, data[name])
+  })
+
+  return hash(
+    `${hash(utf8ToHex(encodeType(primaryType, types)))}${words.join('')}`
+  )
+}
+
+/**
+ * Build the EIP-712 typed data of an action, as expected by `eth_signTypedData` wallets.
+ * @param {string} escrowAddress The address of the escrow.
+ * @param {number} chainId The ID of the chain the escrow was deployed with.
+ * @param {string} primaryType The action: `Pay`, `Reimburse` or `SubmitEvidence`.
+ * @param {object} message The fields of the action, with the `nonce` of the signer in the escrow and the `deadline` of the signature.
+ * @returns {object} The typed data.
+ */
+function buildTypedData(escrowAddress, chainId, primaryType, message) {
+  if (!TYPES[primaryType] || primaryType === 'EIP712Domain')
+    throw new Error(`Unknown action: ${primaryType}.`)
+
+  return {
+    types: {
+      EIP712Domain: TYPES.EIP712Domain,
+      [primaryType]: TYPES[primaryType]
+    },
+    domain: { ...DOMAIN, chainId, verifyingContract: escrowAddress },
+    primaryType,
+    message
+  }
+}
+
+/**
+ * Build the EIP-712 typed data of an EIP-2612 permit, to approve tokens without an approve transaction.
+ * @param {string} tokenAddress The address of the token.
+ * @param {object} domain The `name` of the token, its permit `version` ('1' by default) and the `chainId`.
+ * @param {object} message The `owner`, `spender`, `value`, `nonce` of the owner in the token and `deadline` of the permit.
+ * @returns {object} The typed data.
+ */
+function buildPermitTypedData(
+  tokenAddress,
+  { name, version = '1', chainId },
+  message
+) {
+  return {
+    types: PERMIT_TYPES,
+    domain: { name, version, chainId, verifyingContract: tokenAddress },
+    primaryType: 'Permit',
+    message
+  }
+}
+
+/**
+ * Get the digest of typed data, which is what is signed.
+ * @param {object} typedData The typed data.
+ * @returns {string} The digest.
+ */
+function hashTypedData({ types, domain, primaryType, message }) {
+  return hash(
+    `0x1901${hashStruct('EIP712Domain', types, domain).slice(2)}${hashStruct(
+      primaryType,
+      types,
+      message
+    ).slice(2)}`
+  )
+}
+
+/**
+ * Sign typed data with a private key.
+ * @param {object} typedData The typed data.
+ * @param {string} privateKey The private key of the signer.
+ * @returns {object} The `signature` and its `v`, `r` and `s` parts, as passed to the `*BySignature` functions.
+ */
+function signTypedData(typedData, privateKey) {
+  const signature = Account.sign(hashTypedData(typedData), privateKey)
+  const [v, r, s] = Account.decodeSignature(signature)
+
+  return { signature, v: toBN(v).toNumber(), r, s }
+}
+
+/**
+ * Recover the signer of typed data.
+ * @param {object} typedData The typed data.
+ * @param {string} signature The signature.
+ * @returns {string} The checksummed address of the signer.
+ */
+function recoverTypedDataSigner(typedData, signature) {
+  return Account.recover(hashTypedData(typedData), signature)
+}
+
+/**
+ * Check that typed data was signed by an address.
+ * @param {object} typedData The typed data.
+ * @param {string} signature The signature.
+ * @param {string} address The address of the expected signer.
+ * @returns {boolean} True if the address signed the typed data.
+ */
+function verifyTypedDataSignature(typedData, signature, address) {
+  try {
+    return (
+      recoverTypedDataSigner(typedData, signature).toLowerCase() ===
+      address.toLowerCase()
+    )
+  } catch (_) {
+    return false
+  }
+}
+
+module.exports = {
+  DOMAIN,
+  TYPES,
+  PERMIT_TYPES,
+  buildTypedData,
+  buildPermitTypedData,
+  hashTypedData,
+  signTypedData,
+  recoverTypedDataSigner,
+  verifyTypedDataSignature
+}
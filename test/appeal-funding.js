@@ -0,0 +1,390 @@
+/* globals artifacts, contract */
+const { assert } = require('chai')
+const { padLeft, toBN } = require('web3-utils')
+
+const {
+  totalCost,
+  calculateContribution,
+  getAppealFunding,
+  getContributionReward,
+  getWithdrawable
+} = require('../src/appeal-funding')
+
+const time = require('./helpers/time')
+
+const AutoAppealableArbitrator = artifacts.require('AutoAppealableArbitrator')
+const ArbitrableAddressList = artifacts.require('ArbitrableAddressList')
+const MultipleArbitrableTransactionWithAppeals = artifacts.require(
+  'MultipleArbitrableTransactionWithAppeals'
+)
+
+/**
+ * Create a seeded pseudo random number generator, so failures can be replayed.
+ * @param {number} seed The seed.
+ * @returns {function} A function returning a random integer in [min, max].
+ */
+function createRandom(seed) {
+  let state = seed
+  return (min, max) => {
+    state = (state * 1103515245 + 12345) % 2147483648
+    return min + (state % (max - min + 1))
+  }
+}
+
+contract('AppealFunding', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const contributors = accounts.slice(3, 7)
+  const arbitrationFee = 1000
+  const timeToAppeal = 1000
+  const baseDeposit = 10 ** 10
+  const multipliers = { shared: 5000, winner: 2000, loser: 8000 }
+
+  let arbitrator
+
+  /**
+   * Give an appealable ruling and fund the appeal with random contributions, checking every contribution against the calculator.
+   * @param {object} params The parameters.
+   * @param {function} params.random The random number generator.
+   * @param {number} params.disputeID The ID of the dispute.
+   * @param {function} params.getRound Returns the current round, as `{ paidFees, hasPaid }`.
+   * @param {function} params.fundAppeal Funds a side, as `(side, options)`.
+   * @returns {boolean} True if the appeal was fully funded.
+   */
+  async function fundRandomly({ random, disputeID, getRound, fundAppeal }) {
+    const appealCost = random(1, 5) * 1000
+    const currentRuling = random(0, 2)
+    await arbitrator.giveAppealableRuling(
+      disputeID,
+      currentRuling,
+      appealCost,
+      timeToAppeal,
+      { from: governor }
+    )
+    const fundBoth = random(0, 2) > 0
+
+    for (let i = 0; i < 6; i++) {
+      const state = {
+        appealCost,
+        currentRuling,
+        multipliers,
+        round: await getRound()
+      }
+      const funding = getAppealFunding(state)
+      const unpaid = [1, 2].filter(side => !funding[side].hasPaid)
+      if (unpaid.length === 0) break
+      const side = unpaid[random(0, unpaid.length - 1)]
+      const amount =
+        fundBoth && i >= 4
+          ? funding[side].remaining.toNumber() + random(0, 500)
+          : random(1, funding[side].remaining.toNumber() + 500)
+
+      const { contribution } = calculateContribution(
+        amount,
+        funding[side].remaining
+      )
+      await fundAppeal(side, {
+        from: contributors[random(0, contributors.length - 1)],
+        value: amount
+      })
+      const round = await getRound()
+      if (round.paidFees === undefined) return true // The appeal was raised, the round is over.
+      assert.equal(
+        round.paidFees[side].toString(),
+        funding[side].paid.add(contribution).toString()
+      )
+      assert.equal(
+        round.hasPaid[side],
+        funding[side].remaining.eq(contribution)
+      )
+    }
+
+    return (await arbitrator.disputeStatus(disputeID)).toNumber() === 0
+  }
+
+  /**
+   * Close the dispute once the appeal period of an unfunded round is over.
+   * @param {number} disputeID The ID of the dispute.
+   */
+  async function executeRuling(disputeID) {
+    await time.increase(timeToAppeal + 1)
+    await arbitrator.executeRuling(disputeID, { from: governor })
+  }
+
+  beforeEach('deploy the arbitrator', async () => {
+    arbitrator = await AutoAppealableArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+  })
+
+  it('Should compute the total required, the remaining amount and the deadline of each side', async () => {
+    const state = {
+      appealCost: 1000,
+      currentRuling: 1,
+      multipliers,
+      round: { paidFees: [0, 200, 1800], hasPaid: [false, false, true] },
+      appealPeriod: { start: 100, end: 300 }
+    }
+    const funding = getAppealFunding(state)
+
+    assert.equal(funding[1].total.toNumber(), 1200, 'Winner total.')
+    assert.equal(funding[1].remaining.toNumber(), 1000)
+    assert.equal(funding[1].deadline.toNumber(), 300)
+    assert.equal(funding[2].total.toNumber(), 1800, 'Loser total.')
+    assert.equal(funding[2].remaining.toNumber(), 0)
+    assert.isTrue(funding[2].hasPaid)
+    assert.equal(funding[2].deadline.toNumber(), 200)
+    assert.equal(
+      getAppealFunding(
+        Object.assign({}, state, { currentRuling: 0 })
+      )[2].total.toNumber(),
+      1500,
+      'Shared total.'
+    )
+    assert.equal(
+      getAppealFunding(
+        Object.assign({}, state, { currentRuling: 3 })
+      )[1].deadline.toNumber(),
+      300,
+      'Split rulings have no loser.'
+    )
+    const uintMax = toBN(2)
+      .pow(toBN(256))
+      .subn(1)
+    assert.equal(
+      totalCost(uintMax.subn(1), 20000).toString(),
+      uintMax.toString(),
+      'Costs should be capped like CappedMath.'
+    )
+
+    const { contribution, remainder, reward, profit } = getContributionReward(
+      state,
+      1,
+      1500
+    )
+    assert.equal(contribution.toNumber(), 1000)
+    assert.equal(remainder.toNumber(), 500)
+    // Fee rewards: 1200 + 1800 - 1000 = 2000, of which the contribution is 1000 / 1200.
+    assert.equal(reward.toNumber(), Math.floor((1000 * 2000) / 1200))
+    assert.equal(profit.toNumber(), reward.toNumber() - 1000)
+  })
+
+  it('Should predict the reward of a contribution to the winning side', async () => {
+    const escrow = await MultipleArbitrableTransactionWithAppeals.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      100,
+      multipliers.shared,
+      multipliers.winner,
+      multipliers.loser,
+      { from: governor }
+    )
+    await escrow.createTransaction(100, receiver, '', {
+      from: sender,
+      value: 5000
+    })
+    await escrow.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await escrow.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await arbitrator.giveAppealableRuling(0, 2, 3000, timeToAppeal, {
+      from: governor
+    })
+
+    const [paidFees, hasPaid] = await escrow.getRoundInfo(0, 0)
+    const state = {
+      appealCost: 3000,
+      currentRuling: 2,
+      multipliers,
+      round: { paidFees, hasPaid }
+    }
+    const { reward } = getContributionReward(state, 1, 100000)
+    const funding = getAppealFunding(state)
+    await escrow.fundAppeal(0, 1, {
+      from: contributors[0],
+      value: 100000
+    })
+    await escrow.fundAppeal(0, 2, {
+      from: contributors[1],
+      value: funding[2].total.toString()
+    })
+    await arbitrator.giveRuling(0, 1, { from: governor })
+
+    assert.equal(
+      (await escrow.amountWithdrawable(0, contributors[0])).toString(),
+      reward.toString()
+    )
+  })
+
+  it('Should match amountWithdrawable of the escrow for random contributions', async () => {
+    const random = createRandom(42)
+    const escrow = await MultipleArbitrableTransactionWithAppeals.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      100,
+      multipliers.shared,
+      multipliers.winner,
+      multipliers.loser,
+      { from: governor }
+    )
+
+    for (let transactionID = 0; transactionID < 4; transactionID++) {
+      await escrow.createTransaction(100, receiver, '', {
+        from: sender,
+        value: 5000
+      })
+      await escrow.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: arbitrationFee
+      })
+      await escrow.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: arbitrationFee
+      })
+      const disputeID = (await escrow.transactions(transactionID))[4]
+      const roundCount = async () =>
+        (await escrow.getNumberOfRounds(transactionID)).toNumber()
+
+      let funded = true
+      for (let appeal = 0; funded && appeal < 3; appeal++) {
+        const round = await roundCount()
+        funded = await fundRandomly({
+          random,
+          disputeID,
+          getRound: async () => {
+            if ((await roundCount()) !== round) return {}
+            const [paidFees, hasPaid] = await escrow.getRoundInfo(
+              transactionID,
+              round - 1
+            )
+            return { paidFees, hasPaid }
+          },
+          fundAppeal: (side, options) =>
+            escrow.fundAppeal(transactionID, side, options)
+        })
+      }
+      if (funded)
+        await arbitrator.giveRuling(disputeID, random(0, 2), {
+          from: governor
+        })
+      else await executeRuling(disputeID)
+
+      const ruling = (await escrow.transactions(transactionID))[9]
+      for (const contributor of contributors) {
+        const rounds = []
+        for (let i = 0; i < (await roundCount()); i++) {
+          const [paidFees, hasPaid, feeRewards] = await escrow.getRoundInfo(
+            transactionID,
+            i
+          )
+          rounds.push({
+            paidFees,
+            hasPaid,
+            feeRewards,
+            contributions: await escrow.getContributions(
+              transactionID,
+              i,
+              contributor
+            )
+          })
+        }
+        assert.equal(
+          getWithdrawable(rounds, ruling, {
+            refundUnfundedRounds: true
+          }).toString(),
+          (
+            await escrow.amountWithdrawable(transactionID, contributor)
+          ).toString(),
+          `Transaction ${transactionID}, contributor ${contributor}.`
+        )
+      }
+    }
+  })
+
+  it('Should match amountWithdrawable of the address list for random contributions', async () => {
+    const random = createRandom(7)
+    const list = await ArbitrableAddressList.new(
+      arbitrator.address,
+      0x0,
+      'registrationMetaEvidence.json',
+      'clearingMetaEvidence.json',
+      governor,
+      baseDeposit,
+      baseDeposit,
+      baseDeposit,
+      100,
+      multipliers.shared,
+      multipliers.winner,
+      multipliers.loser,
+      { from: governor }
+    )
+    const deposit =
+      baseDeposit +
+      arbitrationFee +
+      (arbitrationFee * multipliers.shared) / 10000
+
+    for (let disputeID = 0; disputeID < 3; disputeID++) {
+      const item = padLeft(disputeID + 1, 40)
+      await list.requestStatusChange(item, { from: sender, value: deposit })
+      await list.challengeRequest(item, '', { from: receiver, value: deposit })
+      const roundCount = async () =>
+        (await list.getRequestInfo(item, 0))[5].toNumber()
+
+      let funded = true
+      for (let appeal = 0; funded && appeal < 3; appeal++) {
+        const round = await roundCount()
+        funded = await fundRandomly({
+          random,
+          disputeID,
+          getRound: async () => {
+            if ((await roundCount()) !== round) return {}
+            const [, paidFees, hasPaid] = await list.getRoundInfo(
+              item,
+              0,
+              round - 1
+            )
+            return { paidFees, hasPaid }
+          },
+          fundAppeal: (side, options) => list.fundAppeal(item, side, options)
+        })
+      }
+      if (funded)
+        await arbitrator.giveRuling(disputeID, random(0, 2), {
+          from: governor
+        })
+      else await executeRuling(disputeID)
+
+      const request = await list.getRequestInfo(item, 0)
+      for (const contributor of contributors.concat(sender, receiver)) {
+        const rounds = []
+        for (let i = 0; i < request[5].toNumber(); i++) {
+          const [, paidFees, hasPaid, feeRewards] = await list.getRoundInfo(
+            item,
+            0,
+            i
+          )
+          rounds.push({
+            paidFees,
+            hasPaid,
+            feeRewards,
+            contributions: await list.getContributions(item, 0, i, contributor)
+          })
+        }
+        assert.equal(
+          getWithdrawable(rounds, request[6], {
+            disputed: request[0]
+          }).toString(),
+          (await list.amountWithdrawable(item, contributor, 0)).toString(),
+          `Dispute ${disputeID}, contributor ${contributor}.`
+        )
+      }
+    }
+  })
+})
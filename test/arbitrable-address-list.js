@@ -7,6 +7,7 @@ const {
 } = require('openzeppelin-solidity/test/helpers/increaseTime')
 
 const ArbitrableAddressList = artifacts.require('./ArbitrableAddressList.sol')
+const ERC20RefusingMock = artifacts.require('ERC20RefusingMock')
 const AppealableArbitrator = artifacts.require(
   './standard/arbitration/AppealableArbitrator.sol'
 )
@@ -40,7 +41,8 @@ contract('ArbitrableAddressList', function(accounts) {
     Absent: 0,
     Registered: 1,
     RegistrationRequested: 2,
-    ClearingRequested: 3
+    ClearingRequested: 3,
+    RenewalRequested: 4
   }
 
   const DISPUTE_STATUS = {
@@ -81,6 +83,7 @@ contract('ArbitrableAddressList', function(accounts) {
       governor, // governor
       baseDeposit,
       baseDeposit,
+      baseDeposit,
       challengePeriodDuration,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -243,10 +246,12 @@ contract('ArbitrableAddressList', function(accounts) {
             submissionAddress,
             0
           )
-          const appealCost = (await enhancedAppealableArbitrator.appealCost(
-            request[1].toNumber(),
-            arbitratorExtraData
-          )).toNumber()
+          const appealCost = (
+            await enhancedAppealableArbitrator.appealCost(
+              request[1].toNumber(),
+              arbitratorExtraData
+            )
+          ).toNumber()
           const loserRequiredStake =
             (loserStakeMultiplier * appealCost) / MULTIPLIER_DIVISOR
           let round = await arbitrableAddressList.getRoundInfo(
@@ -293,10 +298,12 @@ contract('ArbitrableAddressList', function(accounts) {
             0
           )
 
-          const appealCost = (await enhancedAppealableArbitrator.appealCost(
-            request[1].toNumber(),
-            arbitratorExtraData
-          )).toNumber()
+          const appealCost = (
+            await enhancedAppealableArbitrator.appealCost(
+              request[1].toNumber(),
+              arbitratorExtraData
+            )
+          ).toNumber()
           const winnerRequiredStake =
             ((await arbitrableAddressList.winnerStakeMultiplier()).toNumber() *
               appealCost) /
@@ -368,6 +375,382 @@ contract('ArbitrableAddressList', function(accounts) {
     })
   })
 
+  describe('registration expiry and renewal', () => {
+    const registrationDuration = 100
+    const renewalBaseDeposit = baseDeposit / 10
+    const listedAddress = accounts[5]
+    const permissionValue = `0x${'0'.repeat(24)}${listedAddress.slice(2)}`
+    const fees =
+      arbitrationCost + (sharedStakeMultiplier * arbitrationCost) / 10000
+
+    beforeEach(async () => {
+      await deployArbitrators()
+      await deployArbitrableAddressList(enhancedAppealableArbitrator)
+
+      await arbitrableAddressList.requestStatusChange(listedAddress, {
+        from: partyA,
+        value: baseDeposit + fees
+      })
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableAddressList.executeRequest(listedAddress)
+
+      await expectThrow(
+        arbitrableAddressList.changeRegistrationDuration(registrationDuration, {
+          from: partyA
+        })
+      )
+      await arbitrableAddressList.changeRegistrationDuration(
+        registrationDuration,
+        { from: governor }
+      )
+      assert.equal(
+        (await arbitrableAddressList.renewalBaseDeposit()).toNumber(),
+        baseDeposit
+      )
+      await arbitrableAddressList.changeRenewalBaseDeposit(renewalBaseDeposit, {
+        from: governor
+      })
+    })
+
+    it('should not request a renewal if registrations do not expire', async () => {
+      await arbitrableAddressList.changeRegistrationDuration(0, {
+        from: governor
+      })
+      await expectThrow(
+        arbitrableAddressList.requestRenewal(listedAddress, {
+          from: partyA,
+          value: renewalBaseDeposit + fees
+        })
+      )
+    })
+
+    it('should stop permitting expired addresses and report them separately', async () => {
+      assert.isTrue(await arbitrableAddressList.isPermitted(permissionValue))
+      assert.isFalse(await arbitrableAddressList.isExpired(listedAddress))
+
+      await increaseTime(registrationDuration + 1)
+      assert.isFalse(await arbitrableAddressList.isPermitted(permissionValue))
+      assert.isTrue(await arbitrableAddressList.isExpired(listedAddress))
+
+      const counts = await arbitrableAddressList.countByStatus()
+      assert.equal(counts[1].toNumber(), 0, 'registered')
+      assert.equal(counts[6].toNumber(), 1, 'expired')
+
+      const registered = await arbitrableAddressList.queryAddresses(
+        0x0,
+        1,
+        [
+          false,
+          true,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false
+        ],
+        true
+      )
+      assert.equal(registered[0][0], 0x0)
+      const expired = await arbitrableAddressList.queryAddresses(
+        0x0,
+        1,
+        [
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          true,
+          false,
+          false
+        ],
+        true
+      )
+      assert.equal(expired[0][0], listedAddress)
+
+      // Registrations do not expire when the duration is 0.
+      await arbitrableAddressList.changeRegistrationDuration(0, {
+        from: governor
+      })
+      assert.isTrue(await arbitrableAddressList.isPermitted(permissionValue))
+    })
+
+    it('should renew an expired address with the renewal deposit', async () => {
+      await increaseTime(registrationDuration + 1)
+      await expectThrow(
+        arbitrableAddressList.requestRenewal(listedAddress, {
+          from: partyA,
+          value: renewalBaseDeposit + fees - 1
+        })
+      )
+      const tx = await arbitrableAddressList.requestRenewal(listedAddress, {
+        from: partyA,
+        value: renewalBaseDeposit + fees
+      })
+      assert.equal(tx.logs[0].event, 'RequestSubmitted')
+      assert.isTrue(tx.logs[0].args._registrationRequest)
+      assert.equal(
+        (
+          await arbitrableAddressList.getAddressInfo(listedAddress)
+        )[0].toNumber(),
+        ADDRESS_STATUS.RenewalRequested
+      )
+      assert.equal(
+        (await arbitrableAddressList.countByStatus())[7].toNumber(),
+        1
+      )
+      await expectThrow(
+        arbitrableAddressList.requestRenewal(listedAddress, {
+          from: partyA,
+          value: renewalBaseDeposit + fees
+        })
+      )
+
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableAddressList.executeRequest(listedAddress)
+      assert.equal(
+        (
+          await arbitrableAddressList.getAddressInfo(listedAddress)
+        )[0].toNumber(),
+        ADDRESS_STATUS.Registered
+      )
+      assert.isTrue(await arbitrableAddressList.isPermitted(permissionValue))
+      assert.equal(
+        web3.eth.getBalance(arbitrableAddressList.address).toNumber(),
+        0
+      )
+
+      // Only registered addresses can be renewed.
+      await expectThrow(
+        arbitrableAddressList.requestRenewal(partyB, {
+          from: partyA,
+          value: baseDeposit + fees
+        })
+      )
+    })
+
+    it('should remove the address if a renewal challenge succeeds', async () => {
+      await arbitrableAddressList.requestRenewal(listedAddress, {
+        from: partyA,
+        value: renewalBaseDeposit + fees
+      })
+      await arbitrableAddressList.challengeRequest(listedAddress, '', {
+        from: partyB,
+        value: baseDeposit + fees
+      })
+      assert.equal(
+        (await arbitrableAddressList.countByStatus())[8].toNumber(),
+        1
+      )
+      // The address stays permitted during the dispute.
+      assert.isTrue(await arbitrableAddressList.isPermitted(permissionValue))
+
+      await enhancedAppealableArbitrator.giveRuling(0, RULING_OPTIONS.Refuse)
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, RULING_OPTIONS.Refuse)
+      assert.equal(
+        (
+          await arbitrableAddressList.getAddressInfo(listedAddress)
+        )[0].toNumber(),
+        ADDRESS_STATUS.Absent
+      )
+      assert.isFalse(await arbitrableAddressList.isPermitted(permissionValue))
+    })
+  })
+
+  describe('deposits in a token', () => {
+    const requesterDeposit = 100
+    const challengerDeposit = 150
+    const fees =
+      arbitrationCost + (sharedStakeMultiplier * arbitrationCost) / 10000
+    let depositToken
+    let listedAddress
+
+    beforeEach(async () => {
+      await deployArbitrators()
+      await deployArbitrableAddressList(enhancedAppealableArbitrator)
+      depositToken = await ERC20RefusingMock.new(partyA, 1000, {
+        from: governor
+      })
+      await depositToken.mint(partyB, 1000, { from: governor })
+
+      await expectThrow(
+        arbitrableAddressList.changeDepositToken(depositToken.address, {
+          from: partyA
+        })
+      )
+      await arbitrableAddressList.changeDepositToken(depositToken.address, {
+        from: governor
+      })
+      await arbitrableAddressList.changeRequesterBaseDeposit(requesterDeposit, {
+        from: governor
+      })
+      await arbitrableAddressList.changeChallengerBaseDeposit(
+        challengerDeposit,
+        {
+          from: governor
+        }
+      )
+
+      await depositToken.approve(
+        arbitrableAddressList.address,
+        requesterDeposit,
+        {
+          from: partyA
+        }
+      )
+      listedAddress = accounts[6]
+      await arbitrableAddressList.requestStatusChange(listedAddress, {
+        from: partyA,
+        value: fees
+      })
+    })
+
+    it('should take the base deposits in the token and the fees in ETH', async () => {
+      assert.equal(
+        web3.eth.getBalance(arbitrableAddressList.address).toNumber(),
+        fees
+      )
+      assert.equal(
+        (
+          await depositToken.balanceOf(arbitrableAddressList.address)
+        ).toNumber(),
+        requesterDeposit
+      )
+      const request = await arbitrableAddressList.getRequestInfo(
+        listedAddress,
+        0
+      )
+      assert.equal(request[9], depositToken.address)
+      assert.deepEqual(
+        request[10].map(d => d.toNumber()),
+        [0, requesterDeposit, 0]
+      )
+
+      // The challenger must approve its deposit.
+      await expectThrow(
+        arbitrableAddressList.challengeRequest(listedAddress, '', {
+          from: partyB,
+          value: fees
+        })
+      )
+
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableAddressList.executeRequest(listedAddress)
+      assert.equal((await depositToken.balanceOf(partyA)).toNumber(), 1000)
+      assert.equal(
+        web3.eth.getBalance(arbitrableAddressList.address).toNumber(),
+        0
+      )
+    })
+
+    it('should give both deposits to the winner of a dispute', async () => {
+      await depositToken.approve(
+        arbitrableAddressList.address,
+        challengerDeposit,
+        {
+          from: partyB
+        }
+      )
+      await arbitrableAddressList.challengeRequest(listedAddress, '', {
+        from: partyB,
+        value: fees
+      })
+      const round = await arbitrableAddressList.getRoundInfo(
+        listedAddress,
+        0,
+        0
+      )
+      assert.deepEqual(
+        round[4].map(d => d.toNumber()),
+        [0, requesterDeposit, challengerDeposit]
+      )
+      assert.equal(round[1][2].toNumber(), fees, 'fees are paid in ETH')
+
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+      assert.equal((await depositToken.balanceOf(partyA)).toNumber(), 900)
+      assert.equal(
+        (
+          await depositToken.balanceOf(arbitrableAddressList.address)
+        ).toNumber(),
+        0
+      )
+      // Deposits are only withdrawn once.
+      await arbitrableAddressList.withdrawFeesAndRewards(
+        partyB,
+        listedAddress,
+        0,
+        0
+      )
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+    })
+
+    it('should keep the deposits withdrawable if the token refuses the transfer', async () => {
+      await depositToken.approve(
+        arbitrableAddressList.address,
+        challengerDeposit,
+        {
+          from: partyB
+        }
+      )
+      await arbitrableAddressList.challengeRequest(listedAddress, '', {
+        from: partyB,
+        value: fees
+      })
+      await depositToken.setRefusing(true)
+
+      // The ruling is not blocked by the token.
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      const request = await arbitrableAddressList.getRequestInfo(
+        listedAddress,
+        0
+      )
+      assert.isTrue(request[3], 'The request should be resolved')
+      assert.deepEqual(
+        request[10].map(d => d.toNumber()),
+        [0, requesterDeposit, challengerDeposit]
+      )
+      assert.equal((await depositToken.balanceOf(partyB)).toNumber(), 850)
+
+      await depositToken.setRefusing(false)
+      await arbitrableAddressList.withdrawFeesAndRewards(
+        partyB,
+        listedAddress,
+        0,
+        0
+      )
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+      assert.equal(
+        (
+          await depositToken.balanceOf(arbitrableAddressList.address)
+        ).toNumber(),
+        0
+      )
+    })
+  })
+
   describe('governance', () => {
     beforeEach(async () => {
       await deployArbitrators()
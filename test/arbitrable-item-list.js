@@ -0,0 +1,254 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const { encodeItem, decodeItem } = require('../src/evidence')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+
+const ArbitrableItemList = artifacts.require('ArbitrableItemList')
+const ItemsView = artifacts.require('ItemsView')
+const EnhancedAppealableArbitrator = artifacts.require(
+  'EnhancedAppealableArbitrator'
+)
+
+contract('ArbitrableItemList', function(accounts) {
+  const governor = accounts[0]
+  const requester = accounts[1]
+  const challenger = accounts[2]
+  const other = accounts[3]
+  const baseDeposit = 10 ** 10
+  const arbitrationCost = 1000
+  const sharedStakeMultiplier = 10000
+  const winnerStakeMultiplier = 20000
+  const loserStakeMultiplier = 40000
+  const challengePeriodDuration = 5
+  const appealPeriodDuration = 1001
+  const requestValue =
+    baseDeposit +
+    arbitrationCost +
+    (sharedStakeMultiplier * arbitrationCost) / 10000
+  const columns = [
+    { label: 'Name', type: 'text', isIdentifier: true },
+    { label: 'Website', type: 'link' },
+    { label: 'Verified', type: 'boolean' }
+  ]
+  const ITEM_STATUS = {
+    Absent: 0,
+    Registered: 1,
+    RegistrationRequested: 2,
+    ClearingRequested: 3
+  }
+
+  let arbitrator
+  let itemList
+  let data
+  let itemID
+
+  /**
+   * Submit a request to register or remove an item.
+   * @param {string} item The data of the item.
+   * @returns {object} The transaction.
+   */
+  function requestStatusChange(item) {
+    return itemList.requestStatusChange(item, {
+      from: requester,
+      value: requestValue
+    })
+  }
+
+  /**
+   * Fetch items with the view and decode them.
+   * The returned structs are decoded by hand, as web3 does not support the ABIEncoderV2 types.
+   * @param {object} itemsView The view.
+   * @param {string[]} itemIDs The IDs of the items to fetch.
+   * @returns {object[]} The items.
+   */
+  function getItems(itemsView, itemIDs) {
+    const result = web3.eth
+      .call({
+        to: itemsView.address,
+        data: itemsView.contract.getItems.getData(itemList.address, itemIDs)
+      })
+      .slice(2)
+    // Read the word at a byte offset.
+    const word = offset => result.slice(offset * 2, offset * 2 + 64)
+    const toNumber = offset => web3.toBigNumber(`0x${word(offset)}`).toNumber()
+
+    // The array starts after its offset. Its length is followed by the offsets of the structs, relative to the first of them.
+    const array = toNumber(0)
+    const items = []
+    for (let i = 0; i < toNumber(array); i++) {
+      const struct = array + 32 + toNumber(array + 32 + i * 32)
+      const bytes = struct + toNumber(struct + 32)
+      items.push({
+        ID: `0x${word(struct)}`,
+        data: `0x${result.slice(
+          (bytes + 32) * 2,
+          (bytes + 32 + toNumber(bytes)) * 2
+        )}`,
+        status: toNumber(struct + 64),
+        numberOfRequests: toNumber(struct + 96)
+      })
+    }
+
+    return items
+  }
+
+  beforeEach('deploy the list and request an item', async () => {
+    arbitrator = await EnhancedAppealableArbitrator.new(
+      arbitrationCost,
+      governor,
+      0x0,
+      appealPeriodDuration,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address, { from: governor })
+    itemList = await ArbitrableItemList.new(
+      arbitrator.address,
+      0x0,
+      'registrationMetaEvidence.json',
+      'clearingMetaEvidence.json',
+      governor,
+      baseDeposit,
+      baseDeposit,
+      challengePeriodDuration,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier
+    )
+
+    data = encodeItem(columns, {
+      Name: 'Kleros',
+      Website: 'https://kleros.io',
+      Verified: true
+    })
+    const { logs } = await requestStatusChange(data)
+    itemID = logs[0].args._itemID
+  })
+
+  it('Should submit items identified by the hash of their data', async () => {
+    const { logs } = await requestStatusChange(
+      encodeItem(columns, { Name: 'Other', Website: '', Verified: false })
+    )
+    assert.equal(logs[0].event, 'ItemSubmitted')
+    assert.equal(logs[0].args._submitter, requester)
+    assert.equal(
+      logs[0].args._itemID,
+      web3.sha3(logs[0].args._data, { encoding: 'hex' })
+    )
+    assert.equal(logs[1].event, 'RequestSubmitted')
+    assert.isTrue(logs[1].args._registrationRequest)
+
+    const [itemData, status, numberOfRequests] = await itemList.getItemInfo(
+      itemID
+    )
+    assert.equal(itemData, data)
+    assert.deepEqual(decodeItem(columns, itemData), {
+      Name: 'Kleros',
+      Website: 'https://kleros.io',
+      Verified: true
+    })
+    assert.equal(status.toNumber(), ITEM_STATUS.RegistrationRequested)
+    assert.equal(numberOfRequests.toNumber(), 1)
+    assert.equal((await itemList.itemCount()).toNumber(), 2)
+
+    // The item already has a pending request.
+    await shouldFail.reverting(requestStatusChange(data))
+    // The deposit is required.
+    await shouldFail.reverting(
+      itemList.requestStatusChange('0x01', { from: requester })
+    )
+  })
+
+  it('Should register and remove an unchallenged item', async () => {
+    await shouldFail.reverting(itemList.executeRequest(itemID, { from: other }))
+    await time.increase(challengePeriodDuration + 1)
+    await itemList.executeRequest(itemID, { from: other })
+    assert.equal(
+      (await itemList.getItemInfo(itemID))[1].toNumber(),
+      ITEM_STATUS.Registered
+    )
+    assert.isTrue(await itemList.isPermitted(itemID))
+    // The deposit of the requester is reimbursed.
+    assert.equal(web3.eth.getBalance(itemList.address).toNumber(), 0)
+
+    // The data of a known item is not submitted again.
+    const { logs } = await requestStatusChange(data)
+    assert.equal(logs[0].event, 'RequestSubmitted')
+    assert.isFalse(logs[0].args._registrationRequest)
+    await time.increase(challengePeriodDuration + 1)
+    await itemList.executeRequest(itemID, { from: other })
+    assert.isFalse(await itemList.isPermitted(itemID))
+    assert.equal((await itemList.getItemInfo(itemID))[2].toNumber(), 2)
+  })
+
+  it('Should settle a challenged request through appeals and pay the winner', async () => {
+    await itemList.challengeRequest(itemID, 'evidence.json', {
+      from: challenger,
+      value: requestValue
+    })
+    assert.isTrue((await itemList.getRequestInfo(itemID, 0))[0])
+    await shouldFail.reverting(itemList.executeRequest(itemID, { from: other }))
+
+    // The requester wins the first round and the challenger appeals.
+    await arbitrator.giveRuling(0, 1, { from: governor })
+    const appealCost = (await arbitrator.appealCost(0, 0x0)).toNumber()
+    await itemList.fundAppeal(itemID, 2, {
+      from: challenger,
+      value: appealCost + (loserStakeMultiplier * appealCost) / 10000
+    })
+    await time.increase(appealPeriodDuration + 1)
+    await arbitrator.giveRuling(0, 2, { from: governor })
+    assert.equal(
+      (await itemList.getItemInfo(itemID))[1].toNumber(),
+      ITEM_STATUS.Absent
+    )
+
+    // The challenger takes the fee stake of the requester in the first round.
+    const balance = web3.eth.getBalance(challenger)
+    await itemList.withdrawFeesAndRewards(challenger, itemID, 0, 1, {
+      from: other
+    })
+    assert.equal(
+      web3.eth.getBalance(challenger).toString(),
+      balance.plus(5000).toString()
+    )
+  })
+
+  it('Should query the items and fetch them with the view', async () => {
+    const otherData = encodeItem(columns, {
+      Name: 'Other',
+      Website: 'https://example.com',
+      Verified: false
+    })
+    const otherID = (await requestStatusChange(otherData)).logs[0].args._itemID
+    await time.increase(challengePeriodDuration + 1)
+    await itemList.executeRequest(itemID, { from: other })
+
+    const [values, hasMore] = await itemList.queryItems(
+      0x0,
+      2,
+      [true, true, true, true, true, true, true, true],
+      true
+    )
+    assert.deepEqual(values, [itemID, otherID])
+    assert.isFalse(hasMore)
+
+    const items = getItems(await ItemsView.new(), [itemID, otherID])
+    assert.deepEqual(items, [
+      {
+        ID: itemID,
+        data,
+        status: ITEM_STATUS.Registered,
+        numberOfRequests: 1
+      },
+      {
+        ID: otherID,
+        data: otherData,
+        status: ITEM_STATUS.RegistrationRequested,
+        numberOfRequests: 1
+      }
+    ])
+  })
+})
@@ -7,6 +7,8 @@ const {
 } = require('openzeppelin-solidity/test/helpers/increaseTime')
 
 const ArbitrableTokenList = artifacts.require('./ArbitrableTokenList.sol')
+const ERC20RefusingMock = artifacts.require('ERC20RefusingMock')
+const TokensView = artifacts.require('TokensView')
 const AppealableArbitrator = artifacts.require(
   './standard/arbitration/AppealableArbitrator.sol'
 )
@@ -38,7 +40,8 @@ contract('ArbitrableTokenList', function(accounts) {
     Absent: 0,
     Registered: 1,
     RegistrationRequested: 2,
-    ClearingRequested: 3
+    ClearingRequested: 3,
+    RenewalRequested: 4
   }
 
   const deployArbitrators = async () => {
@@ -74,6 +77,7 @@ contract('ArbitrableTokenList', function(accounts) {
       governor,
       baseDeposit,
       baseDeposit,
+      baseDeposit,
       challengePeriodDuration,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -509,10 +513,9 @@ contract('ArbitrableTokenList', function(accounts) {
         'Must be the `RegistrationRequested`'
       )
 
-      const appealCost = (await enhancedAppealableArbitrator.appealCost(
-        0,
-        0x00
-      )).toNumber()
+      const appealCost = (
+        await enhancedAppealableArbitrator.appealCost(0, 0x00)
+      ).toNumber()
 
       const loserRequiredStake =
         (loserStakeMultiplier * appealCost) / MULTIPLIER_DIVISOR
@@ -582,10 +585,9 @@ contract('ArbitrableTokenList', function(accounts) {
         { from: governor }
       )
 
-      const appealCost = (await enhancedAppealableArbitrator.appealCost(
-        0,
-        0x00
-      )).toNumber()
+      const appealCost = (
+        await enhancedAppealableArbitrator.appealCost(0, 0x00)
+      ).toNumber()
 
       const loserRequiredStake =
         (loserStakeMultiplier * appealCost) / MULTIPLIER_DIVISOR
@@ -666,10 +668,9 @@ contract('ArbitrableTokenList', function(accounts) {
         { from: governor }
       )
 
-      const appealCost = (await enhancedAppealableArbitrator.appealCost(
-        0,
-        0x00
-      )).toNumber()
+      const appealCost = (
+        await enhancedAppealableArbitrator.appealCost(0, 0x00)
+      ).toNumber()
 
       const loserRequiredStake =
         (loserStakeMultiplier * appealCost) / MULTIPLIER_DIVISOR
@@ -814,6 +815,496 @@ contract('ArbitrableTokenList', function(accounts) {
     })
   })
 
+  describe('registration expiry and renewal', () => {
+    const registrationDuration = 100
+    const renewalBaseDeposit = baseDeposit / 10
+    const fees =
+      arbitrationCost + (sharedStakeMultiplier * arbitrationCost) / 10000
+
+    beforeEach(async () => {
+      await deployArbitrators()
+      await deployArbitrableTokenList(enhancedAppealableArbitrator)
+
+      const tx = await arbitrableTokenList.requestStatusChange(
+        'Pinakion',
+        'PNK',
+        0x1,
+        'BcdwnVkEp8Nn41U2homNwyiVWYmPsXxEdxCUBn9V8y5AvqQaDwadDkQmwEWoyWgZxYnKsFPNauPhawDkME1nFNQbCu',
+        { from: partyA, value: baseDeposit + fees }
+      )
+      tokenID = tx.logs[1].args._tokenID
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableTokenList.executeRequest(tokenID)
+
+      await expectThrow(
+        arbitrableTokenList.changeRegistrationDuration(registrationDuration, {
+          from: partyA
+        })
+      )
+      await arbitrableTokenList.changeRegistrationDuration(
+        registrationDuration,
+        { from: governor }
+      )
+      assert.equal(
+        (await arbitrableTokenList.renewalBaseDeposit()).toNumber(),
+        baseDeposit
+      )
+      await arbitrableTokenList.changeRenewalBaseDeposit(renewalBaseDeposit, {
+        from: governor
+      })
+    })
+
+    it('should not request a renewal if registrations do not expire', async () => {
+      await arbitrableTokenList.changeRegistrationDuration(0, {
+        from: governor
+      })
+      await expectThrow(
+        arbitrableTokenList.requestRenewal(tokenID, {
+          from: partyA,
+          value: renewalBaseDeposit + fees
+        })
+      )
+    })
+
+    it('should stop permitting expired tokens and report them separately', async () => {
+      assert.isTrue(await arbitrableTokenList.isPermitted(tokenID))
+
+      await increaseTime(registrationDuration + 1)
+      assert.isFalse(await arbitrableTokenList.isPermitted(tokenID))
+      assert.isTrue(await arbitrableTokenList.isExpired(tokenID))
+
+      const counts = await arbitrableTokenList.countByStatus()
+      assert.equal(counts[1].toNumber(), 0, 'registered')
+      assert.equal(counts[6].toNumber(), 1, 'expired')
+
+      const registered = await arbitrableTokenList.queryTokens(
+        0x0,
+        1,
+        [
+          false,
+          true,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false
+        ],
+        true,
+        0x0
+      )
+      assert.equal(registered[0][0], 0x0)
+      const expired = await arbitrableTokenList.queryTokens(
+        0x0,
+        1,
+        [
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          false,
+          true,
+          false,
+          false
+        ],
+        true,
+        0x0
+      )
+      assert.equal(expired[0][0], tokenID)
+    })
+
+    it('should renew an expired token with the renewal deposit', async () => {
+      await increaseTime(registrationDuration + 1)
+      await expectThrow(
+        arbitrableTokenList.requestRenewal(tokenID, {
+          from: partyA,
+          value: renewalBaseDeposit + fees - 1
+        })
+      )
+      await arbitrableTokenList.requestRenewal(tokenID, {
+        from: partyA,
+        value: renewalBaseDeposit + fees
+      })
+      assert.equal(
+        (await arbitrableTokenList.getTokenInfo(tokenID))[4].toNumber(),
+        TOKEN_STATUS.RenewalRequested
+      )
+      assert.equal((await arbitrableTokenList.countByStatus())[7].toNumber(), 1)
+
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableTokenList.executeRequest(tokenID)
+      assert.equal(
+        (await arbitrableTokenList.getTokenInfo(tokenID))[4].toNumber(),
+        TOKEN_STATUS.Registered
+      )
+      assert.isTrue(await arbitrableTokenList.isPermitted(tokenID))
+      assert.isFalse(await arbitrableTokenList.isExpired(tokenID))
+    })
+
+    it('should remove the token if a renewal challenge succeeds', async () => {
+      await arbitrableTokenList.requestRenewal(tokenID, {
+        from: partyA,
+        value: renewalBaseDeposit + fees
+      })
+      await arbitrableTokenList.challengeRequest(tokenID, '', {
+        from: partyB,
+        value: baseDeposit + fees
+      })
+      assert.equal((await arbitrableTokenList.countByStatus())[8].toNumber(), 1)
+
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      assert.equal(
+        (await arbitrableTokenList.getTokenInfo(tokenID))[4].toNumber(),
+        TOKEN_STATUS.Absent
+      )
+      assert.isFalse(await arbitrableTokenList.isPermitted(tokenID))
+    })
+  })
+
+  describe('deposits in a token', () => {
+    const requesterDeposit = 100
+    const challengerDeposit = 150
+    const fees =
+      arbitrationCost + (sharedStakeMultiplier * arbitrationCost) / 10000
+    let depositToken
+    let depositTokenID
+
+    beforeEach(async () => {
+      await deployArbitrators()
+      await deployArbitrableTokenList(enhancedAppealableArbitrator)
+      depositToken = await ERC20RefusingMock.new(partyA, 1000, {
+        from: governor
+      })
+      await depositToken.mint(partyB, 1000, { from: governor })
+
+      await expectThrow(
+        arbitrableTokenList.changeDepositToken(depositToken.address, {
+          from: partyA
+        })
+      )
+      await arbitrableTokenList.changeDepositToken(depositToken.address, {
+        from: governor
+      })
+      await arbitrableTokenList.changeRequesterBaseDeposit(requesterDeposit, {
+        from: governor
+      })
+      await arbitrableTokenList.changeChallengerBaseDeposit(challengerDeposit, {
+        from: governor
+      })
+
+      await depositToken.approve(
+        arbitrableTokenList.address,
+        requesterDeposit,
+        {
+          from: partyA
+        }
+      )
+      const tx = await arbitrableTokenList.requestStatusChange(
+        'Pinakion',
+        'PNK',
+        0x1,
+        'BcdwnVkEp8Nn41U2homNwyiVWYmPsXxEdxCUBn9V8y5AvqQaDwadDkQmwEWoyWgZxYnKsFPNauPhawDkME1nFNQbCu',
+        { from: partyA, value: fees }
+      )
+      depositTokenID = tx.logs[1].args._tokenID
+    })
+
+    it('should take the base deposits in the token and the fees in ETH', async () => {
+      assert.equal(
+        web3.eth.getBalance(arbitrableTokenList.address).toNumber(),
+        fees
+      )
+      assert.equal(
+        (await depositToken.balanceOf(arbitrableTokenList.address)).toNumber(),
+        requesterDeposit
+      )
+      const request = await arbitrableTokenList.getRequestInfo(
+        depositTokenID,
+        0
+      )
+      assert.equal(request[9], depositToken.address)
+      assert.deepEqual(
+        request[10].map(d => d.toNumber()),
+        [0, requesterDeposit, 0]
+      )
+
+      // The challenger must approve its deposit.
+      await expectThrow(
+        arbitrableTokenList.challengeRequest(depositTokenID, '', {
+          from: partyB,
+          value: fees
+        })
+      )
+
+      await increaseTime(challengePeriodDuration + 1)
+      await arbitrableTokenList.executeRequest(depositTokenID)
+      assert.equal((await depositToken.balanceOf(partyA)).toNumber(), 1000)
+      assert.equal(
+        web3.eth.getBalance(arbitrableTokenList.address).toNumber(),
+        0
+      )
+    })
+
+    it('should give both deposits to the winner of a dispute', async () => {
+      await depositToken.approve(
+        arbitrableTokenList.address,
+        challengerDeposit,
+        {
+          from: partyB
+        }
+      )
+      await arbitrableTokenList.challengeRequest(depositTokenID, '', {
+        from: partyB,
+        value: fees
+      })
+      const round = await arbitrableTokenList.getRoundInfo(depositTokenID, 0, 0)
+      assert.deepEqual(
+        round[4].map(d => d.toNumber()),
+        [0, requesterDeposit, challengerDeposit]
+      )
+      assert.equal(round[1][2].toNumber(), fees, 'fees are paid in ETH')
+
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+      assert.equal((await depositToken.balanceOf(partyA)).toNumber(), 900)
+      assert.equal(
+        (await depositToken.balanceOf(arbitrableTokenList.address)).toNumber(),
+        0
+      )
+      // Deposits are only withdrawn once.
+      await arbitrableTokenList.withdrawFeesAndRewards(
+        partyB,
+        depositTokenID,
+        0,
+        0
+      )
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+    })
+
+    it('should keep the deposits withdrawable if the token refuses the transfer', async () => {
+      await depositToken.approve(
+        arbitrableTokenList.address,
+        challengerDeposit,
+        {
+          from: partyB
+        }
+      )
+      await arbitrableTokenList.challengeRequest(depositTokenID, '', {
+        from: partyB,
+        value: fees
+      })
+      await depositToken.setRefusing(true)
+
+      // The ruling is not blocked by the token.
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      const request = await arbitrableTokenList.getRequestInfo(
+        depositTokenID,
+        0
+      )
+      assert.isTrue(request[3], 'The request should be resolved')
+      assert.deepEqual(
+        request[10].map(d => d.toNumber()),
+        [0, requesterDeposit, challengerDeposit]
+      )
+      assert.equal((await depositToken.balanceOf(partyB)).toNumber(), 850)
+
+      await depositToken.setRefusing(false)
+      await arbitrableTokenList.withdrawFeesAndRewards(
+        partyB,
+        depositTokenID,
+        0,
+        0
+      )
+      assert.equal(
+        (await depositToken.balanceOf(partyB)).toNumber(),
+        1000 + requesterDeposit
+      )
+      assert.equal(
+        (await depositToken.balanceOf(arbitrableTokenList.address)).toNumber(),
+        0
+      )
+    })
+  })
+
+  describe('batch requests', () => {
+    const cost =
+      baseDeposit +
+      arbitrationCost +
+      (sharedStakeMultiplier * arbitrationCost) / 10000
+    const symbolMultihash =
+      'BcdwnVkEp8Nn41U2homNwyiVWYmPsXxEdxCUBn9V8y5AvqQaDwadDkQmwEWoyWgZxYnKsFPNauPhawDkME1nFNQbCu'
+    const tokens = [
+      { name: 'Pinakion', ticker: 'PNK', addr: '0x' + '1'.repeat(40) },
+      { name: 'Pinakion (xDai)', ticker: 'PNK', addr: '0x' + '2'.repeat(40) }
+    ]
+
+    /**
+     * Send a batch request, packing the strings of the tokens as the contract expects them.
+     * @param {object[]} batch The name, ticker and address of each token.
+     * @param {object} txParams The parameters of the transaction.
+     * @returns {Promise<object>} The result of the transaction.
+     */
+    const batchRequestStatusChange = (batch, txParams) => {
+      const strings = [].concat(
+        ...batch.map(token => [token.name, token.ticker, symbolMultihash])
+      )
+      return arbitrableTokenList.batchRequestStatusChange(
+        '0x' + strings.map(s => Buffer.from(s).toString('hex')).join(''),
+        strings.map(s => Buffer.byteLength(s)),
+        batch.map(token => token.addr),
+        txParams
+      )
+    }
+
+    beforeEach(async () => {
+      await deployArbitrators()
+      await deployArbitrableTokenList(enhancedAppealableArbitrator)
+    })
+
+    it('should submit a request for each token and reimburse the excess', async () => {
+      const balance = web3.eth.getBalance(partyA)
+      await batchRequestStatusChange(tokens, {
+        from: partyA,
+        value: 2 * cost + 1000,
+        gasPrice: 0
+      })
+      assert.equal(
+        web3.eth.getBalance(partyA).toString(),
+        balance.minus(2 * cost).toString()
+      )
+      assert.equal(
+        web3.eth.getBalance(arbitrableTokenList.address).toNumber(),
+        2 * cost
+      )
+
+      for (const token of tokens) {
+        const ID = await arbitrableTokenList.addressToSubmissions(token.addr, 0)
+        const info = await arbitrableTokenList.getTokenInfo(ID)
+        assert.equal(info[0], token.name)
+        assert.equal(info[1], token.ticker)
+        assert.equal(info[3], symbolMultihash)
+        assert.equal(info[4].toNumber(), TOKEN_STATUS.RegistrationRequested)
+        const request = await arbitrableTokenList.getRequestInfo(ID, 0)
+        assert.equal(request[4][1], partyA)
+        const round = await arbitrableTokenList.getRoundInfo(ID, 0, 0)
+        assert.equal(round[1][1].toNumber(), cost)
+      }
+    })
+
+    it('should reject mismatched or underfunded batches', async () => {
+      await expectThrow(
+        batchRequestStatusChange(tokens, { from: partyA, value: 2 * cost - 1 })
+      )
+      // A token with a pending request reverts the whole batch.
+      await expectThrow(
+        batchRequestStatusChange([tokens[0], tokens[0]], {
+          from: partyA,
+          value: 2 * cost
+        })
+      )
+      // The lengths must match the packed strings.
+      const packed = '0x' + Buffer.from('PinakionPNKQm').toString('hex')
+      for (const lengths of [
+        [8, 3, 3],
+        [8, 3, 1]
+      ])
+        await expectThrow(
+          arbitrableTokenList.batchRequestStatusChange(
+            packed,
+            lengths,
+            [tokens[0].addr],
+            { from: partyA, value: cost }
+          )
+        )
+      assert.equal((await arbitrableTokenList.tokenCount()).toNumber(), 0)
+    })
+
+    it('should let each request be challenged on its own', async () => {
+      await batchRequestStatusChange(tokens, { from: partyA, value: 2 * cost })
+      const challengedID = await arbitrableTokenList.addressToSubmissions(
+        tokens[0].addr,
+        0
+      )
+      const unchallengedID = await arbitrableTokenList.addressToSubmissions(
+        tokens[1].addr,
+        0
+      )
+      await arbitrableTokenList.challengeRequest(challengedID, '', {
+        from: partyB,
+        value: cost
+      })
+
+      await increaseTime(challengePeriodDuration + 1)
+      await expectThrow(arbitrableTokenList.executeRequest(challengedID))
+      await arbitrableTokenList.executeRequest(unchallengedID)
+      assert.equal(
+        (await arbitrableTokenList.getTokenInfo(unchallengedID))[4].toNumber(),
+        TOKEN_STATUS.Registered
+      )
+
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      await increaseTime(appealPeriodDuration + 1)
+      await enhancedAppealableArbitrator.giveRuling(0, 2, { from: governor })
+      assert.equal(
+        (await arbitrableTokenList.getTokenInfo(challengedID))[4].toNumber(),
+        TOKEN_STATUS.Absent
+      )
+    })
+
+    it('should return the submissions of the batch by submitter', async () => {
+      await batchRequestStatusChange(tokens, { from: partyA, value: 2 * cost })
+      const tokensView = await TokensView.new()
+      const IDs = await Promise.all(
+        tokens.map(token =>
+          arbitrableTokenList.addressToSubmissions(token.addr, 0)
+        )
+      )
+
+      assert.deepEqual(
+        await tokensView.getTokensIDsForSubmitters(
+          arbitrableTokenList.address,
+          tokens.map(token => token.addr),
+          [partyA, partyA]
+        ),
+        IDs
+      )
+      assert.deepEqual(
+        await tokensView.getTokensIDsForSubmitters(
+          arbitrableTokenList.address,
+          tokens.map(token => token.addr),
+          [partyA, partyB]
+        ),
+        [IDs[0], '0x' + '0'.repeat(64)]
+      )
+      await expectThrow(
+        tokensView.getTokensIDsForSubmitters(
+          arbitrableTokenList.address,
+          tokens.map(token => token.addr),
+          [partyA]
+        )
+      )
+    })
+  })
+
   describe('governance', () => {
     beforeEach(async () => {
       await deployArbitrators()
@@ -1021,7 +1512,7 @@ contract('ArbitrableTokenList', function(accounts) {
       const data = await arbitrableTokenList.queryTokens(
         0x0,
         3,
-        [true, true, true, true, true, true, true, true, false],
+        [true, true, true, true, true, true, true, true, false, false, false],
         true,
         0x2
       )
@@ -1033,7 +1524,7 @@ contract('ArbitrableTokenList', function(accounts) {
       const data = await arbitrableTokenList.queryTokens(
         0x0,
         5,
-        [true, true, true, true, true, true, true, true, false],
+        [true, true, true, true, true, true, true, true, false, false, false],
         true,
         0x0
       )
@@ -0,0 +1,198 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const { ArbitratorOperator } = require('../src/arbitrator-operator')
+const { main, parseArgs, runCommand } = require('../src/arbitrator-cli')
+
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const AutoAppealableArbitrator = artifacts.require('AutoAppealableArbitrator')
+const MultipleArbitrableTransaction = artifacts.require(
+  'MultipleArbitrableTransaction'
+)
+
+contract('ArbitratorCLI', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const other = accounts[3]
+  const arbitrationFee = 1000
+  const metaEvidence = 'ipfs/meta-evidence.json'
+
+  /**
+   * Create the operator of an arbitrator.
+   * @param {object} arbitrator The arbitrator contract instance.
+   * @returns {ArbitratorOperator} The operator.
+   */
+  function createOperator(arbitrator) {
+    return ArbitratorOperator.at(
+      arbitrator.address,
+      { CentralizedArbitrator, AutoAppealableArbitrator },
+      web3.currentProvider
+    )
+  }
+
+  /**
+   * Raise disputes through an escrow.
+   * @param {object} arbitrator The arbitrator contract instance.
+   * @param {number} count The number of disputes to raise.
+   * @returns {object} The escrow contract instance.
+   */
+  async function raiseDisputes(arbitrator, count) {
+    const escrow = await MultipleArbitrableTransaction.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      100,
+      { from: governor }
+    )
+    for (let transactionID = 0; transactionID < count; transactionID++) {
+      await escrow.createTransaction(100, receiver, metaEvidence, {
+        from: sender,
+        value: 5000
+      })
+      await escrow.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: arbitrationFee
+      })
+      await escrow.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: arbitrationFee
+      })
+    }
+
+    return escrow
+  }
+
+  /**
+   * Run a CLI command.
+   * @param {string} command The command line, without the script name.
+   * @returns {object} The parsed JSON output.
+   */
+  async function cli(command) {
+    let printed = ''
+    const output = { write: text => (printed += text) }
+    await main(command.split(' '), { artifacts, web3, output })
+
+    return JSON.parse(printed)
+  }
+
+  it('Should detect the arbitrator type', async () => {
+    const centralized = await CentralizedArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    const autoAppealable = await AutoAppealableArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+
+    assert.isFalse((await createOperator(centralized)).appeals)
+    assert.isTrue((await createOperator(autoAppealable)).appeals)
+
+    const info = await cli(`info --arbitrator ${autoAppealable.address}`)
+    assert.deepEqual(info, {
+      address: autoAppealable.address,
+      type: 'AutoAppealableArbitrator',
+      owner: governor,
+      arbitrationCost: String(arbitrationFee),
+      disputes: 0
+    })
+  })
+
+  it('Should list disputes and rule on them', async () => {
+    const arbitrator = await AutoAppealableArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    const escrow = await raiseDisputes(arbitrator, 5)
+    const options = `--arbitrator ${arbitrator.address}`
+
+    assert.equal((await cli(`info ${options}`)).disputes, 5)
+    await cli(`rule 0 1 ${options}`)
+    await cli(`rule-appealable 1 2 3000 1000 ${options} --from ${governor}`)
+    await cli(`change-appeal-fee 1 4000 ${options}`)
+
+    const disputes = await cli(`list ${options}`)
+    assert.deepEqual(
+      disputes.map(d => d.status),
+      ['Solved', 'Appealable', 'Waiting', 'Waiting', 'Waiting']
+    )
+    assert.deepEqual(disputes[1], {
+      disputeID: '1',
+      arbitrable: escrow.address,
+      choices: '2',
+      fee: String(arbitrationFee),
+      ruling: '2',
+      status: 'Appealable',
+      appealCost: '4000',
+      appealPeriodStart: disputes[1].appealPeriodStart,
+      appealPeriodEnd: String(Number(disputes[1].appealPeriodStart) + 1000)
+    })
+    assert.lengthOf(await cli(`list --status Waiting ${options}`), 3)
+
+    const transaction = await cli(`set-price 2000 ${options}`)
+    assert.equal(transaction.method, 'setArbitrationPrice')
+    assert.equal(
+      (await arbitrator.arbitrationCost('0x0')).toNumber(),
+      2000,
+      'The arbitration price should have been changed.'
+    )
+  })
+
+  it('Should show the meta-evidence and evidence of a dispute', async () => {
+    const arbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    const escrow = await raiseDisputes(arbitrator, 1)
+    await escrow.submitEvidence(0, 'ipfs/evidence.json', { from: receiver })
+
+    const dispute = await cli(`show 0 --arbitrator ${arbitrator.address}`)
+    assert.equal(dispute.arbitrable, escrow.address)
+    assert.equal(dispute.status, 'Waiting')
+    assert.equal(dispute.history.metaEvidence.uri, metaEvidence)
+    assert.deepEqual(
+      dispute.history.evidence.map(e => e.uri),
+      ['ipfs/evidence.json']
+    )
+  })
+
+  it('Should reject invalid commands', async () => {
+    const arbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    const operator = await createOperator(arbitrator)
+    const expectError = async (promise, message) => {
+      try {
+        await promise
+      } catch (err) {
+        assert.include(err.message, message)
+        return
+      }
+      assert.fail(`Expected an error including "${message}"`)
+    }
+
+    assert.deepEqual(parseArgs(['rule', '0', '1', '--from-block', '10']), {
+      command: 'rule',
+      args: ['0', '1'],
+      options: { fromBlock: '10' }
+    })
+    await expectError(
+      runCommand(operator, 'rule-appealable', ['0', '1', '10', '10'], {}),
+      'only supported by AutoAppealableArbitrator'
+    )
+    await expectError(
+      (async () => runCommand(operator, 'rule', ['0'], {}))(),
+      'rule expects 2 argument(s)'
+    )
+    await expectError(
+      (async () => runCommand(operator, 'rule', ['0', 'yes'], {}))(),
+      'ruling must be a non-negative integer'
+    )
+    await expectError(
+      (async () => runCommand(operator, 'appeal', [], {}))(),
+      'Unknown command'
+    )
+    await expectError(
+      cli(`set-price 10 --arbitrator ${arbitrator.address} --from ${other}`),
+      'Can only be called by the owner.'
+    )
+    await expectError(operator.listDisputes('Pending'), 'Unknown status')
+  })
+})
@@ -0,0 +1,344 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const { EscrowClient, detectVariant } = require('../src/escrow-client')
+const {
+  UnauthorizedCallerError,
+  InvalidStatusError,
+  TimeoutNotPassedError,
+  InvalidAmountError,
+  UnsupportedActionError
+} = require('../src/escrow-errors')
+
+const time = require('./helpers/time')
+
+const Arbitrator = artifacts.require('Arbitrator')
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const AutoAppealableArbitrator = artifacts.require('AutoAppealableArbitrator')
+const ERC20Mock = artifacts.require('ERC20Mock')
+const MultipleArbitrableTransaction = artifacts.require(
+  'MultipleArbitrableTransaction'
+)
+const MultipleArbitrableTokenTransaction = artifacts.require(
+  'MultipleArbitrableTokenTransaction'
+)
+const MultipleArbitrableTransactionWithFee = artifacts.require(
+  'MultipleArbitrableTransactionWithFee'
+)
+const MultipleArbitrableTokenTransactionWithFee = artifacts.require(
+  'MultipleArbitrableTokenTransactionWithFee'
+)
+const MultipleArbitrableTransactionWithAppeals = artifacts.require(
+  'MultipleArbitrableTransactionWithAppeals'
+)
+const MultipleArbitrableTokenTransactionWithAppeals = artifacts.require(
+  'MultipleArbitrableTokenTransactionWithAppeals'
+)
+
+contract('EscrowClient', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const feeRecipient = accounts[3]
+  const crowdfunder = accounts[4]
+  const arbitrationFee = 1000
+  const feeTimeout = 100
+  const feeTimelock = 1000
+  const timeoutPayment = 100
+  const amount = 5000
+  const metaEvidence = 'ipfs/meta-evidence.json'
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+
+  /**
+   * Deploy an escrow variant and its arbitrator.
+   * @param {object} Escrow The escrow contract class.
+   * @param {object} ArbitratorContract The arbitrator contract class.
+   * @returns {object} The escrow client, its arbitrator and a token.
+   */
+  async function deploy(Escrow, ArbitratorContract = CentralizedArbitrator) {
+    const arbitrator = await ArbitratorContract.new(arbitrationFee, {
+      from: governor
+    })
+    const { token, fee, appeals } = detectVariant(Escrow.abi)
+    let escrow
+    if (fee)
+      escrow = await Escrow.new(
+        arbitrator.address,
+        0x0,
+        governor,
+        feeRecipient,
+        500,
+        feeTimeout,
+        feeTimelock,
+        { from: governor }
+      )
+    else if (appeals)
+      escrow = await Escrow.new(
+        arbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        sharedStakeMultiplier,
+        winnerStakeMultiplier,
+        loserStakeMultiplier,
+        { from: governor }
+      )
+    else
+      escrow = await Escrow.new(arbitrator.address, 0x0, governor, feeTimeout, {
+        from: governor
+      })
+
+    const erc20 = await ERC20Mock.new(sender, amount * 10)
+    if (token)
+      await erc20.approve(escrow.address, amount * 10, { from: sender })
+
+    return {
+      client: await EscrowClient.at(escrow, Arbitrator),
+      arbitrator,
+      erc20
+    }
+  }
+
+  /**
+   * Create a transaction through the client.
+   * @param {EscrowClient} client The escrow client.
+   * @param {object} erc20 The token to use for token escrows.
+   * @returns {number} The ID of the transaction.
+   */
+  function createTransaction(client, erc20) {
+    return client.createTransaction({
+      receiver,
+      amount,
+      timeoutPayment,
+      metaEvidence,
+      token: erc20.address,
+      from: sender
+    })
+  }
+
+  it('Should detect every escrow variant', async () => {
+    const variants = [
+      MultipleArbitrableTransaction,
+      MultipleArbitrableTokenTransaction,
+      MultipleArbitrableTransactionWithFee,
+      MultipleArbitrableTokenTransactionWithFee,
+      MultipleArbitrableTransactionWithAppeals,
+      MultipleArbitrableTokenTransactionWithAppeals
+    ]
+    for (const Escrow of variants)
+      assert.equal(detectVariant(Escrow.abi).name, Escrow.contractName)
+
+    assert.throws(
+      () => detectVariant(CentralizedArbitrator.abi),
+      UnsupportedActionError
+    )
+  })
+
+  it('Should create, pay and execute transactions in every variant', async () => {
+    const variants = [
+      MultipleArbitrableTransaction,
+      MultipleArbitrableTokenTransaction,
+      MultipleArbitrableTransactionWithFee,
+      MultipleArbitrableTokenTransactionWithFee,
+      MultipleArbitrableTransactionWithAppeals,
+      MultipleArbitrableTokenTransactionWithAppeals
+    ]
+    for (const Escrow of variants) {
+      const { client, erc20 } = await deploy(Escrow)
+      const transactionID = await createTransaction(client, erc20)
+
+      let transaction = await client.getTransaction(transactionID)
+      assert.equal(transaction.sender, sender)
+      assert.equal(transaction.receiver, receiver)
+      assert.equal(transaction.amount.toNumber(), amount)
+      assert.equal(transaction.status, 'NoDispute')
+      if (client.variant.token) assert.equal(transaction.token, erc20.address)
+
+      await client.pay(transactionID, 1000, sender)
+      await client.reimburse(transactionID, 1000, receiver)
+      transaction = await client.getTransaction(transactionID)
+      assert.equal(transaction.amount.toNumber(), amount - 2000)
+
+      await time.increase(timeoutPayment + 1)
+      await client.executeTransaction(transactionID, governor)
+      transaction = await client.getTransaction(transactionID)
+      assert.equal(transaction.amount.toNumber(), 0)
+      assert.equal(transaction.status, 'Resolved')
+    }
+  })
+
+  it('Should turn reverts into typed errors', async () => {
+    const { client, erc20 } = await deploy(MultipleArbitrableTransaction)
+    const transactionID = await createTransaction(client, erc20)
+
+    const expectError = async (promise, ErrorClass) => {
+      try {
+        await promise
+      } catch (err) {
+        assert.instanceOf(err, ErrorClass)
+        return
+      }
+      assert.fail(`Expected ${ErrorClass.name}`)
+    }
+
+    await expectError(
+      client.pay(transactionID, 1000, receiver),
+      UnauthorizedCallerError
+    )
+    await expectError(
+      client.pay(transactionID, amount + 1, sender),
+      InvalidAmountError
+    )
+    await expectError(
+      client.executeTransaction(transactionID, sender),
+      TimeoutNotPassedError
+    )
+    await expectError(
+      client.payArbitrationFee(transactionID, governor),
+      UnauthorizedCallerError
+    )
+    await expectError(client.timeOut(transactionID, sender), InvalidStatusError)
+    await expectError(
+      client.fundAppeal(transactionID, 'sender', sender),
+      UnsupportedActionError
+    )
+  })
+
+  it('Should pay the arbitration fees due and raise a dispute', async () => {
+    const { client, arbitrator, erc20 } = await deploy(
+      MultipleArbitrableTokenTransaction
+    )
+    const transactionID = await createTransaction(client, erc20)
+
+    assert.equal(
+      (await client.arbitrationFeeDue(transactionID, 'sender')).toNumber(),
+      arbitrationFee
+    )
+    await client.payArbitrationFee(transactionID, sender)
+    assert.equal(
+      (await client.arbitrationFeeDue(transactionID, 'sender')).toNumber(),
+      0
+    )
+    assert.equal(
+      (await client.getTransaction(transactionID)).status,
+      'WaitingReceiver'
+    )
+
+    await client.payArbitrationFee(transactionID, receiver)
+    const transaction = await client.getTransaction(transactionID)
+    assert.equal(transaction.status, 'DisputeCreated')
+
+    await arbitrator.giveRuling(transaction.disputeID, 2, { from: governor })
+    assert.equal(
+      (await client.getTransaction(transactionID)).status,
+      'Resolved'
+    )
+    assert.equal((await erc20.balanceOf(receiver)).toNumber(), amount)
+  })
+
+  it('Should use the arbitrator of the transaction for the fees due', async () => {
+    const { client } = await deploy(MultipleArbitrableTransaction)
+    const courtArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee * 2,
+      { from: governor }
+    )
+    await client.escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+      from: governor
+    })
+    await client.escrow.createTransactionWithArbitrator(
+      timeoutPayment,
+      receiver,
+      [],
+      courtArbitrator.address,
+      0x0,
+      metaEvidence,
+      { from: sender, value: amount }
+    )
+
+    assert.equal(
+      (await client.arbitrationFeeDue(0, 'receiver')).toNumber(),
+      arbitrationFee * 2
+    )
+    await client.payArbitrationFee(0, receiver)
+    await client.payArbitrationFee(0, sender)
+    const transaction = await client.getTransaction(0)
+    assert.equal(transaction.status, 'DisputeCreated')
+    assert.equal(
+      (await courtArbitrator.disputes(transaction.disputeID))[0],
+      client.escrow.address
+    )
+  })
+
+  it('Should time out the party that did not pay', async () => {
+    const { client, erc20 } = await deploy(MultipleArbitrableTransactionWithFee)
+    const transactionID = await createTransaction(client, erc20)
+
+    await client.payArbitrationFee(transactionID, receiver)
+    await time.increase(feeTimeout + 1)
+    await client.timeOut(transactionID, receiver)
+
+    const transaction = await client.getTransaction(transactionID)
+    assert.equal(transaction.status, 'Resolved')
+    assert.equal(transaction.amount.toNumber(), 0)
+  })
+
+  it('Should compute appeal fees and crowdfund appeals', async () => {
+    const { client, arbitrator, erc20 } = await deploy(
+      MultipleArbitrableTransactionWithAppeals,
+      AutoAppealableArbitrator
+    )
+    const transactionID = await createTransaction(client, erc20)
+    await client.payArbitrationFee(transactionID, sender)
+    await client.payArbitrationFee(transactionID, receiver)
+    const { disputeID } = await client.getTransaction(transactionID)
+
+    const appealCost = 2000
+    await arbitrator.giveAppealableRuling(disputeID, 1, appealCost, 1000, {
+      from: governor
+    })
+
+    const winnerFee = await client.appealFeeDue(transactionID, 'sender')
+    assert.equal(
+      winnerFee.total.toNumber(),
+      appealCost + (appealCost * winnerStakeMultiplier) / 10000
+    )
+    const loserFee = await client.appealFeeDue(transactionID, 'receiver')
+    assert.equal(
+      loserFee.total.toNumber(),
+      appealCost + (appealCost * loserStakeMultiplier) / 10000
+    )
+
+    await client.fundAppeal(transactionID, 'receiver', crowdfunder, 1000)
+    assert.equal(
+      (
+        await client.appealFeeDue(transactionID, 'receiver')
+      ).remaining.toNumber(),
+      loserFee.total.toNumber() - 1000
+    )
+    await client.fundAppeal(transactionID, 'receiver', receiver)
+    await client.fundAppeal(transactionID, 'sender', sender)
+    assert.equal(
+      (await client.escrow.getNumberOfRounds(transactionID)).toNumber(),
+      2
+    )
+
+    await arbitrator.giveRuling(disputeID, 2, { from: governor })
+    const withdrawable = await client.amountWithdrawable(
+      transactionID,
+      crowdfunder
+    )
+    assert.isAbove(withdrawable.toNumber(), 1000)
+
+    const balanceBefore = web3.eth.getBalance(crowdfunder)
+    await client.withdrawFeesAndRewards(transactionID, crowdfunder, governor)
+    assert.equal(
+      web3.eth
+        .getBalance(crowdfunder)
+        .minus(balanceBefore)
+        .toNumber(),
+      withdrawable.toNumber()
+    )
+  })
+})
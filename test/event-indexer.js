@@ -0,0 +1,227 @@
+/* globals artifacts, contract, web3 */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+
+const { assert } = require('chai')
+
+const { EventIndexer } = require('../src/event-indexer')
+const { MemoryStore, JsonFileStore } = require('../src/event-store')
+
+const AutoAppealableArbitrator = artifacts.require('AutoAppealableArbitrator')
+const MultipleArbitrableTransaction = artifacts.require(
+  'MultipleArbitrableTransaction'
+)
+
+contract('EventIndexer', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const arbitrationFee = 1000
+  const metaEvidence = 'ipfs/meta-evidence.json'
+  const evidence = 'ipfs/evidence.json'
+
+  let arbitrator
+  let escrow
+  let fromBlock
+
+  const rpc = (method, params = []) =>
+    promisify(web3.currentProvider.sendAsync.bind(web3.currentProvider))({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method,
+      params
+    })
+
+  /**
+   * Create a disputed transaction with evidence from both parties.
+   * @returns {object} The IDs of the transaction and of the dispute.
+   */
+  async function createDispute() {
+    const { logs } = await escrow.createTransaction(
+      100,
+      receiver,
+      metaEvidence,
+      { from: sender, value: 5000 }
+    )
+    const transactionID = logs[1].args._transactionID.toNumber()
+    await escrow.submitEvidence(transactionID, evidence, { from: sender })
+    await escrow.payArbitrationFeeBySender(transactionID, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await escrow.payArbitrationFeeByReceiver(transactionID, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await escrow.submitEvidence(transactionID, evidence, { from: receiver })
+    const disputeID = (await escrow.transactions(transactionID))[4].toNumber()
+
+    return { transactionID, disputeID }
+  }
+
+  /**
+   * Create an indexer for the escrow and its arbitrator.
+   * @param {object} store The store.
+   * @returns {EventIndexer} The indexer.
+   */
+  function createIndexer(store) {
+    return new EventIndexer({
+      provider: web3.currentProvider,
+      store,
+      addresses: [escrow.address, arbitrator.address],
+      fromBlock
+    })
+  }
+
+  beforeEach('deploy contracts', async () => {
+    fromBlock = web3.eth.blockNumber + 1
+    arbitrator = await AutoAppealableArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    escrow = await MultipleArbitrableTransaction.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      100,
+      { from: governor }
+    )
+  })
+
+  it('Should index the history of a dispute', async () => {
+    const { transactionID, disputeID } = await createDispute()
+    await arbitrator.giveAppealableRuling(disputeID, 1, arbitrationFee, 1000, {
+      from: governor
+    })
+    await escrow.appeal(transactionID, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await arbitrator.giveRuling(disputeID, 2, { from: governor })
+
+    const indexer = createIndexer(new MemoryStore())
+    assert.equal(await indexer.sync(), 7)
+
+    const history = await indexer.getDisputeHistory(
+      arbitrator.address,
+      disputeID
+    )
+    assert.equal(history.dispute.arbitrable, escrow.address)
+    assert.equal(history.dispute.evidenceGroupID, String(transactionID))
+    assert.equal(history.metaEvidence.uri, metaEvidence)
+    assert.deepEqual(
+      history.evidence.map(e => e.party),
+      [sender, receiver]
+    )
+    assert.deepEqual(
+      history.evidence.map(e => e.uri),
+      [evidence, evidence]
+    )
+    assert.deepEqual(
+      history.appeals.map(e => e.type),
+      ['AppealPossible', 'AppealDecision']
+    )
+    assert.equal(history.rulings.length, 1)
+    assert.equal(history.rulings[0].ruling, '2')
+
+    const byEvidenceGroup = await indexer.store.query({
+      arbitrable: escrow.address,
+      evidenceGroupID: transactionID
+    })
+    assert.deepEqual(
+      byEvidenceGroup.map(e => e.type),
+      ['Evidence', 'Dispute', 'Evidence']
+    )
+    assert.equal(
+      (await indexer.store.query({ arbitrator: arbitrator.address })).length,
+      6
+    )
+    assert.isNull(await indexer.getDisputeHistory(arbitrator.address, 1000))
+  })
+
+  it('Should resume from the last processed block', async () => {
+    const file = path.join(os.tmpdir(), `event-indexer-${Date.now()}.json`)
+    try {
+      await createDispute()
+      assert.equal(await createIndexer(new JsonFileStore(file)).sync(), 4)
+
+      await createDispute()
+      const indexer = createIndexer(new JsonFileStore(file))
+      assert.equal(await indexer.sync(), 4)
+      assert.equal(await indexer.sync(), 0)
+      assert.equal(
+        (await indexer.store.query({ type: 'Dispute' })).length,
+        2,
+        'Events should not be indexed twice.'
+      )
+    } finally {
+      if (fs.existsSync(file)) fs.unlinkSync(file)
+    }
+  })
+
+  it('Should undo reorged blocks', async () => {
+    const indexer = createIndexer(new MemoryStore())
+    await createDispute()
+    await indexer.sync()
+
+    const snapshot = (await rpc('evm_snapshot')).result
+    const { disputeID } = await createDispute()
+    assert.equal(await indexer.sync(), 4)
+    assert.equal((await indexer.store.query({ type: 'Dispute' })).length, 2)
+
+    await rpc('evm_revert', [snapshot])
+    for (let i = 0; i < 10; i++) await rpc('evm_mine')
+    assert.equal(await indexer.sync(), 0)
+
+    const disputes = await indexer.store.query({ type: 'Dispute' })
+    assert.equal(disputes.length, 1)
+    assert.notEqual(disputes[0].disputeID, String(disputeID))
+    const { lastBlock } = await indexer.store.load()
+    assert.equal(lastBlock, web3.eth.blockNumber)
+  })
+
+  it('Should skip logs with malformed data', async () => {
+    await createDispute()
+    const word = n => n.toString(16).padStart(64, '0')
+    const malformedLog = (data, logIndex) => ({
+      address: escrow.address,
+      topics: [web3.sha3('MetaEvidence(uint256,string)'), `0x${word(1)}`],
+      data: `0x${data}`,
+      blockNumber: `0x${web3.eth.blockNumber.toString(16)}`,
+      blockHash: web3.eth.getBlock('latest').hash,
+      transactionHash: `0x${word(0)}`,
+      logIndex: `0x${logIndex.toString(16)}`
+    })
+    const malformedLogs = [
+      malformedLog(word(32) + word(2) + 'c328'.padEnd(64, '0'), 100), // Invalid UTF-8.
+      malformedLog(word(32) + word(64) + '61'.padEnd(64, '0'), 101), // Length out of the data.
+      malformedLog(word(1024), 102) // Offset out of the data.
+    ]
+    // Serve the malformed logs along with the real ones.
+    const provider = {
+      sendAsync(payload, callback) {
+        web3.currentProvider.sendAsync(payload, (err, response) => {
+          if (!err && payload.method === 'eth_getLogs')
+            response.result = response.result.concat(malformedLogs)
+          callback(err, response)
+        })
+      }
+    }
+
+    const indexer = new EventIndexer({
+      provider,
+      store: new MemoryStore(),
+      addresses: [escrow.address, arbitrator.address],
+      fromBlock
+    })
+    assert.equal(await indexer.sync(), 4)
+    assert.equal(
+      (await indexer.store.query({ type: 'MetaEvidence' })).length,
+      1,
+      'Malformed logs should be skipped.'
+    )
+    const { lastBlock } = await indexer.store.load()
+    assert.equal(lastBlock, web3.eth.blockNumber)
+  })
+})
@@ -0,0 +1,332 @@
+/* globals artifacts, contract */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { assert } = require('chai')
+
+const {
+  EVIDENCE_SCHEMA,
+  ESCROW_META_EVIDENCE_SCHEMA,
+  TOKEN_LIST_META_EVIDENCE_SCHEMA,
+  ITEM_LIST_META_EVIDENCE_SCHEMA,
+  EvidenceValidationError,
+  validateMetaEvidence,
+  buildEvidence,
+  buildEscrowMetaEvidence,
+  buildRentalMetaEvidence,
+  buildTokenListMetaEvidence,
+  buildItemListMetaEvidence,
+  encodeItem,
+  decodeItem,
+  hashFile,
+  serialize,
+  writeFile,
+  verifyFile
+} = require('../src/evidence')
+
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const MultipleArbitrableTransaction = artifacts.require(
+  'MultipleArbitrableTransaction'
+)
+
+contract('Evidence', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const amount = 5000
+  const baseURI = 'https://files.example.com/'
+
+  let directory
+
+  beforeEach('create a directory for the files', () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'))
+  })
+
+  afterEach('remove the files', () => {
+    for (const file of fs.readdirSync(directory))
+      fs.unlinkSync(path.join(directory, file))
+    fs.rmdirSync(directory)
+  })
+
+  it('Should build valid files for every contract family', async () => {
+    const escrow = buildEscrowMetaEvidence({
+      title: 'Website development',
+      description: 'Build a website.',
+      sender,
+      receiver,
+      amount,
+      timeout: 100
+    })
+    assert.equal(escrow.amount, String(amount))
+    assert.deepEqual(escrow.rulingOptions.titles, [
+      'Refund Sender',
+      'Pay Receiver'
+    ])
+    const splitEscrow = buildEscrowMetaEvidence({
+      title: 'Website development',
+      sender,
+      receiver,
+      amount,
+      splits: [2500, 3750]
+    })
+    assert.deepEqual(splitEscrow.splits, [2500, 3750])
+    assert.deepEqual(splitEscrow.rulingOptions.titles.slice(2), [
+      'Pay Receiver 25%',
+      'Pay Receiver 37.5%'
+    ])
+    assert.include(splitEscrow.rulingOptions.descriptions[3], '62.5%')
+
+    const rental = buildRentalMetaEvidence({
+      title: 'Flat rental',
+      renter: sender,
+      owner: receiver
+    })
+    assert.equal(rental.rulingOptions.titles.length, 2)
+
+    const registration = buildTokenListMetaEvidence({
+      requestType: 'registration',
+      title: 'Token list',
+      fileURI: `${baseURI}policy.pdf`
+    })
+    const clearing = buildTokenListMetaEvidence({
+      requestType: 'clearing',
+      title: 'Token list',
+      fileURI: `${baseURI}policy.pdf`
+    })
+    assert.notEqual(registration.question, clearing.question)
+
+    const evidence = buildEvidence({
+      name: 'Delivery receipt',
+      fileURI: `${baseURI}receipt.pdf`,
+      fileTypeExtension: 'pdf'
+    })
+    assert.deepEqual(Object.keys(evidence), [
+      'name',
+      'fileURI',
+      'fileTypeExtension'
+    ])
+  })
+
+  it('Should reject files that do not match their schema', async () => {
+    const expectInvalid = (build, message) => {
+      try {
+        build()
+      } catch (err) {
+        assert.instanceOf(err, EvidenceValidationError)
+        assert.include(err.message, message)
+        return
+      }
+      assert.fail('Expected an EvidenceValidationError')
+    }
+
+    expectInvalid(() => buildEvidence({ name: '' }), 'file.name')
+    expectInvalid(
+      () =>
+        buildEscrowMetaEvidence({
+          title: 'Website development',
+          sender,
+          receiver: '0x123',
+          amount
+        }),
+      'file.receiver'
+    )
+    expectInvalid(
+      () => buildEscrowMetaEvidence({ title: 'Website development', sender }),
+      'file.receiver is required'
+    )
+    expectInvalid(
+      () =>
+        buildEscrowMetaEvidence({
+          title: 'Website development',
+          sender,
+          receiver,
+          amount,
+          splits: [12000]
+        }),
+      'splits'
+    )
+    expectInvalid(
+      () =>
+        buildTokenListMetaEvidence({ requestType: 'removal', title: 'List' }),
+      'file.requestType'
+    )
+  })
+
+  it('Should describe the columns of item lists and encode items with them', async () => {
+    const columns = [
+      { label: 'Name', type: 'text', isIdentifier: true },
+      { label: 'Address', description: 'The badge holder.', type: 'address' },
+      { label: 'Stars', type: 'number' }
+    ]
+    const registration = buildItemListMetaEvidence({
+      requestType: 'registration',
+      title: 'Badges',
+      columns,
+      itemName: 'badge',
+      fileURI: `${baseURI}policy.pdf`
+    })
+    assert.equal(
+      registration.question,
+      'Should the badge be added to the list?'
+    )
+    assert.deepEqual(registration.metadata, { columns, itemName: 'badge' })
+    assert.include(
+      buildItemListMetaEvidence({
+        requestType: 'clearing',
+        title: 'Badges',
+        columns
+      }).question,
+      'Should the item be removed'
+    )
+
+    const item = { Name: 'Früh ☀', Address: sender, Stars: 4 }
+    const data = encodeItem(columns, item)
+    assert.equal(
+      Buffer.from(data.slice(2), 'hex').toString(),
+      JSON.stringify(['Früh ☀', sender, 4])
+    )
+    assert.deepEqual(decodeItem(columns, data), item)
+
+    const expectInvalid = (build, message) => {
+      try {
+        build()
+      } catch (err) {
+        assert.instanceOf(err, EvidenceValidationError)
+        assert.include(err.message, message)
+        return
+      }
+      assert.fail('Expected an EvidenceValidationError')
+    }
+    expectInvalid(
+      () => encodeItem(columns, { Name: 'Alice', Address: '0x123', Stars: 4 }),
+      'item.Address'
+    )
+    expectInvalid(
+      () => encodeItem(columns, { Name: 'Alice', Address: sender }),
+      'item.Stars is required'
+    )
+    expectInvalid(() => decodeItem(columns, '0x1234'), 'not JSON')
+    expectInvalid(
+      () => decodeItem(columns.slice(1), data),
+      'one value per column'
+    )
+    expectInvalid(
+      () =>
+        buildItemListMetaEvidence({
+          requestType: 'registration',
+          title: 'Badges',
+          columns: [{ label: 'Picture', type: 'gif' }]
+        }),
+      'file.metadata.columns[0].type'
+    )
+    expectInvalid(
+      () => buildItemListMetaEvidence({ requestType: 'clearing', title: 'X' }),
+      'file.metadata.columns is required'
+    )
+    assert.deepEqual(
+      validateMetaEvidence(
+        buildTokenListMetaEvidence({ requestType: 'clearing', title: 'X' }),
+        ITEM_LIST_META_EVIDENCE_SCHEMA
+      ),
+      ['file.metadata is required']
+    )
+  })
+
+  it('Should write files named after their hash and verify them', async () => {
+    const evidence = buildEvidence({ name: 'Delivery receipt' })
+    const { path: filePath, hash, fileName } = writeFile(directory, evidence)
+    const content = fs.readFileSync(filePath)
+
+    assert.equal(fileName, `${hash.slice(2)}.json`)
+    assert.equal(hashFile(content), hash)
+    assert.deepEqual(
+      verifyFile(`${baseURI}${fileName}`, content, EVIDENCE_SCHEMA),
+      { valid: true, errors: [], file: evidence }
+    )
+    assert.isTrue(verifyFile(`/ipfs/QmX/${hash}.json`, content).valid)
+
+    const tampered = verifyFile(
+      `${baseURI}${fileName}`,
+      content.toString().replace('receipt', 'Receipt')
+    )
+    assert.isFalse(tampered.valid)
+    assert.include(tampered.errors[0], 'does not match the hash')
+    assert.isFalse(verifyFile(`${baseURI}evidence.json`, content).valid)
+
+    const invalid = serialize({ title: 'Not evidence' })
+    const result = verifyFile(
+      `${baseURI}${invalid.fileName}`,
+      invalid.content,
+      EVIDENCE_SCHEMA
+    )
+    assert.isFalse(result.valid)
+    assert.deepEqual(result.errors, ['file.name is required'])
+    assert.isFalse(
+      verifyFile(
+        `${baseURI}${invalid.fileName}`,
+        invalid.content,
+        TOKEN_LIST_META_EVIDENCE_SCHEMA
+      ).valid
+    )
+  })
+
+  it('Should verify the files referenced by escrow events', async () => {
+    const arbitrator = await CentralizedArbitrator.new(1000, {
+      from: governor
+    })
+    const escrow = await MultipleArbitrableTransaction.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      100,
+      { from: governor }
+    )
+
+    const metaEvidence = writeFile(
+      directory,
+      buildEscrowMetaEvidence({
+        title: 'Website development',
+        sender,
+        receiver,
+        amount
+      })
+    )
+    const { logs } = await escrow.createTransaction(
+      100,
+      receiver,
+      `${baseURI}${metaEvidence.fileName}`,
+      { from: sender, value: amount }
+    )
+    const metaEvidenceURI = logs[0].args._evidence
+    const transactionID = logs[1].args._transactionID
+
+    const evidence = writeFile(
+      directory,
+      buildEvidence({ name: 'Website mockups' })
+    )
+    const evidenceLogs = (
+      await escrow.submitEvidence(
+        transactionID,
+        `${baseURI}${evidence.fileName}`,
+        { from: sender }
+      )
+    ).logs
+    const evidenceURI = evidenceLogs[0].args._evidence
+
+    assert.isTrue(
+      verifyFile(
+        metaEvidenceURI,
+        fs.readFileSync(path.join(directory, path.basename(metaEvidenceURI))),
+        ESCROW_META_EVIDENCE_SCHEMA
+      ).valid
+    )
+    assert.isTrue(
+      verifyFile(
+        evidenceURI,
+        fs.readFileSync(path.join(directory, path.basename(evidenceURI))),
+        EVIDENCE_SCHEMA
+      ).valid
+    )
+  })
+})
@@ -0,0 +1,42 @@
+/* global web3 */
+
+const { promisify } = require('util')
+
+const Account = require('eth-lib/lib/account')
+
+const { ethSendTransaction } = require('./web3')
+
+/** Creates an account whose private key is known, to sign typed data, and unlocks it in ganache
+ * @param {string} funder the account sending ETH to the new account
+ * @param {number} balance the ETH balance to give to the account, in wei
+ * @returns {object} the lowercase `address` and the `privateKey` of the account
+ */
+async function createAccount(funder, balance) {
+  const account = Account.create()
+  const send = promisify(web3.currentProvider.sendAsync)
+  await send({
+    jsonrpc: '2.0',
+    method: 'personal_importRawKey',
+    params: [account.privateKey, '']
+  })
+  await send({
+    jsonrpc: '2.0',
+    method: 'personal_unlockAccount',
+    params: [account.address, '', 0]
+  })
+  if (balance > 0)
+    await ethSendTransaction({
+      from: funder,
+      to: account.address,
+      value: balance
+    })
+
+  return {
+    address: account.address.toLowerCase(),
+    privateKey: account.privateKey
+  }
+}
+
+module.exports = {
+  createAccount
+}
@@ -0,0 +1,26 @@
+/* global web3 */
+
+const { assert } = require('chai')
+
+/** Executes an action and checks the ETH balance changes it caused
+ * @param {function} action the action
+ * @param {object} deltas the expected changes, by account
+ */
+async function expectBalanceChanges(action, deltas) {
+  const before = {}
+  for (const account of Object.keys(deltas))
+    before[account] = web3.eth.getBalance(account)
+
+  await action()
+
+  for (const account of Object.keys(deltas))
+    assert.equal(
+      web3.eth.getBalance(account).toString(),
+      before[account].plus(deltas[account]).toString(),
+      `Wrong balance change of ${account}.`
+    )
+}
+
+module.exports = {
+  expectBalanceChanges
+}
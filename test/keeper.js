@@ -0,0 +1,220 @@
+/* globals artifacts, contract, web3 */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { assert } = require('chai')
+
+const { Keeper } = require('../src/keeper')
+
+const time = require('./helpers/time')
+
+const AutoAppealableArbitrator = artifacts.require('AutoAppealableArbitrator')
+const ArbitrableAddressList = artifacts.require('ArbitrableAddressList')
+const MultipleArbitrableTransaction = artifacts.require(
+  'MultipleArbitrableTransaction'
+)
+
+contract('Keeper', function(accounts) {
+  const governor = accounts[0]
+  const sender = accounts[1]
+  const receiver = accounts[2]
+  const keeperAccount = accounts[3]
+  const arbitrationFee = 1000
+  const feeTimeout = 100
+  const timeoutPayment = 200
+  const challengePeriodDuration = 50
+  const baseDeposit = 10 ** 10
+  const sharedStakeMultiplier = 10000
+
+  let arbitrator
+  let escrow
+  let list
+  let fromBlock
+
+  /**
+   * Create a keeper for the escrow, the list and the arbitrator.
+   * @param {object} options Additional keeper options.
+   * @returns {Keeper} The keeper.
+   */
+  function createKeeper(options = {}) {
+    return new Keeper(
+      Object.assign(
+        {
+          provider: web3.currentProvider,
+          targets: [
+            { kind: 'escrow', contract: escrow },
+            { kind: 'addressList', contract: list },
+            { kind: 'autoAppealableArbitrator', contract: arbitrator }
+          ],
+          from: keeperAccount,
+          fromBlock
+        },
+        options
+      )
+    )
+  }
+
+  /**
+   * Create an escrow transaction.
+   * @returns {number} The ID of the transaction.
+   */
+  async function createTransaction() {
+    const { logs } = await escrow.createTransaction(
+      timeoutPayment,
+      receiver,
+      'ipfs/meta-evidence.json',
+      { from: sender, value: 5000 }
+    )
+
+    return logs[1].args._transactionID.toNumber()
+  }
+
+  beforeEach('deploy contracts', async () => {
+    fromBlock = web3.eth.blockNumber + 1
+    arbitrator = await AutoAppealableArbitrator.new(arbitrationFee, {
+      from: governor
+    })
+    escrow = await MultipleArbitrableTransaction.new(
+      arbitrator.address,
+      0x0,
+      governor,
+      feeTimeout,
+      { from: governor }
+    )
+    list = await ArbitrableAddressList.new(
+      arbitrator.address,
+      0x0,
+      'registrationMetaEvidence.json',
+      'clearingMetaEvidence.json',
+      governor,
+      baseDeposit,
+      baseDeposit,
+      baseDeposit,
+      challengePeriodDuration,
+      sharedStakeMultiplier,
+      sharedStakeMultiplier,
+      sharedStakeMultiplier,
+      { from: governor }
+    )
+  })
+
+  it('Should execute expired escrow transactions and fee timeouts', async () => {
+    const expiredID = await createTransaction()
+    const timedOutID = await createTransaction()
+    await escrow.payArbitrationFeeBySender(timedOutID, {
+      from: sender,
+      value: arbitrationFee
+    })
+    const keeper = createKeeper()
+
+    assert.deepEqual(await keeper.tick(), [], 'Nothing should be due yet.')
+
+    await time.increase(feeTimeout + 1)
+    let calls = await keeper.tick()
+    assert.deepEqual(
+      calls.map(call => [call.id, call.method]),
+      [[String(timedOutID), 'timeOutBySender']]
+    )
+
+    await time.increase(timeoutPayment)
+    calls = await keeper.tick()
+    assert.deepEqual(
+      calls.map(call => [call.id, call.method]),
+      [[String(expiredID), 'executeTransaction']]
+    )
+    assert.equal((await escrow.transactions(expiredID))[8].toNumber(), 4)
+    assert.equal((await escrow.transactions(timedOutID))[8].toNumber(), 4)
+
+    assert.deepEqual(await keeper.tick(), [])
+    assert.deepEqual(
+      keeper.state.items,
+      {},
+      'Resolved items should be dropped.'
+    )
+  })
+
+  it('Should execute list requests and appealable rulings', async () => {
+    await list.requestStatusChange(receiver, {
+      from: sender,
+      value: baseDeposit + arbitrationFee + arbitrationFee
+    })
+    const transactionID = await createTransaction()
+    await escrow.payArbitrationFeeBySender(transactionID, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await escrow.payArbitrationFeeByReceiver(transactionID, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await arbitrator.giveAppealableRuling(0, 2, arbitrationFee, 500, {
+      from: governor
+    })
+
+    const keeper = createKeeper()
+    await time.increase(challengePeriodDuration + 1)
+    assert.deepEqual(
+      (await keeper.tick()).map(call => call.method),
+      ['executeRequest']
+    )
+    assert.equal((await list.getAddressInfo(receiver))[0].toNumber(), 1)
+
+    await time.increase(500)
+    assert.deepEqual(
+      (await keeper.tick()).map(call => call.method),
+      ['executeRuling']
+    )
+    assert.equal((await arbitrator.disputeStatus(0)).toNumber(), 2)
+    assert.equal((await escrow.transactions(transactionID))[8].toNumber(), 4)
+  })
+
+  it('Should only report calls in dry-run mode', async () => {
+    const transactionID = await createTransaction()
+    await time.increase(timeoutPayment)
+
+    const keeper = createKeeper({ dryRun: true })
+    const calls = await keeper.tick()
+    assert.deepEqual(calls, [
+      {
+        kind: 'escrow',
+        address: escrow.address,
+        id: String(transactionID),
+        method: 'executeTransaction'
+      }
+    ])
+    assert.deepEqual(await keeper.tick(), calls)
+    assert.equal(
+      (await escrow.transactions(transactionID))[8].toNumber(),
+      0,
+      'The transaction should not have been executed.'
+    )
+  })
+
+  it('Should resume from its state file without sending calls twice', async () => {
+    const statePath = path.join(os.tmpdir(), `keeper-${Date.now()}.json`)
+    try {
+      const transactionID = await createTransaction()
+      await createKeeper({ statePath }).tick()
+      await time.increase(timeoutPayment)
+
+      // Blocks scanned by the first run are not scanned again.
+      const restarted = createKeeper({ statePath, fromBlock: 0 })
+      assert.equal(
+        restarted.state.lastBlock,
+        JSON.parse(fs.readFileSync(statePath, 'utf8')).lastBlock
+      )
+      const calls = await restarted.tick()
+      assert.deepEqual(
+        calls.map(call => call.id),
+        [String(transactionID)]
+      )
+
+      const again = createKeeper({ statePath })
+      assert.deepEqual(await again.tick(), [])
+      assert.deepEqual(again.state.sent, {})
+    } finally {
+      if (fs.existsSync(statePath)) fs.unlinkSync(statePath)
+    }
+  })
+})
@@ -0,0 +1,323 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const {
+  buildTypedData,
+  recoverTypedDataSigner,
+  signTypedData,
+  verifyTypedDataSignature
+} = require('../src/meta-transactions')
+
+const { createAccount } = require('./helpers/accounts')
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+
+const MultipleArbitrableAssetTransaction = artifacts.require(
+  'MultipleArbitrableAssetTransaction'
+)
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+
+contract('MultipleArbitrableAssetTransaction meta-transactions', function(
+  accounts
+) {
+  const relayer = accounts[3]
+  const governor = accounts[6]
+  const feeTimeout = 100
+  const settlementTimeout = 200
+  const timeoutPayment = 100
+  const arbitrationFee = 20
+  const amount = 1000
+  const metaEvidenceUri = 'https://kleros.io'
+  const chainId = 1337
+
+  let sender
+  let receiver
+  let arbitratorContract
+  let escrow
+
+  /**
+   * Sign an action of an account for the escrow, using the next nonce of the account.
+   * @param {object} account The signer.
+   * @param {string} primaryType The action.
+   * @param {object} fields The fields of the action, without the nonce and the deadline.
+   * @param {number} deadline The deadline of the signature, one hour from now by default.
+   * @returns {object} The typed data and its signature.
+   */
+  async function sign(account, primaryType, fields, deadline) {
+    const typedData = buildTypedData(escrow.address, chainId, primaryType, {
+      ...fields,
+      nonce: (await escrow.nonces(account.address)).toNumber(),
+      deadline: deadline || (await time.latest()) + 3600
+    })
+
+    return { typedData, ...signTypedData(typedData, account.privateKey) }
+  }
+
+  beforeEach(
+    'create a transaction between accounts with known keys',
+    async () => {
+      sender = await createAccount(accounts[0], web3.toWei(1, 'ether'))
+      receiver = await createAccount(accounts[0], 0)
+      arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+        from: accounts[2]
+      })
+      escrow = await MultipleArbitrableAssetTransaction.new(
+        arbitratorContract.address,
+        0x0,
+        governor,
+        feeTimeout,
+        settlementTimeout,
+        5000,
+        2000,
+        8000,
+        chainId,
+        { from: accounts[0] }
+      )
+      await escrow.createTransaction(
+        amount,
+        0x0,
+        timeoutPayment,
+        receiver.address,
+        0x0,
+        0,
+        false,
+        [],
+        0x0,
+        0x0,
+        metaEvidenceUri,
+        { from: sender.address, value: amount }
+      )
+    }
+  )
+
+  it('Should produce signatures the helper can verify', async () => {
+    const { typedData, signature } = await sign(sender, 'Pay', {
+      transactionID: 0,
+      amount
+    })
+    assert.equal(
+      recoverTypedDataSigner(typedData, signature).toLowerCase(),
+      sender.address
+    )
+    assert.isTrue(
+      verifyTypedDataSignature(typedData, signature, sender.address)
+    )
+    assert.isFalse(
+      verifyTypedDataSignature(typedData, signature, receiver.address)
+    )
+    assert.isFalse(
+      verifyTypedDataSignature(
+        { ...typedData, message: { ...typedData.message, amount: 1 } },
+        signature,
+        sender.address
+      )
+    )
+    assert.throws(() => buildTypedData(escrow.address, chainId, 'Withdraw', {}))
+  })
+
+  it('Should let a relayer pay the receiver with the signature of the sender', async () => {
+    const { v, r, s, typedData } = await sign(sender, 'Pay', {
+      transactionID: 0,
+      amount: 400
+    })
+    const receiverBalance = web3.eth.getBalance(receiver.address)
+
+    const { logs } = await escrow.payBySignature(
+      0,
+      400,
+      typedData.message.deadline,
+      v,
+      r,
+      s,
+      { from: relayer }
+    )
+    assert.equal(logs[0].event, 'Payment')
+    assert.equal(logs[0].args._party, sender.address)
+    assert.equal(
+      web3.eth.getBalance(receiver.address).toString(),
+      receiverBalance.plus(400).toString()
+    )
+    assert.equal((await escrow.transactions(0))[2].toNumber(), 600)
+    assert.equal((await escrow.nonces(sender.address)).toNumber(), 1)
+  })
+
+  it('Should not replay a signature', async () => {
+    const { v, r, s, typedData } = await sign(sender, 'Pay', {
+      transactionID: 0,
+      amount: 100
+    })
+    await escrow.payBySignature(0, 100, typedData.message.deadline, v, r, s, {
+      from: relayer
+    })
+    await shouldFail.reverting(
+      escrow.payBySignature(0, 100, typedData.message.deadline, v, r, s, {
+        from: relayer
+      })
+    )
+    assert.equal((await escrow.transactions(0))[2].toNumber(), amount - 100)
+  })
+
+  it('Should reject signatures from the wrong party', async () => {
+    // The receiver can't pay itself and the sender can't reimburse itself.
+    let signed = await sign(receiver, 'Pay', { transactionID: 0, amount })
+    await shouldFail.reverting(
+      escrow.payBySignature(
+        0,
+        amount,
+        signed.typedData.message.deadline,
+        signed.v,
+        signed.r,
+        signed.s,
+        { from: relayer }
+      )
+    )
+    signed = await sign(sender, 'Reimburse', { transactionID: 0, amount })
+    await shouldFail.reverting(
+      escrow.reimburseBySignature(
+        0,
+        amount,
+        signed.typedData.message.deadline,
+        signed.v,
+        signed.r,
+        signed.s,
+        { from: relayer }
+      )
+    )
+    // Evidence can only be signed by the party it is submitted for.
+    signed = await sign(sender, 'SubmitEvidence', {
+      transactionID: 0,
+      evidence: 'ipfs:/X'
+    })
+    await shouldFail.reverting(
+      escrow.submitEvidenceBySignature(
+        0,
+        'ipfs:/X',
+        receiver.address,
+        signed.typedData.message.deadline,
+        signed.v,
+        signed.r,
+        signed.s,
+        { from: relayer }
+      )
+    )
+    const outsider = await createAccount(accounts[0], 0)
+    signed = await sign(outsider, 'SubmitEvidence', {
+      transactionID: 0,
+      evidence: 'ipfs:/X'
+    })
+    await shouldFail.reverting(
+      escrow.submitEvidenceBySignature(
+        0,
+        'ipfs:/X',
+        outsider.address,
+        signed.typedData.message.deadline,
+        signed.v,
+        signed.r,
+        signed.s,
+        { from: relayer }
+      )
+    )
+  })
+
+  it('Should reject expired signatures and signatures of other escrows', async () => {
+    let signed = await sign(
+      sender,
+      'Pay',
+      { transactionID: 0, amount },
+      (await time.latest()) + 100
+    )
+    await time.increase(101)
+    await shouldFail.reverting(
+      escrow.payBySignature(
+        0,
+        amount,
+        signed.typedData.message.deadline,
+        signed.v,
+        signed.r,
+        signed.s,
+        { from: relayer }
+      )
+    )
+
+    const otherEscrow = await MultipleArbitrableAssetTransaction.new(
+      arbitratorContract.address,
+      0x0,
+      governor,
+      feeTimeout,
+      settlementTimeout,
+      5000,
+      2000,
+      8000,
+      chainId,
+      { from: accounts[0] }
+    )
+    signed = await sign(sender, 'Pay', { transactionID: 0, amount })
+    for (const [escrowAddress, escrowChainId] of [
+      [otherEscrow.address, chainId],
+      [escrow.address, chainId + 1]
+    ]) {
+      const { v, r, s } = signTypedData(
+        buildTypedData(
+          escrowAddress,
+          escrowChainId,
+          'Pay',
+          signed.typedData.message
+        ),
+        sender.privateKey
+      )
+      await shouldFail.reverting(
+        escrow.payBySignature(
+          0,
+          amount,
+          signed.typedData.message.deadline,
+          v,
+          r,
+          s,
+          { from: relayer }
+        )
+      )
+    }
+  })
+
+  it('Should let a receiver without ETH reimburse, submit evidence and get paid', async () => {
+    assert.equal(web3.eth.getBalance(receiver.address).toNumber(), 0)
+    let signed = await sign(receiver, 'Reimburse', {
+      transactionID: 0,
+      amount: 300
+    })
+    await escrow.reimburseBySignature(
+      0,
+      300,
+      signed.typedData.message.deadline,
+      signed.v,
+      signed.r,
+      signed.s,
+      { from: relayer }
+    )
+    assert.equal((await escrow.transactions(0))[2].toNumber(), 700)
+
+    signed = await sign(receiver, 'SubmitEvidence', {
+      transactionID: 0,
+      evidence: 'ipfs:/X'
+    })
+    const { logs } = await escrow.submitEvidenceBySignature(
+      0,
+      'ipfs:/X',
+      receiver.address,
+      signed.typedData.message.deadline,
+      signed.v,
+      signed.r,
+      signed.s,
+      { from: relayer }
+    )
+    assert.equal(logs[0].event, 'Evidence')
+    assert.equal(logs[0].args._party, receiver.address)
+    assert.equal(logs[0].args._evidence, 'ipfs:/X')
+    assert.equal((await escrow.nonces(receiver.address)).toNumber(), 2)
+
+    // Anyone can execute the transaction once the timeout has passed.
+    await time.increase(timeoutPayment + 1)
+    await escrow.executeTransaction(0, { from: relayer })
+    assert.equal(web3.eth.getBalance(receiver.address).toNumber(), 700)
+  })
+})
@@ -0,0 +1,1626 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+
+const MultipleArbitrableAssetTransaction = artifacts.require(
+  'MultipleArbitrableAssetTransaction'
+)
+const ERC20Mock = artifacts.require('ERC20Mock')
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const AppealableArbitrator = artifacts.require('EnhancedAppealableArbitrator')
+
+/**
+ * The configurations of the six MultipleArbitrable*Transaction contracts, whose test suites are ported below.
+ * `fee` transactions pay a platform fee to the fee recipient and `appeals` transactions have crowdfunded appeals.
+ */
+const VARIANTS = [
+  { ported: 'MultipleArbitrableTransaction', token: false, fee: false },
+  { ported: 'MultipleArbitrableTokenTransaction', token: true, fee: false },
+  { ported: 'MultipleArbitrableTransactionWithFee', token: false, fee: true },
+  {
+    ported: 'MultipleArbitrableTokenTransactionWithFee',
+    token: true,
+    fee: true
+  },
+  {
+    ported: 'MultipleArbitrableTransactionWithAppeals',
+    token: false,
+    appeals: true
+  },
+  {
+    ported: 'MultipleArbitrableTokenTransactionWithAppeals',
+    token: true,
+    appeals: true
+  },
+  {
+    ported: 'a token transaction with fee and crowdfunded appeals',
+    token: true,
+    fee: true,
+    appeals: true
+  }
+]
+
+contract('MultipleArbitrableAssetTransaction', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const other = accounts[3]
+  const feeRecipient = accounts[4]
+  const newFeeRecipient = accounts[5]
+  const governor = accounts[6]
+  const feeRecipientBasisPoint = 500
+  const feeTimeout = 100
+  const settlementTimeout = 200
+  const timeoutPayment = 100
+  const arbitrationFee = 20
+  const metaEvidenceUri = 'https://kleros.io'
+  const amount = 1000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const appealTimeout = 100
+  const chainId = 1337
+  // Party transactions are sent without gas cost, so ETH balances only move by the amounts under test.
+  const gasPrice = 0
+
+  for (const variant of VARIANTS)
+    describe(`ported from ${variant.ported}`, () => {
+      let token
+
+      /**
+       * Get the platform fee taken from a payment to the receiver.
+       * @param {number} payment The payment.
+       * @returns {number} The fee.
+       */
+      function feeOf(payment) {
+        return variant.fee
+          ? Math.floor((payment * feeRecipientBasisPoint) / 10000)
+          : 0
+      }
+
+      /**
+       * Deploy an arbitrator and an escrow using it.
+       * @param {boolean} appealable Whether to deploy an `EnhancedAppealableArbitrator` instead of a `CentralizedArbitrator`.
+       * @returns {object} The `arbitratorContract` and the `escrow`.
+       */
+      async function setupContracts(appealable = false) {
+        let arbitratorContract
+        if (appealable) {
+          arbitratorContract = await AppealableArbitrator.new(
+            arbitrationFee,
+            arbitrator,
+            0x0,
+            appealTimeout,
+            { from: arbitrator }
+          )
+          await arbitratorContract.changeArbitrator(
+            arbitratorContract.address,
+            { from: arbitrator }
+          )
+        } else
+          arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+            from: arbitrator
+          })
+
+        const escrow = await MultipleArbitrableAssetTransaction.new(
+          arbitratorContract.address,
+          0x0,
+          governor,
+          feeTimeout,
+          settlementTimeout,
+          sharedStakeMultiplier,
+          winnerStakeMultiplier,
+          loserStakeMultiplier,
+          chainId,
+          { from: sender }
+        )
+
+        return { arbitratorContract, escrow }
+      }
+
+      /**
+       * Create a transaction of the variant from the sender to the receiver.
+       * @param {object} escrow The escrow.
+       * @param {number} value The amount of the transaction.
+       * @param {number[]} splits The receiver's shares of the split ruling options, in basis points.
+       * @returns {number} The ID of the transaction.
+       */
+      async function createTransaction(escrow, value = amount, splits = []) {
+        if (variant.token)
+          await token.approve(escrow.address, value, { from: sender })
+        const { logs } = await escrow.createTransaction(
+          value,
+          variant.token ? token.address : 0x0,
+          timeoutPayment,
+          receiver,
+          variant.fee ? feeRecipient : 0x0,
+          variant.fee ? feeRecipientBasisPoint : 0,
+          Boolean(variant.appeals),
+          splits,
+          0x0,
+          0x0,
+          metaEvidenceUri,
+          { from: sender, value: variant.token ? 0 : value, gasPrice }
+        )
+
+        return logs
+          .find(log => log.event === 'TransactionCreated')
+          .args._transactionID.toNumber()
+      }
+
+      /**
+       * Get the balances of an account, in ETH and in the asset of the variant.
+       * @param {string} account The account.
+       * @returns {object} The `eth` and `asset` balances. `asset` is the ETH balance for ETH transactions.
+       */
+      async function getBalances(account) {
+        const eth = web3.eth.getBalance(account)
+        return {
+          eth,
+          asset: variant.token ? await token.balanceOf(account) : eth
+        }
+      }
+
+      /**
+       * Execute an action and check the balance changes it caused.
+       * @param {function} action The action.
+       * @param {object} deltas The expected changes, by account, as `{ eth, asset }`. Arbitration fees are in `eth`, amounts of the transaction in `asset`.
+       */
+      async function expectBalanceChanges(action, deltas) {
+        const accountsToCheck = Object.keys(deltas)
+        const before = {}
+        for (const account of accountsToCheck)
+          before[account] = await getBalances(account)
+
+        await action()
+
+        for (const account of accountsToCheck) {
+          const after = await getBalances(account)
+          const { eth = 0, asset = 0 } = deltas[account]
+          if (variant.token) {
+            assert.equal(
+              after.eth.toString(),
+              before[account].eth.plus(eth).toString(),
+              `Wrong ETH balance change of ${account}.`
+            )
+            assert.equal(
+              after.asset.toString(),
+              before[account].asset.plus(asset).toString(),
+              `Wrong token balance change of ${account}.`
+            )
+          } else
+            assert.equal(
+              after.eth.toString(),
+              before[account].eth.plus(eth + asset).toString(),
+              `Wrong ETH balance change of ${account}.`
+            )
+        }
+      }
+
+      /**
+       * Have both parties pay the arbitration fee, creating a dispute.
+       * @param {object} escrow The escrow.
+       * @param {number} transactionID The ID of the transaction.
+       */
+      async function raiseDispute(escrow, transactionID) {
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+      }
+
+      beforeEach('mint tokens to the sender', async () => {
+        token = await ERC20Mock.new(sender, amount * 10)
+      })
+
+      it('Should handle 1 transaction for payout', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        assert.equal((await escrow.transactions(transactionID))[2], amount)
+
+        await expectBalanceChanges(
+          () => escrow.pay(transactionID, amount, { from: sender, gasPrice }),
+          {
+            [receiver]: { asset: amount - feeOf(amount) },
+            [feeRecipient]: { asset: feeOf(amount) },
+            [escrow.address]: { asset: -amount }
+          }
+        )
+        assert.equal(
+          (await escrow.transactions(transactionID))[2].toNumber(),
+          0,
+          'Amount not updated correctly'
+        )
+      })
+
+      it('Should emit TransactionCreated', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        const events = await new Promise((resolve, reject) =>
+          escrow
+            .TransactionCreated({}, { fromBlock: 0, toBlock: 'latest' })
+            .get((err, logs) => (err ? reject(err) : resolve(logs)))
+        )
+        assert.equal(events.length, 1)
+        assert.equal(events[0].args._transactionID.toNumber(), transactionID)
+        assert.equal(events[0].args._sender, sender)
+        assert.equal(events[0].args._receiver, receiver)
+        assert.equal(
+          events[0].args._token,
+          variant.token
+            ? token.address
+            : '0x0000000000000000000000000000000000000000'
+        )
+        assert.equal(events[0].args._amount.toNumber(), amount)
+      })
+
+      it('Should handle 1 transaction for reimburse', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.reimburse(transactionID, amount, {
+              from: receiver,
+              gasPrice
+            }),
+          { [sender]: { asset: amount }, [escrow.address]: { asset: -amount } }
+        )
+        assert.equal((await escrow.transactions(transactionID))[2], 0)
+      })
+
+      it('Should handle 3 transaction', async () => {
+        const { escrow } = await setupContracts()
+        for (let i = 0; i < 3; i++) {
+          const transactionID = await createTransaction(escrow)
+          assert.equal(transactionID, i)
+          await expectBalanceChanges(
+            () =>
+              escrow.reimburse(transactionID, amount, {
+                from: receiver,
+                gasPrice
+              }),
+            { [sender]: { asset: amount } }
+          )
+        }
+        assert.equal((await escrow.getCountTransactions()).toNumber(), 3)
+        assert.deepEqual(
+          (await escrow.getTransactionIDsByAddress(receiver)).map(id =>
+            id.toNumber()
+          ),
+          [0, 1, 2]
+        )
+      })
+
+      it('Should fail creating a transaction without the right payment', async () => {
+        const { escrow } = await setupContracts()
+        const args = [
+          amount,
+          variant.token ? token.address : 0x0,
+          timeoutPayment,
+          receiver,
+          0x0,
+          0,
+          Boolean(variant.appeals),
+          [],
+          0x0,
+          0x0,
+          metaEvidenceUri
+        ]
+
+        if (variant.token) {
+          // The token amount is not approved.
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, { from: sender })
+          )
+          await token.approve(escrow.address, amount, { from: sender })
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, { from: sender, value: amount })
+          )
+        } else
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, {
+              from: sender,
+              value: amount - 1
+            })
+          )
+
+        args[4] = feeRecipient
+        args[5] = 10001
+        await shouldFail.reverting(
+          escrow.createTransaction(...args, {
+            from: sender,
+            value: variant.token ? 0 : amount
+          })
+        )
+        args[5] = 0
+        args[7] = [5000, 10001]
+        await shouldFail.reverting(
+          escrow.createTransaction(...args, {
+            from: sender,
+            value: variant.token ? 0 : amount
+          })
+        )
+      })
+
+      it('Should reimburse partially to the sender', async () => {
+        const { escrow } = await setupContracts(0)
+        const transactionID = await createTransaction(escrow)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.reimburse(transactionID, 507, { from: receiver, gasPrice }),
+          { [sender]: { asset: 507 }, [escrow.address]: { asset: -507 } }
+        )
+        assert.equal((await escrow.transactions(transactionID))[2], 493)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.reimburse(transactionID, 493, { from: receiver, gasPrice }),
+          { [sender]: { asset: 493 }, [escrow.address]: { asset: -493 } }
+        )
+        assert.equal((await escrow.transactions(transactionID))[2], 0)
+      })
+
+      it('Should fail if the receiver tries to reimburse more than the amount', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await shouldFail.reverting(
+          escrow.reimburse(transactionID, amount + 1, { from: receiver })
+        )
+      })
+
+      it('Should fail if the sender tries to reimburse it', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await shouldFail.reverting(
+          escrow.reimburse(transactionID, amount, { from: sender })
+        )
+      })
+
+      it('The receiver should execute the transaction after the timeout', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await time.increase(timeoutPayment + 1)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.executeTransaction(transactionID, {
+              from: receiver,
+              gasPrice
+            }),
+          {
+            [receiver]: { asset: amount - feeOf(amount) },
+            [feeRecipient]: { asset: feeOf(amount) },
+            [escrow.address]: { asset: -amount }
+          }
+        )
+        assert.equal(
+          (await escrow.transactions(transactionID))[9].toNumber(),
+          4,
+          'The transaction should be resolved.'
+        )
+      })
+
+      it('Should not execute the transaction before the timeout', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await shouldFail.reverting(
+          escrow.executeTransaction(transactionID, { from: receiver })
+        )
+        await shouldFail.reverting(
+          escrow.executeTransaction(transactionID, { from: sender })
+        )
+      })
+
+      it('Should not pay or reimburse when there is a dispute', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await shouldFail.reverting(
+          escrow.pay(transactionID, amount, { from: sender })
+        )
+        await shouldFail.reverting(
+          escrow.reimburse(transactionID, amount, { from: receiver })
+        )
+      })
+
+      it('Should reimburse the sender (including arbitration fee) when the arbitrator decides so', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 1, { from: arbitrator }),
+          {
+            [sender]: { eth: arbitrationFee, asset: amount },
+            [receiver]: {},
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+        assert.equal((await escrow.transactions(transactionID))[10], 1)
+      })
+
+      it('Should pay the receiver and reimburse him the arbitration fee when the arbitrator decides so', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+          {
+            [sender]: {},
+            [receiver]: {
+              eth: arbitrationFee,
+              asset: amount - feeOf(amount)
+            },
+            [feeRecipient]: { asset: feeOf(amount) },
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+        assert.equal((await escrow.transactions(transactionID))[10], 2)
+      })
+
+      it('Should split the amount if there is no ruling', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 0, { from: arbitrator }),
+          {
+            [sender]: { eth: arbitrationFee / 2, asset: amount / 2 },
+            [receiver]: {
+              eth: arbitrationFee / 2,
+              asset: amount / 2 - feeOf(amount / 2)
+            },
+            [feeRecipient]: { asset: feeOf(amount / 2) },
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+      })
+
+      it('Should split the amount and the arbitration fee according to a split ruling', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow, amount, [
+          2500,
+          7000
+        ])
+        assert.deepEqual(
+          (await escrow.getSplits(transactionID)).map(split =>
+            split.toNumber()
+          ),
+          [2500, 7000]
+        )
+        await raiseDispute(escrow, transactionID)
+        assert.equal(
+          (await arbitratorContract.disputes(0))[1].toNumber(),
+          4,
+          'The dispute should have the split ruling options.'
+        )
+        await shouldFail.reverting(
+          arbitratorContract.giveRuling(0, 5, { from: arbitrator })
+        )
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 4, { from: arbitrator }),
+          {
+            [sender]: {
+              eth: (arbitrationFee * 3) / 10,
+              asset: (amount * 3) / 10
+            },
+            [receiver]: {
+              eth: (arbitrationFee * 7) / 10,
+              asset: (amount * 7) / 10 - feeOf((amount * 7) / 10)
+            },
+            [feeRecipient]: { asset: feeOf((amount * 7) / 10) },
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+        assert.equal((await escrow.transactions(transactionID))[10], 4)
+      })
+
+      it('Should refund overpaid arbitration fee for sender', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        const extraAmount = 100
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee + extraAmount,
+          gasPrice
+        })
+
+        await expectBalanceChanges(
+          () =>
+            escrow.payArbitrationFeeBySender(transactionID, {
+              from: sender,
+              value: arbitrationFee,
+              gasPrice
+            }),
+          {
+            [sender]: { eth: -arbitrationFee },
+            [receiver]: { eth: extraAmount }
+          }
+        )
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+          {
+            [sender]: {},
+            [receiver]: { eth: arbitrationFee, asset: amount - feeOf(amount) }
+          }
+        )
+      })
+
+      it('Should change status to WaitingReceiver after the arbitration cost increase', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee
+        })
+        assert.equal(
+          (await escrow.transactions(transactionID))[9].toNumber(),
+          1, // `Status.WaitingSender == 1`
+          'The transaction did not change correctly to new status: `Status.WaitingSender`'
+        )
+
+        await arbitratorContract.setArbitrationPrice(arbitrationFee + 42, {
+          from: arbitrator
+        })
+        const { logs } = await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee + 42
+        })
+        assert.equal(
+          (await escrow.transactions(transactionID))[9].toNumber(),
+          2, // `Status.WaitingReceiver == 2`
+          'The transaction did not change correctly to new status: `Status.WaitingReceiver`'
+        )
+        assert.equal(logs[0].event, 'HasToPayFee')
+        assert.equal(logs[0].args._party.toNumber(), 2)
+      })
+
+      it('Should split correctly the arbitration cost after the arbitration cost increase', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await arbitratorContract.setArbitrationPrice(arbitrationFee + 42, {
+          from: arbitrator
+        })
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee + 42,
+          gasPrice
+        })
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: 42 + 10, // Pay the rest of arbitration fee with an extra to test also the refund in this case
+          gasPrice
+        })
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 0, { from: arbitrator }),
+          {
+            [sender]: { eth: 31, asset: amount / 2 },
+            [receiver]: {
+              eth: 31,
+              asset: amount / 2 - feeOf(amount / 2)
+            },
+            [feeRecipient]: { asset: feeOf(amount / 2) }
+          }
+        )
+        assert.equal(
+          web3.eth.getBalance(escrow.address).toNumber(),
+          0,
+          'The ETH amount in the contract is not 0'
+        )
+        if (variant.token)
+          assert.equal((await token.balanceOf(escrow.address)).toNumber(), 0)
+      })
+
+      it('Should reimburse the sender in case of timeout of the receiver', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await time.increase(feeTimeout + 1)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.timeOutBySender(transactionID, { from: sender, gasPrice }),
+          {
+            [sender]: { eth: arbitrationFee, asset: amount },
+            [receiver]: {},
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+      })
+
+      it("Shouldn't work before timeout for the sender", async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await shouldFail.reverting(
+          escrow.timeOutBySender(transactionID, { from: sender })
+        )
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee
+        })
+        await time.increase(1)
+        await shouldFail.reverting(
+          escrow.timeOutBySender(transactionID, { from: sender })
+        )
+      })
+
+      it('Should pay and reimburse the receiver in case of timeout of the sender', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await time.increase(feeTimeout + 1)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.timeOutByReceiver(transactionID, {
+              from: receiver,
+              gasPrice
+            }),
+          {
+            [sender]: {},
+            [receiver]: { eth: arbitrationFee, asset: amount - feeOf(amount) },
+            [feeRecipient]: { asset: feeOf(amount) }
+          }
+        )
+      })
+
+      it("Shouldn't work before timeout for the receiver", async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        await shouldFail.reverting(
+          escrow.timeOutByReceiver(transactionID, { from: receiver })
+        )
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee
+        })
+        await time.increase(1)
+        await shouldFail.reverting(
+          escrow.timeOutByReceiver(transactionID, { from: receiver })
+        )
+      })
+
+      it('Should create events when evidence is submitted by the parties', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        for (const party of [sender, receiver]) {
+          const { logs } = await escrow.submitEvidence(
+            transactionID,
+            'ipfs:/X',
+            { from: party }
+          )
+          assert.equal(logs[0].event, 'Evidence')
+          assert.equal(logs[0].args._arbitrator, arbitratorContract.address)
+          assert.equal(logs[0].args._party, party)
+          assert.equal(logs[0].args._evidence, 'ipfs:/X')
+        }
+      })
+
+      it('Should fail if someone else try to submit', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await shouldFail.reverting(
+          escrow.submitEvidence(transactionID, 'ipfs:/X', { from: other })
+        )
+      })
+
+      it('Should handle multiple transactions concurrently', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID1 = await createTransaction(escrow)
+        const transactionID2 = await createTransaction(escrow)
+
+        await escrow.payArbitrationFeeByReceiver(transactionID2, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await escrow.payArbitrationFeeBySender(transactionID1, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+        // This generates transaction 1 dispute 0.
+        await escrow.payArbitrationFeeByReceiver(transactionID1, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        // This generates transaction 2 dispute 1.
+        await escrow.payArbitrationFeeBySender(transactionID2, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 1, { from: arbitrator }),
+          { [sender]: { eth: arbitrationFee, asset: amount }, [receiver]: {} }
+        )
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(1, 2, { from: arbitrator }),
+          {
+            [sender]: {},
+            [receiver]: { eth: arbitrationFee, asset: amount - feeOf(amount) }
+          }
+        )
+      })
+
+      /*
+      Vulnerability low: It is possible to come back to ‘WaitingForX’ status if the
+      arbitration fee increases after the dispute is created. Check that the fees
+      cannot be paid again once the dispute is raised.
+      */
+      it('vulnerability: payArbitrationFeeByX again after dispute raised', async () => {
+        const { arbitratorContract, escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await raiseDispute(escrow, transactionID)
+
+        await arbitratorContract.setArbitrationPrice(arbitrationFee + 1, {
+          from: arbitrator
+        })
+        await shouldFail.reverting(
+          escrow.payArbitrationFeeByReceiver(transactionID, {
+            from: receiver,
+            value: arbitrationFee + 1
+          })
+        )
+        await shouldFail.reverting(
+          escrow.payArbitrationFeeBySender(transactionID, {
+            from: sender,
+            value: arbitrationFee + 1
+          })
+        )
+      })
+
+      it('Should execute a settlement offer once it is accepted', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+
+        let { logs } = await escrow.proposeSettlement(transactionID, 600, {
+          from: receiver
+        })
+        assert.equal(logs[0].event, 'SettlementProposed')
+        assert.equal(logs[0].args._party.toNumber(), 2)
+        assert.equal(logs[0].args._amountToReceiver.toNumber(), 600)
+        await shouldFail.reverting(
+          escrow.acceptSettlement(transactionID, 600, { from: receiver })
+        )
+        await shouldFail.reverting(
+          escrow.proposeSettlement(transactionID, 500, { from: other })
+        )
+        await shouldFail.reverting(
+          escrow.proposeSettlement(transactionID, amount + 1, { from: sender })
+        )
+
+        // Counter offer.
+        ;({ logs } = await escrow.proposeSettlement(transactionID, 400, {
+          from: sender
+        }))
+        assert.equal(logs[0].args._party.toNumber(), 1)
+        await shouldFail.reverting(
+          escrow.acceptSettlement(transactionID, 600, { from: receiver })
+        )
+
+        await expectBalanceChanges(
+          async () => {
+            ;({ logs } = await escrow.acceptSettlement(transactionID, 400, {
+              from: receiver,
+              gasPrice
+            }))
+          },
+          {
+            [sender]: { asset: amount - 400 },
+            [receiver]: { asset: 400 - feeOf(400) },
+            [feeRecipient]: { asset: feeOf(400) },
+            [escrow.address]: { asset: -amount }
+          }
+        )
+        const accepted = logs.find(log => log.event === 'SettlementAccepted')
+        assert.equal(accepted.args._party.toNumber(), 2)
+        assert.equal(accepted.args._amountToReceiver.toNumber(), 400)
+        assert.equal(
+          (await escrow.transactions(transactionID))[9].toNumber(),
+          4
+        )
+        await shouldFail.reverting(
+          escrow.proposeSettlement(transactionID, 0, { from: sender })
+        )
+      })
+
+      it('Should reimburse the arbitration fees paid when a settlement is accepted', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await escrow.proposeSettlement(transactionID, amount / 2, {
+          from: receiver
+        })
+
+        await expectBalanceChanges(
+          () =>
+            escrow.acceptSettlement(transactionID, amount / 2, {
+              from: sender,
+              gasPrice
+            }),
+          {
+            [sender]: { eth: arbitrationFee, asset: amount / 2 },
+            [receiver]: { asset: amount / 2 - feeOf(amount / 2) },
+            [escrow.address]: { eth: -arbitrationFee, asset: -amount }
+          }
+        )
+      })
+
+      it('Should not time out a party while a settlement offer is pending', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee
+        })
+        await escrow.proposeSettlement(transactionID, amount / 2, {
+          from: receiver
+        })
+        assert.isTrue(await escrow.isSettlementPending(transactionID))
+
+        await time.increase(feeTimeout + 1)
+        await shouldFail.reverting(
+          escrow.timeOutBySender(transactionID, { from: sender })
+        )
+        await time.increase(settlementTimeout - feeTimeout)
+        assert.isFalse(await escrow.isSettlementPending(transactionID))
+        await escrow.timeOutBySender(transactionID, { from: sender })
+        assert.equal((await escrow.transactions(transactionID))[10], 1)
+      })
+
+      it('Should not let a party avoid its timeout by making offers repeatedly', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee
+        })
+        await escrow.proposeSettlement(transactionID, amount, {
+          from: receiver
+        })
+
+        // Offers made after the first one do not extend its window.
+        await time.increase(settlementTimeout - 10)
+        await escrow.proposeSettlement(transactionID, amount, {
+          from: receiver
+        })
+        assert.isTrue(await escrow.isSettlementPending(transactionID))
+        await time.increase(11)
+        assert.isFalse(await escrow.isSettlementPending(transactionID))
+        await escrow.proposeSettlement(transactionID, amount, {
+          from: receiver
+        })
+        assert.isFalse(await escrow.isSettlementPending(transactionID))
+        await escrow.timeOutBySender(transactionID, { from: sender })
+        assert.equal((await escrow.transactions(transactionID))[10], 1)
+      })
+
+      it('Should not settle once a dispute is created', async () => {
+        const { escrow } = await setupContracts()
+        const transactionID = await createTransaction(escrow)
+        await escrow.proposeSettlement(transactionID, amount / 2, {
+          from: receiver
+        })
+        await raiseDispute(escrow, transactionID)
+
+        await shouldFail.reverting(
+          escrow.acceptSettlement(transactionID, amount / 2, { from: sender })
+        )
+        await shouldFail.reverting(
+          escrow.proposeSettlement(transactionID, amount / 2, { from: sender })
+        )
+      })
+
+      if (variant.fee) {
+        it('Should change to newFeeRecipient and emit the corresponding event', async () => {
+          const { escrow } = await setupContracts()
+          const transactionID = await createTransaction(escrow)
+
+          const { logs } = await escrow.changeFeeRecipient(
+            transactionID,
+            newFeeRecipient,
+            { from: feeRecipient }
+          )
+          assert.equal(logs[0].event, 'FeeRecipientChanged')
+          assert.equal(logs[0].args._transactionID.toNumber(), transactionID)
+          assert.equal(logs[0].args._oldFeeRecipient, feeRecipient)
+          assert.equal(logs[0].args._newFeeRecipient, newFeeRecipient)
+          assert.equal(
+            (await escrow.transactions(transactionID))[11],
+            newFeeRecipient
+          )
+
+          await time.increase(timeoutPayment + 1)
+          await expectBalanceChanges(
+            () => escrow.executeTransaction(transactionID, { from: receiver }),
+            {
+              [feeRecipient]: {},
+              [newFeeRecipient]: { asset: feeOf(amount) }
+            }
+          )
+        })
+
+        it('Only feeRecipient should be allowed to change to newFeeRecipient', async () => {
+          const { escrow } = await setupContracts()
+          const transactionID = await createTransaction(escrow)
+
+          await shouldFail.reverting(
+            escrow.changeFeeRecipient(transactionID, newFeeRecipient, {
+              from: other
+            })
+          )
+        })
+
+        it('Should emit FeeRecipientPayment', async () => {
+          const { escrow } = await setupContracts()
+          const transactionID = await createTransaction(escrow)
+          await time.increase(timeoutPayment + 1)
+
+          const { logs } = await escrow.executeTransaction(transactionID, {
+            from: receiver
+          })
+          assert.equal(logs[0].event, 'FeeRecipientPayment')
+          assert.equal(logs[0].args._transactionID.toNumber(), transactionID)
+          assert.equal(logs[0].args._amount.toNumber(), feeOf(amount))
+          assert.equal(
+            logs[0].args._token,
+            variant.token
+              ? token.address
+              : '0x0000000000000000000000000000000000000000'
+          )
+        })
+      }
+
+      if (!variant.appeals)
+        it('Should appeal directly to the arbitrator', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          await raiseDispute(escrow, transactionID)
+          await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 2, {
+              from: receiver,
+              value: arbitrationFee
+            })
+          )
+          await escrow.appeal(transactionID, {
+            from: receiver,
+            value: arbitrationFee
+          })
+          assert.equal(
+            (await arbitratorContract.disputeStatus(0)).toNumber(),
+            0,
+            'The dispute should be waiting for the appeal ruling.'
+          )
+
+          await arbitratorContract.giveRuling(1, 2, { from: arbitrator })
+          await time.increase(appealTimeout + 1)
+          await expectBalanceChanges(
+            () => arbitratorContract.giveRuling(1, 2, { from: arbitrator }),
+            {
+              [receiver]: {
+                eth: arbitrationFee,
+                asset: amount - feeOf(amount)
+              }
+            }
+          )
+        })
+
+      if (variant.appeals) {
+        it('Should not accept direct appeals', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          await raiseDispute(escrow, transactionID)
+          await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+
+          await shouldFail.reverting(
+            escrow.appeal(transactionID, {
+              from: receiver,
+              value: arbitrationFee
+            })
+          )
+        })
+
+        it('Should demand correct appeal fees and register that appeal fee has been paid', async () => {
+          let roundInfo
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          const MULTIPLIER_DIVISOR = (
+            await escrow.MULTIPLIER_DIVISOR()
+          ).toNumber()
+
+          await escrow.payArbitrationFeeByReceiver(transactionID, {
+            from: receiver,
+            value: arbitrationFee
+          })
+          // Check that can't fund if there is no dispute.
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 2, { from: receiver })
+          )
+          await escrow.payArbitrationFeeBySender(transactionID, {
+            from: sender,
+            value: arbitrationFee
+          })
+
+          // Change the fee to a higher value to check multiplier calculations.
+          const appealFee = 1000
+          await arbitratorContract.setArbitrationPrice(appealFee, {
+            from: arbitrator
+          })
+          // Check that can't fund the dispute that is not appealable.
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 2, { from: receiver })
+          )
+
+          await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+          const loserAppealFee =
+            appealFee + (appealFee * loserStakeMultiplier) / MULTIPLIER_DIVISOR // 1800.
+
+          // Check that can't fund 0 side.
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 0, { from: receiver })
+          )
+
+          const fundTx = await escrow.fundAppeal(transactionID, 2, {
+            from: receiver,
+            value: 1e18 // Deliberately overpay to check that only required fee amount will be registered.
+          })
+          assert.equal(fundTx.logs[0].event, 'HasPaidAppealFee')
+          assert.equal(
+            fundTx.logs[0].args._transactionID.toNumber(),
+            transactionID
+          )
+          assert.equal(fundTx.logs[0].args._party.toNumber(), 2)
+
+          roundInfo = await escrow.getRoundInfo(transactionID, 0)
+          assert.equal(
+            roundInfo[0][2].toNumber(),
+            loserAppealFee,
+            'Registered fee of the receiver is incorrect'
+          )
+          assert.isTrue(roundInfo[1][2])
+          assert.equal(roundInfo[0][1].toNumber(), 0)
+          assert.isFalse(roundInfo[1][1])
+
+          // Check that it's not possible to fund appeal after funding has been registered.
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 2, {
+              from: receiver,
+              value: loserAppealFee
+            })
+          )
+
+          const winnerAppealFee =
+            appealFee + (appealFee * winnerStakeMultiplier) / MULTIPLIER_DIVISOR // 1200.
+
+          // Increase time to make sure winner can pay in 2nd half.
+          await time.increase(appealTimeout / 2 + 1)
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: 3e18 // Deliberately overpay to check that only required fee amount will be registered.
+          })
+
+          roundInfo = await escrow.getRoundInfo(transactionID, 0)
+          assert.equal(
+            roundInfo[0][1].toNumber(),
+            winnerAppealFee,
+            'Registered fee of the sender is incorrect'
+          )
+          assert.isTrue(roundInfo[1][1])
+          assert.equal(
+            roundInfo[2].toNumber(),
+            winnerAppealFee + loserAppealFee - appealFee, // 2000.
+            'Incorrect fee rewards value'
+          )
+
+          // If both sides pay their fees it starts new appeal round. Check that both sides have their value set to default.
+          roundInfo = await escrow.getRoundInfo(transactionID, 1)
+          assert.isFalse(roundInfo[1][1])
+          assert.isFalse(roundInfo[1][2])
+        })
+
+        it('Should not be possible for loser to fund appeal if first half of appeal period has passed', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          await raiseDispute(escrow, transactionID)
+
+          await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+          await time.increase(appealTimeout / 2 + 1)
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 2, { from: receiver, value: 1e18 })
+          )
+        })
+
+        it('Should not be possible for winner to fund appeal if appeal period has passed', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          await raiseDispute(escrow, transactionID)
+
+          await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+          await time.increase(appealTimeout + 1)
+          await shouldFail.reverting(
+            escrow.fundAppeal(transactionID, 1, { from: sender, value: 1e18 })
+          )
+        })
+
+        it('Should change the ruling if loser paid appeal fee while winner did not', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          await raiseDispute(escrow, transactionID)
+
+          await arbitratorContract.giveRuling(0, 2, { from: arbitrator })
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: 3e18
+          })
+          await time.increase(appealTimeout + 1)
+
+          await expectBalanceChanges(
+            () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+            { [sender]: { eth: arbitrationFee, asset: amount } }
+          )
+          assert.equal(
+            (await escrow.transactions(transactionID))[10].toNumber(),
+            1,
+            'The ruling of the transaction is incorrect'
+          )
+        })
+
+        it('Should withdraw correct fees if dispute had winner/loser', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          const MULTIPLIER_DIVISOR = (
+            await escrow.MULTIPLIER_DIVISOR()
+          ).toNumber()
+          await raiseDispute(escrow, transactionID)
+
+          // Change the fee to a higher value to check multiplier calculations.
+          const appealFee = 1000
+          await arbitratorContract.setArbitrationPrice(appealFee, {
+            from: arbitrator
+          })
+          await arbitratorContract.giveRuling(0, 2, { from: arbitrator })
+
+          const loserAppealFee =
+            appealFee + (appealFee * loserStakeMultiplier) / MULTIPLIER_DIVISOR // 1800.
+          await escrow.fundAppeal(transactionID, 1, {
+            from: other,
+            value: loserAppealFee * 0.75
+          })
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: 2e18
+          })
+
+          const winnerAppealFee =
+            appealFee + (appealFee * winnerStakeMultiplier) / MULTIPLIER_DIVISOR // 1200.
+          await escrow.fundAppeal(transactionID, 2, {
+            from: other,
+            value: 0.2 * winnerAppealFee
+          })
+          await escrow.fundAppeal(transactionID, 2, {
+            from: receiver,
+            value: winnerAppealFee
+          })
+          const roundInfo = await escrow.getRoundInfo(transactionID, 0)
+
+          await arbitratorContract.giveRuling(1, 2, { from: arbitrator })
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: loserAppealFee / 2
+          })
+          await time.increase(appealTimeout + 1)
+          await shouldFail.reverting(
+            escrow.withdrawFeesAndRewards(sender, transactionID, 0, {
+              from: arbitrator
+            })
+          )
+          await arbitratorContract.giveRuling(1, 2, { from: arbitrator })
+
+          assert.equal(
+            (await escrow.amountWithdrawable(transactionID, sender)).toNumber(),
+            900,
+            'Sender has incorrect withdrawable amount'
+          )
+          assert.equal(
+            (
+              await escrow.amountWithdrawable(transactionID, receiver)
+            ).toNumber(),
+            1600,
+            'Receiver has incorrect withdrawable amount'
+          )
+          assert.equal(
+            (await escrow.amountWithdrawable(transactionID, other)).toNumber(),
+            400,
+            'Crowdfunder has incorrect withdrawable amount'
+          )
+
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(sender, transactionID, 0, {
+                from: arbitrator
+              }),
+            { [sender]: {} }
+          )
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(sender, transactionID, 1, {
+                from: arbitrator
+              }),
+            { [sender]: { eth: loserAppealFee / 2 } }
+          )
+          await expectBalanceChanges(
+            () =>
+              escrow.batchRoundWithdraw(receiver, transactionID, 0, 0, {
+                from: arbitrator
+              }),
+            { [receiver]: { eth: 0.8 * roundInfo[2] } }
+          )
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(other, transactionID, 0, {
+                from: arbitrator
+              }),
+            { [other]: { eth: 0.2 * roundInfo[2] } }
+          )
+
+          for (const contributor of [sender, receiver, other])
+            assert.equal(
+              (
+                await escrow.amountWithdrawable(transactionID, contributor)
+              ).toNumber(),
+              0,
+              'Contributors should have nothing left to withdraw'
+            )
+        })
+
+        it('Should share the appeal fees of split rulings like refusals to arbitrate', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow, amount, [5000])
+          const MULTIPLIER_DIVISOR = (
+            await escrow.MULTIPLIER_DIVISOR()
+          ).toNumber()
+          await raiseDispute(escrow, transactionID)
+
+          const appealFee = 1000
+          await arbitratorContract.setArbitrationPrice(appealFee, {
+            from: arbitrator
+          })
+          await arbitratorContract.giveRuling(0, 3, { from: arbitrator })
+
+          // Neither side lost, so both can pay the shared fee after the first half of the appeal period.
+          await time.increase(appealTimeout / 2 + 1)
+          const sharedAppealFee =
+            appealFee + (appealFee * sharedStakeMultiplier) / MULTIPLIER_DIVISOR // 1500.
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: sharedAppealFee
+          })
+          await escrow.fundAppeal(transactionID, 2, {
+            from: receiver,
+            value: sharedAppealFee
+          })
+          const roundInfo = await escrow.getRoundInfo(transactionID, 0)
+          assert.equal(roundInfo[0][1].toNumber(), sharedAppealFee)
+          assert.equal(roundInfo[0][2].toNumber(), sharedAppealFee)
+
+          await arbitratorContract.giveRuling(1, 3, { from: arbitrator })
+          await time.increase(appealTimeout + 1)
+          await arbitratorContract.giveRuling(1, 3, { from: arbitrator })
+
+          for (const party of [sender, receiver])
+            assert.equal(
+              (
+                await escrow.amountWithdrawable(transactionID, party)
+              ).toNumber(),
+              roundInfo[2].toNumber() / 2
+            )
+        })
+
+        it('Should withdraw correct fees if arbitrator refused to arbitrate', async () => {
+          const { arbitratorContract, escrow } = await setupContracts(true)
+          const transactionID = await createTransaction(escrow)
+          const MULTIPLIER_DIVISOR = (
+            await escrow.MULTIPLIER_DIVISOR()
+          ).toNumber()
+          await raiseDispute(escrow, transactionID)
+
+          // Change the fee to a higher value to check multiplier calculations.
+          const appealFee = 1000
+          await arbitratorContract.setArbitrationPrice(appealFee, {
+            from: arbitrator
+          })
+          await arbitratorContract.giveRuling(0, 0, { from: arbitrator })
+
+          const sharedAppealFee =
+            appealFee + (appealFee * sharedStakeMultiplier) / MULTIPLIER_DIVISOR // 1500.
+          await escrow.fundAppeal(transactionID, 1, {
+            from: other,
+            value: 0.4 * sharedAppealFee
+          })
+          await escrow.fundAppeal(transactionID, 1, {
+            from: sender,
+            value: 2e18
+          })
+          await escrow.fundAppeal(transactionID, 2, {
+            from: other,
+            value: 0.2 * sharedAppealFee
+          })
+          await escrow.fundAppeal(transactionID, 2, {
+            from: receiver,
+            value: sharedAppealFee
+          })
+          const roundInfo = await escrow.getRoundInfo(transactionID, 0)
+
+          await arbitratorContract.giveRuling(1, 0, { from: arbitrator })
+          await time.increase(appealTimeout + 1)
+          await arbitratorContract.giveRuling(1, 0, { from: arbitrator })
+
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(sender, transactionID, 0, {
+                from: arbitrator
+              }),
+            { [sender]: { eth: 0.3 * roundInfo[2] } }
+          )
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(receiver, transactionID, 0, {
+                from: arbitrator
+              }),
+            { [receiver]: { eth: 0.4 * roundInfo[2] } }
+          )
+          await expectBalanceChanges(
+            () =>
+              escrow.withdrawFeesAndRewards(other, transactionID, 0, {
+                from: arbitrator
+              }),
+            { [other]: { eth: 0.3 * roundInfo[2] } }
+          )
+        })
+      }
+    })
+  describe('per-transaction arbitrators', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let escrow
+
+    /**
+     * Create an ETH transaction from the sender to the receiver.
+     * @param {string} transactionArbitrator The arbitrator of the transaction, 0x0 for the default one.
+     * @param {string} extraData The extra data for the arbitrator of the transaction.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(transactionArbitrator, extraData = 0x0) {
+      const { logs } = await escrow.createTransaction(
+        amount,
+        0x0,
+        timeoutPayment,
+        receiver,
+        0x0,
+        0,
+        false,
+        [],
+        transactionArbitrator,
+        extraData,
+        metaEvidenceUri,
+        { from: sender, value: amount, gasPrice }
+      )
+
+      return logs
+        .find(log => log.event === 'TransactionCreated')
+        .args._transactionID.toNumber()
+    }
+
+    /**
+     * Have both parties pay the arbitration fee, creating a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of the arbitrator of the transaction.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await escrow.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee,
+        gasPrice
+      })
+      await escrow.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee,
+        gasPrice
+      })
+    }
+
+    beforeEach('deploy the escrow and two arbitrators', async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      escrow = await MultipleArbitrableAssetTransaction.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        settlementTimeout,
+        sharedStakeMultiplier,
+        winnerStakeMultiplier,
+        loserStakeMultiplier,
+        chainId,
+        { from: sender }
+      )
+    })
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      const transactionID = await createTransaction(0x0, '0x1234')
+      const setting = await escrow.arbitrationSettings(transactionID)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await shouldFail.reverting(
+        escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const { logs } = await escrow.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await escrow.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await escrow.setArbitratorAllowed(courtArbitrator.address, false, {
+        from: governor
+      })
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await escrow.transactions(transactionID))[9].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await shouldFail.reverting(escrow.changeGovernor(other, { from: other }))
+      await escrow.changeGovernor(other, { from: governor })
+      assert.equal(await escrow.governor(), other)
+      await shouldFail.reverting(
+        escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: other
+      })
+      assert.isTrue(await escrow.allowedArbitrators(courtArbitrator.address))
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: governor
+      })
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await escrow.disputeIDtoTransactionID(defaultArbitrator.address, 0)
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await escrow.disputeIDtoTransactionID(courtArbitrator.address, 0)
+        ).toNumber(),
+        courtTransactionID
+      )
+      await shouldFail.reverting(escrow.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await escrow.transactions(courtTransactionID))[10].toNumber(),
+        2
+      )
+      assert.equal(
+        (await escrow.transactions(defaultTransactionID))[9].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (await escrow.transactions(defaultTransactionID))[10].toNumber(),
+        1
+      )
+      assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 0)
+    })
+
+    it('Should submit evidence to the arbitrator of the transaction', async () => {
+      await escrow.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: governor
+      })
+      const transactionID = await createTransaction(courtArbitrator.address)
+      await raiseDispute(transactionID, arbitrationFee * 2)
+
+      const disputes = await new Promise((resolve, reject) =>
+        escrow
+          .Dispute({}, { fromBlock: 0, toBlock: 'latest' })
+          .get((err, events) => (err ? reject(err) : resolve(events)))
+      )
+      assert.equal(disputes[0].args._arbitrator, courtArbitrator.address)
+      const { logs } = await escrow.submitEvidence(transactionID, 'ipfs:/X', {
+        from: sender
+      })
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+    })
+  })
+})
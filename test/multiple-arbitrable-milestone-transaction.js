@@ -0,0 +1,313 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+const { expectBalanceChanges } = require('./helpers/balances')
+
+const MultipleArbitrableMilestoneTransaction = artifacts.require(
+  'MultipleArbitrableMilestoneTransaction'
+)
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const TransactionsView = artifacts.require('TransactionsView')
+
+contract('MultipleArbitrableMilestoneTransaction', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const other = accounts[3]
+  const feeTimeout = 100
+  const arbitrationFee = 20
+  const amounts = [100, 200, 300]
+  const metaEvidenceUri = 'https://kleros.io'
+  // Party transactions are sent without gas cost, so balances only move by the amounts under test.
+  const gasPrice = 0
+
+  let arbitratorContract
+  let escrow
+  let deadlines
+
+  /**
+   * Have both parties pay the arbitration fee of a milestone, creating a dispute.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {number} milestoneID The ID of the milestone.
+   */
+  async function raiseDispute(transactionID, milestoneID) {
+    await escrow.payArbitrationFeeByReceiver(transactionID, milestoneID, {
+      from: receiver,
+      value: arbitrationFee,
+      gasPrice
+    })
+    await escrow.payArbitrationFeeBySender(transactionID, milestoneID, {
+      from: sender,
+      value: arbitrationFee,
+      gasPrice
+    })
+  }
+
+  beforeEach('create a transaction with three milestones', async () => {
+    arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+      from: arbitrator
+    })
+    escrow = await MultipleArbitrableMilestoneTransaction.new(
+      arbitratorContract.address,
+      0x0,
+      feeTimeout,
+      { from: sender }
+    )
+    const now = await time.latest()
+    deadlines = [now + 1000, now + 2000, now + 3000]
+    await escrow.createTransaction(
+      amounts,
+      deadlines,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: 600, gasPrice }
+    )
+  })
+
+  it('Should create a transaction with its milestones', async () => {
+    const events = await new Promise((resolve, reject) =>
+      escrow
+        .TransactionCreated({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, logs) => (err ? reject(err) : resolve(logs)))
+    )
+    assert.equal(events[0].args._transactionID.toNumber(), 0)
+    assert.equal(events[0].args._sender, sender)
+    assert.equal(events[0].args._receiver, receiver)
+    assert.equal(events[0].args._amount.toNumber(), 600)
+    assert.equal(events[0].args._milestoneCount.toNumber(), 3)
+
+    assert.equal((await escrow.getCountMilestones(0)).toNumber(), 3)
+    for (let i = 0; i < 3; i++) {
+      const milestone = await escrow.getMilestone(0, i)
+      assert.equal(milestone[0].toNumber(), amounts[i])
+      assert.equal(milestone[1].toNumber(), deadlines[i])
+      assert.equal(milestone[6].toNumber(), 0, 'Status should be NoDispute.')
+    }
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 600)
+  })
+
+  it('Should not create invalid transactions', async () => {
+    // Wrong value.
+    await shouldFail.reverting(
+      escrow.createTransaction(amounts, deadlines, receiver, '', {
+        from: sender,
+        value: 599
+      })
+    )
+    // Missing deadline.
+    await shouldFail.reverting(
+      escrow.createTransaction(amounts, deadlines.slice(1), receiver, '', {
+        from: sender,
+        value: 600
+      })
+    )
+    // No milestones.
+    await shouldFail.reverting(
+      escrow.createTransaction([], [], receiver, '', { from: sender })
+    )
+    // Unordered deadlines.
+    await shouldFail.reverting(
+      escrow.createTransaction(amounts, deadlines.reverse(), receiver, '', {
+        from: sender,
+        value: 600
+      })
+    )
+  })
+
+  it('Should release and reimburse milestones on their own', async () => {
+    await expectBalanceChanges(
+      () => escrow.pay(0, 1, 150, { from: sender, gasPrice }),
+      { [receiver]: 150, [escrow.address]: -150 }
+    )
+    await expectBalanceChanges(
+      () => escrow.reimburse(0, 1, 50, { from: receiver, gasPrice }),
+      { [sender]: 50, [escrow.address]: -50 }
+    )
+    assert.equal((await escrow.getMilestone(0, 0))[0].toNumber(), 100)
+    assert.equal((await escrow.getMilestone(0, 1))[0].toNumber(), 0)
+    assert.equal((await escrow.getMilestone(0, 2))[0].toNumber(), 300)
+
+    await shouldFail.reverting(escrow.pay(0, 0, 101, { from: sender }))
+    await shouldFail.reverting(escrow.pay(0, 0, 100, { from: receiver }))
+    await shouldFail.reverting(escrow.reimburse(0, 2, 300, { from: sender }))
+  })
+
+  it('Should execute each milestone at its own deadline', async () => {
+    await shouldFail.reverting(escrow.executeMilestone(0, 0, { from: other }))
+
+    await time.increase(1001)
+    await expectBalanceChanges(
+      () => escrow.executeMilestone(0, 0, { from: other }),
+      { [receiver]: 100 }
+    )
+    assert.equal((await escrow.getMilestone(0, 0))[6].toNumber(), 4)
+    await shouldFail.reverting(escrow.executeMilestone(0, 1, { from: other }))
+
+    await time.increase(1000)
+    await expectBalanceChanges(
+      () => escrow.executeMilestone(0, 1, { from: other }),
+      { [receiver]: 200 }
+    )
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 300)
+  })
+
+  it('Should not freeze the other milestones during a dispute', async () => {
+    await escrow.pay(0, 0, 100, { from: sender })
+    await raiseDispute(0, 1)
+    assert.equal((await escrow.getMilestone(0, 1))[6].toNumber(), 3)
+    await shouldFail.reverting(escrow.pay(0, 1, 200, { from: sender }))
+    await shouldFail.reverting(escrow.reimburse(0, 1, 200, { from: receiver }))
+
+    // The milestone under dispute can't be executed, the others can.
+    await time.increase(3001)
+    await shouldFail.reverting(escrow.executeMilestone(0, 1, { from: other }))
+    await expectBalanceChanges(
+      () => escrow.executeMilestone(0, 2, { from: other }),
+      { [receiver]: 300 }
+    )
+
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(0, 1, { from: arbitrator }),
+      { [sender]: 200 + arbitrationFee, [receiver]: 0 }
+    )
+    assert.equal((await escrow.getMilestone(0, 1))[6].toNumber(), 4)
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 0)
+  })
+
+  it('Should give each disputed milestone its own dispute', async () => {
+    await raiseDispute(0, 2)
+    await raiseDispute(0, 0)
+    assert.equal((await escrow.getMilestone(0, 2))[2].toNumber(), 0)
+    assert.equal((await escrow.getMilestone(0, 0))[2].toNumber(), 1)
+    const disputed = await escrow.disputeIDtoMilestone(1)
+    assert.equal(disputed[0].toNumber(), 0)
+    assert.equal(disputed[1].toNumber(), 0)
+
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(1, 2, { from: arbitrator }),
+      { [sender]: 0, [receiver]: 100 + arbitrationFee }
+    )
+    assert.equal((await escrow.getMilestone(0, 2))[6].toNumber(), 3)
+
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(0, 0, { from: arbitrator }),
+      { [sender]: 160, [receiver]: 160 }
+    )
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 200)
+  })
+
+  it('Should handle fee timeouts per milestone', async () => {
+    await escrow.payArbitrationFeeBySender(0, 0, {
+      from: sender,
+      value: arbitrationFee,
+      gasPrice
+    })
+    const { logs } = await escrow.payArbitrationFeeByReceiver(0, 1, {
+      from: receiver,
+      value: arbitrationFee,
+      gasPrice
+    })
+    assert.equal(logs[0].event, 'HasToPayFee')
+    assert.equal(logs[0].args._milestoneID.toNumber(), 1)
+    await shouldFail.reverting(escrow.timeOutBySender(0, 0, { from: sender }))
+    await shouldFail.reverting(
+      escrow.timeOutByReceiver(0, 0, { from: receiver })
+    )
+
+    await time.increase(feeTimeout + 1)
+    await expectBalanceChanges(
+      () => escrow.timeOutBySender(0, 0, { from: sender, gasPrice }),
+      { [sender]: 100 + arbitrationFee }
+    )
+    await expectBalanceChanges(
+      () => escrow.timeOutByReceiver(0, 1, { from: receiver, gasPrice }),
+      { [receiver]: 200 + arbitrationFee }
+    )
+    assert.equal((await escrow.getMilestone(0, 2))[6].toNumber(), 0)
+  })
+
+  it('Should keep the evidence of each milestone apart', async () => {
+    await raiseDispute(0, 1)
+    const { logs } = await escrow.submitEvidence(0, 1, 'ipfs:/X', {
+      from: sender
+    })
+    const groupID = await escrow.getEvidenceGroupID(0, 1)
+    assert.equal(logs[0].event, 'Evidence')
+    assert.equal(logs[0].args._evidenceGroupID.toString(), groupID.toString())
+    assert.notEqual(
+      groupID.toString(),
+      (await escrow.getEvidenceGroupID(0, 2)).toString()
+    )
+
+    const disputes = await new Promise((resolve, reject) =>
+      escrow
+        .Dispute({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, events) => (err ? reject(err) : resolve(events)))
+    )
+    assert.equal(disputes[0].args._metaEvidenceID.toNumber(), 0)
+    assert.equal(
+      disputes[0].args._evidenceGroupID.toString(),
+      groupID.toString()
+    )
+
+    await shouldFail.reverting(
+      escrow.submitEvidence(0, 1, 'ipfs:/X', { from: other })
+    )
+  })
+
+  it('Should query transactions by the statuses of their milestones', async () => {
+    await escrow.createTransaction([100], [deadlines[0]], other, '', {
+      from: receiver,
+      value: 100
+    })
+    await time.increase(1001)
+    await escrow.executeMilestone(1, 0, { from: other })
+    await raiseDispute(0, 1)
+
+    const transactionsView = await TransactionsView.new()
+    const query = (filter, party = 0x0, asSender = false, asReceiver = false) =>
+      transactionsView
+        .queryMilestoneTransactions(
+          escrow.address,
+          0,
+          10,
+          filter,
+          party,
+          asSender,
+          asReceiver
+        )
+        .then(([transactionIDs]) => transactionIDs.map(id => id.toNumber()))
+    assert.deepEqual(await query([true, false, false, false, false]), [0])
+    assert.deepEqual(await query([false, false, false, true, false]), [0])
+    assert.deepEqual(await query([false, false, false, false, true]), [1])
+    assert.deepEqual(
+      await query([true, true, true, true, true], receiver, true, false),
+      [1]
+    )
+    assert.deepEqual(
+      await query([true, true, true, true, true], receiver, true, true),
+      [0, 1]
+    )
+  })
+
+  it('Should not pay arbitration fees again once the dispute is raised', async () => {
+    await raiseDispute(0, 0)
+    await arbitratorContract.setArbitrationPrice(arbitrationFee + 1, {
+      from: arbitrator
+    })
+    await shouldFail.reverting(
+      escrow.payArbitrationFeeByReceiver(0, 0, {
+        from: receiver,
+        value: arbitrationFee + 1
+      })
+    )
+    await shouldFail.reverting(
+      escrow.payArbitrationFeeBySender(0, 0, {
+        from: sender,
+        value: arbitrationFee + 1
+      })
+    )
+  })
+})
@@ -0,0 +1,402 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+
+const MultipleArbitrableNFTTransaction = artifacts.require(
+  'MultipleArbitrableNFTTransaction'
+)
+const ERC20Mock = artifacts.require('ERC20Mock')
+const ERC721Mock = artifacts.require('ERC721Mock')
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+
+contract('MultipleArbitrableNFTTransaction', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const other = accounts[3]
+  const feeTimeout = 100
+  const timeoutPayment = 100
+  const arbitrationFee = 20
+  const amount = 1000
+  const tokenId = 42
+  const metaEvidenceUri = 'https://kleros.io'
+  // Party transactions are sent without gas cost, so ETH balances only move by the amounts under test.
+  const gasPrice = 0
+
+  for (const paidInToken of [false, true])
+    describe(`paid in ${paidInToken ? 'ERC20 tokens' : 'ETH'}`, () => {
+      let arbitratorContract
+      let escrow
+      let token
+      let nft
+
+      /**
+       * Get the balance of the payment asset of an account.
+       * @param {string} account The account.
+       * @returns {BigNumber} The balance, in wei or in token units.
+       */
+      function paymentBalance(account) {
+        return paidInToken
+          ? token.balanceOf(account)
+          : web3.eth.getBalance(account)
+      }
+
+      /**
+       * Execute an action and check the changes of balances it caused.
+       * @param {function} action The action.
+       * @param {object} deltas The expected changes, by account, as `{ eth, payment }`. Arbitration fees are in `eth`, the payment in `payment`.
+       */
+      async function expectBalanceChanges(action, deltas) {
+        const before = {}
+        for (const account of Object.keys(deltas))
+          before[account] = {
+            eth: web3.eth.getBalance(account),
+            payment: await paymentBalance(account)
+          }
+
+        await action()
+
+        for (const account of Object.keys(deltas)) {
+          const { eth = 0, payment = 0 } = deltas[account]
+          if (paidInToken) {
+            assert.equal(
+              web3.eth.getBalance(account).toString(),
+              before[account].eth.plus(eth).toString(),
+              `Wrong ETH balance change of ${account}.`
+            )
+            assert.equal(
+              (await token.balanceOf(account)).toString(),
+              before[account].payment.plus(payment).toString(),
+              `Wrong token balance change of ${account}.`
+            )
+          } else
+            assert.equal(
+              web3.eth.getBalance(account).toString(),
+              before[account].eth.plus(eth + payment).toString(),
+              `Wrong ETH balance change of ${account}.`
+            )
+        }
+      }
+
+      /**
+       * Create a sale of the ERC721 token of the receiver to the sender.
+       * @returns {number} The ID of the transaction.
+       */
+      async function createTransaction() {
+        if (paidInToken)
+          await token.approve(escrow.address, amount, { from: sender })
+        const { logs } = await escrow.createTransaction(
+          amount,
+          paidInToken ? token.address : 0x0,
+          nft.address,
+          tokenId,
+          timeoutPayment,
+          receiver,
+          metaEvidenceUri,
+          { from: sender, value: paidInToken ? 0 : amount, gasPrice }
+        )
+
+        return logs
+          .find(log => log.event === 'TransactionCreated')
+          .args._transactionID.toNumber()
+      }
+
+      /**
+       * Escrow the ERC721 token of a transaction.
+       * @param {number} transactionID The ID of the transaction.
+       */
+      async function depositToken(transactionID) {
+        await nft.approve(escrow.address, tokenId, { from: receiver })
+        await escrow.depositToken(transactionID, { from: receiver })
+      }
+
+      /**
+       * Have both parties pay the arbitration fee, creating a dispute.
+       * @param {number} transactionID The ID of the transaction.
+       */
+      async function raiseDispute(transactionID) {
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+      }
+
+      beforeEach('deploy the contracts', async () => {
+        arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+          from: arbitrator
+        })
+        escrow = await MultipleArbitrableNFTTransaction.new(
+          arbitratorContract.address,
+          0x0,
+          feeTimeout,
+          { from: sender }
+        )
+        token = await ERC20Mock.new(sender, amount * 10)
+        nft = await ERC721Mock.new('Mock', 'MCK')
+        await nft.mint(receiver, tokenId)
+      })
+
+      it('Should escrow the payment and then the ERC721 token', async () => {
+        const transactionID = await createTransaction()
+        const events = await new Promise((resolve, reject) =>
+          escrow
+            .TransactionCreated({}, { fromBlock: 0, toBlock: 'latest' })
+            .get((err, logs) => (err ? reject(err) : resolve(logs)))
+        )
+        assert.equal(events[0].args._sender, sender)
+        assert.equal(events[0].args._receiver, receiver)
+        assert.equal(events[0].args._amount.toNumber(), amount)
+        assert.equal(events[0].args._nft, nft.address)
+        assert.equal(events[0].args._tokenId.toNumber(), tokenId)
+        assert.equal((await paymentBalance(escrow.address)).toNumber(), amount)
+
+        // The receiver must approve the transfer first, and only the receiver can deposit.
+        await shouldFail.reverting(
+          escrow.depositToken(transactionID, { from: receiver })
+        )
+        await nft.approve(escrow.address, tokenId, { from: receiver })
+        await shouldFail.reverting(
+          escrow.depositToken(transactionID, { from: sender })
+        )
+        const { logs } = await escrow.depositToken(transactionID, {
+          from: receiver
+        })
+        assert.equal(logs[0].event, 'TokenDeposited')
+        assert.equal(await nft.ownerOf(tokenId), escrow.address)
+        assert.isTrue((await escrow.transactions(transactionID))[6])
+        await shouldFail.reverting(
+          escrow.depositToken(transactionID, { from: receiver })
+        )
+      })
+
+      it('Should not create a transaction without the payment', async () => {
+        const args = [
+          amount,
+          paidInToken ? token.address : 0x0,
+          nft.address,
+          tokenId,
+          timeoutPayment,
+          receiver,
+          metaEvidenceUri
+        ]
+        if (paidInToken) {
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, { from: sender })
+          )
+          await token.approve(escrow.address, amount, { from: sender })
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, { from: sender, value: amount })
+          )
+        } else
+          await shouldFail.reverting(
+            escrow.createTransaction(...args, {
+              from: sender,
+              value: amount - 1
+            })
+          )
+      })
+
+      it('Should swap the payment and the ERC721 token when the sender pays', async () => {
+        const transactionID = await createTransaction()
+        await shouldFail.reverting(escrow.pay(transactionID, { from: sender }))
+        await depositToken(transactionID)
+        await shouldFail.reverting(
+          escrow.pay(transactionID, { from: receiver })
+        )
+
+        await expectBalanceChanges(
+          () => escrow.pay(transactionID, { from: sender, gasPrice }),
+          {
+            [receiver]: { payment: amount },
+            [escrow.address]: { payment: -amount }
+          }
+        )
+        assert.equal(await nft.ownerOf(tokenId), sender)
+        assert.equal((await escrow.transactions(transactionID))[12], 4)
+      })
+
+      it('Should return the payment and the ERC721 token when the receiver reimburses', async () => {
+        const transactionID = await createTransaction()
+        await depositToken(transactionID)
+
+        await expectBalanceChanges(
+          () => escrow.reimburse(transactionID, { from: receiver, gasPrice }),
+          { [sender]: { payment: amount } }
+        )
+        assert.equal(await nft.ownerOf(tokenId), receiver)
+        await shouldFail.reverting(
+          escrow.reimburse(transactionID, { from: receiver })
+        )
+      })
+
+      it('Should complete the sale once the timeout after the deposit has passed', async () => {
+        const transactionID = await createTransaction()
+        await time.increase(timeoutPayment + 1)
+        // The timeout only starts once the ERC721 token is deposited.
+        await shouldFail.reverting(
+          escrow.executeTransaction(transactionID, { from: other })
+        )
+        await depositToken(transactionID)
+        await shouldFail.reverting(
+          escrow.executeTransaction(transactionID, { from: other })
+        )
+
+        await time.increase(timeoutPayment + 1)
+        await expectBalanceChanges(
+          () => escrow.executeTransaction(transactionID, { from: other }),
+          { [receiver]: { payment: amount } }
+        )
+        assert.equal(await nft.ownerOf(tokenId), sender)
+      })
+
+      it('Should complete the sale when the arbitrator rules for the receiver', async () => {
+        const transactionID = await createTransaction()
+        await depositToken(transactionID)
+        await raiseDispute(transactionID)
+        await shouldFail.reverting(escrow.pay(transactionID, { from: sender }))
+        await shouldFail.reverting(
+          escrow.reimburse(transactionID, { from: receiver })
+        )
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+          {
+            [sender]: {},
+            [receiver]: { eth: arbitrationFee, payment: amount },
+            [escrow.address]: { eth: -arbitrationFee, payment: -amount }
+          }
+        )
+        assert.equal(await nft.ownerOf(tokenId), sender)
+      })
+
+      it('Should cancel the sale when the arbitrator rules for the sender', async () => {
+        const transactionID = await createTransaction()
+        await depositToken(transactionID)
+        await raiseDispute(transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 1, { from: arbitrator }),
+          {
+            [sender]: { eth: arbitrationFee, payment: amount },
+            [receiver]: {}
+          }
+        )
+        assert.equal(await nft.ownerOf(tokenId), receiver)
+      })
+
+      it('Should cancel the sale and split the fee if there is no ruling', async () => {
+        const transactionID = await createTransaction()
+        await depositToken(transactionID)
+        await raiseDispute(transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 0, { from: arbitrator }),
+          {
+            [sender]: { eth: arbitrationFee / 2, payment: amount },
+            [receiver]: { eth: arbitrationFee / 2 }
+          }
+        )
+        assert.equal(await nft.ownerOf(tokenId), receiver)
+      })
+
+      it('Should cancel the sale if the receiver wins without having deposited the ERC721 token', async () => {
+        const transactionID = await createTransaction()
+        await raiseDispute(transactionID)
+
+        await expectBalanceChanges(
+          () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+          {
+            [sender]: { payment: amount },
+            [receiver]: { eth: arbitrationFee }
+          }
+        )
+        assert.equal(await nft.ownerOf(tokenId), receiver)
+      })
+
+      it('Should cancel the sale when the receiver does not pay the fee', async () => {
+        const transactionID = await createTransaction()
+        await depositToken(transactionID)
+        await escrow.payArbitrationFeeBySender(transactionID, {
+          from: sender,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await shouldFail.reverting(
+          escrow.timeOutBySender(transactionID, { from: sender })
+        )
+        await time.increase(feeTimeout + 1)
+
+        await expectBalanceChanges(
+          () =>
+            escrow.timeOutBySender(transactionID, { from: sender, gasPrice }),
+          { [sender]: { eth: arbitrationFee, payment: amount } }
+        )
+        assert.equal(await nft.ownerOf(tokenId), receiver)
+      })
+
+      it('Should complete the sale when the sender does not pay the fee', async () => {
+        const transactionID = await createTransaction()
+        await escrow.payArbitrationFeeByReceiver(transactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await time.increase(feeTimeout + 1)
+        // The sale can't be completed without the ERC721 token, so it is cancelled and the fees reimbursed.
+        await expectBalanceChanges(
+          () =>
+            escrow.timeOutByReceiver(transactionID, {
+              from: receiver,
+              gasPrice
+            }),
+          {
+            [sender]: { payment: amount },
+            [receiver]: { eth: arbitrationFee },
+            [escrow.address]: { eth: -arbitrationFee, payment: -amount }
+          }
+        )
+        assert.equal((await escrow.transactions(transactionID))[12], 4)
+
+        const otherTransactionID = await createTransaction()
+        await depositToken(otherTransactionID)
+        await escrow.payArbitrationFeeByReceiver(otherTransactionID, {
+          from: receiver,
+          value: arbitrationFee,
+          gasPrice
+        })
+        await time.increase(feeTimeout + 1)
+        await expectBalanceChanges(
+          () =>
+            escrow.timeOutByReceiver(otherTransactionID, {
+              from: receiver,
+              gasPrice
+            }),
+          { [receiver]: { eth: arbitrationFee, payment: amount } }
+        )
+        assert.equal(await nft.ownerOf(tokenId), sender)
+      })
+
+      it('Should create events when evidence is submitted by the parties', async () => {
+        const transactionID = await createTransaction()
+        await raiseDispute(transactionID)
+
+        const { logs } = await escrow.submitEvidence(transactionID, 'ipfs:/X', {
+          from: receiver
+        })
+        assert.equal(logs[0].event, 'Evidence')
+        assert.equal(logs[0].args._arbitrator, arbitratorContract.address)
+        assert.equal(logs[0].args._party, receiver)
+        await shouldFail.reverting(
+          escrow.submitEvidence(transactionID, 'ipfs:/X', { from: other })
+        )
+      })
+    })
+})
@@ -0,0 +1,224 @@
+/* globals artifacts, contract */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+const { expectBalanceChanges } = require('./helpers/balances')
+
+const MultipleArbitrableRealitioTransaction = artifacts.require(
+  'MultipleArbitrableRealitioTransaction'
+)
+const RealitioArbitratorProxy = artifacts.require('RealitioArbitratorProxy')
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+const Realitio = artifacts.require(
+  '@realitio/realitio-contracts/truffle/contracts/Realitio.sol'
+)
+
+contract('MultipleArbitrableRealitioTransaction', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const other = accounts[3]
+  const arbitrationFee = 20
+  const amount = 1000
+  const bond = 10
+  const questionTimeout = 600
+  const question = 'Was the order #42 delivered?␟delivery␟en'
+  const NO = '0x' + '0'.repeat(64)
+  const YES = '0x' + '0'.repeat(63) + '1'
+  const INVALID = '0x' + 'f'.repeat(64)
+
+  let realitio
+  let arbitratorContract
+  let proxy
+  let escrow
+  let questionID
+
+  beforeEach('deploy Realitio and create a transaction', async () => {
+    realitio = await Realitio.new()
+    arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+      from: arbitrator
+    })
+    proxy = await RealitioArbitratorProxy.new(
+      arbitratorContract.address,
+      0x0,
+      realitio.address
+    )
+    escrow = await MultipleArbitrableRealitioTransaction.new(
+      realitio.address,
+      proxy.address
+    )
+    const { logs } = await escrow.createTransaction(
+      receiver,
+      0,
+      question,
+      questionTimeout,
+      0,
+      { from: sender, value: amount }
+    )
+    questionID = logs[0].args._questionID
+  })
+
+  it('Should create a transaction with its delivery question', async () => {
+    const { logs } = await escrow.createTransaction(
+      receiver,
+      0,
+      question,
+      questionTimeout,
+      0,
+      { from: sender, value: amount }
+    )
+    assert.equal(logs[0].event, 'TransactionCreated')
+    assert.equal(logs[0].args._transactionID.toNumber(), 1)
+    assert.equal(logs[0].args._sender, sender)
+    assert.equal(logs[0].args._receiver, receiver)
+    assert.equal(logs[0].args._amount.toNumber(), amount)
+    // The same question gets a new ID for each transaction.
+    assert.notEqual(logs[0].args._questionID, questionID)
+
+    const transaction = await escrow.transactions(0)
+    assert.equal(transaction[2].toNumber(), amount)
+    assert.equal(transaction[3], questionID)
+    assert.equal(await realitio.getArbitrator(questionID), proxy.address)
+    assert.equal(
+      (await realitio.getTimeout(questionID)).toNumber(),
+      questionTimeout
+    )
+    assert.equal((await escrow.getCountTransactions()).toNumber(), 2)
+    assert.deepEqual(
+      (await escrow.getTransactionIDsByAddress(receiver)).map(id =>
+        id.toNumber()
+      ),
+      [0, 1]
+    )
+  })
+
+  it('Should pay the receiver once "Yes" is final', async () => {
+    await shouldFail.reverting(escrow.executeTransaction(0, { from: other }))
+    await realitio.submitAnswer(questionID, YES, 0, {
+      from: receiver,
+      value: bond
+    })
+    assert.isFalse(await escrow.isExecutable(0))
+    await shouldFail.reverting(escrow.executeTransaction(0, { from: other }))
+
+    await time.increase(questionTimeout + 1)
+    assert.isTrue(await escrow.isExecutable(0))
+    let logs
+    await expectBalanceChanges(
+      async () =>
+        ({ logs } = await escrow.executeTransaction(0, { from: other })),
+      { [receiver]: amount }
+    )
+    assert.equal(logs[0].event, 'TransactionResolved')
+    assert.equal(logs[0].args._answer, YES)
+    assert.equal((await escrow.transactions(0))[4].toNumber(), 1)
+    assert.isFalse(await escrow.isExecutable(0))
+    await shouldFail.reverting(escrow.executeTransaction(0, { from: other }))
+  })
+
+  it('Should refund the sender on "No" and split on an invalid answer', async () => {
+    const { logs } = await escrow.createTransaction(
+      receiver,
+      0,
+      question,
+      questionTimeout,
+      0,
+      { from: sender, value: amount }
+    )
+    await realitio.submitAnswer(questionID, NO, 0, {
+      from: sender,
+      value: bond
+    })
+    await realitio.submitAnswer(logs[0].args._questionID, INVALID, 0, {
+      from: other,
+      value: bond
+    })
+    await time.increase(questionTimeout + 1)
+
+    await expectBalanceChanges(
+      () => escrow.executeTransaction(0, { from: other }),
+      { [sender]: amount, [receiver]: 0 }
+    )
+    await expectBalanceChanges(
+      () => escrow.executeTransaction(1, { from: other }),
+      { [sender]: amount / 2, [receiver]: amount / 2 }
+    )
+  })
+
+  it('Should settle a contested answer through the arbitrator of the proxy', async () => {
+    await realitio.submitAnswer(questionID, YES, 0, {
+      from: receiver,
+      value: bond
+    })
+    await proxy.requestArbitration(questionID, 0, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    // The answer is not final while it is arbitrated.
+    await time.increase(questionTimeout + 1)
+    assert.isFalse(await escrow.isExecutable(0))
+    await shouldFail.reverting(escrow.executeTransaction(0, { from: other }))
+
+    // A ruling of 1 is reported as the answer 0, "No".
+    await arbitratorContract.giveRuling(0, 1, { from: arbitrator })
+    await proxy.reportAnswer(questionID, 0x0, YES, bond, receiver, false, {
+      from: other
+    })
+    assert.equal(await realitio.resultFor(questionID), NO)
+
+    await expectBalanceChanges(
+      () => escrow.executeTransaction(0, { from: other }),
+      { [sender]: amount, [receiver]: 0 }
+    )
+  })
+
+  it('Should not accept answers before the opening time', async () => {
+    const openingTime = (await time.latest()) + 1000
+    const { logs } = await escrow.createTransaction(
+      receiver,
+      0,
+      question,
+      questionTimeout,
+      openingTime,
+      { from: sender, value: amount }
+    )
+    const deliveryQuestionID = logs[0].args._questionID
+    await shouldFail.reverting(
+      realitio.submitAnswer(deliveryQuestionID, YES, 0, {
+        from: receiver,
+        value: bond
+      })
+    )
+
+    await time.increase(1000)
+    await realitio.submitAnswer(deliveryQuestionID, YES, 0, {
+      from: receiver,
+      value: bond
+    })
+  })
+
+  it('Should let the parties settle before the answer is final', async () => {
+    await shouldFail.reverting(escrow.pay(0, 100, { from: receiver }))
+    await shouldFail.reverting(escrow.reimburse(0, 100, { from: sender }))
+    await shouldFail.reverting(escrow.pay(0, amount + 1, { from: sender }))
+
+    const { logs } = await escrow.pay(0, 300, { from: sender })
+    assert.equal(logs[0].event, 'Payment')
+    assert.equal(logs[0].args._amount.toNumber(), 300)
+    await escrow.reimburse(0, 200, { from: receiver })
+    assert.equal((await escrow.transactions(0))[2].toNumber(), 500)
+
+    await realitio.submitAnswer(questionID, YES, 0, {
+      from: receiver,
+      value: bond
+    })
+    await time.increase(questionTimeout + 1)
+    await expectBalanceChanges(
+      () => escrow.executeTransaction(0, { from: other }),
+      { [receiver]: 500 }
+    )
+    await shouldFail.reverting(escrow.pay(0, 0, { from: sender }))
+  })
+})
@@ -0,0 +1,344 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+const time = require('./helpers/time')
+const { expectBalanceChanges } = require('./helpers/balances')
+
+const MultipleArbitrableSubscriptionTransaction = artifacts.require(
+  'MultipleArbitrableSubscriptionTransaction'
+)
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+
+contract('MultipleArbitrableSubscriptionTransaction', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const other = accounts[3]
+  const feeTimeout = 100
+  const arbitrationFee = 20
+  const installment = 100
+  const period = 1000
+  const periodCount = 4
+  const noticePeriods = 1
+  const metaEvidenceUri = 'https://kleros.io'
+  // Party transactions are sent without gas cost, so balances only move by the amounts under test.
+  const gasPrice = 0
+
+  let arbitratorContract
+  let escrow
+
+  /**
+   * Have both parties pay the arbitration fee of a period, creating a dispute.
+   * @param {number} transactionID The ID of the transaction.
+   * @param {number} periodID The ID of the period.
+   */
+  async function raiseDispute(transactionID, periodID) {
+    await escrow.payArbitrationFeeBySender(transactionID, periodID, {
+      from: sender,
+      value: arbitrationFee,
+      gasPrice
+    })
+    await escrow.payArbitrationFeeByReceiver(transactionID, periodID, {
+      from: receiver,
+      value: arbitrationFee,
+      gasPrice
+    })
+  }
+
+  beforeEach('create a transaction with four funded periods', async () => {
+    arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+      from: arbitrator
+    })
+    escrow = await MultipleArbitrableSubscriptionTransaction.new(
+      arbitratorContract.address,
+      0x0,
+      feeTimeout,
+      { from: sender }
+    )
+    await escrow.createTransaction(
+      installment,
+      period,
+      noticePeriods,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: installment * periodCount, gasPrice }
+    )
+  })
+
+  it('Should create a transaction with its funded periods', async () => {
+    const events = await new Promise((resolve, reject) =>
+      escrow
+        .TransactionCreated({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, logs) => (err ? reject(err) : resolve(logs)))
+    )
+    assert.equal(events[0].args._transactionID.toNumber(), 0)
+    assert.equal(events[0].args._sender, sender)
+    assert.equal(events[0].args._receiver, receiver)
+    assert.equal(events[0].args._installment.toNumber(), installment)
+    assert.equal(events[0].args._period.toNumber(), period)
+    assert.equal(events[0].args._periodCount.toNumber(), periodCount)
+
+    const transaction = await escrow.transactions(0)
+    assert.equal(transaction[2].toNumber(), installment)
+    assert.equal(transaction[3].toNumber(), period)
+    assert.equal(transaction[4].toNumber(), await time.latest())
+    assert.equal(transaction[5].toNumber(), periodCount)
+    assert.equal(transaction[6].toNumber(), noticePeriods)
+    assert.isFalse(transaction[7])
+    assert.equal((await escrow.getCurrentPeriod(0)).toNumber(), 0)
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 400)
+  })
+
+  it('Should not create invalid transactions', async () => {
+    // Value not a multiple of the installment.
+    await shouldFail.reverting(
+      escrow.createTransaction(installment, period, 0, receiver, '', {
+        from: sender,
+        value: 250
+      })
+    )
+    // No funded period.
+    await shouldFail.reverting(
+      escrow.createTransaction(installment, period, 0, receiver, '', {
+        from: sender
+      })
+    )
+    // No installment.
+    await shouldFail.reverting(
+      escrow.createTransaction(0, period, 0, receiver, '', {
+        from: sender,
+        value: 100
+      })
+    )
+    // No period.
+    await shouldFail.reverting(
+      escrow.createTransaction(installment, 0, 0, receiver, '', {
+        from: sender,
+        value: 100
+      })
+    )
+  })
+
+  it('Should release each installment at the end of its period', async () => {
+    await shouldFail.reverting(escrow.executeInstallment(0, 0, { from: other }))
+
+    await time.increase(period)
+    await expectBalanceChanges(
+      () => escrow.executeInstallment(0, 0, { from: other }),
+      { [receiver]: installment }
+    )
+    assert.equal((await escrow.installments(0, 0))[4].toNumber(), 4)
+    await shouldFail.reverting(escrow.executeInstallment(0, 0, { from: other }))
+    await shouldFail.reverting(escrow.executeInstallment(0, 1, { from: other }))
+
+    await time.increase(3 * period)
+    for (let i = 1; i < periodCount; i++)
+      await escrow.executeInstallment(0, i, { from: other })
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 0)
+
+    // Periods which are not funded are not paid.
+    await time.increase(period)
+    await shouldFail.reverting(escrow.executeInstallment(0, 4, { from: other }))
+  })
+
+  it('Should let the sender fund more periods', async () => {
+    await shouldFail.reverting(
+      escrow.fundPeriods(0, { from: receiver, value: installment })
+    )
+    await shouldFail.reverting(
+      escrow.fundPeriods(0, { from: sender, value: installment + 1 })
+    )
+
+    const { logs } = await escrow.fundPeriods(0, {
+      from: sender,
+      value: 2 * installment
+    })
+    assert.equal(logs[0].event, 'PeriodCountChanged')
+    assert.equal(logs[0].args._periodCount.toNumber(), 6)
+    assert.isFalse(logs[0].args._cancelled)
+
+    await time.increase(6 * period)
+    await expectBalanceChanges(
+      () => escrow.executeInstallment(0, 5, { from: other }),
+      { [receiver]: installment }
+    )
+  })
+
+  it('Should not pay the time between the funded periods and periods funded later', async () => {
+    await time.increase(6 * period)
+    await escrow.fundPeriods(0, { from: sender, value: 2 * installment })
+    assert.equal((await escrow.getCurrentPeriod(0)).toNumber(), periodCount)
+    await shouldFail.reverting(
+      escrow.executeInstallment(0, periodCount, { from: other })
+    )
+
+    // The periods funded before can still be paid.
+    await expectBalanceChanges(
+      () => escrow.executeInstallment(0, periodCount - 1, { from: other }),
+      { [receiver]: installment }
+    )
+
+    await time.increase(period)
+    await expectBalanceChanges(
+      () => escrow.executeInstallment(0, periodCount, { from: other }),
+      { [receiver]: installment }
+    )
+    await shouldFail.reverting(
+      escrow.executeInstallment(0, periodCount + 1, { from: other })
+    )
+  })
+
+  it('Should not freeze the other periods during a dispute', async () => {
+    // Periods which have not started can't be disputed.
+    await shouldFail.reverting(
+      escrow.payArbitrationFeeBySender(0, 1, {
+        from: sender,
+        value: arbitrationFee
+      })
+    )
+
+    await raiseDispute(0, 0)
+    assert.equal((await escrow.installments(0, 0))[4].toNumber(), 3)
+
+    await time.increase(2 * period)
+    await shouldFail.reverting(escrow.executeInstallment(0, 0, { from: other }))
+    await expectBalanceChanges(
+      () => escrow.executeInstallment(0, 1, { from: other }),
+      { [receiver]: installment }
+    )
+
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(0, 1, { from: arbitrator }),
+      { [sender]: installment + arbitrationFee, [receiver]: 0 }
+    )
+    assert.equal((await escrow.installments(0, 0))[4].toNumber(), 4)
+    await shouldFail.reverting(escrow.executeInstallment(0, 0, { from: other }))
+  })
+
+  it('Should give each disputed period its own dispute', async () => {
+    await time.increase(period)
+    await raiseDispute(0, 1)
+    await raiseDispute(0, 0)
+    assert.equal((await escrow.installments(0, 1))[0].toNumber(), 0)
+    assert.equal((await escrow.installments(0, 0))[0].toNumber(), 1)
+    const disputed = await escrow.disputeIDtoInstallment(1)
+    assert.equal(disputed[0].toNumber(), 0)
+    assert.equal(disputed[1].toNumber(), 0)
+
+    const disputes = await new Promise((resolve, reject) =>
+      escrow
+        .Dispute({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, logs) => (err ? reject(err) : resolve(logs)))
+    )
+    assert.equal(disputes.length, 2)
+    assert.equal(disputes[0].args._metaEvidenceID.toNumber(), 0)
+    assert.equal(
+      disputes[0].args._evidenceGroupID.toString(),
+      (await escrow.getEvidenceGroupID(0, 1)).toString()
+    )
+    assert.notEqual(
+      disputes[0].args._evidenceGroupID.toString(),
+      disputes[1].args._evidenceGroupID.toString()
+    )
+
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(0, 2, { from: arbitrator }),
+      { [receiver]: installment + arbitrationFee }
+    )
+    await expectBalanceChanges(
+      () => arbitratorContract.giveRuling(1, 0, { from: arbitrator }),
+      { [sender]: 60, [receiver]: 60 }
+    )
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 200)
+  })
+
+  it('Should time out a party which does not pay the fee', async () => {
+    await escrow.payArbitrationFeeBySender(0, 0, {
+      from: sender,
+      value: arbitrationFee,
+      gasPrice
+    })
+    await shouldFail.reverting(escrow.timeOutBySender(0, 0, { from: other }))
+    await time.increase(feeTimeout)
+    await expectBalanceChanges(
+      () => escrow.timeOutBySender(0, 0, { from: other }),
+      { [sender]: installment + arbitrationFee }
+    )
+
+    await time.increase(period)
+    await escrow.payArbitrationFeeByReceiver(0, 1, {
+      from: receiver,
+      value: arbitrationFee,
+      gasPrice
+    })
+    await time.increase(feeTimeout)
+    await expectBalanceChanges(
+      () => escrow.timeOutByReceiver(0, 1, { from: other }),
+      { [receiver]: installment + arbitrationFee }
+    )
+  })
+
+  it('Should cancel the periods after the notice and refund them', async () => {
+    await shouldFail.reverting(escrow.cancel(0, { from: receiver }))
+
+    // Cancelling during the first period keeps it and the notice period.
+    let logs
+    await expectBalanceChanges(
+      async () =>
+        ({ logs } = await escrow.cancel(0, { from: sender, gasPrice })),
+      { [sender]: 2 * installment }
+    )
+    assert.equal(logs[0].event, 'PeriodCountChanged')
+    assert.equal(logs[0].args._periodCount.toNumber(), 2)
+    assert.isTrue(logs[0].args._cancelled)
+    assert.isTrue((await escrow.transactions(0))[7])
+    await shouldFail.reverting(escrow.cancel(0, { from: sender }))
+    await shouldFail.reverting(
+      escrow.fundPeriods(0, { from: sender, value: installment })
+    )
+
+    await time.increase(3 * period)
+    await escrow.executeInstallment(0, 0, { from: other })
+    await escrow.executeInstallment(0, 1, { from: other })
+    await shouldFail.reverting(escrow.executeInstallment(0, 2, { from: other }))
+    assert.equal(web3.eth.getBalance(escrow.address).toNumber(), 0)
+  })
+
+  it('Should not refund the periods within the notice', async () => {
+    await time.increase(3 * period)
+    await expectBalanceChanges(
+      () => escrow.cancel(0, { from: sender, gasPrice }),
+      {
+        [sender]: 0
+      }
+    )
+    assert.equal((await escrow.transactions(0))[5].toNumber(), periodCount)
+  })
+
+  it('Should only accept evidence from the parties of unresolved periods', async () => {
+    const { logs } = await escrow.submitEvidence(0, 0, 'ipfs:/X', {
+      from: receiver
+    })
+    assert.equal(logs[0].event, 'Evidence')
+    assert.equal(
+      logs[0].args._evidenceGroupID.toString(),
+      (await escrow.getEvidenceGroupID(0, 0)).toString()
+    )
+    await shouldFail.reverting(
+      escrow.submitEvidence(0, 0, 'ipfs:/X', { from: other })
+    )
+
+    await time.increase(period)
+    await escrow.executeInstallment(0, 0, { from: other })
+    await shouldFail.reverting(
+      escrow.submitEvidence(0, 0, 'ipfs:/X', { from: sender })
+    )
+    assert.deepEqual(
+      (await escrow.getTransactionIDsByAddress(receiver)).map(id =>
+        id.toNumber()
+      ),
+      [0]
+    )
+  })
+})
@@ -15,6 +15,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
   const receiver = accounts[1]
   const arbitrator = accounts[2]
   const other = accounts[3]
+  const governor = accounts[6]
   const arbitrationFee = 20
   const timeoutFee = 100
   const timeoutPayment = 100
@@ -43,6 +44,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -567,9 +569,9 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
       value: arbitrationFee
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -586,9 +588,9 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
       value: arbitrationFee + amount
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -956,6 +958,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -964,7 +967,9 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     )
 
     const { arbitrableTransactionId } = await createTestTransaction(maContract)
-    const MULTIPLIER_DIVISOR = (await maContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await maContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await maContract.payArbitrationFeeByReceiver(arbitrableTransactionId, {
       from: receiver,
@@ -1119,6 +1124,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1163,6 +1169,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1207,6 +1214,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1259,6 +1267,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1267,7 +1276,9 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     )
 
     const { arbitrableTransactionId } = await createTestTransaction(maContract)
-    const MULTIPLIER_DIVISOR = (await maContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await maContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await maContract.payArbitrationFeeByReceiver(arbitrableTransactionId, {
       from: receiver,
@@ -1330,26 +1341,23 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     await appealableArbitrator.giveRuling(1, 2, { from: arbitrator })
 
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        sender
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, sender)
+      ).toNumber(),
       900,
       'Sender has incorrect withdrawable amount'
     )
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        receiver
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, receiver)
+      ).toNumber(),
       1600,
       'Receiver has incorrect withdrawable amount'
     )
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        other
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, other)
+      ).toNumber(),
       400,
       'Crowdfunder has incorrect withdrawable amount'
     )
@@ -1412,26 +1420,23 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     )
 
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        sender
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, sender)
+      ).toNumber(),
       0,
       'Sender should have 0 withdrawable amount'
     )
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        receiver
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, receiver)
+      ).toNumber(),
       0,
       'Receiver should have 0 withdrawable amount'
     )
     assert.equal(
-      (await maContract.amountWithdrawable(
-        arbitrableTransactionId,
-        other
-      )).toNumber(),
+      (
+        await maContract.amountWithdrawable(arbitrableTransactionId, other)
+      ).toNumber(),
       0,
       'Crowdfunder should have 0 withdrawable amount'
     )
@@ -1453,6 +1458,7 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1461,7 +1467,9 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
     )
 
     const { arbitrableTransactionId } = await createTestTransaction(maContract)
-    const MULTIPLIER_DIVISOR = (await maContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await maContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await maContract.payArbitrationFeeByReceiver(arbitrableTransactionId, {
       from: receiver,
@@ -1542,4 +1550,287 @@ contract('MultipleArbitrableTokenTransactionWithAppeals', function(accounts) {
       'Incorrect balance of the crowdfunder after withdrawing'
     )
   })
+
+  it('Should refund the fee of a sponsored party to its sponsor', async () => {
+    const sponsor = accounts[4]
+    const { centralizedArbitrator, maContract } = await setupContracts()
+    await this.token.approve(maContract.address, amount, { from: sender })
+    await maContract.createTransaction(
+      amount,
+      this.token.address,
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender }
+    )
+
+    // The sponsor must be approved by the party.
+    await shouldFail.reverting(
+      maContract.sponsorArbitrationFee(0, 2, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+    )
+    await maContract.approveSponsor(0, sponsor, { from: receiver })
+    const { logs } = await maContract.sponsorArbitrationFee(0, 2, {
+      from: sponsor,
+      value: arbitrationFee
+    })
+    assert.equal(logs[0].event, 'FeeSponsored')
+    assert.equal(logs[0].args._sponsor, sponsor)
+    await maContract.approveSponsor(0, other, { from: receiver })
+    await shouldFail.reverting(
+      maContract.sponsorArbitrationFee(0, 2, {
+        from: other,
+        value: arbitrationFee
+      })
+    )
+    await maContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    const receiverBalance = web3.eth.getBalance(receiver)
+    const sponsorBalance = web3.eth.getBalance(sponsor)
+    await centralizedArbitrator.giveRuling(0, 2, { from: arbitrator })
+    assert.equal(
+      web3.eth.getBalance(receiver).toString(),
+      receiverBalance.toString(),
+      'The receiver should not get the fee'
+    )
+    assert.equal(
+      web3.eth.getBalance(sponsor).toString(),
+      sponsorBalance.plus(arbitrationFee).toString(),
+      'The sponsor should get the fee of the receiver back'
+    )
+    assert.equal((await this.token.balanceOf(receiver)).toNumber(), amount)
+    assert.equal(await maContract.sponsors(0, 1), '0x' + '0'.repeat(40))
+  })
+
+  it('Should create and execute transactions in batch', async () => {
+    const { maContract } = await setupContracts()
+    await this.token.approve(maContract.address, 30, { from: sender })
+    const creationTx = await maContract.createTransactions(
+      [10, 20, 30],
+      this.token.address,
+      [timeoutPayment, timeoutPayment, timeoutPayment],
+      [receiver, receiver, receiver],
+      metaEvidenceUri,
+      { from: sender }
+    )
+    assert.deepEqual(
+      creationTx.logs
+        .filter(log => log.event === 'TransactionCreationFailed')
+        .map(log => log.args._index.toNumber()),
+      [2]
+    )
+    assert.equal(
+      (await this.token.balanceOf(maContract.address)).toNumber(),
+      30
+    )
+
+    await maContract.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await time.increase(timeoutPayment + 1)
+    const executionTx = await maContract.executeTransactions([0, 1, 2], {
+      from: other
+    })
+    assert.deepEqual(
+      executionTx.logs
+        .filter(log => log.event === 'TransactionExecutionFailed')
+        .map(log => log.args._transactionID.toNumber()),
+      [1, 2]
+    )
+    assert.equal((await this.token.balanceOf(receiver)).toNumber(), 10)
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let maContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      maContract = await MultipleArbitrableTokenTransaction.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        timeoutFee,
+        sharedStakeMultiplier,
+        winnerStakeMultiplier,
+        loserStakeMultiplier,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransactionWithArbitrator(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      return (await maContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await maContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await maContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransaction(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      const setting = await maContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const { logs } = await maContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await maContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await maContract.setArbitratorAllowed(courtArbitrator.address, false, {
+        from: governor
+      })
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await maContract.transactions(transactionID))[9].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await shouldFail.reverting(
+        maContract.changeGovernor(other, { from: other })
+      )
+      await maContract.changeGovernor(other, { from: governor })
+      assert.equal(await maContract.governor(), other)
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: other
+      })
+      assert.isTrue(
+        await maContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: governor
+      })
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(courtArbitrator.address, 0)
+        ).toNumber(),
+        courtTransactionID
+      )
+      await shouldFail.reverting(maContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(courtTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        0
+      )
+    })
+  })
 })
@@ -21,7 +21,9 @@ contract('MultipleArbitrableTokenTransactionWithFee', function(accounts) {
   const other = accounts[3]
   const feeRecipient = accounts[4]
   const newFeeRecipient = accounts[5]
+  const governor = accounts[6]
   const feeRecipientBasisPoint = 500
+  const feeTimelock = 1000
   const arbitrationFee = 20
   const splitArbitrationFee = Math.floor(arbitrationFee / 2)
   const timeoutFee = 100
@@ -47,9 +49,11 @@ contract('MultipleArbitrableTokenTransactionWithFee', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       timeoutFee,
+      feeTimelock,
       { from: sender }
     )
 
@@ -630,9 +634,9 @@ contract('MultipleArbitrableTokenTransactionWithFee', function(accounts) {
       value: arbitrationFee
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -649,9 +653,9 @@ contract('MultipleArbitrableTokenTransactionWithFee', function(accounts) {
       value: arbitrationFee + amount
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -1055,4 +1059,341 @@ contract('MultipleArbitrableTokenTransactionWithFee', function(accounts) {
     assert.equal(tx.logs[1].args._amount, calculateFeeRecipientAmount(amount))
     assert.equal(tx.logs[1].args._token, this.token.address)
   })
+
+  // Fee schedules
+  it('Should apply the fee schedule of a token instead of the default one', async () => {
+    const { maContract } = await setupContracts()
+    const otherToken = await ERC20Mock.new(sender, 100)
+
+    await shouldFail.reverting(
+      maContract.submitFeeSchedule(otherToken.address, [0], [100], {
+        from: other
+      })
+    )
+    // The default schedule can't be removed.
+    await shouldFail.reverting(
+      maContract.submitFeeSchedule(0x0, [], [], { from: feeRecipient })
+    )
+    await maContract.submitFeeSchedule(0x0, [0, 40], [500, 1000], {
+      from: feeRecipient
+    })
+    const { logs } = await maContract.submitFeeSchedule(
+      this.token.address,
+      [0],
+      [100],
+      { from: feeRecipient }
+    )
+    assert.equal(logs[0].event, 'FeeScheduleSubmitted')
+    assert.equal(logs[0].args._token, this.token.address)
+    const pending = await maContract.getPendingFeeSchedule(this.token.address)
+    assert.equal(pending[2].toNumber(), logs[0].args._activationTime.toNumber())
+    await shouldFail.reverting(
+      maContract.applyFeeSchedule(this.token.address, { from: other })
+    )
+
+    await time.increase(feeTimelock)
+    await maContract.applyFeeSchedule(0x0, { from: other })
+    await maContract.applyFeeSchedule(this.token.address, { from: other })
+    assert.equal(
+      (
+        await maContract.getFeeBasisPoint(this.token.address, amount)
+      ).toNumber(),
+      100
+    )
+    assert.equal(
+      (await maContract.getFeeBasisPoint(otherToken.address, 39)).toNumber(),
+      500
+    )
+    assert.equal(
+      (await maContract.getFeeBasisPoint(otherToken.address, 40)).toNumber(),
+      1000
+    )
+    assert.equal((await maContract.feeRecipientBasisPoint()).toNumber(), 500)
+
+    // Removing the schedule of a token makes it use the default one again.
+    await maContract.submitFeeSchedule(this.token.address, [], [], {
+      from: feeRecipient
+    })
+    await time.increase(feeTimelock)
+    await maContract.applyFeeSchedule(this.token.address, { from: other })
+    assert.equal(
+      (await maContract.getFeeSchedule(this.token.address))[0].length,
+      0
+    )
+    assert.equal(
+      (
+        await maContract.getFeeBasisPoint(this.token.address, amount)
+      ).toNumber(),
+      1000
+    )
+  })
+
+  it('Should charge and report the fee of the bracket of a transaction at its creation', async () => {
+    const { centralizedArbitrator, maContract } = await setupContracts()
+    await maContract.submitFeeSchedule(0x0, [0, 40], [500, 1000], {
+      from: feeRecipient
+    })
+    await time.increase(feeTimelock)
+    await maContract.applyFeeSchedule(0x0, { from: other })
+    await createTestTransaction(maContract)
+    await createTestTransaction(maContract)
+    assert.equal((await maContract.transactions(0))[10].toNumber(), 1000)
+
+    // Sender wins the first transaction.
+    await maContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await maContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await centralizedArbitrator.giveRuling(0, 1, { from: arbitrator })
+    // The second one is paid.
+    await maContract.pay(1, amount, { from: sender })
+
+    assert.equal((await this.token.balanceOf(feeRecipient)).toNumber(), 4)
+    const payments = await new Promise((resolve, reject) =>
+      maContract
+        .FeeRecipientPaymentInToken({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, logs) => (err ? reject(err) : resolve(logs)))
+    )
+    assert.deepEqual(
+      payments.map(payment => [
+        payment.args._transactionID.toNumber(),
+        payment.args._amount.toNumber()
+      ]),
+      [
+        [0, 0],
+        [1, 4]
+      ]
+    )
+  })
+
+  it('Should create and execute transactions in batch', async () => {
+    const { maContract } = await setupContracts()
+    await this.token.approve(maContract.address, 30, { from: sender })
+    const creationTx = await maContract.createTransactions(
+      [10, 20, 30],
+      this.token.address,
+      [timeoutPayment, timeoutPayment, timeoutPayment],
+      [receiver, receiver, receiver],
+      metaEvidenceUri,
+      { from: sender }
+    )
+    assert.deepEqual(
+      creationTx.logs
+        .filter(log => log.event === 'TransactionCreationFailed')
+        .map(log => log.args._index.toNumber()),
+      [2]
+    )
+    assert.equal(
+      (await this.token.balanceOf(maContract.address)).toNumber(),
+      30
+    )
+
+    await maContract.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await time.increase(timeoutPayment + 1)
+    const executionTx = await maContract.executeTransactions([0, 1, 2], {
+      from: other
+    })
+    assert.deepEqual(
+      executionTx.logs
+        .filter(log => log.event === 'TransactionExecutionFailed')
+        .map(log => log.args._transactionID.toNumber()),
+      [1, 2]
+    )
+    assert.equal((await this.token.balanceOf(receiver)).toNumber(), 10)
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let maContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      maContract = await MultipleArbitrableTokenTransactionWithFee.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        feeRecipient,
+        feeRecipientBasisPoint,
+        timeoutFee,
+        feeTimelock,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransactionWithArbitrator(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      return (await maContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await maContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await maContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransaction(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      const setting = await maContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const { logs } = await maContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await maContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await maContract.setArbitratorAllowed(courtArbitrator.address, false, {
+        from: governor
+      })
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await maContract.transactions(transactionID))[9].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await shouldFail.reverting(
+        maContract.changeGovernor(other, { from: other })
+      )
+      await maContract.changeGovernor(other, { from: governor })
+      assert.equal(await maContract.governor(), other)
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: other
+      })
+      assert.isTrue(
+        await maContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: governor
+      })
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(courtArbitrator.address, 0)
+        ).toNumber(),
+        courtTransactionID
+      )
+      await shouldFail.reverting(maContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(courtTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        0
+      )
+    })
+  })
 })
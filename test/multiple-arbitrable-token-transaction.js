@@ -1,4 +1,10 @@
 /* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const {
+  buildPermitTypedData,
+  signTypedData
+} = require('../src/meta-transactions')
+
+const { createAccount } = require('./helpers/accounts')
 const shouldFail = require('./helpers/should-fail')
 const time = require('./helpers/time')
 
@@ -7,6 +13,7 @@ const MultipleArbitrableTokenTransaction = artifacts.require(
 )
 
 const ERC20Mock = artifacts.require('./ERC20Mock.sol')
+const ERC20PermitMock = artifacts.require('./ERC20PermitMock.sol')
 const CentralizedArbitrator = artifacts.require('./CentralizedArbitrator.sol')
 
 contract('MultipleArbitrableTokenTransaction', function(accounts) {
@@ -14,6 +21,7 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
   const receiver = accounts[1]
   const arbitrator = accounts[2]
   const other = accounts[3]
+  const governor = accounts[6]
   const arbitrationFee = 20
   const timeoutFee = 100
   const timeoutPayment = 100
@@ -37,6 +45,7 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
     const maContract = await MultipleArbitrableTokenTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       timeoutFee,
       { from: sender }
     )
@@ -549,6 +558,77 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
     )
   })
 
+  it('Should split the amount and the arbitration fee according to a split ruling', async () => {
+    const { centralizedArbitrator, maContract } = await setupContracts()
+    await this.token.approve(maContract.address, amount, { from: sender })
+    await maContract.createTransactionWithSplits(
+      amount,
+      this.token.address,
+      timeoutPayment,
+      receiver,
+      [2500, 7000],
+      metaEvidenceUri,
+      { from: sender }
+    )
+    assert.deepEqual(
+      (await maContract.getSplits(0)).map(split => split.toNumber()),
+      [2500, 7000]
+    )
+
+    await maContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await maContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    assert.equal(
+      (await centralizedArbitrator.disputes(0))[1].toNumber(),
+      4,
+      'The dispute should have the split ruling options.'
+    )
+    await shouldFail.reverting(
+      centralizedArbitrator.giveRuling(0, 5, { from: arbitrator })
+    )
+
+    // The receiver gets 70% of the 42 tokens, rounded down.
+    await executeActionAndCompareBalances(
+      async () => {
+        await centralizedArbitrator.giveRuling(0, 4, { from: arbitrator })
+      },
+      {
+        maContract,
+        sender: {
+          etherDelta: 6,
+          tokenDelta: 13
+        },
+        receiver: {
+          etherDelta: 14,
+          tokenDelta: 29
+        },
+        contractTokenDelta: -amount
+      }
+    )
+  })
+
+  it('Should not create a transaction with a split higher than the amount', async () => {
+    const { maContract } = await setupContracts()
+    await this.token.approve(maContract.address, amount, { from: sender })
+
+    await shouldFail.reverting(
+      maContract.createTransactionWithSplits(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        [10001],
+        metaEvidenceUri,
+        { from: sender }
+      )
+    )
+  })
+
   it('Should change status to WaitingReceiver after the arbitration cost increase', async () => {
     const { centralizedArbitrator, maContract } = await setupContracts()
     const { arbitrableTransactionId } = await createTestTransaction(maContract)
@@ -558,9 +638,9 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
       value: arbitrationFee
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -577,9 +657,9 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
       value: arbitrationFee + amount
     })
 
-    arbitrableTransactionStatus = (await maContract.transactions(
-      arbitrableTransactionId
-    ))[9]
+    arbitrableTransactionStatus = (
+      await maContract.transactions(arbitrableTransactionId)
+    )[9]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -929,4 +1009,606 @@ contract('MultipleArbitrableTokenTransaction', function(accounts) {
       })
     )
   })
+
+  describe('createTransactionWithPermit', () => {
+    const chainId = 1337
+    let permitSender
+    let permitToken
+    let maContract
+
+    /**
+     * Sign a permit of the permit sender for the escrow.
+     * @param {number} value The allowance.
+     * @param {number} deadline The deadline of the permit.
+     * @returns {object} The `v`, `r` and `s` parts of the signature.
+     */
+    async function signPermit(value, deadline) {
+      return signTypedData(
+        buildPermitTypedData(
+          permitToken.address,
+          { name: 'Permit Token', chainId },
+          {
+            owner: permitSender.address,
+            spender: maContract.address,
+            value,
+            nonce: (await permitToken.nonces(permitSender.address)).toNumber(),
+            deadline
+          }
+        ),
+        permitSender.privateKey
+      )
+    }
+
+    beforeEach(async () => {
+      permitSender = await createAccount(sender, web3.toWei(1, 'ether'))
+      permitToken = await ERC20PermitMock.new(
+        permitSender.address,
+        100,
+        'Permit Token',
+        chainId
+      )
+      maContract = (await setupContracts()).maContract
+    })
+
+    it('Should create a transaction without a prior approval', async () => {
+      const deadline = (await time.latest()) + 3600
+      const { v, r, s } = await signPermit(amount, deadline)
+
+      const tx = await maContract.createTransactionWithPermit(
+        amount,
+        permitToken.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        deadline,
+        v,
+        r,
+        s,
+        { from: permitSender.address }
+      )
+      const created = tx.logs.find(log => log.event === 'TransactionCreated')
+      assert.equal(created.args._sender, permitSender.address)
+      assert.equal(created.args._amount.toNumber(), amount)
+      assert.equal(
+        (await permitToken.balanceOf(maContract.address)).toNumber(),
+        amount
+      )
+      assert.equal(
+        (
+          await permitToken.allowance(permitSender.address, maContract.address)
+        ).toNumber(),
+        0
+      )
+      assert.equal(
+        (await permitToken.nonces(permitSender.address)).toNumber(),
+        1
+      )
+    })
+
+    it('Should fall back to the allowance if the permit fails', async () => {
+      const deadline = (await time.latest()) + 3600
+      // The permit is for a different amount, so it doesn't match the call.
+      const { v, r, s } = await signPermit(amount - 1, deadline)
+      await shouldFail.reverting(
+        maContract.createTransactionWithPermit(
+          amount,
+          permitToken.address,
+          timeoutPayment,
+          receiver,
+          metaEvidenceUri,
+          deadline,
+          v,
+          r,
+          s,
+          { from: permitSender.address }
+        )
+      )
+
+      await permitToken.approve(maContract.address, amount, {
+        from: permitSender.address
+      })
+      await maContract.createTransactionWithPermit(
+        amount,
+        permitToken.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        deadline,
+        v,
+        r,
+        s,
+        { from: permitSender.address }
+      )
+      assert.equal(
+        (await permitToken.balanceOf(maContract.address)).toNumber(),
+        amount
+      )
+      assert.equal(
+        (await permitToken.nonces(permitSender.address)).toNumber(),
+        0
+      )
+    })
+
+    it('Should fall back to the allowance for tokens without permit', async () => {
+      await shouldFail.reverting(
+        maContract.createTransactionWithPermit(
+          amount,
+          this.token.address,
+          timeoutPayment,
+          receiver,
+          metaEvidenceUri,
+          0,
+          0,
+          0x0,
+          0x0,
+          { from: sender }
+        )
+      )
+
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransactionWithPermit(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        0,
+        0,
+        0x0,
+        0x0,
+        { from: sender }
+      )
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        amount
+      )
+    })
+  })
+
+  describe('batches', () => {
+    const batchSize = 10
+    let maContract
+
+    beforeEach(async () => {
+      maContract = (await setupContracts()).maContract
+    })
+
+    it('Should create transactions in batch, skipping the ones which cannot be funded', async () => {
+      await this.token.approve(maContract.address, 60, { from: sender })
+      const tx = await maContract.createTransactions(
+        [20, 50, 30],
+        this.token.address,
+        [timeoutPayment, timeoutPayment, timeoutPayment],
+        [receiver, other, receiver],
+        metaEvidenceUri,
+        { from: sender }
+      )
+
+      const created = tx.logs.filter(log => log.event === 'TransactionCreated')
+      assert.deepEqual(
+        created.map(log => log.args._amount.toNumber()),
+        [20, 30]
+      )
+      assert.deepEqual(
+        created.map(log => log.args._transactionID.toNumber()),
+        [0, 1]
+      )
+      const failed = tx.logs.filter(
+        log => log.event === 'TransactionCreationFailed'
+      )
+      assert.equal(failed.length, 1)
+      assert.equal(failed[0].args._index.toNumber(), 1)
+      assert.equal(failed[0].args._receiver, other)
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        50
+      )
+
+      await shouldFail.reverting(
+        maContract.createTransactions(
+          [10],
+          this.token.address,
+          [timeoutPayment, timeoutPayment],
+          [receiver],
+          metaEvidenceUri,
+          { from: sender }
+        )
+      )
+    })
+
+    it('Should not create transactions in batch for a token without code', async () => {
+      const tx = await maContract.createTransactions(
+        [20, 30],
+        other,
+        [timeoutPayment, timeoutPayment],
+        [receiver, receiver],
+        metaEvidenceUri,
+        { from: sender }
+      )
+
+      assert.isUndefined(
+        tx.logs.find(log => log.event === 'TransactionCreated')
+      )
+      assert.equal(
+        tx.logs.filter(log => log.event === 'TransactionCreationFailed').length,
+        2
+      )
+      assert.equal((await maContract.getCountTransactions()).toNumber(), 0)
+    })
+
+    it('Should execute transactions in batch, skipping the ones which cannot be executed', async () => {
+      await this.token.approve(maContract.address, 60, { from: sender })
+      await maContract.createTransactions(
+        [10, 20, 30],
+        this.token.address,
+        [timeoutPayment, timeoutPayment, timeoutPayment],
+        [receiver, receiver, receiver],
+        metaEvidenceUri,
+        { from: sender }
+      )
+      await maContract.payArbitrationFeeByReceiver(1, {
+        from: receiver,
+        value: arbitrationFee
+      })
+      await time.increase(timeoutPayment + 1)
+
+      const tx = await maContract.executeTransactions([0, 1, 2, 3], {
+        from: other
+      })
+      assert.deepEqual(
+        tx.logs
+          .filter(log => log.event === 'TransactionExecuted')
+          .map(log => log.args._transactionID.toNumber()),
+        [0, 2]
+      )
+      assert.deepEqual(
+        tx.logs
+          .filter(log => log.event === 'TransactionExecutionFailed')
+          .map(log => log.args._transactionID.toNumber()),
+        [1, 3]
+      )
+      assert.equal((await this.token.balanceOf(receiver)).toNumber(), 40)
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        20
+      )
+    })
+
+    it('Should use less gas to create and execute transactions in batch', async () => {
+      await this.token.approve(maContract.address, 2 * batchSize * amount, {
+        from: sender
+      })
+      await this.token.mint(sender, 2 * batchSize * amount, { from: sender })
+
+      let singleCreationGas = 0
+      for (let i = 0; i < batchSize; i++)
+        singleCreationGas += (
+          await maContract.createTransaction(
+            amount,
+            this.token.address,
+            timeoutPayment,
+            receiver,
+            metaEvidenceUri,
+            { from: sender }
+          )
+        ).receipt.gasUsed
+      const batchCreationGas = (
+        await maContract.createTransactions(
+          new Array(batchSize).fill(amount),
+          this.token.address,
+          new Array(batchSize).fill(timeoutPayment),
+          new Array(batchSize).fill(receiver),
+          metaEvidenceUri,
+          { from: sender }
+        )
+      ).receipt.gasUsed
+      await time.increase(timeoutPayment + 1)
+
+      let singleExecutionGas = 0
+      for (let i = 0; i < batchSize; i++)
+        singleExecutionGas += (
+          await maContract.executeTransaction(i, {
+            from: other
+          })
+        ).receipt.gasUsed
+      const batchExecutionGas = (
+        await maContract.executeTransactions(
+          [...new Array(batchSize).keys()].map(i => i + batchSize),
+          { from: other }
+        )
+      ).receipt.gasUsed
+
+      assert.isBelow(batchCreationGas, singleCreationGas)
+      assert.isBelow(batchExecutionGas, singleExecutionGas)
+    })
+  })
+
+  it('Should refund the fee of a sponsored party to its sponsor', async () => {
+    const sponsor = accounts[4]
+    const { centralizedArbitrator, maContract } = await setupContracts()
+    await this.token.approve(maContract.address, amount, { from: sender })
+    await maContract.createTransaction(
+      amount,
+      this.token.address,
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender }
+    )
+
+    // The sponsor must be approved by the party.
+    await shouldFail.reverting(
+      maContract.sponsorArbitrationFee(0, 1, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+    )
+    await maContract.approveSponsor(0, sponsor, { from: receiver })
+    const { logs } = await maContract.sponsorArbitrationFee(0, 1, {
+      from: sponsor,
+      value: arbitrationFee
+    })
+    assert.equal(logs[0].event, 'FeeSponsored')
+    assert.equal(logs[0].args._sponsor, sponsor)
+    await maContract.approveSponsor(0, other, { from: receiver })
+    await shouldFail.reverting(
+      maContract.sponsorArbitrationFee(0, 1, {
+        from: other,
+        value: arbitrationFee
+      })
+    )
+    await maContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    const receiverBalance = web3.eth.getBalance(receiver)
+    const sponsorBalance = web3.eth.getBalance(sponsor)
+    await centralizedArbitrator.giveRuling(0, 2, { from: arbitrator })
+    assert.equal(
+      web3.eth.getBalance(receiver).toString(),
+      receiverBalance.toString(),
+      'The receiver should not get the fee'
+    )
+    assert.equal(
+      web3.eth.getBalance(sponsor).toString(),
+      sponsorBalance.plus(arbitrationFee).toString(),
+      'The sponsor should get the fee of the receiver back'
+    )
+    assert.equal((await this.token.balanceOf(receiver)).toNumber(), amount)
+    assert.equal(await maContract.sponsors(0, 0), '0x' + '0'.repeat(40))
+  })
+
+  it('Should let a sponsored party top up its own fee', async () => {
+    const sponsor = accounts[4]
+    const { centralizedArbitrator, maContract } = await setupContracts()
+    await this.token.approve(maContract.address, amount, { from: sender })
+    await maContract.createTransaction(
+      amount,
+      this.token.address,
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender }
+    )
+
+    await maContract.approveSponsor(0, sponsor, { from: receiver })
+    await maContract.sponsorArbitrationFee(0, 1, {
+      from: sponsor,
+      value: arbitrationFee
+    })
+    await centralizedArbitrator.setArbitrationPrice(arbitrationFee * 2, {
+      from: arbitrator
+    })
+    await maContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee * 2
+    })
+    await maContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    assert.equal((await maContract.transactions(0))[9].toNumber(), 3)
+
+    const receiverBalance = web3.eth.getBalance(receiver)
+    const sponsorBalance = web3.eth.getBalance(sponsor)
+    await centralizedArbitrator.giveRuling(0, 2, { from: arbitrator })
+    assert.equal(
+      web3.eth.getBalance(receiver).toString(),
+      receiverBalance.plus(arbitrationFee).toString(),
+      'The receiver should get back the part of the fee it paid'
+    )
+    assert.equal(
+      web3.eth.getBalance(sponsor).toString(),
+      sponsorBalance.plus(arbitrationFee).toString(),
+      'The sponsor should get back the part of the fee it paid'
+    )
+    assert.equal((await this.token.balanceOf(receiver)).toNumber(), amount)
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let maContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      maContract = await MultipleArbitrableTokenTransaction.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        timeoutFee,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransactionWithArbitrator(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        [],
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      return (await maContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await maContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await maContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await this.token.approve(maContract.address, amount, { from: sender })
+      await maContract.createTransaction(
+        amount,
+        this.token.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender }
+      )
+      const setting = await maContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const { logs } = await maContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await maContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await maContract.setArbitratorAllowed(courtArbitrator.address, false, {
+        from: governor
+      })
+      await shouldFail.reverting(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await maContract.transactions(transactionID))[9].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await shouldFail.reverting(
+        maContract.changeGovernor(other, { from: other })
+      )
+      await maContract.changeGovernor(other, { from: governor })
+      assert.equal(await maContract.governor(), other)
+      await shouldFail.reverting(
+        maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: other
+      })
+      assert.isTrue(
+        await maContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await maContract.setArbitratorAllowed(courtArbitrator.address, true, {
+        from: governor
+      })
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await maContract.disputeIDtoTransactionID(courtArbitrator.address, 0)
+        ).toNumber(),
+        courtTransactionID
+      )
+      await shouldFail.reverting(maContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(courtTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (await maContract.transactions(defaultTransactionID))[9].toNumber(),
+        4
+      )
+      assert.equal(
+        (await this.token.balanceOf(maContract.address)).toNumber(),
+        0
+      )
+    })
+  })
 })
@@ -17,6 +17,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
   const receiver = accounts[1]
   const arbitrator = accounts[2]
   const other = accounts[3]
+  const governor = accounts[6]
   const feeTimeout = 100
   const timeoutPayment = 100
   const arbitrationFee = 20
@@ -52,6 +53,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -77,9 +79,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -94,6 +96,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -138,6 +141,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -165,9 +169,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       })
       const newSenderBalance = web3.eth.getBalance(sender)
       const newContractBalance = web3.eth.getBalance(multipleContract.address)
-      const newAmount = (await multipleContract.transactions(
-        arbitrableTransactionId
-      ))[2]
+      const newAmount = (
+        await multipleContract.transactions(arbitrableTransactionId)
+      )[2]
 
       assert.equal(
         newSenderBalance.toString(),
@@ -187,6 +191,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -212,9 +217,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       1000,
       "The contract hasn't received the wei correctly."
     )
-    const amountSending = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const amountSending = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       amountSending.toNumber(),
@@ -229,6 +234,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -272,6 +278,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -302,6 +309,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -327,9 +335,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -348,6 +356,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -374,9 +383,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -391,6 +400,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -422,6 +432,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -459,6 +470,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -508,6 +520,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -557,6 +570,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -617,6 +631,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -667,6 +682,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -696,9 +712,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       }
     )
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -715,9 +731,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       value: arbitrationFee + 42
     })
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -734,6 +750,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -823,6 +840,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -874,6 +892,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -922,6 +941,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -979,6 +999,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1031,6 +1052,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1082,6 +1104,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1133,6 +1156,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1180,6 +1204,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1294,6 +1319,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1313,7 +1339,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       }
     )
     const arbitrableTransactionId = lastTransaction.args._metaEvidenceID.toNumber()
-    const MULTIPLIER_DIVISOR = (await multipleContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await multipleContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await multipleContract.payArbitrationFeeByReceiver(
       arbitrableTransactionId,
@@ -1474,6 +1502,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1530,6 +1559,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1587,6 +1617,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1654,6 +1685,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1673,7 +1705,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       }
     )
     const arbitrableTransactionId = lastTransaction.args._metaEvidenceID.toNumber()
-    const MULTIPLIER_DIVISOR = (await multipleContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await multipleContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await multipleContract.payArbitrationFeeByReceiver(
       arbitrableTransactionId,
@@ -1742,26 +1776,32 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     await appealableArbitrator.giveRuling(1, 2, { from: arbitrator })
 
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        sender
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          sender
+        )
+      ).toNumber(),
       900,
       'Sender has incorrect withdrawable amount'
     )
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        receiver
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          receiver
+        )
+      ).toNumber(),
       1600,
       'Receiver has incorrect withdrawable amount'
     )
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        other
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          other
+        )
+      ).toNumber(),
       400,
       'Crowdfunder has incorrect withdrawable amount'
     )
@@ -1829,26 +1869,32 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     )
 
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        sender
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          sender
+        )
+      ).toNumber(),
       0,
       'Sender should have 0 withdrawable amount'
     )
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        receiver
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          receiver
+        )
+      ).toNumber(),
       0,
       'Receiver should have 0 withdrawable amount'
     )
     assert.equal(
-      (await multipleContract.amountWithdrawable(
-        arbitrableTransactionId,
-        other
-      )).toNumber(),
+      (
+        await multipleContract.amountWithdrawable(
+          arbitrableTransactionId,
+          other
+        )
+      ).toNumber(),
       0,
       'Crowdfunder should have 0 withdrawable amount'
     )
@@ -1869,6 +1915,7 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       appealableArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       sharedStakeMultiplier,
       winnerStakeMultiplier,
@@ -1888,7 +1935,9 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       }
     )
     const arbitrableTransactionId = lastTransaction.args._metaEvidenceID.toNumber()
-    const MULTIPLIER_DIVISOR = (await multipleContract.MULTIPLIER_DIVISOR()).toNumber()
+    const MULTIPLIER_DIVISOR = (
+      await multipleContract.MULTIPLIER_DIVISOR()
+    ).toNumber()
 
     await multipleContract.payArbitrationFeeByReceiver(
       arbitrableTransactionId,
@@ -1972,4 +2021,316 @@ contract('MultipleArbitrableTransactionWithAppeals', function(accounts) {
       'Incorrect balance of the crowdfunder after withdrawing'
     )
   })
+
+  it('Should refund the fees of sponsored parties to their sponsors', async () => {
+    const sponsor = accounts[4]
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransaction.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeTimeout,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: sender }
+    )
+    await multipleContract.createTransaction(
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: amount }
+    )
+
+    await expectThrow(
+      multipleContract.sponsorArbitrationFee(0, 0, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+    )
+    // The sponsor must be approved by the party.
+    await expectThrow(
+      multipleContract.sponsorArbitrationFee(0, 1, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+    )
+    await multipleContract.approveSponsor(0, sponsor, { from: sender })
+    const { logs } = await multipleContract.sponsorArbitrationFee(0, 1, {
+      from: sponsor,
+      value: arbitrationFee
+    })
+    assert.equal(logs[0].event, 'FeeSponsored')
+    assert.equal(logs[0].args._party.toNumber(), 1)
+    assert.equal(logs[0].args._sponsor, sponsor)
+    await multipleContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    assert.equal((await multipleContract.transactions(0))[8].toNumber(), 3)
+
+    const senderBalance = web3.eth.getBalance(sender)
+    const sponsorBalance = web3.eth.getBalance(sponsor)
+    await centralizedArbitrator.giveRuling(0, 1, { from: arbitrator })
+    assert.equal(
+      web3.eth.getBalance(sender).toString(),
+      senderBalance.plus(amount).toString(),
+      'The sender should get the amount of the transaction'
+    )
+    assert.equal(
+      web3.eth.getBalance(sponsor).toString(),
+      sponsorBalance.plus(arbitrationFee).toString(),
+      'The sponsor should get the fee of the sender back'
+    )
+  })
+
+  it('Should create and execute transactions in batch', async () => {
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransaction.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeTimeout,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: sender }
+    )
+    const creationTx = await multipleContract.createTransactions(
+      [100, 200, 300],
+      [timeoutPayment, timeoutPayment, timeoutPayment],
+      [receiver, receiver, receiver],
+      metaEvidenceUri,
+      { from: sender, value: 350 }
+    )
+    assert.deepEqual(
+      creationTx.logs
+        .filter(log => log.event === 'TransactionCreationFailed')
+        .map(log => log.args._index.toNumber()),
+      [2]
+    )
+    assert.equal(web3.eth.getBalance(multipleContract.address).toNumber(), 300)
+
+    await multipleContract.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await increaseTime(timeoutPayment + 1)
+    const receiverBalance = web3.eth.getBalance(receiver)
+    const executionTx = await multipleContract.executeTransactions([0, 1, 2], {
+      from: other
+    })
+    assert.deepEqual(
+      executionTx.logs
+        .filter(log => log.event === 'TransactionExecutionFailed')
+        .map(log => log.args._transactionID.toNumber()),
+      [1, 2]
+    )
+    assert.equal(
+      web3.eth.getBalance(receiver).toString(),
+      receiverBalance.plus(100).toString()
+    )
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let multipleContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      multipleContract = await MultipleArbitrableTransaction.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        sharedStakeMultiplier,
+        winnerStakeMultiplier,
+        loserStakeMultiplier,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await multipleContract.createTransactionWithArbitrator(
+        timeoutPayment,
+        receiver,
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      return (await multipleContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await multipleContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await multipleContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      const setting = await multipleContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const {
+        logs
+      } = await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        { from: governor }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await multipleContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        false,
+        {
+          from: governor
+        }
+      )
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await multipleContract.transactions(transactionID))[8].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await expectThrow(multipleContract.changeGovernor(other, { from: other }))
+      await multipleContract.changeGovernor(other, { from: governor })
+      assert.equal(await multipleContract.governor(), other)
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: other
+        }
+      )
+      assert.isTrue(
+        await multipleContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            courtArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        courtTransactionID
+      )
+      await expectThrow(multipleContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await multipleContract.transactions(courtTransactionID))[8].toNumber(),
+        4
+      )
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        4
+      )
+      assert.equal(web3.eth.getBalance(multipleContract.address).toNumber(), 0)
+    })
+  })
 })
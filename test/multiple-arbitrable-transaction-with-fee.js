@@ -18,7 +18,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
   const other = accounts[3]
   const feeRecipient = accounts[4]
   const newFeeRecipient = accounts[5]
+  const governor = accounts[6]
   const feeRecipientBasisPoint = 500
+  const feeTimelock = 1000
   const feeTimeout = 100
   const timeoutPayment = 100
   const arbitrationFee = 20
@@ -61,9 +63,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
     const lastTransaction = await getLastTransaction(
@@ -85,9 +89,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -102,9 +106,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -145,9 +151,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
     for (var cnt = 0; cnt < 3; cnt += 1) {
@@ -171,9 +179,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
       })
       const newSenderBalance = web3.eth.getBalance(sender)
       const newContractBalance = web3.eth.getBalance(multipleContract.address)
-      const newAmount = (await multipleContract.transactions(
-        arbitrableTransactionId
-      ))[2]
+      const newAmount = (
+        await multipleContract.transactions(arbitrableTransactionId)
+      )[2]
 
       assert.equal(
         newSenderBalance.toString(),
@@ -193,9 +201,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
     const lastTransaction = await getLastTransaction(
@@ -217,9 +227,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
       amount,
       "The contract hasn't received the wei correctly."
     )
-    const amountSending = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const amountSending = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       amountSending.toNumber(),
@@ -235,9 +245,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -287,9 +299,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
     const lastTransaction = await getLastTransaction(
@@ -316,9 +330,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
     const lastTransaction = await getLastTransaction(
@@ -340,9 +356,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -365,9 +381,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -390,9 +408,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -407,9 +425,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -437,9 +457,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -473,9 +495,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -521,9 +545,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -582,9 +608,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -655,9 +683,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -704,9 +734,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -732,9 +764,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
       }
     )
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -751,9 +783,9 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
       value: newArbitrationFee
     })
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -770,9 +802,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -867,9 +901,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       0,
+      feeTimelock,
       { from: sender }
     )
 
@@ -917,9 +953,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -964,9 +1002,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1030,9 +1070,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1081,9 +1123,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1131,9 +1175,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1181,9 +1227,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1227,9 +1275,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1338,9 +1388,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1360,9 +1412,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1376,9 +1430,11 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     const multipleContract = await MultipleArbitrableTransactionWithFee.new(
       0x0,
       0x0,
+      governor,
       feeRecipient,
       feeRecipientBasisPoint,
       feeTimeout,
+      feeTimelock,
       { from: sender }
     )
 
@@ -1412,4 +1468,445 @@ contract('MultipleArbitrableTransactionWithFee', function(accounts) {
     )
     assert.equal(tx.logs[0].args._amount, calculateFeeRecipientAmount(amount))
   })
+
+  // Fee schedules
+  it('Should only apply a fee schedule of the feeRecipient after the timelock', async () => {
+    const multipleContract = await MultipleArbitrableTransactionWithFee.new(
+      0x0,
+      0x0,
+      governor,
+      feeRecipient,
+      feeRecipientBasisPoint,
+      feeTimeout,
+      feeTimelock,
+      { from: sender }
+    )
+
+    await expectThrow(
+      multipleContract.submitFeeSchedule([0, 1000], [500, 200], { from: other })
+    )
+    // Thresholds not starting at 0, not increasing, too high basis points and missing basis points.
+    for (const [thresholds, basisPoints] of [
+      [
+        [10, 1000],
+        [500, 200]
+      ],
+      [
+        [0, 1000, 1000],
+        [500, 200, 100]
+      ],
+      [[0], [10001]],
+      [[0, 1000], [500]],
+      [[], []]
+    ])
+      await expectThrow(
+        multipleContract.submitFeeSchedule(thresholds, basisPoints, {
+          from: feeRecipient
+        })
+      )
+    await expectThrow(multipleContract.applyFeeSchedule({ from: other }))
+
+    const tx = await multipleContract.submitFeeSchedule([0, 1000], [500, 200], {
+      from: feeRecipient
+    })
+    assert.equal(tx.logs[0].event, 'FeeScheduleSubmitted')
+    const activationTime = tx.logs[0].args._activationTime.toNumber()
+    assert.equal(
+      (await multipleContract.pendingFeeScheduleTime()).toNumber(),
+      activationTime
+    )
+    await expectThrow(multipleContract.applyFeeSchedule({ from: other }))
+    assert.equal(
+      (await multipleContract.getFeeBasisPoint(1000)).toNumber(),
+      500
+    )
+
+    await increaseTime(feeTimelock)
+    const { logs } = await multipleContract.applyFeeSchedule({ from: other })
+    assert.equal(logs[0].event, 'FeeScheduleApplied')
+    const [thresholds, basisPoints] = await multipleContract.getFeeSchedule()
+    assert.deepEqual(
+      thresholds.map(t => t.toNumber()),
+      [0, 1000]
+    )
+    assert.deepEqual(
+      basisPoints.map(b => b.toNumber()),
+      [500, 200]
+    )
+    assert.equal((await multipleContract.getFeeBasisPoint(999)).toNumber(), 500)
+    assert.equal(
+      (await multipleContract.feeRecipientBasisPoint()).toNumber(),
+      500
+    )
+    assert.equal(
+      (await multipleContract.getFeeBasisPoint(1000)).toNumber(),
+      200
+    )
+    assert.equal(
+      (await multipleContract.pendingFeeScheduleTime()).toNumber(),
+      0
+    )
+    await expectThrow(multipleContract.applyFeeSchedule({ from: other }))
+  })
+
+  it('Should charge the fee of the bracket of a transaction at its creation', async () => {
+    const multipleContract = await MultipleArbitrableTransactionWithFee.new(
+      0x0,
+      0x0,
+      governor,
+      feeRecipient,
+      feeRecipientBasisPoint,
+      feeTimeout,
+      feeTimelock,
+      { from: sender }
+    )
+    await multipleContract.createTransaction(
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: amount }
+    )
+    await multipleContract.submitFeeSchedule([0, 1000], [500, 200], {
+      from: feeRecipient
+    })
+    await increaseTime(feeTimelock)
+    await multipleContract.applyFeeSchedule({ from: other })
+    await multipleContract.createTransaction(
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: amount }
+    )
+    await multipleContract.createTransaction(
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender, value: amount - 1 }
+    )
+    assert.equal((await multipleContract.transactions(0))[9].toNumber(), 500)
+    assert.equal((await multipleContract.transactions(1))[9].toNumber(), 200)
+    assert.equal((await multipleContract.transactions(2))[9].toNumber(), 500)
+
+    // The bracket is not changed by partial payments.
+    for (const [transactionID, fee] of [
+      [0, 25],
+      [1, 10],
+      [2, 25]
+    ]) {
+      const feeRecipientBalance = web3.eth.getBalance(feeRecipient)
+      const { logs } = await multipleContract.pay(transactionID, 500, {
+        from: sender
+      })
+      assert.equal(logs[1].event, 'FeeRecipientPayment')
+      assert.equal(logs[1].args._amount.toNumber(), fee)
+      assert.equal(
+        web3.eth.getBalance(feeRecipient).toString(),
+        feeRecipientBalance.plus(fee).toString(),
+        'The feeRecipient has not been paid properly'
+      )
+    }
+  })
+
+  it('Should report the fee of rulings and timeouts', async () => {
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransactionWithFee.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeRecipient,
+      feeRecipientBasisPoint,
+      feeTimeout,
+      feeTimelock,
+      { from: sender }
+    )
+    for (let i = 0; i < 2; i++)
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+
+    await multipleContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await multipleContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await centralizedArbitrator.giveRuling(0, 1, { from: arbitrator })
+    await multipleContract.payArbitrationFeeByReceiver(1, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await increaseTime(feeTimeout + 1)
+    await multipleContract.timeOutByReceiver(1, { from: receiver })
+
+    const payments = await new Promise((resolve, reject) =>
+      multipleContract
+        .FeeRecipientPayment({}, { fromBlock: 0, toBlock: 'latest' })
+        .get((err, logs) => (err ? reject(err) : resolve(logs)))
+    )
+    assert.deepEqual(
+      payments.map(payment => [
+        payment.args._transactionID.toNumber(),
+        payment.args._amount.toNumber()
+      ]),
+      [
+        [0, 0],
+        [1, calculateFeeRecipientAmount(amount)]
+      ]
+    )
+  })
+
+  it('Should create and execute transactions in batch', async () => {
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransactionWithFee.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeRecipient,
+      feeRecipientBasisPoint,
+      feeTimeout,
+      feeTimelock,
+      { from: sender }
+    )
+    const creationTx = await multipleContract.createTransactions(
+      [100, 200, 300],
+      [timeoutPayment, timeoutPayment, timeoutPayment],
+      [receiver, receiver, receiver],
+      metaEvidenceUri,
+      { from: sender, value: 350 }
+    )
+    assert.deepEqual(
+      creationTx.logs
+        .filter(log => log.event === 'TransactionCreationFailed')
+        .map(log => log.args._index.toNumber()),
+      [2]
+    )
+    assert.equal(web3.eth.getBalance(multipleContract.address).toNumber(), 300)
+
+    await multipleContract.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await increaseTime(timeoutPayment + 1)
+    const receiverBalance = web3.eth.getBalance(receiver)
+    const executionTx = await multipleContract.executeTransactions([0, 1, 2], {
+      from: other
+    })
+    assert.deepEqual(
+      executionTx.logs
+        .filter(log => log.event === 'TransactionExecutionFailed')
+        .map(log => log.args._transactionID.toNumber()),
+      [1, 2]
+    )
+    assert.equal(
+      web3.eth.getBalance(receiver).toString(),
+      receiverBalance.plus(95).toString()
+    )
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let multipleContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      multipleContract = await MultipleArbitrableTransactionWithFee.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        feeRecipient,
+        feeRecipientBasisPoint,
+        feeTimeout,
+        feeTimelock,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await multipleContract.createTransactionWithArbitrator(
+        timeoutPayment,
+        receiver,
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      return (await multipleContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await multipleContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await multipleContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      const setting = await multipleContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const {
+        logs
+      } = await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        { from: governor }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await multipleContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        false,
+        {
+          from: governor
+        }
+      )
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await multipleContract.transactions(transactionID))[8].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await expectThrow(multipleContract.changeGovernor(other, { from: other }))
+      await multipleContract.changeGovernor(other, { from: governor })
+      assert.equal(await multipleContract.governor(), other)
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: other
+        }
+      )
+      assert.isTrue(
+        await multipleContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            courtArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        courtTransactionID
+      )
+      await expectThrow(multipleContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await multipleContract.transactions(courtTransactionID))[8].toNumber(),
+        4
+      )
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        4
+      )
+      assert.equal(web3.eth.getBalance(multipleContract.address).toNumber(), 0)
+    })
+  })
 })
@@ -6,16 +6,20 @@ const {
   increaseTime
 } = require('openzeppelin-solidity/test/helpers/increaseTime')
 
+const { expectBalanceChanges } = require('./helpers/balances')
+
 const MultipleArbitrableTransaction = artifacts.require(
   './MultipleArbitrableTransaction.sol'
 )
 const CentralizedArbitrator = artifacts.require('./CentralizedArbitrator.sol')
+const TransactionsView = artifacts.require('./TransactionsView.sol')
 
 contract('MultipleArbitrableTransaction', function(accounts) {
   const sender = accounts[0]
   const receiver = accounts[1]
   const arbitrator = accounts[2]
   const other = accounts[3]
+  const governor = accounts[6]
   const feeTimeout = 100
   const timeoutPayment = 100
   const timeout = 100 // TODO must remove it
@@ -47,6 +51,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -69,9 +74,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -86,6 +91,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -127,6 +133,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -151,9 +158,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
       })
       const newSenderBalance = web3.eth.getBalance(sender)
       const newContractBalance = web3.eth.getBalance(multipleContract.address)
-      const newAmount = (await multipleContract.transactions(
-        arbitrableTransactionId
-      ))[2]
+      const newAmount = (
+        await multipleContract.transactions(arbitrableTransactionId)
+      )[2]
 
       assert.equal(
         newSenderBalance.toString(),
@@ -173,6 +180,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -195,9 +203,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
       1000,
       "The contract hasn't received the wei correctly."
     )
-    const amountSending = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const amountSending = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       amountSending.toNumber(),
@@ -212,6 +220,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -252,6 +261,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -279,6 +289,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -301,9 +312,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -322,6 +333,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -345,9 +357,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     })
     const newSenderBalance = web3.eth.getBalance(sender)
     const newContractBalance = web3.eth.getBalance(multipleContract.address)
-    const newAmount = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[2]
+    const newAmount = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[2]
 
     assert.equal(
       newSenderBalance.toString(),
@@ -362,6 +374,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -390,6 +403,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       0x0,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -424,6 +438,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -470,6 +485,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -516,6 +532,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -565,6 +582,77 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     )
   })
 
+  it('Should split the amount and the arbitration fee according to a split ruling', async () => {
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransaction.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeTimeout,
+      { from: sender }
+    )
+    await multipleContract.createTransactionWithSplits(
+      timeoutPayment,
+      receiver,
+      [2500, 7000],
+      metaEvidenceUri,
+      { from: sender, value: amount }
+    )
+    assert.deepEqual(
+      (await multipleContract.getSplits(0)).map(split => split.toNumber()),
+      [2500, 7000]
+    )
+
+    await multipleContract.payArbitrationFeeByReceiver(0, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await multipleContract.payArbitrationFeeBySender(0, {
+      from: sender,
+      value: arbitrationFee
+    })
+    assert.equal(
+      (await centralizedArbitrator.disputes(0))[1].toNumber(),
+      4,
+      'The dispute should have the split ruling options.'
+    )
+    await expectThrow(
+      centralizedArbitrator.giveRuling(0, 5, { from: arbitrator })
+    )
+
+    await expectBalanceChanges(
+      () => centralizedArbitrator.giveRuling(0, 4, { from: arbitrator }),
+      {
+        [sender]: (amount * 3) / 10 + (arbitrationFee * 3) / 10,
+        [receiver]: (amount * 7) / 10 + (arbitrationFee * 7) / 10,
+        [multipleContract.address]: -amount - arbitrationFee
+      }
+    )
+  })
+
+  it('Should not create a transaction with a split higher than the amount', async () => {
+    const multipleContract = await MultipleArbitrableTransaction.new(
+      arbitrator,
+      0x0,
+      governor,
+      feeTimeout,
+      { from: sender }
+    )
+
+    await expectThrow(
+      multipleContract.createTransactionWithSplits(
+        timeoutPayment,
+        receiver,
+        [10001],
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+    )
+  })
+
   it('Should refund overpaid arbitration fee for sender', async () => {
     const centralizedArbitrator = await CentralizedArbitrator.new(
       arbitrationFee,
@@ -573,6 +661,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -620,6 +709,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -646,9 +736,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
       }
     )
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -665,9 +755,9 @@ contract('MultipleArbitrableTransaction', function(accounts) {
       value: arbitrationFee + 42
     })
 
-    arbitrableTransactionStatus = (await multipleContract.transactions(
-      arbitrableTransactionId
-    ))[8]
+    arbitrableTransactionStatus = (
+      await multipleContract.transactions(arbitrableTransactionId)
+    )[8]
 
     assert.equal(
       arbitrableTransactionStatus.toNumber(),
@@ -684,6 +774,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -770,6 +861,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       0,
       { from: sender }
     )
@@ -818,6 +910,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -863,6 +956,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -917,6 +1011,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -966,6 +1061,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -1014,6 +1110,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -1062,6 +1159,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -1106,6 +1204,7 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     const multipleContract = await MultipleArbitrableTransaction.new(
       centralizedArbitrator.address,
       0x0,
+      governor,
       feeTimeout,
       { from: sender }
     )
@@ -1200,6 +1299,642 @@ contract('MultipleArbitrableTransaction', function(accounts) {
     )
   })
 
+  it('Should query transactions by page, status and role', async () => {
+    const centralizedArbitrator = await CentralizedArbitrator.new(
+      arbitrationFee,
+      { from: arbitrator }
+    )
+    const multipleContract = await MultipleArbitrableTransaction.new(
+      centralizedArbitrator.address,
+      0x0,
+      governor,
+      feeTimeout,
+      { from: sender }
+    )
+    // Transactions 0, 2 and 4 are from the sender to the receiver, 1 and 3 from the receiver to other.
+    for (let i = 0; i < 5; i++)
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        i % 2 === 0 ? receiver : other,
+        metaEvidenceUri,
+        { from: i % 2 === 0 ? sender : receiver, value: amount }
+      )
+    await multipleContract.payArbitrationFeeBySender(2, {
+      from: sender,
+      value: arbitrationFee
+    })
+    await multipleContract.payArbitrationFeeByReceiver(2, {
+      from: receiver,
+      value: arbitrationFee
+    })
+    await centralizedArbitrator.giveRuling(0, 1, { from: arbitrator })
+    await multipleContract.payArbitrationFeeBySender(4, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    // The status is the ninth value returned by the transactions getter.
+    const transactionsView = await TransactionsView.new()
+    const query = (...args) =>
+      transactionsView.queryTransactions(multipleContract.address, 8, ...args)
+    const all = [true, true, true, true, true]
+    let [transactionIDs, hasMore] = await query(0, 2, all, 0x0, false, false)
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [0, 1]
+    )
+    assert.isTrue(hasMore)
+    ;[transactionIDs, hasMore] = await query(2, 3, all, 0x0, false, false)
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [2, 3, 4]
+    )
+    assert.isFalse(hasMore)
+
+    // Filter by status.
+    ;[transactionIDs, hasMore] = await query(
+      0,
+      5,
+      [true, false, true, false, false],
+      0x0,
+      false,
+      false
+    )
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [0, 1, 3, 4]
+    )
+    ;[transactionIDs, hasMore] = await query(
+      0,
+      5,
+      [false, false, false, false, true],
+      0x0,
+      false,
+      false
+    )
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [2]
+    )
+
+    // Filter by role.
+    ;[transactionIDs, hasMore] = await query(0, 5, all, receiver, true, false)
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [1, 3]
+    )
+    ;[transactionIDs, hasMore] = await query(
+      0,
+      1,
+      [true, false, false, false, false],
+      receiver,
+      false,
+      true
+    )
+    assert.deepEqual(
+      transactionIDs.map(id => id.toNumber()),
+      [0]
+    )
+    assert.isFalse(hasMore)
+  })
+
+  describe('fee sponsorship', () => {
+    const sponsor = accounts[4]
+    let centralizedArbitrator
+    let multipleContract
+
+    beforeEach(async () => {
+      centralizedArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      multipleContract = await MultipleArbitrableTransaction.new(
+        centralizedArbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        { from: sender }
+      )
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      await multipleContract.approveSponsor(0, sponsor, { from: sender })
+      await multipleContract.approveSponsor(0, sponsor, { from: receiver })
+    })
+
+    it('Should only let the sponsor approved by a party pay its fee', async () => {
+      await multipleContract.payArbitrationFeeByReceiver(0, {
+        from: receiver,
+        value: arbitrationFee
+      })
+      // An address the sender did not approve cannot raise the dispute in its place.
+      await expectThrow(
+        multipleContract.sponsorArbitrationFee(0, 0, {
+          from: other,
+          value: arbitrationFee
+        })
+      )
+
+      const { logs } = await multipleContract.approveSponsor(0, 0x0, {
+        from: sender
+      })
+      assert.equal(logs[0].event, 'SponsorApproved')
+      assert.equal(logs[0].args._party.toNumber(), 0)
+      assert.equal(logs[0].args._sponsor, '0x' + '0'.repeat(40))
+      await expectThrow(
+        multipleContract.sponsorArbitrationFee(0, 0, {
+          from: sponsor,
+          value: arbitrationFee
+        })
+      )
+      await expectThrow(
+        multipleContract.approveSponsor(0, other, { from: other })
+      )
+      assert.equal((await multipleContract.transactions(0))[8].toNumber(), 1)
+    })
+
+    it('Should refund the fee of a sponsored party to the sponsor', async () => {
+      const { logs } = await multipleContract.sponsorArbitrationFee(0, 1, {
+        from: sponsor,
+        value: arbitrationFee + 5,
+        gasPrice: 0
+      })
+      assert.equal(logs[0].event, 'FeeSponsored')
+      assert.equal(logs[0].args._transactionID.toNumber(), 0)
+      assert.equal(logs[0].args._party.toNumber(), 1)
+      assert.equal(logs[0].args._sponsor, sponsor)
+      assert.equal(logs[0].args._amount.toNumber(), arbitrationFee + 5)
+      assert.equal(await multipleContract.sponsors(0, 1), sponsor)
+
+      // The overpaid fee is refunded to the sponsor when the dispute is created.
+      await expectBalanceChanges(
+        () =>
+          multipleContract.payArbitrationFeeBySender(0, {
+            from: sender,
+            value: arbitrationFee,
+            gasPrice: 0
+          }),
+        { [sponsor]: 5, [receiver]: 0 }
+      )
+      assert.equal((await multipleContract.transactions(0))[8].toNumber(), 3)
+
+      await expectBalanceChanges(
+        () => centralizedArbitrator.giveRuling(0, 2, { from: arbitrator }),
+        { [sponsor]: arbitrationFee, [receiver]: amount, [sender]: 0 }
+      )
+    })
+
+    it('Should not let two payers pay the fee of a party', async () => {
+      await multipleContract.payArbitrationFeeBySender(0, {
+        from: sender,
+        value: arbitrationFee
+      })
+      await expectThrow(
+        multipleContract.sponsorArbitrationFee(0, 0, {
+          from: sponsor,
+          value: arbitrationFee
+        })
+      )
+
+      // The receiver side stays open after the arbitration cost increases.
+      await centralizedArbitrator.setArbitrationPrice(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      await multipleContract.sponsorArbitrationFee(0, 1, {
+        from: sponsor,
+        value: arbitrationFee * 2
+      })
+      assert.equal((await multipleContract.transactions(0))[8].toNumber(), 1)
+      await multipleContract.approveSponsor(0, other, { from: receiver })
+      await expectThrow(
+        multipleContract.sponsorArbitrationFee(0, 1, {
+          from: other,
+          value: arbitrationFee
+        })
+      )
+      await multipleContract.approveSponsor(0, sponsor, { from: receiver })
+
+      // The sponsor can top up the fee of the party.
+      await multipleContract.sponsorArbitrationFee(0, 1, {
+        from: sponsor,
+        value: 1
+      })
+      assert.equal(
+        (await multipleContract.transactions(0))[6].toNumber(),
+        arbitrationFee * 2 + 1
+      )
+    })
+
+    it('Should refund the sponsor when the other party times out', async () => {
+      await multipleContract.sponsorArbitrationFee(0, 0, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+      await increaseTime(feeTimeout + 1)
+      await expectBalanceChanges(
+        () => multipleContract.timeOutBySender(0, { from: other, gasPrice: 0 }),
+        { [sponsor]: arbitrationFee, [sender]: amount }
+      )
+    })
+
+    it('Should split the refund between the sponsor and the party', async () => {
+      await multipleContract.sponsorArbitrationFee(0, 0, {
+        from: sponsor,
+        value: arbitrationFee
+      })
+      await multipleContract.payArbitrationFeeByReceiver(0, {
+        from: receiver,
+        value: arbitrationFee
+      })
+      await expectBalanceChanges(
+        () => centralizedArbitrator.giveRuling(0, 0, { from: arbitrator }),
+        {
+          [sponsor]: arbitrationFee / 2,
+          [sender]: amount / 2,
+          [receiver]: (amount + arbitrationFee) / 2
+        }
+      )
+    })
+
+    it('Should let a sponsored party top up its own fee', async () => {
+      // The sender sponsors the fee of the receiver right before the arbitration cost increases.
+      await multipleContract.approveSponsor(0, sender, { from: receiver })
+      await multipleContract.sponsorArbitrationFee(0, 1, {
+        from: sender,
+        value: arbitrationFee
+      })
+      await centralizedArbitrator.setArbitrationPrice(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      await multipleContract.payArbitrationFeeBySender(0, {
+        from: sender,
+        value: arbitrationFee * 2
+      })
+      assert.equal((await multipleContract.transactions(0))[8].toNumber(), 2)
+
+      await multipleContract.payArbitrationFeeByReceiver(0, {
+        from: receiver,
+        value: arbitrationFee
+      })
+      assert.equal((await multipleContract.transactions(0))[8].toNumber(), 3)
+
+      // The sponsor only gets back what it paid, and the party the rest.
+      await expectBalanceChanges(
+        () => centralizedArbitrator.giveRuling(0, 2, { from: arbitrator }),
+        {
+          [sender]: arbitrationFee,
+          [receiver]: amount + arbitrationFee
+        }
+      )
+    })
+  })
+
+  describe('batches', () => {
+    const batchSize = 10
+    let centralizedArbitrator
+    let multipleContract
+
+    beforeEach(async () => {
+      centralizedArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      multipleContract = await MultipleArbitrableTransaction.new(
+        centralizedArbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        { from: sender }
+      )
+    })
+
+    it('Should create transactions in batch, skipping the ones which are not funded', async () => {
+      const senderBalance = web3.eth.getBalance(sender)
+      const tx = await multipleContract.createTransactions(
+        [100, 200, 300],
+        [timeoutPayment, timeoutPayment, timeoutPayment],
+        [receiver, other, receiver],
+        metaEvidenceUri,
+        { from: sender, value: 350, gasPrice }
+      )
+
+      const created = tx.logs.filter(log => log.event === 'TransactionCreated')
+      assert.deepEqual(
+        created.map(log => log.args._amount.toNumber()),
+        [100, 200]
+      )
+      assert.equal(created[1].args._receiver, other)
+      const failed = tx.logs.filter(
+        log => log.event === 'TransactionCreationFailed'
+      )
+      assert.equal(failed.length, 1)
+      assert.equal(failed[0].args._index.toNumber(), 2)
+      assert.equal(failed[0].args._amount.toNumber(), 300)
+      assert.equal(
+        (await multipleContract.getCountTransactions()).toNumber(),
+        2
+      )
+      // The 50 wei left are refunded.
+      assert.equal(
+        web3.eth.getBalance(multipleContract.address).toNumber(),
+        300
+      )
+      assert.equal(
+        web3.eth.getBalance(sender).toString(),
+        senderBalance
+          .minus(300)
+          .minus(tx.receipt.gasUsed * gasPrice)
+          .toString()
+      )
+
+      await expectThrow(
+        multipleContract.createTransactions(
+          [100, 200],
+          [timeoutPayment],
+          [receiver, receiver],
+          metaEvidenceUri,
+          { from: sender, value: 300 }
+        )
+      )
+    })
+
+    it('Should execute transactions in batch, skipping the ones which cannot be executed', async () => {
+      await multipleContract.createTransactions(
+        [100, 200, 300],
+        [timeoutPayment, timeoutPayment, timeoutPayment],
+        [receiver, receiver, receiver],
+        metaEvidenceUri,
+        { from: sender, value: 600 }
+      )
+      await multipleContract.payArbitrationFeeBySender(1, {
+        from: sender,
+        value: arbitrationFee
+      })
+      await increaseTime(timeoutPayment + 1)
+
+      const receiverBalance = web3.eth.getBalance(receiver)
+      const tx = await multipleContract.executeTransactions([0, 1, 2, 3], {
+        from: other
+      })
+      assert.deepEqual(
+        tx.logs
+          .filter(log => log.event === 'TransactionExecuted')
+          .map(log => log.args._transactionID.toNumber()),
+        [0, 2]
+      )
+      assert.deepEqual(
+        tx.logs
+          .filter(log => log.event === 'TransactionExecutionFailed')
+          .map(log => log.args._transactionID.toNumber()),
+        [1, 3]
+      )
+      assert.equal(
+        web3.eth.getBalance(receiver).toString(),
+        receiverBalance.plus(400).toString()
+      )
+      assert.equal((await multipleContract.transactions(1))[2].toNumber(), 200)
+    })
+
+    it('Should use less gas to create and execute transactions in batch', async () => {
+      const amounts = new Array(batchSize).fill(amount)
+      const timeoutPayments = new Array(batchSize).fill(timeoutPayment)
+      const receivers = new Array(batchSize).fill(receiver)
+
+      let singleCreationGas = 0
+      for (let i = 0; i < batchSize; i++)
+        singleCreationGas += (
+          await multipleContract.createTransaction(
+            timeoutPayment,
+            receiver,
+            metaEvidenceUri,
+            { from: sender, value: amount }
+          )
+        ).receipt.gasUsed
+      const batchCreationGas = (
+        await multipleContract.createTransactions(
+          amounts,
+          timeoutPayments,
+          receivers,
+          metaEvidenceUri,
+          { from: sender, value: amount * batchSize }
+        )
+      ).receipt.gasUsed
+      await increaseTime(timeoutPayment + 1)
+
+      let singleExecutionGas = 0
+      for (let i = 0; i < batchSize; i++)
+        singleExecutionGas += (
+          await multipleContract.executeTransaction(i, {
+            from: other
+          })
+        ).receipt.gasUsed
+      const batchExecutionGas = (
+        await multipleContract.executeTransactions(
+          [...new Array(batchSize).keys()].map(i => i + batchSize),
+          { from: other }
+        )
+      ).receipt.gasUsed
+
+      assert.isBelow(batchCreationGas, singleCreationGas)
+      assert.isBelow(batchExecutionGas, singleExecutionGas)
+    })
+  })
+
+  describe('arbitrator choice', () => {
+    let defaultArbitrator
+    let courtArbitrator
+    let multipleContract
+
+    beforeEach(async () => {
+      defaultArbitrator = await CentralizedArbitrator.new(arbitrationFee, {
+        from: arbitrator
+      })
+      courtArbitrator = await CentralizedArbitrator.new(arbitrationFee * 2, {
+        from: arbitrator
+      })
+      multipleContract = await MultipleArbitrableTransaction.new(
+        defaultArbitrator.address,
+        0x0,
+        governor,
+        feeTimeout,
+        { from: sender }
+      )
+    })
+
+    /**
+     * Create a transaction arbitrated by a chosen arbitrator.
+     * @param {string} arbitratorAddress The address of the arbitrator, 0x0 for the default one.
+     * @param {string} arbitratorExtraData The extra data for the arbitrator.
+     * @returns {number} The ID of the transaction.
+     */
+    async function createTransaction(
+      arbitratorAddress,
+      arbitratorExtraData = '0x0'
+    ) {
+      await multipleContract.createTransactionWithArbitrator(
+        timeoutPayment,
+        receiver,
+        [],
+        arbitratorAddress,
+        arbitratorExtraData,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      return (await multipleContract.getCountTransactions()).toNumber() - 1
+    }
+
+    /**
+     * Pay the arbitration fee of both parties to raise a dispute.
+     * @param {number} transactionID The ID of the transaction.
+     * @param {number} fee The arbitration fee of each party.
+     */
+    async function raiseDispute(transactionID, fee) {
+      await multipleContract.payArbitrationFeeByReceiver(transactionID, {
+        from: receiver,
+        value: fee
+      })
+      await multipleContract.payArbitrationFeeBySender(transactionID, {
+        from: sender,
+        value: fee
+      })
+    }
+
+    it('Should use the default arbitrator if the transaction does not choose one', async () => {
+      await multipleContract.createTransaction(
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender, value: amount }
+      )
+      const setting = await multipleContract.arbitrationSettings(0)
+      assert.equal(setting[0], defaultArbitrator.address)
+      assert.equal(setting[1], '0x')
+    })
+
+    it('Should only accept arbitrators allowed by the governor', async () => {
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: other
+        })
+      )
+
+      const {
+        logs
+      } = await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        { from: governor }
+      )
+      assert.equal(logs[0].event, 'ArbitratorAllowed')
+      assert.equal(logs[0].args._arbitrator, courtArbitrator.address)
+      assert.isTrue(logs[0].args._allowed)
+      const transactionID = await createTransaction(
+        courtArbitrator.address,
+        '0x1234'
+      )
+      const setting = await multipleContract.arbitrationSettings(transactionID)
+      assert.equal(setting[0], courtArbitrator.address)
+      assert.equal(setting[1], '0x1234')
+
+      // Disallowing an arbitrator does not affect the transactions already using it.
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        false,
+        {
+          from: governor
+        }
+      )
+      await expectThrow(createTransaction(courtArbitrator.address))
+      await raiseDispute(transactionID, arbitrationFee * 2)
+      assert.equal(
+        (await multipleContract.transactions(transactionID))[8].toNumber(),
+        3,
+        'The dispute should be created.'
+      )
+    })
+
+    it('Should let the governor hand over the allowlist', async () => {
+      await expectThrow(multipleContract.changeGovernor(other, { from: other }))
+      await multipleContract.changeGovernor(other, { from: governor })
+      assert.equal(await multipleContract.governor(), other)
+      await expectThrow(
+        multipleContract.setArbitratorAllowed(courtArbitrator.address, true, {
+          from: governor
+        })
+      )
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: other
+        }
+      )
+      assert.isTrue(
+        await multipleContract.allowedArbitrators(courtArbitrator.address)
+      )
+    })
+
+    it('Should keep the disputes of different arbitrators apart', async () => {
+      await multipleContract.setArbitratorAllowed(
+        courtArbitrator.address,
+        true,
+        {
+          from: governor
+        }
+      )
+      const defaultTransactionID = await createTransaction(0x0)
+      const courtTransactionID = await createTransaction(
+        courtArbitrator.address
+      )
+      // Both arbitrators create their dispute with ID 0.
+      await raiseDispute(defaultTransactionID, arbitrationFee)
+      await raiseDispute(courtTransactionID, arbitrationFee * 2)
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            defaultArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        defaultTransactionID
+      )
+      assert.equal(
+        (
+          await multipleContract.disputeIDtoTransactionID(
+            courtArbitrator.address,
+            0
+          )
+        ).toNumber(),
+        courtTransactionID
+      )
+      await expectThrow(multipleContract.rule(0, 1, { from: arbitrator }))
+
+      await courtArbitrator.giveRuling(0, 2, { from: arbitrator })
+      assert.equal(
+        (await multipleContract.transactions(courtTransactionID))[8].toNumber(),
+        4
+      )
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        3,
+        'The dispute of the default arbitrator should still be open.'
+      )
+
+      await defaultArbitrator.giveRuling(0, 1, { from: arbitrator })
+      assert.equal(
+        (
+          await multipleContract.transactions(defaultTransactionID)
+        )[8].toNumber(),
+        4
+      )
+      assert.equal(web3.eth.getBalance(multipleContract.address).toNumber(), 0)
+    })
+  })
+
   // FIXME
   // it('Should handle multiple transactions and arbitrators concurrently', async () => {
   //   const centralizedArbitrator1 = await CentralizedArbitrator.new(
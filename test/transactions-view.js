@@ -0,0 +1,242 @@
+/* globals artifacts, contract, web3 */
+const { assert } = require('chai')
+
+const shouldFail = require('./helpers/should-fail')
+
+const TransactionsView = artifacts.require('TransactionsView')
+const MultipleArbitrableTransactionWithAppeals = artifacts.require(
+  'MultipleArbitrableTransactionWithAppeals'
+)
+const MultipleArbitrableTokenTransactionWithAppeals = artifacts.require(
+  'MultipleArbitrableTokenTransactionWithAppeals'
+)
+const ERC20Mock = artifacts.require('ERC20Mock')
+const CentralizedArbitrator = artifacts.require('CentralizedArbitrator')
+
+contract('TransactionsView', function(accounts) {
+  const sender = accounts[0]
+  const receiver = accounts[1]
+  const arbitrator = accounts[2]
+  const governor = accounts[6]
+  const feeTimeout = 100
+  const timeoutPayment = 100
+  const arbitrationFee = 20
+  const metaEvidenceUri = 'https://kleros.io'
+  const stakeMultipliers = [5000, 2000, 8000]
+
+  let arbitratorContract
+  let transactionsView
+
+  /**
+   * Call a function of the view and decode the transactions it returns.
+   * The returned structs are decoded by hand, as web3 does not support the ABIEncoderV2 types.
+   * @param {string} method The name of the function of the view.
+   * @param {string} escrowAddress The address of the escrow.
+   * @param {number[]} transactionIDs The IDs of the transactions to fetch.
+   * @returns {object[]} The transactions.
+   */
+  function getTransactions(method, escrowAddress, transactionIDs) {
+    const data = transactionsView.contract[method].getData(
+      escrowAddress,
+      transactionIDs
+    )
+    const words = web3.eth
+      .call({ to: transactionsView.address, data })
+      .slice(2)
+      .match(/.{64}/g)
+    const toNumber = word => web3.toBigNumber(`0x${word}`).toNumber()
+    const toAddress = word => `0x${word.slice(24)}`
+
+    // The first word is the offset of the array and the second is its length. Each struct has 11 words.
+    const transactions = []
+    for (let i = 0; i < toNumber(words[1]); i++) {
+      const fields = words.slice(2 + i * 11, 2 + (i + 1) * 11)
+      transactions.push({
+        ID: toNumber(fields[0]),
+        sender: toAddress(fields[1]),
+        receiver: toAddress(fields[2]),
+        amount: toNumber(fields[3]),
+        token: toAddress(fields[4]),
+        timeoutPayment: toNumber(fields[5]),
+        disputeId: toNumber(fields[6]),
+        senderFee: toNumber(fields[7]),
+        receiverFee: toNumber(fields[8]),
+        lastInteraction: toNumber(fields[9]),
+        status: toNumber(fields[10])
+      })
+    }
+
+    return transactions
+  }
+
+  beforeEach('deploy the view and an arbitrator', async () => {
+    transactionsView = await TransactionsView.new()
+    arbitratorContract = await CentralizedArbitrator.new(arbitrationFee, {
+      from: arbitrator
+    })
+  })
+
+  it('Should fetch ETH transactions', async () => {
+    const escrow = await MultipleArbitrableTransactionWithAppeals.new(
+      arbitratorContract.address,
+      0x0,
+      governor,
+      feeTimeout,
+      ...stakeMultipliers,
+      { from: sender }
+    )
+    await escrow.createTransaction(timeoutPayment, receiver, metaEvidenceUri, {
+      from: sender,
+      value: 100
+    })
+    await escrow.createTransaction(timeoutPayment, receiver, metaEvidenceUri, {
+      from: sender,
+      value: 200
+    })
+    await escrow.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    const transactions = getTransactions('getTransactions', escrow.address, [
+      1,
+      0
+    ])
+    assert.equal(transactions.length, 2)
+    assert.equal(transactions[0].ID, 1)
+    assert.equal(transactions[0].sender, sender)
+    assert.equal(transactions[0].receiver, receiver)
+    assert.equal(transactions[0].amount, 200)
+    assert.equal(transactions[0].token, '0x' + '0'.repeat(40))
+    assert.equal(transactions[0].timeoutPayment, timeoutPayment)
+    assert.equal(transactions[0].senderFee, arbitrationFee)
+    assert.equal(transactions[0].status, 2, 'Status should be WaitingReceiver.')
+    assert.equal(transactions[1].ID, 0)
+    assert.equal(transactions[1].amount, 100)
+    assert.equal(transactions[1].status, 0, 'Status should be NoDispute.')
+  })
+
+  it('Should fetch token transactions', async () => {
+    const token = await ERC20Mock.new(sender, 1000)
+    const escrow = await MultipleArbitrableTokenTransactionWithAppeals.new(
+      arbitratorContract.address,
+      0x0,
+      governor,
+      feeTimeout,
+      ...stakeMultipliers,
+      { from: sender }
+    )
+    await token.approve(escrow.address, 300, { from: sender })
+    await escrow.createTransaction(
+      300,
+      token.address,
+      timeoutPayment,
+      receiver,
+      metaEvidenceUri,
+      { from: sender }
+    )
+    await escrow.pay(0, 300, { from: sender })
+
+    const [transaction] = getTransactions(
+      'getTokenTransactions',
+      escrow.address,
+      [0]
+    )
+    assert.equal(transaction.sender, sender)
+    assert.equal(transaction.receiver, receiver)
+    assert.equal(transaction.amount, 0)
+    assert.equal(transaction.token, token.address)
+    assert.equal(transaction.timeoutPayment, timeoutPayment)
+    assert.equal(transaction.status, 0)
+    assert.deepEqual(
+      getTransactions('getTokenTransactions', escrow.address, []),
+      []
+    )
+  })
+
+  it('Should query token transactions by status and party', async () => {
+    const token = await ERC20Mock.new(sender, 1000)
+    const escrow = await MultipleArbitrableTokenTransactionWithAppeals.new(
+      arbitratorContract.address,
+      0x0,
+      governor,
+      feeTimeout,
+      ...stakeMultipliers,
+      { from: sender }
+    )
+    await token.approve(escrow.address, 300, { from: sender })
+    for (let i = 0; i < 3; i++)
+      await escrow.createTransaction(
+        100,
+        token.address,
+        timeoutPayment,
+        receiver,
+        metaEvidenceUri,
+        { from: sender }
+      )
+    await escrow.payArbitrationFeeBySender(1, {
+      from: sender,
+      value: arbitrationFee
+    })
+
+    // The status is the tenth value returned by the transactions getter of the token escrows.
+    const query = (...args) =>
+      transactionsView
+        .queryTransactions(escrow.address, 9, ...args)
+        .then(([transactionIDs, hasMore]) => [
+          transactionIDs.map(id => id.toNumber()),
+          hasMore
+        ])
+    assert.deepEqual(
+      await query(0, 1, [true, false, false, false, false], 0x0, false, false),
+      [[0], true]
+    )
+    assert.deepEqual(
+      await query(1, 5, [true, false, false, false, false], 0x0, false, false),
+      [[2], false]
+    )
+    assert.deepEqual(
+      await query(0, 5, [false, false, true, false, false], 0x0, false, false),
+      [[1], false]
+    )
+    assert.deepEqual(
+      await query(0, 5, [true, true, true, true, true], sender, false, true),
+      [[], false]
+    )
+    assert.deepEqual(
+      await query(0, 5, [true, true, true, true, true], receiver, false, true),
+      [[0, 1, 2], false]
+    )
+  })
+
+  it('Should fail to query an address which is not an escrow', async () => {
+    await shouldFail.reverting(
+      transactionsView.queryTransactions(
+        arbitratorContract.address,
+        8,
+        0,
+        5,
+        [true, true, true, true, true],
+        0x0,
+        false,
+        false
+      )
+    )
+  })
+
+  it('Should fail to fetch a transaction which does not exist', async () => {
+    const escrow = await MultipleArbitrableTransactionWithAppeals.new(
+      arbitratorContract.address,
+      0x0,
+      governor,
+      feeTimeout,
+      ...stakeMultipliers,
+      { from: sender }
+    )
+    await shouldFail.reverting(
+      Promise.resolve().then(() =>
+        getTransactions('getTransactions', escrow.address, [0])
+      )
+    )
+  })
+})
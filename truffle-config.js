@@ -6,6 +6,12 @@ module.exports = {
     }
   },
   networks: {
+    local: {
+      host: 'localhost',
+      port: 8545,
+      network_id: '*',
+      gas: 8000000
+    },
     test: {
       host: 'localhost',
       port: 8545,